@@ -26,6 +26,11 @@
  * });
  */
 
+import { resolveOptions } from '../src/core/options';
+import { createPixiContext } from '../src/core/pixiContext';
+import { scaleCount } from '../src/core/quality';
+import { getTextureCache } from '../src/core/textureCache';
+
 // ============================================================================
 // SIGNAL CLASS
 // ============================================================================
@@ -77,58 +82,6 @@ class Signal {
   }
 }
 
-// ============================================================================
-// PIXI CONTEXT FACTORY
-// ============================================================================
-
-/**
- * Creates a PixiContext with GSAP integration.
- * 
- * @param {object} pixiModule - PIXI namespace (global or imported)
- * @param {object} gsapModule - GSAP namespace { gsap, PixiPlugin }
- * @param {object} app - Initialized PIXI application
- * @param {object} [config] - Optional overrides
- * @returns {object} Immutable context object
- */
-function createPixiContext(pixiModule, gsapModule, app, config = {}) {
-  if (!pixiModule) {
-    throw new Error('PixiContext: pixiModule is required');
-  }
-  if (!gsapModule?.gsap) {
-    throw new Error('PixiContext: gsapModule with gsap is required');
-  }
-  if (!app?.stage) {
-    throw new Error('PixiContext: app with stage is required');
-  }
-
-  const { gsap, PixiPlugin } = gsapModule;
-  if (PixiPlugin && !gsap.plugins?.pixi) {
-    gsap.registerPlugin(PixiPlugin);
-    PixiPlugin.registerPIXI(pixiModule);
-  }
-
-  return Object.freeze({
-    app,
-    stage: app.stage,
-    ticker: config.ticker ?? app.ticker,
-    renderer: app.renderer,
-    gsap,
-    classes: Object.freeze({
-      Container: pixiModule.Container,
-      Graphics: pixiModule.Graphics,
-      Sprite: pixiModule.Sprite,
-      Point: pixiModule.Point,
-      RenderTexture: pixiModule.RenderTexture,
-    }),
-    create: Object.freeze({
-      container: () => new pixiModule.Container(),
-      graphics: () => new pixiModule.Graphics(),
-      sprite: (tex) => new pixiModule.Sprite(tex),
-      point: (x = 0, y = 0) => new pixiModule.Point(x, y),
-    }),
-  });
-}
-
 // ============================================================================
 // BOKEH BALL DATA OBJECT
 // ============================================================================
@@ -181,6 +134,31 @@ class BokehBall {
   }
 }
 
+// ============================================================================
+// BOKEH TEXTURE
+// ============================================================================
+
+/**
+ * Soft glowing ball with a bright center, white so sprites can tint it.
+ * A texture cache generator: the same size is baked once per context.
+ */
+function bakeBokehBall({ classes, renderer }, { size }) {
+  const g = new classes.Graphics();
+
+  const steps = 40;
+  for (let i = steps; i > 0; i--) {
+    const ratio = i / steps;
+    const radius = (size / 2) * ratio;
+    const alpha = Math.pow(1 - ratio, 0.7) * 0.9 + 0.1;
+    g.circle(size / 2, size / 2, radius);
+    g.fill({ color: 0xffffff, alpha });
+  }
+
+  const texture = renderer.generateTexture({ target: g, resolution: 1 });
+  g.destroy();
+  return texture;
+}
+
 // ============================================================================
 // BOKEH BALL THROW COMPONENT
 // ============================================================================
@@ -225,6 +203,33 @@ class BokehBallThrow {
     showReflection: true,
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Effect width' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Effect height' },
+    ballCount: { type: 'integer', min: 1, max: 200, description: 'Maximum active balls' },
+    colors: { type: 'array', description: 'Ball colors (0xRRGGBB)' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+    gravity: { type: 'number', min: 0, max: 2, step: 0.01, unit: 'px/frame²', description: 'Gravity strength' },
+    throwInterval: { type: 'number', min: 16, max: 2000, step: 1, unit: 'ms', description: 'Time between throws' },
+    throwBurst: { type: 'integer', min: 1, max: 20, description: 'Balls per throw' },
+    minRadius: { type: 'number', min: 1, max: 200, step: 1, unit: 'px', description: 'Minimum ball radius' },
+    maxRadius: { type: 'number', min: 1, max: 300, step: 1, unit: 'px', description: 'Maximum ball radius' },
+    floorY: { type: 'number', unit: 'px', nullable: true, description: 'Floor Y position (null = height × 0.75)' },
+    showReflection: { type: 'boolean', description: 'Show floor reflections' },
+  };
+
+  /**
+   * Named option sets (selectable in the gallery via ?preset=name)
+   */
+  static presets = {
+    calm: { ballCount: 15, throwInterval: 600, throwBurst: 1, gravity: 0.18 },
+    storm: { ballCount: 120, throwInterval: 40, throwBurst: 6, minRadius: 12, maxRadius: 50 },
+    moon: { gravity: 0.06, throwInterval: 400, showReflection: false },
+  };
+
   constructor(ctx, options = {}) {
     // Validate required context
     if (!ctx?.classes) {
@@ -242,14 +247,17 @@ class BokehBallThrow {
 
     // Store context references
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
+    this.clock = ctx.clock;
     this.renderer = ctx.renderer;
     this.classes = ctx.classes;
     this.create = ctx.create;
     this.gsap = ctx.gsap;
+    this.textures = getTextureCache(ctx);
     this.container = options.container;
 
     // Merge options with defaults
-    this.options = { ...BokehBallThrow.defaults, ...options };
+    this.options = resolveOptions(BokehBallThrow, options, { mode: ctx.validation });
 
     // Calculate floor position if not provided
     if (this.options.floorY === null) {
@@ -274,6 +282,7 @@ class BokehBallThrow {
     this._bokehTexture = null;
     this._pool = [];
     this._active = [];
+    this._ballLimit = this.options.ballCount; // scaled by setQuality()
 
     // Setup
     this._setup();
@@ -337,24 +346,10 @@ class BokehBallThrow {
   }
 
   /**
-   * Create bokeh texture for sprites
+   * Bokeh texture for sprites, shared with other instances on this context
    */
   _createBokehTexture() {
-    const size = 128;
-    const g = new this.classes.Graphics();
-
-    // Soft glowing ball with bright center
-    const steps = 40;
-    for (let i = steps; i > 0; i--) {
-      const ratio = i / steps;
-      const radius = (size / 2) * ratio;
-      const alpha = Math.pow(1 - ratio, 0.7) * 0.9 + 0.1;
-      g.circle(size / 2, size / 2, radius);
-      g.fill({ color: 0xffffff, alpha });
-    }
-
-    this._bokehTexture = this.renderer.generateTexture({ target: g, resolution: 1 });
-    g.destroy();
+    this._bokehTexture = this.textures.acquire('BokehBallThrow.ball', { size: 128 }, bakeBokehBall);
   }
 
   /**
@@ -447,27 +442,27 @@ class BokehBallThrow {
   _throwBalls() {
     const { width, colors, minRadius, maxRadius, throwBurst } = this.options;
 
-    const burstCount = Math.floor(throwBurst * (0.7 + Math.random() * 0.6));
+    const burstCount = Math.floor(throwBurst * (0.7 + this.random.float() * 0.6));
 
     for (let i = 0; i < burstCount; i++) {
-      if (this._active.length >= this.options.ballCount) break;
+      if (this._active.length >= this._ballLimit) break;
 
       // Start position: top center area
-      const x = width * 0.25 + Math.random() * width * 0.5;
-      const y = -30 - Math.random() * 80;
+      const x = width * 0.25 + this.random.float() * width * 0.5;
+      const y = -30 - this.random.float() * 80;
 
       // Initial depth
-      const z = Math.random() * 0.15;
+      const z = this.random.float() * 0.15;
 
       // Throw velocity
-      const throwAngle = (Math.PI / 2) + (Math.random() - 0.5) * 0.7;
-      const throwSpeed = 5 + Math.random() * 5;
+      const throwAngle = (Math.PI / 2) + (this.random.float() - 0.5) * 0.7;
+      const throwSpeed = 5 + this.random.float() * 5;
 
-      const vx = Math.cos(throwAngle) * throwSpeed * (Math.random() > 0.5 ? 1 : -1) * 1.5;
+      const vx = Math.cos(throwAngle) * throwSpeed * (this.random.float() > 0.5 ? 1 : -1) * 1.5;
       const vy = Math.abs(Math.sin(throwAngle)) * throwSpeed;
 
-      const baseRadius = minRadius + Math.random() * (maxRadius - minRadius);
-      const color = colors[Math.floor(Math.random() * colors.length)];
+      const baseRadius = minRadius + this.random.float() * (maxRadius - minRadius);
+      const color = this.random.pick(colors);
 
       this._spawnBall({ x, y, vx, vy, z, baseRadius, color });
     }
@@ -481,7 +476,7 @@ class BokehBallThrow {
     this._running = true;
     this._boundUpdate = this._boundUpdate || this._update.bind(this);
     this.ticker.add(this._boundUpdate);
-    this._lastThrowTime = performance.now();
+    this._lastThrowTime = this.clock.now();
     this.onStart.emit({ component: this });
 
     // Initial burst
@@ -506,7 +501,7 @@ class BokehBallThrow {
    */
   _update(ticker) {
     const delta = ticker.deltaTime;
-    const now = performance.now();
+    const now = this.clock.now();
     const { gravity, floorY, width } = this.options;
 
     // Periodic throwing
@@ -606,6 +601,25 @@ class BokehBallThrow {
     this.options.floorY = height * 0.75;
   }
 
+  /**
+   * Scale the number of balls in flight for a quality tier. Balls already
+   * thrown finish their bounce; new throws respect the lower limit.
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._ballLimit = scaleCount(this.options.ballCount, level);
+  }
+
+  /**
+   * Live counters for the performance HUD
+   */
+  getStats() {
+    return {
+      activeBalls: this._active.length,
+      pooledBalls: this._pool.length,
+    };
+  }
+
   /**
    * Cleanup all resources
    */
@@ -629,8 +643,11 @@ class BokehBallThrow {
     this._pool = [];
     this._active = [];
 
-    // Destroy texture
-    this._bokehTexture?.destroy(true);
+    // Hand the texture back to the cache
+    if (this._bokehTexture) {
+      this.textures.release(this._bokehTexture);
+      this._bokehTexture = null;
+    }
 
     // Destroy display objects
     for (const obj of this._displayObjects) {
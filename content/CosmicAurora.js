@@ -8,7 +8,7 @@
  * - AuroraStreamer: Background flowing ribbons of light
  * - StarField: Twinkling stars with varying brightness
  * - FloatingOrbs: Gently floating particles with glow
- * - NovaBurst: Explosive particle burst (pooled)
+ * - NovaBurst: Explosive particle burst (particle emitters)
  * - ShockwaveRing: Expanding energy rings (pooled)
  * - EnergyCore: Pulsing central energy source
  * 
@@ -22,55 +22,10 @@
  * aurora.start();
  */
 
-// ─────────────────────────────────────────────────────────────────────────────
-// PIXI CONTEXT FACTORY
-// ─────────────────────────────────────────────────────────────────────────────
-
-/**
- * Creates a PixiContext for dependency injection
- * @param {object} pixiModule - PIXI namespace
- * @param {object} gsapModule - { gsap, PixiPlugin }
- * @param {PIXI.Application} app - Initialized PIXI application
- * @param {object} [config] - Optional overrides
- * @returns {object} Frozen context object
- */
-function createPixiContext(pixiModule, gsapModule, app, config = {}) {
-  if (!pixiModule) {
-    throw new Error('PixiContext: pixiModule is required');
-  }
-  if (!gsapModule?.gsap) {
-    throw new Error('PixiContext: gsapModule with gsap is required');
-  }
-  if (!app?.stage) {
-    throw new Error('PixiContext: app with stage is required');
-  }
-
-  const { gsap, PixiPlugin } = gsapModule;
-  if (PixiPlugin && !gsap.plugins?.pixi) {
-    gsap.registerPlugin(PixiPlugin);
-    PixiPlugin.registerPIXI(pixiModule);
-  }
-
-  return Object.freeze({
-    app,
-    stage: app.stage,
-    ticker: config.ticker ?? app.ticker,
-    renderer: app.renderer,
-    gsap,
-    classes: Object.freeze({
-      Container: pixiModule.Container,
-      Graphics: pixiModule.Graphics,
-      Sprite: pixiModule.Sprite,
-      Text: pixiModule.Text,
-      Point: pixiModule.Point,
-    }),
-    create: Object.freeze({
-      container: () => new pixiModule.Container(),
-      graphics: () => new pixiModule.Graphics(),
-      point: (x = 0, y = 0) => new pixiModule.Point(x, y),
-    }),
-  });
-}
+import { resolveOptions } from '../src/core/options';
+import { createParticleEmitter } from '../src/core/particleEmitter';
+import { createPixiContext } from '../src/core/pixiContext';
+import { isQualityLevel, scaleCount } from '../src/core/quality';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // UTILITY: Easing Functions
@@ -108,6 +63,7 @@ class AuroraStreamer {
     if (!ctx?.classes) throw new Error('AuroraStreamer: ctx.classes is required');
 
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this.classes = ctx.classes;
     this.gsap = ctx.gsap;
     this.options = { ...AuroraStreamer.defaults, ...options };
@@ -130,8 +86,8 @@ class AuroraStreamer {
       graphics._phase = (i / streamerCount) * Math.PI * 2;
       graphics._baseY = height * 0.3 + (i * height * 0.1);
       graphics._color = colors[i % colors.length];
-      graphics._amplitude = 50 + Math.random() * 30;
-      graphics._frequency = 0.005 + Math.random() * 0.003;
+      graphics._amplitude = 50 + this.random.float() * 30;
+      graphics._frequency = 0.005 + this.random.float() * 0.003;
       this._streamers.push(graphics);
       this.container.addChild(graphics);
     }
@@ -181,6 +137,16 @@ class AuroraStreamer {
     }
   }
 
+  resize(width, height) {
+    const scaleY = height / this.options.height;
+    this.options.width = width;
+    this.options.height = height;
+    for (const streamer of this._streamers) {
+      streamer._baseY *= scaleY;
+    }
+    return this;
+  }
+
   reset() {
     this.stop();
     this._elapsed = 0;
@@ -218,6 +184,7 @@ class StarField {
     if (!ctx?.classes) throw new Error('StarField: ctx.classes is required');
 
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this.classes = ctx.classes;
     this.gsap = ctx.gsap;
     this.options = { ...StarField.defaults, ...options };
@@ -237,16 +204,16 @@ class StarField {
 
     for (let i = 0; i < starCount; i++) {
       const star = new this.classes.Graphics();
-      const size = Math.random() < 0.1 ? 2 + Math.random() * 2 : 0.5 + Math.random() * 1.5;
+      const size = this.random.float() < 0.1 ? 2 + this.random.float() * 2 : 0.5 + this.random.float() * 1.5;
 
       star.circle(0, 0, size);
       star.fill({ color: 0xffffff });
 
-      star.x = Math.random() * width;
-      star.y = Math.random() * height;
-      star._phase = Math.random() * Math.PI * 2;
-      star._speed = 0.5 + Math.random() * 1.5;
-      star._baseAlpha = 0.3 + Math.random() * 0.7;
+      star.x = this.random.float() * width;
+      star.y = this.random.float() * height;
+      star._phase = this.random.float() * Math.PI * 2;
+      star._speed = 0.5 + this.random.float() * 1.5;
+      star._baseAlpha = 0.3 + this.random.float() * 0.7;
 
       this._stars.push(star);
       this.container.addChild(star);
@@ -272,11 +239,36 @@ class StarField {
     this._elapsed += delta * this.options.twinkleSpeed;
 
     for (const star of this._stars) {
+      if (!star.visible) continue; // thinned out by setQuality()
       const twinkle = Math.sin(this._elapsed * star._speed + star._phase);
       star.alpha = star._baseAlpha * (0.5 + twinkle * 0.5);
     }
   }
 
+  resize(width, height) {
+    const scaleX = width / this.options.width;
+    const scaleY = height / this.options.height;
+    this.options.width = width;
+    this.options.height = height;
+    for (const star of this._stars) {
+      star.x *= scaleX;
+      star.y *= scaleY;
+    }
+    return this;
+  }
+
+  /**
+   * Show a share of the stars for a quality tier; hidden ones keep their place
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    const visibleCount = scaleCount(this._stars.length, level);
+    this._stars.forEach((star, i) => {
+      star.visible = i < visibleCount;
+    });
+    return this;
+  }
+
   reset() {
     this.stop();
     this._elapsed = 0;
@@ -314,6 +306,7 @@ class FloatingOrbs {
     if (!ctx?.classes) throw new Error('FloatingOrbs: ctx.classes is required');
 
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this.classes = ctx.classes;
     this.gsap = ctx.gsap;
     this.options = { ...FloatingOrbs.defaults, ...options };
@@ -333,8 +326,8 @@ class FloatingOrbs {
 
     for (let i = 0; i < orbCount; i++) {
       const orbContainer = new this.classes.Container();
-      const color = colors[Math.floor(Math.random() * colors.length)];
-      const size = 3 + Math.random() * 8;
+      const color = this.random.pick(colors);
+      const size = 3 + this.random.float() * 8;
 
       // Glow layer
       const glow = new this.classes.Graphics();
@@ -348,16 +341,16 @@ class FloatingOrbs {
       core.fill({ color, alpha: 0.8 });
       orbContainer.addChild(core);
 
-      orbContainer.x = Math.random() * width;
-      orbContainer.y = Math.random() * height;
+      orbContainer.x = this.random.float() * width;
+      orbContainer.y = this.random.float() * height;
       orbContainer._baseX = orbContainer.x;
       orbContainer._baseY = orbContainer.y;
-      orbContainer._phaseX = Math.random() * Math.PI * 2;
-      orbContainer._phaseY = Math.random() * Math.PI * 2;
-      orbContainer._amplitudeX = 20 + Math.random() * 40;
-      orbContainer._amplitudeY = 15 + Math.random() * 30;
-      orbContainer._speedX = 0.3 + Math.random() * 0.4;
-      orbContainer._speedY = 0.2 + Math.random() * 0.3;
+      orbContainer._phaseX = this.random.float() * Math.PI * 2;
+      orbContainer._phaseY = this.random.float() * Math.PI * 2;
+      orbContainer._amplitudeX = 20 + this.random.float() * 40;
+      orbContainer._amplitudeY = 15 + this.random.float() * 30;
+      orbContainer._speedX = 0.3 + this.random.float() * 0.4;
+      orbContainer._speedY = 0.2 + this.random.float() * 0.3;
 
       this._orbs.push(orbContainer);
       this.container.addChild(orbContainer);
@@ -383,11 +376,36 @@ class FloatingOrbs {
     this._elapsed += delta * 0.016;
 
     for (const orb of this._orbs) {
+      if (!orb.visible) continue; // thinned out by setQuality()
       orb.x = orb._baseX + Math.sin(this._elapsed * orb._speedX + orb._phaseX) * orb._amplitudeX;
       orb.y = orb._baseY + Math.sin(this._elapsed * orb._speedY + orb._phaseY) * orb._amplitudeY;
     }
   }
 
+  resize(width, height) {
+    const scaleX = width / this.options.width;
+    const scaleY = height / this.options.height;
+    this.options.width = width;
+    this.options.height = height;
+    for (const orb of this._orbs) {
+      orb._baseX *= scaleX;
+      orb._baseY *= scaleY;
+    }
+    return this;
+  }
+
+  /**
+   * Show a share of the orbs for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    const visibleCount = scaleCount(this._orbs.length, level);
+    this._orbs.forEach((orb, i) => {
+      orb.visible = i < visibleCount;
+    });
+    return this;
+  }
+
   reset() {
     this.stop();
     this._elapsed = 0;
@@ -406,9 +424,66 @@ class FloatingOrbs {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // COMPONENT: Nova Burst (Interactive Effect)
-// Explosive particle burst with pooling
+// Explosive particle burst on two emitters: a fast primary spray and a
+// slower secondary ring
 // ─────────────────────────────────────────────────────────────────────────────
 
+/** Soft disc with a bright core, white so the palette tints it */
+function bakeNovaParticle({ classes }, { radius }) {
+  const size = radius * 4;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const g = canvas.getContext('2d');
+  const center = size / 2;
+
+  g.fillStyle = 'rgba(255, 255, 255, 0.3)';
+  g.beginPath();
+  g.arc(center, center, radius * 2, 0, Math.PI * 2);
+  g.fill();
+  g.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  g.beginPath();
+  g.arc(center, center, radius, 0, Math.PI * 2);
+  g.fill();
+
+  return classes.Texture.from(canvas);
+}
+
+// Rates are per second (the burst was tuned per 60 fps frame). Alpha follows
+// easeOutCubic(1 - t); the texture is baked at the largest particle size.
+const NOVA_CONFIG = {
+  maxParticles: 150,
+  texture: { type: 'generator', name: 'NovaBurst.particle', params: { radius: 6 } },
+  lifetime: [0.6, 1.2],
+  speed: [480, 1200],
+  spin: [-516, 516],
+  size: [0.33, 1], // 2-6 px core radius
+  scale: [{ time: 0, value: 1 }, { time: 1, value: 0.5 }],
+  alpha: [
+    { time: 0, value: 1 },
+    { time: 0.5, value: 0.875 },
+    { time: 0.75, value: 0.58 },
+    { time: 0.9, value: 0.27 },
+    { time: 1, value: 0 },
+  ],
+  forces: [
+    { type: 'gravity', y: 288 }, // 0.08 per frame
+    { type: 'drag', amount: 0.84 }, // 0.97 per frame
+  ],
+};
+
+const NOVA_RING_CONFIG = {
+  ...NOVA_CONFIG,
+  maxParticles: 45,
+  lifetime: [0.8, 1.2],
+  speed: [180, 480],
+  spin: [-172, 172],
+  forces: [
+    { type: 'gravity', y: 72 }, // 0.02 per frame
+    { type: 'drag', amount: 0.45 }, // 0.99 per frame
+  ],
+};
+
 class NovaBurst {
   static defaults = {
     poolSize: 150,
@@ -422,169 +497,89 @@ class NovaBurst {
   constructor(ctx, options = {}) {
     if (!ctx?.classes) throw new Error('NovaBurst: ctx.classes is required');
 
-    this.ticker = ctx.ticker;
-    this.classes = ctx.classes;
-    this.gsap = ctx.gsap;
     this.options = { ...NovaBurst.defaults, ...options };
-
     this._destroyed = false;
     this._isRunning = false;
-    this._boundUpdate = this._update.bind(this);
-    this._pool = [];
-    this._active = [];
+    this._quality = 'high'; // scales burst sizes, see setQuality()
 
-    this.container = new this.classes.Container();
-    this._setup();
-  }
+    this.container = new ctx.classes.Container();
 
-  _setup() {
     const { poolSize, colors } = this.options;
-
-    for (let i = 0; i < poolSize; i++) {
-      const particle = new this.classes.Graphics();
-      const color = colors[i % colors.length];
-      const size = 2 + Math.random() * 4;
-
-      particle.circle(0, 0, size * 2);
-      particle.fill({ color, alpha: 0.3 });
-      particle.circle(0, 0, size);
-      particle.fill({ color, alpha: 0.8 });
-
-      particle.visible = false;
-      particle._poolIndex = i;
-      particle._vx = 0;
-      particle._vy = 0;
-      particle._life = 0;
-      particle._maxLife = 1;
-      particle._gravity = 0;
-      particle._friction = 0.98;
-      particle._rotationSpeed = 0;
-
-      this._pool.push(particle);
-      this.container.addChild(particle);
-    }
+    const color = { palette: colors };
+    const emitterOptions = {
+      container: this.container,
+      generators: { 'NovaBurst.particle': bakeNovaParticle },
+      autoStart: false
+    };
+    this._primary = createParticleEmitter(
+      ctx,
+      { ...NOVA_CONFIG, maxParticles: poolSize, color },
+      emitterOptions
+    );
+    this._ring = createParticleEmitter(
+      ctx,
+      { ...NOVA_RING_CONFIG, maxParticles: Math.max(1, Math.ceil(poolSize * 0.3)), color },
+      emitterOptions
+    );
   }
 
   start() {
     if (this._destroyed || this._isRunning) return this;
     this._isRunning = true;
-    this.ticker.add(this._boundUpdate);
+    this._primary.start();
+    this._ring.start();
     return this;
   }
 
   stop() {
     if (!this._isRunning) return this;
     this._isRunning = false;
-    this.ticker.remove(this._boundUpdate);
+    this._primary.stop();
+    this._ring.stop();
     return this;
   }
 
-  _spawn() {
-    if (this._pool.length === 0) return null;
-    const particle = this._pool.pop();
-    particle.visible = true;
-    particle._poolIndex = this._active.length;
-    this._active.push(particle);
-    return particle;
-  }
-
-  _recycle(particle) {
-    particle.visible = false;
-    // O(1) swap-and-pop
-    const index = particle._poolIndex;
-    if (index < 0 || index >= this._active.length) return;
-    const last = this._active[this._active.length - 1];
-    this._active[index] = last;
-    last._poolIndex = index;
-    this._active.pop();
-    this._pool.push(particle);
-  }
-
   emit(x, y, count = 80) {
+    count = scaleCount(count, this._quality);
+
     // Primary burst
-    for (let i = 0; i < count; i++) {
-      const p = this._spawn();
-      if (!p) break;
-
-      p.x = x;
-      p.y = y;
-      p._life = 0;
-      p._maxLife = 0.6 + Math.random() * 0.6;
-
-      const angle = (i / count) * Math.PI * 2 + (Math.random() - 0.5) * 0.5;
-      const speed = 8 + Math.random() * 12;
-      p._vx = Math.cos(angle) * speed;
-      p._vy = Math.sin(angle) * speed;
-      p._gravity = 0.08;
-      p._friction = 0.97;
-      p._rotationSpeed = (Math.random() - 0.5) * 0.3;
-      p.scale.set(1.5);
-    }
+    this._primary.burst(count, { x, y });
 
     // Secondary ring burst
-    const secondaryCount = Math.floor(count * 0.3);
-    for (let i = 0; i < secondaryCount; i++) {
-      const p = this._spawn();
-      if (!p) break;
-
-      p.x = x;
-      p.y = y;
-      p._life = -0.05;
-      p._maxLife = 0.8 + Math.random() * 0.4;
-
-      const angle = Math.random() * Math.PI * 2;
-      const speed = 3 + Math.random() * 5;
-      p._vx = Math.cos(angle) * speed;
-      p._vy = Math.sin(angle) * speed;
-      p._gravity = 0.02;
-      p._friction = 0.99;
-      p._rotationSpeed = (Math.random() - 0.5) * 0.1;
-      p.scale.set(0.8);
-    }
+    this._ring.burst(Math.floor(count * 0.3), { x, y });
 
     return this;
   }
 
-  _update(ticker) {
-    const delta = ticker.deltaTime;
-
-    for (let i = this._active.length - 1; i >= 0; i--) {
-      const p = this._active[i];
-      p._life += delta * 0.016;
-
-      if (p._life >= p._maxLife) {
-        this._recycle(p);
-        continue;
-      }
-
-      p._vy += p._gravity * delta;
-      p._vx *= p._friction;
-      p._vy *= p._friction;
-
-      p.x += p._vx * delta;
-      p.y += p._vy * delta;
-      p.rotation += p._rotationSpeed * delta;
-
-      const lifeRatio = p._life / p._maxLife;
-      p.alpha = Easing.easeOutCubic(1 - lifeRatio);
-      p.scale.set(1 - lifeRatio * 0.5);
-    }
+  reset() {
+    this._primary.clear();
+    this._ring.clear();
+    return this;
   }
 
-  reset() {
-    while (this._active.length > 0) {
-      this._recycle(this._active[0]);
+  /**
+   * Scale the size of later bursts for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    if (!isQualityLevel(level)) {
+      throw new Error(`NovaBurst: unknown quality "${level}"`);
     }
+    this._quality = level;
     return this;
   }
 
+  /** Particles currently in flight */
+  get activeCount() {
+    return this._primary.count + this._ring.count;
+  }
+
   destroy() {
     if (this._destroyed) return;
     this._destroyed = true;
     this.stop();
-    this._pool = [];
-    this._active = [];
-    this._boundUpdate = null;
+    this._primary.destroy();
+    this._ring.destroy();
     this.container.destroy({ children: true });
   }
 }
@@ -738,6 +733,11 @@ class ShockwaveRing {
     return this;
   }
 
+  /** Pooled items currently in flight */
+  get activeCount() {
+    return this._active.length;
+  }
+
   destroy() {
     if (this._destroyed) return;
     this._destroyed = true;
@@ -876,6 +876,14 @@ class EnergyCore {
  * @param {boolean} [options.autoStart=true] - Start animation automatically
  */
 class CosmicAurora {
+  /**
+   * Lifecycle descriptor for demoRunner.
+   * Exposes burst() as a demo action.
+   */
+  static lifecycle = {
+    actions: [{ label: 'Burst', method: 'burst', shortcut: 'b', description: 'Nova burst and shockwave at center' }]
+  };
+
   static defaults = {
     width: 800,
     height: 600,
@@ -885,6 +893,18 @@ class CosmicAurora {
     orbCount: 25,
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Width' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Height' },
+    autoStart: { type: 'boolean', description: 'Start animation automatically' },
+    streamerCount: { type: 'integer', min: 0, max: 20, description: 'Aurora ribbons' },
+    starCount: { type: 'integer', min: 0, max: 1000, description: 'Twinkling background stars' },
+    orbCount: { type: 'integer', min: 0, max: 200, description: 'Floating glow orbs' },
+  };
+
   constructor(ctx, options = {}) {
     if (!ctx?.classes) {
       throw new Error('CosmicAurora: ctx.classes is required');
@@ -898,10 +918,11 @@ class CosmicAurora {
 
     this.classes = ctx.classes;
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this._ctx = ctx;
 
     this.parentContainer = options.container;
-    this.options = { ...CosmicAurora.defaults, ...options };
+    this.options = resolveOptions(CosmicAurora, options, { mode: ctx.validation });
 
     this._destroyed = false;
     this._running = false;
@@ -991,13 +1012,53 @@ class CosmicAurora {
 
   /**
    * Trigger an interactive burst effect at position
+   * @param {number} [x] - X coordinate (defaults to center)
+   * @param {number} [y] - Y coordinate (defaults to center)
    */
-  burst(x, y) {
+  burst(x = this.options.width / 2, y = this.options.height / 2) {
     if (this._novaBurst) this._novaBurst.emit(x, y);
     if (this._shockwave) this._shockwave.emit(x, y);
     return this;
   }
 
+  /**
+   * Live counters for the performance HUD
+   */
+  getStats() {
+    return {
+      particles: this._novaBurst?.activeCount ?? 0,
+      shockwaves: this._shockwave?.activeCount ?? 0,
+    };
+  }
+
+  /**
+   * Thin out stars and orbs and shrink bursts for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    for (const component of this._components) {
+      if (typeof component.setQuality === 'function') {
+        component.setQuality(level);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Resize the scene; layers rescale their layout and the core recenters
+   */
+  resize(width, height) {
+    if (this._destroyed) return this;
+    this.options.width = width;
+    this.options.height = height;
+
+    this._starField.resize(width, height);
+    this._aurora.resize(width, height);
+    this._orbs.resize(width, height);
+    this._core.setPosition(width / 2, height / 2);
+    return this;
+  }
+
   reset() {
     for (const component of this._components) {
       if (typeof component.reset === 'function') {
@@ -13,6 +13,10 @@
  * @param {boolean} [options.autoStart=true] - Start animation immediately
  */
 
+import { resolveOptions } from '../src/core/options';
+import { getQualityProfile } from '../src/core/quality';
+import { createShaderLayer } from '../src/core/shaderLayer';
+
 // ============================================================================
 // VERTEX SHADER (WebGL 1.0 - original)
 // ============================================================================
@@ -549,6 +553,16 @@ const fragmentShaderSource = `
 // ============================================================================
 
 class CosmicUniverseShader {
+  /**
+   * Runtime kind for demoRunner: owns its canvas and WebGL context
+   */
+  static runtime = 'standalone-webgl';
+
+  /**
+   * Host requirements: needs WebGL, probed before the canvas is created
+   */
+  static requires = { webgl: ['webgl'] };
+
   /**
    * Default configuration
    */
@@ -558,6 +572,15 @@ class CosmicUniverseShader {
     autoStart: true,
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', nullable: true, description: 'Width (null = canvas client width)' },
+    height: { type: 'number', min: 1, unit: 'px', nullable: true, description: 'Height (null = canvas client height)' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+  };
+
   /**
    * @param {Object} options - Configuration options
    */
@@ -571,13 +594,13 @@ class CosmicUniverseShader {
     }
 
     // Merge options
-    this.options = { ...CosmicUniverseShader.defaults, ...options };
+    this.options = resolveOptions(CosmicUniverseShader, options);
     this.ticker = this.options.ticker;
 
     // Internal state
     this._destroyed = false;
+    this._maxDpr = Infinity; // lowered by setQuality()
     this._running = false;
-    this._startTime = 0;
     this._time = 0;
 
     // Bind update method
@@ -701,22 +724,24 @@ class CosmicUniverseShader {
   _resize() {
     const width = this.options.width ?? this._canvas.clientWidth ?? window.innerWidth;
     const height = this.options.height ?? this._canvas.clientHeight ?? window.innerHeight;
+    // Renders at CSS pixel size; only a low quality cap goes below that
+    const scale = Math.min(1, this._maxDpr);
 
-    this._canvas.width = width;
-    this._canvas.height = height;
+    this._canvas.width = Math.round(width * scale);
+    this._canvas.height = Math.round(height * scale);
     this._gl.viewport(0, 0, this._canvas.width, this._canvas.height);
   }
 
   /**
    * Update loop - called by ticker
    */
-  _update() {
+  _update(ticker) {
     if (this._destroyed || !this._running) return;
 
     const gl = this._gl;
 
-    // Update time
-    this._time = (performance.now() - this._startTime) * 0.001;
+    // Advance by ticker time so pausing and slow motion apply
+    this._time += ticker.deltaMS * 0.001;
 
     // Update uniforms
     gl.uniform2f(this._uniforms.resolution, this._canvas.width, this._canvas.height);
@@ -733,7 +758,7 @@ class CosmicUniverseShader {
     if (this._destroyed || this._running) return this;
 
     this._running = true;
-    this._startTime = performance.now();
+    this._time = 0;
     this.ticker.add(this._boundUpdate);
 
     return this;
@@ -751,6 +776,16 @@ class CosmicUniverseShader {
     return this;
   }
 
+  /**
+   * Cap the render resolution for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._maxDpr = getQualityProfile(level).dpr;
+    this._resize();
+    return this;
+  }
+
   /**
    * Resize the effect
    * @param {number} [width] - New width (optional)
@@ -824,9 +859,146 @@ class CosmicUniverseShader {
   }
 }
 
+// ============================================================================
+// PIXI-HOSTED MODE
+// ============================================================================
+
+/**
+ * CosmicUniverseShaderLayer - CosmicUniverseShader rendered inside the shared PIXI renderer
+ *
+ * Runs the same fragment source through createShaderLayer() (a ctx.classes.Filter
+ * on a full-screen quad), so it can be layered under other PIXI content without
+ * using up a browser WebGL context of its own.
+ *
+ * @example
+ * const background = new CosmicUniverseShaderLayer(ctx, { container: app.stage, width: 800, height: 600 });
+ * const star = new GoldenStarCharge(ctx, { container: app.stage, width: 800, height: 600 });
+ *
+ * @param {Object} ctx - PixiContext with classes (Container, Graphics, Filter, GlProgram), ticker
+ * @param {Object} options - Configuration options
+ * @param {PIXI.Container} options.container - Parent container (required)
+ * @param {number} [options.width=800] - Width in CSS pixels
+ * @param {number} [options.height=600] - Height in CSS pixels
+ * @param {boolean} [options.autoStart=true] - Start animation immediately
+ */
+class CosmicUniverseShaderLayer {
+  /**
+   * Host requirements: the ctx classes the full-screen filter is built from
+   */
+  static requires = { classes: ['Filter', 'GlProgram'] };
+
+  /**
+   * Default configuration
+   */
+  static defaults = {
+    width: 800,
+    height: 600,
+    autoStart: true,
+    dpr: 1, // Max device pixel ratio
+  };
+
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Width in CSS pixels' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Height in CSS pixels' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+    dpr: { type: 'number', min: 0.5, max: 3, step: 0.25, description: 'Max device pixel ratio' },
+  };
+
+  /**
+   * @param {Object} ctx - PixiContext
+   * @param {Object} options - Configuration options
+   */
+  constructor(ctx, options = {}) {
+    // Merge options
+    this.options = resolveOptions(CosmicUniverseShaderLayer, options, { mode: ctx?.validation });
+
+    this._layer = createShaderLayer(ctx, fragmentShaderSource, {}, {
+      container: this.options.container,
+      width: this.options.width,
+      height: this.options.height,
+      dpr: this.options.dpr,
+      name: 'CosmicUniverseShaderLayer',
+    });
+    this.container = this.options.container;
+
+    // Auto-start if configured
+    if (this.options.autoStart) {
+      this.start();
+    }
+  }
+
+  /**
+   * Start animation
+   */
+  start() {
+    this._layer.start();
+    return this;
+  }
+
+  /**
+   * Stop animation
+   */
+  stop() {
+    this._layer.stop();
+    return this;
+  }
+
+  /**
+   * Cap the render resolution for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._layer.setQuality(level);
+    return this;
+  }
+
+  /**
+   * Resize the effect
+   * @param {number} [width] - New width (optional)
+   * @param {number} [height] - New height (optional)
+   */
+  resize(width, height) {
+    if (width !== undefined) this.options.width = width;
+    if (height !== undefined) this.options.height = height;
+    this._layer.resize(this.options.width, this.options.height);
+    return this;
+  }
+
+  /**
+   * Get the root display object
+   */
+  get view() {
+    return this._layer.view;
+  }
+
+  /**
+   * Get current time
+   */
+  get time() {
+    return this._layer.time;
+  }
+
+  /**
+   * Get running state
+   */
+  get isRunning() {
+    return this._layer.isRunning;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this._layer.destroy();
+  }
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
 
-export { CosmicUniverseShader, vertexShaderSource, fragmentShaderSource };
+export { CosmicUniverseShader, CosmicUniverseShaderLayer, vertexShaderSource, fragmentShaderSource };
 export default CosmicUniverseShader;
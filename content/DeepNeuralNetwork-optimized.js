@@ -2,6 +2,10 @@
  * DeepNeuralNetwork - OPTIMIZED VERSION
  */
 
+import { resolveOptions } from '../src/core/options';
+import { createPixiContext } from '../src/core/pixiContext';
+import { scaleCount } from '../src/core/quality';
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
@@ -146,95 +150,15 @@ class SpatialHash {
   }
 }
 
-// ============================================================================
-// NODE TEXTURE CACHE (Pre-rendered glows)
-// ============================================================================
-
-class NodeTextureCache {
-  constructor(ctx) {
-    this.classes = ctx.classes;
-    this.renderer = ctx.renderer;
-    this.cache = new Map();
-  }
-  
-  getTexture(color, glowColor, size) {
-    const key = `${color}-${glowColor}-${Math.round(size)}`;
-    
-    if (this.cache.has(key)) {
-      return this.cache.get(key);
-    }
-    
-    // Create texture with padding for glow
-    const padding = size * 4;
-    const textureSize = size + padding * 2;
-    
-    const graphics = new this.classes.Graphics();
-    const center = textureSize / 2;
-    
-    // Draw glow layers (same visual as before, but only once)
-    const glowLayers = 8; // Reduced from 12 for texture
-    for (let i = glowLayers; i >= 0; i--) {
-      const t = i / glowLayers;
-      const radius = size * (1 + t * 4);
-      const alpha = 0.02 * (1 - t) * (1 - t);
-      graphics.circle(center, center, radius).fill({ color: glowColor, alpha });
-    }
-    
-    const innerLayers = 6; // Reduced from 8
-    for (let i = innerLayers; i >= 0; i--) {
-      const t = i / innerLayers;
-      const radius = size * (0.5 + t * 1.2);
-      const alpha = 0.08 * (1 - t);
-      graphics.circle(center, center, radius).fill({ color: color, alpha });
-    }
-    
-    const coreLayers = 4; // Reduced from 6
-    for (let i = coreLayers; i >= 0; i--) {
-      const t = i / coreLayers;
-      const radius = size * (0.3 + t * 0.7);
-      const alpha = 0.15 + 0.6 * (1 - t);
-      graphics.circle(center, center, radius).fill({ color: color, alpha });
-    }
-    
-    const centerLayers = 3; // Reduced from 4
-    for (let i = centerLayers; i >= 0; i--) {
-      const t = i / centerLayers;
-      const radius = size * (0.15 + t * 0.25);
-      const alpha = 0.5 + 0.5 * (1 - t);
-      graphics.circle(center, center, radius).fill({ color: 0xFFFFFF, alpha });
-    }
-    
-    // Render to texture
-    const renderTexture = this.classes.RenderTexture.create({
-      width: textureSize,
-      height: textureSize,
-      resolution: 1,
-    });
-    
-    this.renderer.render({ container: graphics, target: renderTexture });
-    graphics.destroy();
-    
-    this.cache.set(key, { texture: renderTexture, size: textureSize });
-    return this.cache.get(key);
-  }
-  
-  destroy() {
-    for (const { texture } of this.cache.values()) {
-      texture.destroy(true);
-    }
-    this.cache.clear();
-  }
-}
-
 // ============================================================================
 // NEURAL NODE (Using pre-built graphics layers like bioluminescent-ocean)
 // ============================================================================
 
 class NeuralNode {
-  constructor(ctx, config, textureCache) {
+  constructor(ctx, config) {
     this.classes = ctx.classes;
+    this.random = ctx.random;
     this.config = config;
-    this.textureCache = textureCache;
 
     // Create container to hold all glow layers
     this.container = new this.classes.Container();
@@ -311,28 +235,28 @@ class NeuralNode {
   }
 
   reset(initial = false) {
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 300 + Math.random() * this.config.spawnRadius;
+    const angle = this.random.float() * Math.PI * 2;
+    const radius = 300 + this.random.float() * this.config.spawnRadius;
 
     this.x3d = Math.cos(angle) * radius * 0.9;
     this.y3d = Math.sin(angle) * radius * 0.7;
 
     if (initial) {
       const depthRange = this.config.farZ - this.config.nearZ;
-      this.z3d = this.config.nearZ + Math.random() * depthRange;
+      this.z3d = this.config.nearZ + this.random.float() * depthRange;
     } else {
-      this.z3d = this.config.farZ + Math.random() * 300;
+      this.z3d = this.config.farZ + this.random.float() * 300;
     }
 
-    this.baseSize = 15 + Math.random() * 50;
-    const colorSet = COLORS[Math.floor(Math.random() * COLORS.length)];
+    this.baseSize = 15 + this.random.float() * 50;
+    const colorSet = this.random.pick(COLORS);
     this.color = colorSet.main;
     this.glowColor = colorSet.glow;
-    this.pulsePhase = Math.random() * Math.PI * 2;
-    this.pulseSpeed = 0.6 + Math.random() * 2;
-    this.speed = this.config.nodeSpeed * (0.5 + Math.random() * 0.8);
-    this.driftX = (Math.random() - 0.5) * 0.4;
-    this.driftY = (Math.random() - 0.5) * 0.4;
+    this.pulsePhase = this.random.float() * Math.PI * 2;
+    this.pulseSpeed = 0.6 + this.random.float() * 2;
+    this.speed = this.config.nodeSpeed * (0.5 + this.random.float() * 0.8);
+    this.driftX = (this.random.float() - 0.5) * 0.4;
+    this.driftY = (this.random.float() - 0.5) * 0.4;
 
     // Apply color tints
     this._updateGlowColors();
@@ -431,8 +355,10 @@ class NeuralNode {
 class ParticleSystem {
   constructor(ctx, config, count) {
     this.classes = ctx.classes;
+    this.random = ctx.random;
     this.config = config;
     this.count = count;
+    this._activeCount = count; // lowered by setQuality()
 
     // Container to hold all particle graphics
     this.container = new this.classes.Container();
@@ -450,9 +376,9 @@ class ParticleSystem {
       p._x3d = 0;
       p._y3d = 0;
       p._z3d = 0;
-      p._baseSize = 1 + Math.random() * 3;
-      p._speed = 0.3 + Math.random() * 1;
-      p._brightness = 0.3 + Math.random() * 0.7;
+      p._baseSize = 1 + this.random.float() * 3;
+      p._speed = 0.3 + this.random.float() * 1;
+      p._brightness = 0.3 + this.random.float() * 0.7;
 
       this._resetParticle(p, true);
       this._particles.push(p);
@@ -464,12 +390,12 @@ class ParticleSystem {
   }
 
   _resetParticle(p, initial = false) {
-    const angle = Math.random() * Math.PI * 2;
-    const radius = 300 + Math.random() * 2000;
+    const angle = this.random.float() * Math.PI * 2;
+    const radius = 300 + this.random.float() * 2000;
 
     p._x3d = Math.cos(angle) * radius;
     p._y3d = Math.sin(angle) * radius * 0.7;
-    p._z3d = initial ? 50 + Math.random() * this.config.farZ : this.config.farZ + Math.random() * 100;
+    p._z3d = initial ? 50 + this.random.float() * this.config.farZ : this.config.farZ + this.random.float() * 100;
   }
 
   update(mouseOffsetX, mouseOffsetY, centerX, centerY) {
@@ -477,7 +403,8 @@ class ParticleSystem {
     const fadeFarZ = this.config.fadeFarZ;
     const farZ = this.config.farZ;
 
-    for (const p of this._particles) {
+    for (let i = 0; i < this._activeCount; i++) {
+      const p = this._particles[i];
       p._z3d -= p._speed;
 
       if (p._z3d < 30) {
@@ -511,6 +438,18 @@ class ParticleSystem {
     // No-op: particles are updated via transforms in update()
   }
 
+  /**
+   * Animate only a share of the particles for a quality tier; the rest are
+   * hidden (update() sets visibility for the active ones each frame)
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._activeCount = scaleCount(this.count, level);
+    for (let i = this._activeCount; i < this._particles.length; i++) {
+      this._particles[i].visible = false;
+    }
+  }
+
   destroy() {
     for (const p of this._particles) {
       p.destroy();
@@ -527,6 +466,7 @@ class ParticleSystem {
 class RingSystem {
   constructor(ctx, config, count) {
     this.classes = ctx.classes;
+    this.random = ctx.random;
     this.config = config;
     this.count = count;
 
@@ -546,7 +486,7 @@ class RingSystem {
 
       // Store ring data
       ring._z3d = 150 + i * step;
-      ring._baseRadius = 600 + Math.random() * 400;
+      ring._baseRadius = 600 + this.random.float() * 400;
 
       this._rings.push(ring);
       this.container.addChild(ring);
@@ -617,6 +557,19 @@ class DeepNeuralNetwork {
     autoStart: true,
     showCursor: false, // Default to false for demo compatibility
   };
+
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Viewport width' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Viewport height' },
+    numNodes: { type: 'integer', min: 1, max: 500, description: 'Neural nodes in the 3D field' },
+    numParticles: { type: 'integer', min: 0, max: 1000, description: 'Ambient depth particles' },
+    numRings: { type: 'integer', min: 0, max: 48, description: 'Depth rings' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+    showCursor: { type: 'boolean', description: 'Draw the cursor reticle' },
+  };
   
   constructor(ctx, options = {}) {
     if (!ctx?.classes) throw new Error('DeepNeuralNetwork: ctx.classes required');
@@ -624,12 +577,13 @@ class DeepNeuralNetwork {
     if (!options.container) throw new Error('DeepNeuralNetwork: options.container required');
     
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this.classes = ctx.classes;
     this.app = ctx.app;
     this.renderer = ctx.renderer;
     this.ctx = ctx;
     
-    this.options = { ...DeepNeuralNetwork.defaults, ...options };
+    this.options = resolveOptions(DeepNeuralNetwork, options, { mode: ctx.validation });
     this.container = this.options.container;
     
     this._destroyed = false;
@@ -667,9 +621,6 @@ class DeepNeuralNetwork {
     // The component works perfectly without it (just no vignette/chromatic aberration post-effect)
     this._depthFilter = null;
 
-    // Texture cache for pre-rendered node glows
-    this._textureCache = new NodeTextureCache(this.ctx);
-    
     // Ring system (optimized)
     this._ringSystem = new RingSystem(this.ctx, CONFIG, this.options.numRings);
     this.container.addChild(this._ringSystem.graphics);
@@ -690,7 +641,7 @@ class DeepNeuralNetwork {
     // Create nodes (using direct graphics rendering)
     this._nodes = [];
     for (let i = 0; i < this.options.numNodes; i++) {
-      const node = new NeuralNode(this.ctx, CONFIG, this._textureCache);
+      const node = new NeuralNode(this.ctx, CONFIG);
       this._nodes.push(node);
       this._nodeContainer.addChild(node.container);
     }
@@ -869,6 +820,16 @@ class DeepNeuralNetwork {
       .fill({ color: 0x00D4FF, alpha: 0.5 });
   }
   
+  /**
+   * Thin out the ambient particles for a quality tier. Nodes and rings form
+   * the network itself and stay as they are.
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._particleSystem.setQuality(level);
+    return this;
+  }
+  
   start() {
     if (this._destroyed || this._running) return this;
     this._running = true;
@@ -898,7 +859,6 @@ class DeepNeuralNetwork {
     }
     this._nodes = [];
     
-    this._textureCache.destroy();
     this._particleSystem.destroy();
     this._ringSystem.destroy();
     this._connectionGraphics.destroy();
@@ -917,49 +877,6 @@ class DeepNeuralNetwork {
   }
 }
 
-// ============================================================================
-// PIXI CONTEXT FACTORY
-// ============================================================================
-
-function createPixiContext(pixiModule, gsapModule, app, config = {}) {
-  if (!pixiModule) {
-    throw new Error('PixiContext: pixiModule is required');
-  }
-  if (!app?.stage) {
-    throw new Error('PixiContext: app with stage is required');
-  }
-
-  const { gsap, PixiPlugin } = gsapModule || {};
-  if (gsap && PixiPlugin && !gsap.plugins?.pixi) {
-    gsap.registerPlugin(PixiPlugin);
-    PixiPlugin.registerPIXI(pixiModule);
-  }
-
-  return Object.freeze({
-    app,
-    stage: app.stage,
-    ticker: config.ticker ?? app.ticker,
-    renderer: app.renderer,
-    gsap: gsap || null,
-    classes: Object.freeze({
-      Container: config.Container ?? pixiModule.Container,
-      Graphics: config.Graphics ?? pixiModule.Graphics,
-      Sprite: config.Sprite ?? pixiModule.Sprite,
-      Text: config.Text ?? pixiModule.Text,
-      Point: config.Point ?? pixiModule.Point,
-      Rectangle: config.Rectangle ?? pixiModule.Rectangle,
-      Filter: config.Filter ?? pixiModule.Filter,
-      GlProgram: config.GlProgram ?? pixiModule.GlProgram,
-      RenderTexture: config.RenderTexture ?? pixiModule.RenderTexture,
-    }),
-    create: Object.freeze({
-      container: () => new (config.Container ?? pixiModule.Container)(),
-      graphics: () => new (config.Graphics ?? pixiModule.Graphics)(),
-      point: (x = 0, y = 0) => new (config.Point ?? pixiModule.Point)(x, y),
-    }),
-  });
-}
-
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -19,6 +19,11 @@
  * });
  */
 
+import { resolveOptions } from '../src/core/options';
+import { createPixiContext } from '../src/core/pixiContext';
+import { createParticleEmitter } from '../src/core/particleEmitter';
+import { isQualityLevel, scaleCount } from '../src/core/quality';
+
 // ============================================================================
 // CONSTANTS
 // ============================================================================
@@ -156,7 +161,8 @@ class PriorityQueue {
 // ============================================================================
 
 class GraphGenerator {
-  static generate(nodeCount, width, height, padding = 40) {
+  /** `random` is the context's seeded source, so a seed always yields the same graph */
+  static generate(random, nodeCount, width, height, padding = 40) {
     const nodes = [];
     const edges = [];
     const labels = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -169,8 +175,8 @@ class GraphGenerator {
     for (let i = 0; i < nodeCount; i++) {
       const col = i % cols;
       const row = Math.floor(i / cols);
-      const jitterX = (Math.random() - 0.5) * cellW * 0.6;
-      const jitterY = (Math.random() - 0.5) * cellH * 0.6;
+      const jitterX = (random.float() - 0.5) * cellW * 0.6;
+      const jitterY = (random.float() - 0.5) * cellH * 0.6;
 
       nodes.push({
         id: labels[i],
@@ -198,7 +204,7 @@ class GraphGenerator {
           const dx = nodes[from].x - nodes[to].x;
           const dy = nodes[from].y - nodes[to].y;
           const dist = Math.sqrt(dx * dx + dy * dy);
-          const score = dist * (0.5 + Math.random());
+          const score = dist * (0.5 + random.float());
           if (score < bestDist) {
             bestDist = score;
             bestEdge = { from, to, dist };
@@ -209,7 +215,7 @@ class GraphGenerator {
       if (bestEdge) {
         connected.add(bestEdge.to);
         notConnected.delete(bestEdge.to);
-        const weight = Math.max(1, Math.min(6, Math.round(bestEdge.dist / 50) + Math.floor(Math.random() * 2)));
+        const weight = Math.max(1, Math.min(6, Math.round(bestEdge.dist / 50) + random.int(0, 1)));
         edges.push([nodes[bestEdge.from].id, nodes[bestEdge.to].id, weight]);
       }
     }
@@ -219,8 +225,8 @@ class GraphGenerator {
     const edgeSet = new Set(edges.map(e => `${e[0]}-${e[1]}`));
 
     for (let i = 0; i < extraEdges; i++) {
-      const from = Math.floor(Math.random() * nodes.length);
-      const to = Math.floor(Math.random() * nodes.length);
+      const from = Math.floor(random.float() * nodes.length);
+      const to = Math.floor(random.float() * nodes.length);
       if (from === to) continue;
 
       const key1 = `${nodes[from].id}-${nodes[to].id}`;
@@ -232,7 +238,7 @@ class GraphGenerator {
       const dist = Math.sqrt(dx * dx + dy * dy);
       if (dist > (width + height) / 3) continue;
 
-      const weight = Math.max(1, Math.min(6, Math.round(dist / 50) + Math.floor(Math.random() * 2)));
+      const weight = Math.max(1, Math.min(6, Math.round(dist / 50) + random.int(0, 1)));
       edges.push([nodes[from].id, nodes[to].id, weight]);
       edgeSet.add(key1);
     }
@@ -545,146 +551,72 @@ class DijkstraEdge {
 }
 
 // ============================================================================
-// PARTICLES COMPONENT (Object Pool)
+// PARTICLES COMPONENT (Particle Emitter)
 // ============================================================================
 
+// Little dots thrown off nodes as the search reaches them. Tinted per burst;
+// the dot is baked at the largest radius and sized down per particle.
+const PARTICLE_CONFIG = {
+  maxParticles: 300,
+  texture: { type: 'dot', radius: 2.5 },
+  lifetime: [0.33, 0.58],
+  speed: [36, 108],
+  size: [0.4, 1],
+  scale: [{ time: 0, value: 1 }, { time: 1, value: 0.3 }],
+  alpha: [{ time: 0, value: 0.63 }, { time: 1, value: 0 }],
+  color: COLORS.QUEUED,
+  forces: [{ type: 'drag', amount: 0.91 }], // 0.96 per frame
+};
+
 class DijkstraParticles {
   static defaults = {
-    poolSize: 300
+    poolSize: PARTICLE_CONFIG.maxParticles
   };
 
   constructor(ctx, options = {}) {
     if (!ctx?.classes) throw new Error('DijkstraParticles: ctx (PixiContext) is required');
     if (!options.container) throw new Error('DijkstraParticles: options.container is required');
 
-    this.ticker = ctx.ticker;
-    this.classes = ctx.classes;
     this.container = options.container;
-
     this.options = { ...DijkstraParticles.defaults, ...options };
 
-    this._pool = [];
-    this._active = [];
-    this._running = false;
-    this._boundUpdate = null;
-    this._destroyed = false;
-
-    this._setup();
-  }
-
-  _setup() {
-    for (let i = 0; i < this.options.poolSize; i++) {
-      const p = new this.classes.Graphics();
-      p.circle(0, 0, 2).fill({ color: COLORS.QUEUED, alpha: 0.8 });
-      p.visible = false;
-      p._vx = 0;
-      p._vy = 0;
-      p._life = 0;
-      p._maxLife = 0;
-      p._poolIndex = i;
-      this._pool.push(p);
-      this.container.addChild(p);
-    }
+    this._emitter = createParticleEmitter(
+      ctx,
+      { ...PARTICLE_CONFIG, maxParticles: this.options.poolSize },
+      { container: this.container }
+    );
+    this._quality = 'high'; // scales burst sizes, see setQuality()
   }
 
   burst(x, y, count = 8, color = COLORS.QUEUED) {
-    for (let i = 0; i < count; i++) {
-      if (this._pool.length === 0) break;
-
-      const p = this._pool.pop();
-      const angle = (Math.PI * 2 / count) * i + Math.random() * 0.3;
-      const speed = 0.6 + Math.random() * 1.2;
-
-      p.x = x;
-      p.y = y;
-      p._vx = Math.cos(angle) * speed;
-      p._vy = Math.sin(angle) * speed;
-      p._life = p._maxLife = 20 + Math.random() * 15;
-      p.visible = true;
-      p.alpha = 0.8;
-      p.scale.set(1);
-      p.clear().circle(0, 0, 1 + Math.random() * 1.5).fill({ color, alpha: 0.9 });
-
-      p._poolIndex = this._active.length;
-      this._active.push(p);
-    }
+    this._emitter.burst(scaleCount(count, this._quality), { x, y, color });
+  }
 
-    if (!this._running && this._active.length > 0) {
-      this.start();
+  /**
+   * Scale burst sizes for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    if (!isQualityLevel(level)) {
+      throw new Error(`DijkstraParticles: unknown quality "${level}"`);
     }
+    this._quality = level;
   }
 
   start() {
-    if (this._running || this._destroyed) return;
-    this._running = true;
-    this._boundUpdate = this._boundUpdate || this._update.bind(this);
-    this.ticker.add(this._boundUpdate);
-  }
-
-  _update(ticker) {
-    const delta = ticker.deltaTime;
-
-    for (let i = this._active.length - 1; i >= 0; i--) {
-      const p = this._active[i];
-      p._life -= delta;
-
-      if (p._life <= 0) {
-        // O(1) swap-and-pop
-        p.visible = false;
-        const last = this._active[this._active.length - 1];
-        if (last !== p) {
-          this._active[i] = last;
-          last._poolIndex = i;
-        }
-        this._active.pop();
-        this._pool.push(p);
-        continue;
-      }
-
-      p.x += p._vx * delta;
-      p.y += p._vy * delta;
-      const ratio = p._life / p._maxLife;
-      p.alpha = ratio * 0.7;
-      p.scale.set(0.3 + ratio * 0.7);
-      p._vx *= 0.96;
-      p._vy *= 0.96;
-    }
-
-    if (this._active.length === 0) {
-      this.stop();
-    }
+    this._emitter.start();
   }
 
   stop() {
-    if (!this._running) return;
-    this._running = false;
-    this.ticker.remove(this._boundUpdate);
+    this._emitter.stop();
   }
 
   reset() {
-    while (this._active.length > 0) {
-      const p = this._active.pop();
-      p.visible = false;
-      this._pool.push(p);
-    }
+    this._emitter.clear();
   }
 
   destroy() {
-    if (this._destroyed) return;
-    this._destroyed = true;
-    this.stop();
-    this._boundUpdate = null;
-
-    for (const p of this._pool) {
-      if (p.parent) p.parent.removeChild(p);
-      p.destroy();
-    }
-    for (const p of this._active) {
-      if (p.parent) p.parent.removeChild(p);
-      p.destroy();
-    }
-    this._pool = [];
-    this._active = [];
+    this._emitter.destroy();
   }
 }
 
@@ -708,19 +640,32 @@ class DijkstraNeuralPulseNetwork {
     autoStart: false
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Graph area width' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Graph area height' },
+    nodeCount: { type: 'integer', min: 2, max: 36, description: 'Graph nodes (labelled A-Z, 0-9)' },
+    speed: { type: 'number', min: 0.1, max: 5, step: 0.1, unit: '×', description: 'Algorithm playback speed' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+  };
+
   constructor(ctx, options = {}) {
     if (!ctx?.classes) throw new Error('DijkstraNeuralPulseNetwork: ctx (PixiContext) is required');
     if (!ctx?.gsap) throw new Error('DijkstraNeuralPulseNetwork: ctx.gsap is required');
     if (!options.container) throw new Error('DijkstraNeuralPulseNetwork: options.container is required');
 
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
+    this.clock = ctx.clock;
     this.classes = ctx.classes;
     this.create = ctx.create;
     this.gsap = ctx.gsap;
     this.container = options.container;
     this._ctx = ctx;
 
-    this.options = { ...DijkstraNeuralPulseNetwork.defaults, ...options };
+    this.options = resolveOptions(DijkstraNeuralPulseNetwork, options, { mode: ctx.validation });
     this.width = this.options.width;
     this.height = this.options.height;
     this.speed = this.options.speed;
@@ -748,6 +693,8 @@ class DijkstraNeuralPulseNetwork {
     this._nodeCount = this.options.nodeCount;
     this._destroyed = false;
     this._displayObjects = [];
+    // Cancel functions for the path highlight delays (ctx.clock.delay)
+    this._pendingDelays = [];
 
     this._setup();
   }
@@ -799,7 +746,7 @@ class DijkstraNeuralPulseNetwork {
 
   _generateGraph() {
     this._clearGraph();
-    const graph = GraphGenerator.generate(this._nodeCount, this.width, this.height, 40);
+    const graph = GraphGenerator.generate(this.random, this._nodeCount, this.width, this.height);
     this._sourceId = graph.sourceId;
     this._targetId = graph.targetId;
 
@@ -839,6 +786,7 @@ class DijkstraNeuralPulseNetwork {
 
   _clearGraph() {
     this.stop();
+    this._cancelDelays();
     this._algorithmRunning = false;
     this._paused = false;
 
@@ -876,6 +824,31 @@ class DijkstraNeuralPulseNetwork {
     this.speed = speed;
   }
 
+  /**
+   * Scale the particle bursts for a quality tier. The graph is what the demo
+   * is about, so nodes and edges are left alone.
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._particles.setQuality(level);
+  }
+
+  /**
+   * Resize the graph area. Node layout depends on the area, so a new graph
+   * is generated to fill it (any running search is reset).
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  resize(width, height) {
+    if (width === this.width && height === this.height) return;
+    this.width = this.options.width = width;
+    this.height = this.options.height = height;
+
+    this._drawBackground();
+    this._legend.x = width - 48;
+    this._generateGraph();
+  }
+
   _createUI() {
     const px = 6, py = 6;
 
@@ -928,27 +901,30 @@ class DijkstraNeuralPulseNetwork {
       [COLORS.VISITED, 'Visit'],
       [COLORS.PATH, 'Path']
     ];
-    const lx = this.width - 48, ly = 6;
+    // Anchored to the right edge; resize() moves it
+    this._legend = new this.classes.Container();
+    this._legend.x = this.width - 48;
+    this._legend.y = 6;
+    this._uiLayer.addChild(this._legend);
+
     const legendBg = new this.classes.Graphics()
       .roundRect(0, 0, 42, legend.length * 13 + 6, 4)
       .fill({ color: 0x0a0a15, alpha: 0.8 });
-    legendBg.x = lx;
-    legendBg.y = ly;
-    this._uiLayer.addChild(legendBg);
+    this._legend.addChild(legendBg);
 
     legend.forEach(([col, txt], i) => {
       const dot = new this.classes.Graphics().circle(0, 0, 3).fill({ color: col });
-      dot.x = lx + 8;
-      dot.y = ly + 10 + i * 13;
-      this._uiLayer.addChild(dot);
+      dot.x = 8;
+      dot.y = 10 + i * 13;
+      this._legend.addChild(dot);
 
       const t = new this.classes.Text({
         text: txt,
         style: { fontFamily: 'Arial', fontSize: 7, fill: 0xaabbcc }
       });
-      t.x = lx + 15;
-      t.y = ly + 5 + i * 13;
-      this._uiLayer.addChild(t);
+      t.x = 15;
+      t.y = 5 + i * 13;
+      this._legend.addChild(t);
     });
   }
 
@@ -1018,6 +994,7 @@ class DijkstraNeuralPulseNetwork {
 
   _reset() {
     this.stop();
+    this._cancelDelays();
     this._algorithmRunning = false;
     this._paused = false;
 
@@ -1143,7 +1120,17 @@ class DijkstraNeuralPulseNetwork {
     const tgt = this._nodes.get(this._targetId);
     this._statusText.text = 'Path Found!';
     this._infoText.text = `Distance: ${tgt ? tgt.dist : '?'}`;
-    setTimeout(() => this._highlightPath(), 300);
+    this._after(300, () => this._highlightPath());
+  }
+
+  /** Runs `fn` after `ms` of clock time, so pausing the demo holds the highlight */
+  _after(ms, fn) {
+    this._pendingDelays.push(this.clock.delay(ms, fn));
+  }
+
+  _cancelDelays() {
+    this._pendingDelays.forEach(cancel => cancel());
+    this._pendingDelays = [];
   }
 
   _highlightPath() {
@@ -1156,7 +1143,7 @@ class DijkstraNeuralPulseNetwork {
 
     let delay = 0;
     path.forEach((n, i) => {
-      setTimeout(() => {
+      this._after(delay, () => {
         if (n.id !== this._sourceId && n.id !== this._targetId) {
           n.setState('path');
         }
@@ -1170,11 +1157,11 @@ class DijkstraNeuralPulseNetwork {
             }
           });
         }
-      }, delay);
+      });
       delay += 150;
     });
 
-    setTimeout(() => {
+    this._after(delay + 200, () => {
       this.stop();
       this._algorithmRunning = false;
       this._startBtn.setText('✓ DONE');
@@ -1182,7 +1169,7 @@ class DijkstraNeuralPulseNetwork {
       this._statusText.text = 'Complete!';
       this._infoText.text = path.map(n => n.id).join('→');
       this.onPathFound.emit({ path: path.map(n => n.id), distance: path[path.length - 1]?.dist });
-    }, delay + 200);
+    });
   }
 
   _done() {
@@ -1228,64 +1215,6 @@ class DijkstraNeuralPulseNetwork {
   get nodeCount() { return this._nodeCount; }
 }
 
-// ============================================================================
-// CONTEXT FACTORY
-// ============================================================================
-
-function createPixiContext(pixiModule, gsapModule, app, config = {}) {
-  if (!pixiModule) {
-    throw new Error('PixiContext: pixiModule is required (pass PIXI global or import)');
-  }
-  if (!gsapModule?.gsap) {
-    throw new Error('PixiContext: gsapModule with gsap is required');
-  }
-  if (!app?.stage) {
-    throw new Error('PixiContext: app with stage is required');
-  }
-
-  const { gsap, PixiPlugin } = gsapModule;
-  if (PixiPlugin && !gsap.plugins?.pixi) {
-    gsap.registerPlugin(PixiPlugin);
-    PixiPlugin.registerPIXI(pixiModule);
-  }
-
-  return Object.freeze({
-    app,
-    stage: app.stage,
-    ticker: config.ticker ?? app.ticker,
-    renderer: app.renderer,
-    gsap,
-    classes: Object.freeze({
-      Container: config.Container ?? pixiModule.Container,
-      Graphics: config.Graphics ?? pixiModule.Graphics,
-      Sprite: config.Sprite ?? pixiModule.Sprite,
-      Text: config.Text ?? pixiModule.Text,
-      TilingSprite: config.TilingSprite ?? pixiModule.TilingSprite,
-      ParticleContainer: config.ParticleContainer ?? pixiModule.ParticleContainer,
-      Point: config.Point ?? pixiModule.Point,
-      Rectangle: config.Rectangle ?? pixiModule.Rectangle,
-      BlurFilter: config.BlurFilter ?? pixiModule.BlurFilter,
-      ColorMatrixFilter: config.ColorMatrixFilter ?? pixiModule.ColorMatrixFilter,
-      Filter: config.Filter ?? pixiModule.Filter,
-      GlProgram: config.GlProgram ?? pixiModule.GlProgram,
-      GpuProgram: config.GpuProgram ?? pixiModule.GpuProgram,
-      Shader: config.Shader ?? pixiModule.Shader,
-      Geometry: config.Geometry ?? pixiModule.Geometry,
-      Mesh: config.Mesh ?? pixiModule.Mesh,
-      Buffer: config.Buffer ?? pixiModule.Buffer,
-      RenderTexture: config.RenderTexture ?? pixiModule.RenderTexture
-    }),
-    create: Object.freeze({
-      container: () => new (config.Container ?? pixiModule.Container)(),
-      graphics: () => new (config.Graphics ?? pixiModule.Graphics)(),
-      sprite: (texture) => new (config.Sprite ?? pixiModule.Sprite)(texture),
-      text: (opts) => new (config.Text ?? pixiModule.Text)(opts),
-      point: (x = 0, y = 0) => new (config.Point ?? pixiModule.Point)(x, y),
-      rectangle: (x, y, w, h) => new (config.Rectangle ?? pixiModule.Rectangle)(x, y, w, h)
-    })
-  });
-}
-
 // ============================================================================
 // EXPORTS
 // ============================================================================
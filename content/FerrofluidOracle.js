@@ -11,6 +11,10 @@
  * - Click-based spike eruptions
  */
 
+import { resolveOptions } from '../src/core/options';
+import { createPixiContext } from '../src/core/pixiContext';
+import { getQualityProfile, scaleCount } from '../src/core/quality';
+
 // ============================================================================
 // SIGNAL CLASS (Canonical implementation)
 // ============================================================================
@@ -191,7 +195,7 @@ function createThresholdFilter(classes) {
 // ============================================================================
 
 class Metaball {
-  constructor(x, y, radius, isCore = false) {
+  constructor(random, x, y, radius, isCore = false) {
     this.x = x;
     this.y = y;
     this.baseX = x;
@@ -201,9 +205,9 @@ class Metaball {
     this.vx = 0;
     this.vy = 0;
     this.isCore = isCore;
-    this.phase = Math.random() * Math.PI * 2;
-    this.breathSpeed = 0.5 + Math.random() * 0.5;
-    this.magneticResponse = 0.3 + Math.random() * 0.7;
+    this.phase = random.float() * Math.PI * 2;
+    this.breathSpeed = 0.5 + random.float() * 0.5;
+    this.magneticResponse = 0.3 + random.float() * 0.7;
   }
 
   update(mouseX, mouseY, mouseVel, deltaTime) {
@@ -254,6 +258,7 @@ class Metaball {
 class FieldLine {
   constructor(ctx, container, screenWidth, screenHeight) {
     this.classes = ctx.classes;
+    this.random = ctx.random;
     this.container = container;
     this.screenWidth = screenWidth;
     this.screenHeight = screenHeight;
@@ -272,28 +277,28 @@ class FieldLine {
 
   reset() {
     // Start from edge of screen
-    const side = Math.floor(Math.random() * 4);
+    const side = this.random.int(0, 3);
     switch (side) {
       case 0: // top
-        this.x = Math.random() * this.screenWidth;
+        this.x = this.random.float() * this.screenWidth;
         this.y = 0;
         break;
       case 1: // right
         this.x = this.screenWidth;
-        this.y = Math.random() * this.screenHeight;
+        this.y = this.random.float() * this.screenHeight;
         break;
       case 2: // bottom
-        this.x = Math.random() * this.screenWidth;
+        this.x = this.random.float() * this.screenWidth;
         this.y = this.screenHeight;
         break;
       case 3: // left
         this.x = 0;
-        this.y = Math.random() * this.screenHeight;
+        this.y = this.random.float() * this.screenHeight;
         break;
     }
     this.points = [{ x: this.x, y: this.y }];
-    this.alpha = 0.3 + Math.random() * 0.3;
-    this.speed = 2 + Math.random() * 3;
+    this.alpha = 0.3 + this.random.float() * 0.3;
+    this.speed = 2 + this.random.float() * 3;
     this.life = 1;
   }
 
@@ -304,7 +309,7 @@ class FieldLine {
     const dist = Math.sqrt(dx * dx + dy * dy);
 
     if (dist > 10) {
-      const angle = Math.atan2(dy, dx) + (Math.random() - 0.5) * 0.5;
+      const angle = Math.atan2(dy, dx) + (this.random.float() - 0.5) * 0.5;
       this.x += Math.cos(angle) * this.speed;
       this.y += Math.sin(angle) * this.speed;
       this.points.push({ x: this.x, y: this.y });
@@ -347,6 +352,7 @@ class FieldLine {
 class DustParticle {
   constructor(ctx, container, screenWidth, screenHeight) {
     this.classes = ctx.classes;
+    this.random = ctx.random;
     this.container = container;
     this.screenWidth = screenWidth;
     this.screenHeight = screenHeight;
@@ -366,14 +372,14 @@ class DustParticle {
   }
 
   reset() {
-    this.x = Math.random() * this.screenWidth;
-    this.y = Math.random() * this.screenHeight;
-    this.size = 1 + Math.random() * 2;
-    this.alpha = 0.2 + Math.random() * 0.4;
-    this.vx = (Math.random() - 0.5) * 0.3;
-    this.vy = (Math.random() - 0.5) * 0.3;
-    this.phase = Math.random() * Math.PI * 2;
-    this.twinkleSpeed = 1 + Math.random() * 2;
+    this.x = this.random.float() * this.screenWidth;
+    this.y = this.random.float() * this.screenHeight;
+    this.size = 1 + this.random.float() * 2;
+    this.alpha = 0.2 + this.random.float() * 0.4;
+    this.vx = (this.random.float() - 0.5) * 0.3;
+    this.vy = (this.random.float() - 0.5) * 0.3;
+    this.phase = this.random.float() * Math.PI * 2;
+    this.twinkleSpeed = 1 + this.random.float() * 2;
   }
 
   update(mouseX, mouseY, deltaTime) {
@@ -427,17 +433,18 @@ class DustParticle {
 class Spike {
   constructor(ctx, container, x, y) {
     this.classes = ctx.classes;
+    this.random = ctx.random;
     this.container = container;
 
     this.graphics = new this.classes.Graphics();
     this.x = x;
     this.y = y;
-    this.angle = Math.random() * Math.PI * 2;
-    this.length = 30 + Math.random() * 50;
+    this.angle = this.random.float() * Math.PI * 2;
+    this.length = 30 + this.random.float() * 50;
     this.maxLength = this.length;
-    this.width = 3 + Math.random() * 5;
+    this.width = 3 + this.random.float() * 5;
     this.life = 1;
-    this.growSpeed = 0.1 + Math.random() * 0.1;
+    this.growSpeed = 0.1 + this.random.float() * 0.1;
     this.currentLength = 0;
     this.phase = 0;
     this.alive = true;
@@ -496,6 +503,19 @@ class Spike {
 // ============================================================================
 
 class FerrofluidOracle {
+  /**
+   * Lifecycle descriptor for demoRunner.
+   * Exposes createSpikeEruption() as a demo action.
+   */
+  static lifecycle = {
+    actions: [{ label: 'Erupt', method: 'createSpikeEruption', shortcut: 'e', description: 'Spike eruption at center' }]
+  };
+
+  /**
+   * Host requirements: ctx classes for the metaball threshold pass
+   */
+  static requires = { classes: ['Filter', 'GlProgram', 'BlurFilter', 'RenderTexture'] };
+
   /**
    * Default configuration
    */
@@ -508,6 +528,20 @@ class FerrofluidOracle {
     autoStart: true,
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Effect width' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Effect height' },
+    metaballCount: { type: 'object', description: 'Metaballs per ring: { core, orbital, outer }' },
+    fieldLineCount: { type: 'integer', min: 0, max: 200, description: 'Magnetic field lines' },
+    dustParticleCount: { type: 'integer', min: 0, max: 1000, description: 'Floating dust particles' },
+    blurStrength: { type: 'number', min: 0, max: 40, step: 1, description: 'Metaball blur strength' },
+    blurQuality: { type: 'integer', min: 1, max: 16, description: 'Metaball blur passes' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+  };
+
   /**
    * @param {PixiContext} ctx - Context from createPixiContext()
    * @param {Object} options - Configuration options
@@ -523,6 +557,7 @@ class FerrofluidOracle {
 
     // Store context references
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this.renderer = ctx.renderer;
     this.classes = ctx.classes;
     this.create = ctx.create;
@@ -532,7 +567,7 @@ class FerrofluidOracle {
     this.container = options.container;
 
     // Merge options with defaults
-    this.options = { ...FerrofluidOracle.defaults, ...options };
+    this.options = resolveOptions(FerrofluidOracle, options, { mode: ctx.validation });
 
     // Screen dimensions
     this._screenWidth = options.width || 800;
@@ -646,31 +681,33 @@ class FerrofluidOracle {
 
     // Core metaball (smaller for more separation)
     for (let i = 0; i < core; i++) {
-      this._metaballs.push(new Metaball(this._centerX, this._centerY, 50, true));
+      this._metaballs.push(new Metaball(this.random, this._centerX, this._centerY, 50, true));
     }
 
     // Orbital metaballs (smaller, more spread out)
     for (let i = 0; i < orbital; i++) {
       const angle = (i / orbital) * Math.PI * 2;
-      const dist = 70 + Math.random() * 40;
+      const dist = 70 + this.random.float() * 40;
       this._metaballs.push(
         new Metaball(
+          this.random,
           this._centerX + Math.cos(angle) * dist,
           this._centerY + Math.sin(angle) * dist,
-          20 + Math.random() * 15
+          20 + this.random.float() * 15
         )
       );
     }
 
     // Outer satellite metaballs (smaller, more spread out for gaps)
     for (let i = 0; i < outer; i++) {
-      const angle = (i / outer) * Math.PI * 2 + Math.random() * 0.5;
-      const dist = 120 + Math.random() * 60;
+      const angle = (i / outer) * Math.PI * 2 + this.random.float() * 0.5;
+      const dist = 120 + this.random.float() * 60;
       this._metaballs.push(
         new Metaball(
+          this.random,
           this._centerX + Math.cos(angle) * dist,
           this._centerY + Math.sin(angle) * dist,
-          12 + Math.random() * 12
+          12 + this.random.float() * 12
         )
       );
     }
@@ -765,6 +802,7 @@ class FerrofluidOracle {
 
     // Update dust particles
     for (const particle of this._dustParticles) {
+      if (!particle.graphics.visible) continue; // thinned out by setQuality()
       particle.update(this._mouse.x, this._mouse.y, deltaTime);
     }
 
@@ -810,17 +848,33 @@ class FerrofluidOracle {
 
   /**
    * Create spike eruption at position
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
+   * @param {number} [x] - X coordinate (defaults to center)
+   * @param {number} [y] - Y coordinate (defaults to center)
    * @param {number} [count=8] - Number of spikes
    */
-  createSpikeEruption(x, y, count = 8) {
+  createSpikeEruption(x = this._centerX, y = this._centerY, count = 8) {
     for (let i = 0; i < count; i++) {
       this._spikes.push(new Spike(this.ctx, this._spikeContainer, x, y));
     }
     this.onSpikeEruption.emit({ x, y, count });
   }
 
+  /**
+   * Thin out dust and cap metaball blur passes for a quality tier. The blur
+   * never goes above the configured blurQuality.
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    const { blurQuality } = getQualityProfile(level);
+    if (this._blurFilter) {
+      this._blurFilter.quality = Math.min(this.options.blurQuality, blurQuality);
+    }
+    const visibleDust = scaleCount(this._dustParticles.length, level);
+    this._dustParticles.forEach((particle, i) => {
+      particle.graphics.visible = i < visibleDust;
+    });
+  }
+
   /**
    * Resize the effect
    * @param {number} width - New width
@@ -944,56 +998,6 @@ class FerrofluidOracle {
   }
 }
 
-// ============================================================================
-// PIXI CONTEXT FACTORY (for standalone usage)
-// ============================================================================
-
-/**
- * Creates a PixiContext for PixiJS v8
- * @param {object} pixiModule - PIXI namespace (global or imported)
- * @param {PIXI.Application} app - Initialized PIXI application
- * @param {object} [config] - Optional overrides
- * @returns {PixiContext} Immutable context object
- */
-function createPixiContext(pixiModule, app, config = {}) {
-  if (!pixiModule) {
-    throw new Error('PixiContext: pixiModule is required');
-  }
-  if (!app?.stage) {
-    throw new Error('PixiContext: app with stage is required');
-  }
-
-  return Object.freeze({
-    app,
-    stage: app.stage,
-    ticker: config.ticker ?? app.ticker,
-    renderer: app.renderer,
-    classes: Object.freeze({
-      Container: config.Container ?? pixiModule.Container,
-      Graphics: config.Graphics ?? pixiModule.Graphics,
-      Sprite: config.Sprite ?? pixiModule.Sprite,
-      Text: config.Text ?? pixiModule.Text,
-      TilingSprite: config.TilingSprite ?? pixiModule.TilingSprite,
-      ParticleContainer: config.ParticleContainer ?? pixiModule.ParticleContainer,
-      Point: config.Point ?? pixiModule.Point,
-      Rectangle: config.Rectangle ?? pixiModule.Rectangle,
-      BlurFilter: config.BlurFilter ?? pixiModule.BlurFilter,
-      ColorMatrixFilter: config.ColorMatrixFilter ?? pixiModule.ColorMatrixFilter,
-      Filter: config.Filter ?? pixiModule.Filter,
-      GlProgram: config.GlProgram ?? pixiModule.GlProgram,
-      RenderTexture: config.RenderTexture ?? pixiModule.RenderTexture,
-    }),
-    create: Object.freeze({
-      container: () => new (config.Container ?? pixiModule.Container)(),
-      graphics: () => new (config.Graphics ?? pixiModule.Graphics)(),
-      sprite: (texture) => new (config.Sprite ?? pixiModule.Sprite)(texture),
-      text: (opts) => new (config.Text ?? pixiModule.Text)(opts),
-      point: (x = 0, y = 0) => new (config.Point ?? pixiModule.Point)(x, y),
-      rectangle: (x, y, w, h) => new (config.Rectangle ?? pixiModule.Rectangle)(x, y, w, h),
-    }),
-  });
-}
-
 // ============================================================================
 // EXPORTS
 // ============================================================================
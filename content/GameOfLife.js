@@ -16,6 +16,10 @@
  * @license MIT
  */
 
+import { resolveOptions } from '../src/core/options';
+import { createParticleEmitter } from '../src/core/particleEmitter';
+import { scaleCount } from '../src/core/quality';
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // THEME CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -49,6 +53,26 @@ const THEME = {
 // DEATH PARTICLE SYSTEM
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Emitter config for cell deaths: violet dots drifting outward and fading.
+ * THEME values are per frame; the emitter works in seconds (60 fps).
+ * @param {Object} options - maxParticles, particleLife (frames), particleSpeed (px/frame)
+ * @returns {Object} EmitterConfig
+ */
+function deathParticleConfig({ maxParticles, particleLife, particleSpeed }) {
+  return {
+    maxParticles,
+    texture: { type: 'dot', radius: 2 },
+    burst: THEME.particles.particlesPerDeath,
+    lifetime: particleLife / 60,
+    speed: [particleSpeed * 30, particleSpeed * 60],
+    scale: [{ time: 0, value: 1 }, { time: 1, value: 0.5 }],
+    alpha: [{ time: 0, value: 0.8 }, { time: 1, value: 0 }],
+    color: THEME.colors.cellDeath,
+    forces: [{ type: 'drag', amount: 0.7 }], // 0.98 per frame
+  };
+}
+
 /**
  * DeathParticleSystem - Spawns dissolution particles when cells die
  * Pure composition - receives ctx via constructor
@@ -66,10 +90,6 @@ class DeathParticleSystem {
     if (!ctx?.ticker) throw new Error('DeathParticleSystem: ctx.ticker is required');
     if (!options.container) throw new Error('DeathParticleSystem: options.container is required');
     
-    // Store context references
-    this.classes = ctx.classes;
-    this.ticker = ctx.ticker;
-    
     // Store injected dependencies
     this.container = options.container;
     
@@ -81,166 +101,69 @@ class DeathParticleSystem {
       ...options
     };
     
-    // State flags
-    this._running = false;
-    this._boundUpdate = null;
-    
-    // Particle pools
-    this._pool = [];
-    this._active = [];
-    
-    // Initialize
-    this._initPool();
-  }
-  
-  /**
-   * Pre-create all particle sprites
-   * @private
-   */
-  _initPool() {
-    for (let i = 0; i < this.options.maxParticles; i++) {
-      const particle = this._createParticle();
-      this._pool.push(particle);
-      this.container.addChild(particle);
-    }
-  }
-  
-  /**
-   * Create a single particle sprite (PixiJS v8 API)
-   * @private
-   * @returns {PIXI.Graphics} Particle graphics object
-   */
-  _createParticle() {
-    const g = new this.classes.Graphics();
-    g.circle(0, 0, 2);
-    g.fill({ color: THEME.colors.cellDeath, alpha: 0.8 });
-    
-    // Attach particle data directly to avoid Map lookups
-    g._vx = 0;
-    g._vy = 0;
-    g._life = 0;
-    g._maxLife = 0;
-    g.visible = false;
-    
-    return g;
+    // Pooling, motion and fading are the shared emitter's job
+    this._emitter = createParticleEmitter(ctx, deathParticleConfig(this.options), {
+      container: this.container,
+      autoStart: false,
+    });
+    this._perDeath = THEME.particles.particlesPerDeath; // scaled by setQuality()
   }
   
   /**
    * Spawn particles at a position (cell death effect)
    * @param {number} x - X position
    * @param {number} y - Y position
-   * @param {number} [count=5] - Number of particles to spawn
+   * @param {number} [count] - Number of particles to spawn (5 at high quality)
    */
-  emit(x, y, count = THEME.particles.particlesPerDeath) {
-    for (let i = 0; i < count; i++) {
-      if (this._pool.length === 0) return;
-      
-      const p = this._pool.pop();
-      p.visible = true;
-      p.x = x;
-      p.y = y;
-      p.alpha = 1;
-      p.scale.set(1);
-      
-      // Random velocity in all directions
-      const angle = Math.random() * Math.PI * 2;
-      const speed = this.options.particleSpeed * (0.5 + Math.random() * 0.5);
-      p._vx = Math.cos(angle) * speed;
-      p._vy = Math.sin(angle) * speed;
-      p._life = this.options.particleLife;
-      p._maxLife = this.options.particleLife;
-      
-      this._active.push(p);
-    }
+  emit(x, y, count = this._perDeath) {
+    this._emitter.burst(count, { x, y });
   }
   
   /**
-   * Update all active particles
+   * Update all active particles (only needed when not started)
    * @param {PIXI.Ticker} ticker - PixiJS ticker
    */
   update(ticker) {
-    const delta = ticker.deltaTime;
-    
-    // Iterate backwards for safe removal using swap-and-pop (O(1) removal)
-    for (let i = this._active.length - 1; i >= 0; i--) {
-      const p = this._active[i];
-      p._life -= delta;
-      
-      if (p._life <= 0) {
-        // Return to pool using O(1) swap-and-pop pattern
-        p.visible = false;
-        const lastIdx = this._active.length - 1;
-        if (i !== lastIdx) {
-          this._active[i] = this._active[lastIdx];
-        }
-        this._active.pop();
-        this._pool.push(p);
-        continue;
-      }
-      
-      // Update position with delta time
-      p.x += p._vx * delta;
-      p.y += p._vy * delta;
-      
-      // Apply drag
-      p._vx *= 0.98;
-      p._vy *= 0.98;
-      
-      // Fade out based on life
-      const lifeRatio = p._life / p._maxLife;
-      p.alpha = lifeRatio;
-      p.scale.set(0.5 + lifeRatio * 0.5);
-    }
+    this._emitter.update(ticker.deltaMS / 1000);
   }
   
   /**
    * Start the particle system
    */
   start() {
-    if (this._running) return;
-    this._running = true;
-    this._boundUpdate = this._boundUpdate || this.update.bind(this);
-    this.ticker.add(this._boundUpdate);
+    this._emitter.start();
   }
   
   /**
    * Stop the particle system
    */
   stop() {
-    if (!this._running) return;
-    this._running = false;
-    this.ticker.remove(this._boundUpdate);
+    this._emitter.stop();
   }
   
   /**
    * Reset all particles to pool
    */
   reset() {
-    while (this._active.length > 0) {
-      const p = this._active.pop();
-      p.visible = false;
-      this._pool.push(p);
-    }
+    this._emitter.clear();
+  }
+
+  /**
+   * Scale particles per death for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._perDeath = scaleCount(THEME.particles.particlesPerDeath, level);
   }
   
   /**
    * Clean up and destroy
    */
   destroy() {
-    this.stop();
-    this.reset();
-    
-    for (const p of this._pool) {
-      if (p.parent) p.parent.removeChild(p);
-      p.destroy();
-    }
-    
-    this._pool = [];
-    this._active = [];
-    this._boundUpdate = null;
+    this._emitter.destroy();
   }
   
-  get activeCount() { return this._active.length; }
+  get activeCount() { return this._emitter.count; }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -544,6 +467,29 @@ class GameOfLife {
     init: [{ method: 'randomize', args: [0.3] }]
   };
 
+  /**
+   * Default configuration
+   */
+  static defaults = {
+    cols: 80,
+    rows: 60,
+    cellSize: 10,
+    generationInterval: THEME.animation.generationInterval
+  };
+
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    cols: { type: 'integer', min: 1, max: 400, description: 'Grid columns' },
+    rows: { type: 'integer', min: 1, max: 400, description: 'Grid rows' },
+    cellSize: { type: 'number', min: 1, max: 64, step: 1, unit: 'px', description: 'Cell size' },
+    generationInterval: { type: 'integer', min: 1, max: 120, unit: 'frames', description: 'Frames between generations' },
+    onGeneration: { type: 'function', nullable: true, description: 'Callback on each generation' },
+    onCellDeath: { type: 'function', nullable: true, description: 'Callback when cell dies (x, y, worldX, worldY)' },
+    onCellBirth: { type: 'function', nullable: true, description: 'Callback when cell is born (x, y, worldX, worldY)' }
+  };
+
   /**
    * @param {Object} ctx - PixiContext with classes, ticker
    * @param {Object} options - Configuration options
@@ -564,6 +510,7 @@ class GameOfLife {
     // Store context references
     this.classes = ctx.classes;
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this._ctx = ctx; // Store full context for child components
     
     // Store injected dependencies
@@ -571,14 +518,13 @@ class GameOfLife {
     
     // Merge options with defaults
     this.options = {
-      cols: options.cols ?? 80,
-      rows: options.rows ?? 60,
-      cellSize: options.cellSize ?? 10,
-      generationInterval: options.generationInterval ?? THEME.animation.generationInterval,
-      onGeneration: options.onGeneration ?? null,
-      onCellDeath: options.onCellDeath ?? null,
-      onCellBirth: options.onCellBirth ?? null,
-      ...options
+      onGeneration: null,
+      onCellDeath: null,
+      onCellBirth: null,
+      ...resolveOptions(GameOfLife, options, {
+        mode: ctx.validation,
+        ignore: ['onGeneration', 'onCellDeath', 'onCellBirth']
+      })
     };
     
     // State flags
@@ -910,7 +856,7 @@ class GameOfLife {
     
     for (let y = 0; y < rows; y++) {
       for (let x = 0; x < cols; x++) {
-        if (Math.random() < density) {
+        if (this.random.float() < density) {
           this.setCell(x, y, true);
         }
       }
@@ -966,6 +912,18 @@ class GameOfLife {
     return { ...this._stats };
   }
   
+  /**
+   * Live counters for the performance HUD
+   * @returns {Object} Counter name -> value
+   */
+  getStats() {
+    return {
+      aliveCells: this._stats.population,
+      generation: this._generation,
+      deathParticles: this._particles?.activeCount ?? 0,
+    };
+  }
+  
   /**
    * Get generation count
    */
@@ -994,13 +952,77 @@ class GameOfLife {
   get height() {
     return this.options.rows * this.options.cellSize;
   }
-  
+
+  /**
+   * Scale death particles for a quality tier. The grid is the simulation
+   * itself, so its size does not change with quality.
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._particles.setQuality(level);
+    return this;
+  }
+
+  /**
+   * Fit the grid to new pixel dimensions. Cell size stays fixed, so the
+   * column/row count changes; live cells inside the overlap are kept.
+   * @param {number} width - New width in pixels
+   * @param {number} height - New height in pixels
+   */
+  resize(width, height) {
+    const { cellSize } = this.options;
+    const cols = Math.max(1, Math.floor(width / cellSize));
+    const rows = Math.max(1, Math.floor(height / cellSize));
+    if (cols === this.options.cols && rows === this.options.rows) return this;
+
+    const previous = this._currentGrid;
+    const keepCols = Math.min(cols, this.options.cols);
+    const keepRows = Math.min(rows, this.options.rows);
+
+    // Tear down visuals sized for the old grid
+    this._cellGrid.destroy();
+    for (const child of this._gridContainer.removeChildren()) {
+      child.destroy();
+    }
+
+    this.options.cols = cols;
+    this.options.rows = rows;
+
+    // Rebuild double buffers
+    this._gridA = [];
+    this._gridB = [];
+    for (let y = 0; y < rows; y++) {
+      this._gridA[y] = new Uint8Array(cols);
+      this._gridB[y] = new Uint8Array(cols);
+    }
+    this._currentGrid = this._gridA;
+    this._nextGrid = this._gridB;
+
+    this._drawGrid();
+    this._cellGrid = new CellGrid(this._ctx, {
+      container: this._cellContainer,
+      cols,
+      rows,
+      cellSize,
+    });
+
+    // Carry over surviving cells
+    for (let y = 0; y < keepRows; y++) {
+      for (let x = 0; x < keepCols; x++) {
+        if (previous[y][x] === 1) this.setCell(x, y, true);
+      }
+    }
+
+    if (this._running) this._cellGrid.start();
+    return this;
+  }
+
   /**
    * Clean up and destroy
    */
   destroy() {
     this.stop();
-    
+
     if (this._cellGrid) {
       this._cellGrid.destroy();
       this._cellGrid = null;
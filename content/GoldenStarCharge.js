@@ -41,6 +41,11 @@
  * charge.release();
  */
 
+import { resolveOptions } from '../src/core/options';
+import { createParticleEmitter } from '../src/core/particleEmitter';
+import { isQualityLevel } from '../src/core/quality';
+import { getTextureCache } from '../src/core/textureCache';
+
 // ============================================================================
 // SIGNAL CLASS
 // ============================================================================
@@ -101,11 +106,277 @@ class Signal {
   }
 }
 
+// ============================================================================
+// TEXTURES
+// ============================================================================
+
+// Canvas-drawn texture cache generators. Everything they draw comes from
+// their parameters, so instances with the same options share the textures.
+
+/** Soft radial glow in one color, `size` px in radius */
+function bakeRadialGlow({ classes }, { size, color, intensity }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size * 2;
+  canvas.height = size * 2;
+  const ctx = canvas.getContext('2d');
+  
+  const r = (color >> 16) & 0xff;
+  const g = (color >> 8) & 0xff;
+  const b = color & 0xff;
+  
+  const gradient = ctx.createRadialGradient(size, size, 0, size, size, size);
+  gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${intensity})`);
+  gradient.addColorStop(0.3, `rgba(${r}, ${g}, ${b}, ${intensity * 0.5})`);
+  gradient.addColorStop(0.6, `rgba(${r}, ${g}, ${b}, ${intensity * 0.2})`);
+  gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+  
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, size * 2, size * 2);
+  
+  return classes.Texture.from(canvas);
+}
+
+/** Core glow: white center fading through `color` */
+function bakeCoreLayer({ classes }, { radius, color, intensity }) {
+  const canvas = document.createElement('canvas');
+  const size = radius * 2 + 10;
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const cx = size / 2;
+  const cy = size / 2;
+  
+  const r = (color >> 16) & 0xff;
+  const g = (color >> 8) & 0xff;
+  const b = color & 0xff;
+  
+  // Soft glow
+  const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
+  gradient.addColorStop(0, `rgba(255, 255, 255, ${intensity})`);
+  gradient.addColorStop(0.3, `rgba(${r}, ${g}, ${b}, ${intensity})`);
+  gradient.addColorStop(0.7, `rgba(${r}, ${g}, ${b}, ${intensity * 0.4})`);
+  gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+  
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+  ctx.fill();
+  
+  return classes.Texture.from(canvas);
+}
+
+/** Streak for the particles spiraling inward */
+function bakeVortex({ classes }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 40;
+  canvas.height = 10;
+  const ctx = canvas.getContext('2d');
+  
+  const gradient = ctx.createLinearGradient(0, 0, 40, 0);
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
+  gradient.addColorStop(0.2, 'rgba(255, 215, 0, 0.6)');
+  gradient.addColorStop(0.5, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(0.8, 'rgba(255, 165, 0, 0.6)');
+  gradient.addColorStop(1, 'rgba(255, 140, 0, 0)');
+  
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.ellipse(20, 5, 20, 4, 0, 0, Math.PI * 2);
+  ctx.fill();
+  
+  return classes.Texture.from(canvas);
+}
+
+/** White 4-point star with a golden glow, tinted per sprite */
+function bakeStar({ classes }) {
+  const canvas = document.createElement('canvas');
+  const size = 32;
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const cx = size / 2;
+  const cy = size / 2;
+  
+  // Draw 4-point star
+  ctx.fillStyle = '#ffffff';
+  ctx.beginPath();
+  
+  const outerR = size / 2 - 2;
+  const innerR = outerR * 0.3;
+  const points = 4;
+  
+  for (let i = 0; i < points * 2; i++) {
+    const r = i % 2 === 0 ? outerR : innerR;
+    const angle = (i * Math.PI) / points - Math.PI / 2;
+    const x = cx + Math.cos(angle) * r;
+    const y = cy + Math.sin(angle) * r;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  }
+  ctx.closePath();
+  ctx.fill();
+  
+  // Add glow
+  ctx.shadowColor = '#ffd700';
+  ctx.shadowBlur = 8;
+  ctx.fill();
+  
+  return classes.Texture.from(canvas);
+}
+
+function bakeSparkle({ classes }) {
+  const canvas = document.createElement('canvas');
+  const size = 16;
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const cx = size / 2;
+  const cy = size / 2;
+  
+  // 4-point sparkle
+  const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, size / 2);
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(0.3, 'rgba(255, 215, 0, 0.8)');
+  gradient.addColorStop(0.6, 'rgba(255, 165, 0, 0.3)');
+  gradient.addColorStop(1, 'rgba(255, 140, 0, 0)');
+  
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.arc(cx, cy, size / 2, 0, Math.PI * 2);
+  ctx.fill();
+  
+  return classes.Texture.from(canvas);
+}
+
+function bakePulseRing({ classes }, { radius }) {
+  const canvas = document.createElement('canvas');
+  const size = radius * 2 + 30;
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const cx = size / 2;
+  const cy = size / 2;
+  
+  // Golden ring with glow
+  ctx.strokeStyle = 'rgba(255, 215, 0, 0.8)';
+  ctx.lineWidth = 3;
+  ctx.shadowColor = '#ffd700';
+  ctx.shadowBlur = 15;
+  ctx.beginPath();
+  ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+  ctx.stroke();
+  
+  return classes.Texture.from(canvas);
+}
+
+/** Thin bright ring, scaled up as the shockwave travels */
+function bakeShockwaveRing({ classes }, { size }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const cx = size / 2;
+  const cy = size / 2;
+  const outerR = size / 2;
+  const innerR = outerR * 0.88;
+  
+  const gradient = ctx.createRadialGradient(cx, cy, innerR, cx, cy, outerR);
+  gradient.addColorStop(0, 'rgba(255, 215, 0, 0)');
+  gradient.addColorStop(0.3, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(0.5, 'rgba(255, 215, 0, 0.9)');
+  gradient.addColorStop(0.7, 'rgba(255, 165, 0, 0.6)');
+  gradient.addColorStop(1, 'rgba(255, 140, 0, 0)');
+  
+  ctx.beginPath();
+  ctx.arc(cx, cy, outerR, 0, Math.PI * 2);
+  ctx.arc(cx, cy, innerR, 0, Math.PI * 2, true);
+  ctx.fillStyle = gradient;
+  ctx.fill();
+  
+  return classes.Texture.from(canvas);
+}
+
+/** Tapered light ray, anchored at its origin */
+function bakeRay({ classes }, { length }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = length;
+  canvas.height = 30;
+  const ctx = canvas.getContext('2d');
+  
+  // Golden ray with fade
+  const gradient = ctx.createLinearGradient(0, 0, length, 0);
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(0.05, 'rgba(255, 215, 0, 1)');
+  gradient.addColorStop(0.3, 'rgba(255, 165, 0, 0.6)');
+  gradient.addColorStop(0.6, 'rgba(255, 140, 0, 0.2)');
+  gradient.addColorStop(1, 'rgba(255, 140, 0, 0)');
+  
+  ctx.fillStyle = gradient;
+  
+  // Tapered ray shape
+  ctx.beginPath();
+  ctx.moveTo(0, 15);
+  ctx.lineTo(length, 13);
+  ctx.lineTo(length, 17);
+  ctx.lineTo(0, 15);
+  ctx.fill();
+  
+  // Glow
+  const glowGradient = ctx.createLinearGradient(0, 0, length * 0.5, 0);
+  glowGradient.addColorStop(0, 'rgba(255, 255, 255, 0.5)');
+  glowGradient.addColorStop(1, 'rgba(255, 215, 0, 0)');
+  ctx.fillStyle = glowGradient;
+  ctx.fillRect(0, 5, length * 0.5, 20);
+  
+  return classes.Texture.from(canvas);
+}
+
+// Bokeh glows are baked at this size and scaled down per sprite
+const BOKEH_TEXTURE_SIZE = 60;
+
+// ============================================================================
+// SPARKLES
+// ============================================================================
+
+// Sparkles drifting off the charging star. Pool size and spawn radius come
+// from the options (see _createSparkles); the spawn rate from the charge.
+const SPARKLE_CONFIG = {
+  maxParticles: 24,
+  texture: { type: 'generator', name: 'GoldenStarCharge.sparkle' },
+  blendMode: 'add',
+  shape: { type: 'circle', radius: 100 },
+  lifetime: [0.2, 0.4],
+  speed: [9, 21],
+  scale: [{ time: 0, value: 0.4 }, { time: 1, value: 0.1 }],
+  alpha: [{ time: 0, value: 0.9 }, { time: 1, value: 0 }],
+};
+
+// The release throws sparkles outward, pushed away from the star's center
+const RELEASE_SPARKLE_CONFIG = {
+  ...SPARKLE_CONFIG,
+  lifetime: [0.5, 0.8],
+  speed: 0,
+  scale: 0.3,
+  alpha: [{ time: 0, value: 0.8 }, { time: 1, value: 0 }],
+  forces: [{ type: 'attract', x: 0, y: 0, strength: -600 }],
+};
+
 // ============================================================================
 // GOLDEN STAR CHARGE COMPONENT
 // ============================================================================
 
 class GoldenStarCharge {
+  /**
+   * Lifecycle descriptor for demoRunner.
+   * Exposes the charge cycle as demo actions.
+   */
+  static lifecycle = {
+    actions: [
+      { label: 'Charge', method: 'start', shortcut: 'c', description: 'Start a new charge (when idle)' },
+      { label: 'Release', method: 'release', shortcut: 'r', description: 'Trigger the release explosion' }
+    ]
+  };
+
   /**
    * Default configuration
    */
@@ -150,6 +421,35 @@ class GoldenStarCharge {
     holdDuration: 800, // ms to hold at peak before auto-releasing
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Width (effect is centered)' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Height (effect is centered)' },
+    maxRadius: { type: 'number', min: 10, max: 400, step: 1, unit: 'px', description: 'Radius of the charged star' },
+    ignitionDuration: { type: 'number', min: 0, max: 5000, step: 10, unit: 'ms', description: 'Ignition phase length' },
+    accumulationDuration: { type: 'number', min: 0, max: 5000, step: 10, unit: 'ms', description: 'Charge accumulation length' },
+    peakDuration: { type: 'number', min: 0, max: 5000, step: 10, unit: 'ms', description: 'Peak phase length' },
+    releaseDuration: { type: 'number', min: 0, max: 5000, step: 10, unit: 'ms', description: 'Release burst length' },
+    vortexParticleCount: { type: 'integer', min: 0, max: 200, description: 'Vortex particles (overridden by quality)' },
+    starCount: { type: 'integer', min: 0, max: 100, description: 'Orbiting stars (overridden by quality)' },
+    sparkleCount: { type: 'integer', min: 0, max: 100, description: 'Sparkles (overridden by quality)' },
+    bokehCount: { type: 'integer', min: 0, max: 50, description: 'Bokeh circles (overridden by quality)' },
+    rayCount: { type: 'integer', min: 0, max: 32, description: 'Light rays (overridden by quality)' },
+    goldLight: { type: 'color', description: 'Bright gold' },
+    goldMid: { type: 'color', description: 'Orange gold' },
+    goldDark: { type: 'color', description: 'Dark gold' },
+    magenta: { type: 'color', description: 'Hot pink/magenta' },
+    purple: { type: 'color', description: 'Deep purple' },
+    purpleDark: { type: 'color', description: 'Indigo' },
+    white: { type: 'color', description: 'Sparkle white' },
+    quality: { type: 'enum', values: ['low', 'medium', 'high'], description: 'Particle count preset' },
+    autoStart: { type: 'boolean', description: 'Start charging immediately' },
+    autoRelease: { type: 'boolean', description: 'Release automatically after holdDuration' },
+    holdDuration: { type: 'number', min: 0, max: 10000, step: 10, unit: 'ms', description: 'Hold time at peak before auto-release' },
+  };
+
   /**
    * @param {PixiContext} ctx - Context from createPixiContext()
    * @param {object} options - Component configuration
@@ -169,14 +469,17 @@ class GoldenStarCharge {
     // 2. Store context references
     this.ticker = ctx.ticker;
     this.classes = ctx.classes;
+    this.random = ctx.random;
     this.create = ctx.create;
     this.gsap = ctx.gsap;
+    this.textures = getTextureCache(ctx);
+    this._ctx = ctx; // for the sparkle emitters
 
     // 3. Store container reference
     this.container = options.container;
 
     // 4. Merge options with defaults
-    this.options = { ...GoldenStarCharge.defaults, ...options };
+    this.options = resolveOptions(GoldenStarCharge, options, { mode: ctx.validation });
 
     // 5. Initialize signals
     this.onPeak = new Signal();
@@ -196,11 +499,14 @@ class GoldenStarCharge {
     // 7. Bound update handler
     this._boundUpdate = null;
 
-    // 8. Track display objects for cleanup
+    // 8. Track display objects and cached textures for cleanup
     this._displayObjects = [];
     this._textures = [];
 
-    // 9. Apply quality settings and setup
+    // 9. Apply quality settings and setup. Counts as configured are kept so
+    //    setQuality() can go back up after stepping down.
+    const { vortexParticleCount, starCount, sparkleCount, bokehCount, rayCount } = this.options;
+    this._configuredCounts = { vortexParticleCount, starCount, sparkleCount, bokehCount, rayCount };
     this._applyQuality();
     this._setup();
 
@@ -217,6 +523,7 @@ class GoldenStarCharge {
 
   _applyQuality() {
     const q = this.options.quality;
+    Object.assign(this.options, this._configuredCounts);
     if (q === 'low') {
       this.options.vortexParticleCount = 18;
       this.options.starCount = 8;
@@ -263,8 +570,7 @@ class GoldenStarCharge {
     this._vortexContainer.blendMode = 'add';
     this._root.addChild(this._vortexContainer);
     this._vortexParticles = [];
-    this._vortexTexture = this._createVortexTexture();
-    this._textures.push(this._vortexTexture);
+    this._vortexTexture = this._acquireTexture('GoldenStarCharge.vortex', {}, bakeVortex);
     this._createVortexParticles();
 
     // === LAYER 5: ORBITING STARS ===
@@ -272,8 +578,7 @@ class GoldenStarCharge {
     this._starsContainer.blendMode = 'add';
     this._root.addChild(this._starsContainer);
     this._stars = [];
-    this._starTexture = this._createStarTexture();
-    this._textures.push(this._starTexture);
+    this._starTexture = this._acquireTexture('GoldenStarCharge.star', {}, bakeStar);
     this._createStars();
 
     // === LAYER 6: GOLDEN CORE (multi-layer) ===
@@ -294,11 +599,7 @@ class GoldenStarCharge {
 
     // === LAYER 7: SPARKLES ===
     this._sparkleContainer = new this.classes.Container();
-    this._sparkleContainer.blendMode = 'add';
     this._root.addChild(this._sparkleContainer);
-    this._sparkles = [];
-    this._sparkleTexture = this._createSparkleTexture();
-    this._textures.push(this._sparkleTexture);
     this._createSparkles();
 
     // === LAYER 8: PULSE RINGS ===
@@ -344,162 +645,45 @@ class GoldenStarCharge {
   // ===== TEXTURE CREATORS =====
 
   _createRadialGlow(size, color, intensity) {
-    const canvas = document.createElement('canvas');
-    canvas.width = size * 2;
-    canvas.height = size * 2;
-    const ctx = canvas.getContext('2d');
-    
-    const r = (color >> 16) & 0xff;
-    const g = (color >> 8) & 0xff;
-    const b = color & 0xff;
-    
-    const gradient = ctx.createRadialGradient(size, size, 0, size, size, size);
-    gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${intensity})`);
-    gradient.addColorStop(0.3, `rgba(${r}, ${g}, ${b}, ${intensity * 0.5})`);
-    gradient.addColorStop(0.6, `rgba(${r}, ${g}, ${b}, ${intensity * 0.2})`);
-    gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, size * 2, size * 2);
-    
-    const texture = this.classes.Texture.from(canvas);
-    this._textures.push(texture);
-    
+    const texture = this._acquireTexture('GoldenStarCharge.radialGlow', { size, color, intensity }, bakeRadialGlow);
     const sprite = new this.classes.Sprite(texture);
     sprite.anchor.set(0.5);
     return sprite;
   }
 
   _createCoreLayer(radius, color, intensity) {
-    const canvas = document.createElement('canvas');
-    const size = radius * 2 + 10;
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-    const cx = size / 2;
-    const cy = size / 2;
-    
-    const r = (color >> 16) & 0xff;
-    const g = (color >> 8) & 0xff;
-    const b = color & 0xff;
-    
-    // Soft glow
-    const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius);
-    gradient.addColorStop(0, `rgba(255, 255, 255, ${intensity})`);
-    gradient.addColorStop(0.3, `rgba(${r}, ${g}, ${b}, ${intensity})`);
-    gradient.addColorStop(0.7, `rgba(${r}, ${g}, ${b}, ${intensity * 0.4})`);
-    gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
-    
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
-    ctx.fill();
-    
-    const texture = this.classes.Texture.from(canvas);
-    this._textures.push(texture);
-    
+    const texture = this._acquireTexture('GoldenStarCharge.coreLayer', { radius, color, intensity }, bakeCoreLayer);
     const sprite = new this.classes.Sprite(texture);
     sprite.anchor.set(0.5);
     return sprite;
   }
 
-  _createVortexTexture() {
-    const canvas = document.createElement('canvas');
-    canvas.width = 40;
-    canvas.height = 10;
-    const ctx = canvas.getContext('2d');
-    
-    const gradient = ctx.createLinearGradient(0, 0, 40, 0);
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
-    gradient.addColorStop(0.2, 'rgba(255, 215, 0, 0.6)');
-    gradient.addColorStop(0.5, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(0.8, 'rgba(255, 165, 0, 0.6)');
-    gradient.addColorStop(1, 'rgba(255, 140, 0, 0)');
-    
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.ellipse(20, 5, 20, 4, 0, 0, Math.PI * 2);
-    ctx.fill();
-    
-    return this.classes.Texture.from(canvas);
-  }
-
-  _createStarTexture() {
-    const canvas = document.createElement('canvas');
-    const size = 32;
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-    const cx = size / 2;
-    const cy = size / 2;
-    
-    // Draw 4-point star
-    ctx.fillStyle = '#ffffff';
-    ctx.beginPath();
-    
-    const outerR = size / 2 - 2;
-    const innerR = outerR * 0.3;
-    const points = 4;
-    
-    for (let i = 0; i < points * 2; i++) {
-      const r = i % 2 === 0 ? outerR : innerR;
-      const angle = (i * Math.PI) / points - Math.PI / 2;
-      const x = cx + Math.cos(angle) * r;
-      const y = cy + Math.sin(angle) * r;
-      if (i === 0) ctx.moveTo(x, y);
-      else ctx.lineTo(x, y);
-    }
-    ctx.closePath();
-    ctx.fill();
-    
-    // Add glow
-    ctx.shadowColor = '#ffd700';
-    ctx.shadowBlur = 8;
-    ctx.fill();
-    
-    return this.classes.Texture.from(canvas);
-  }
-
-  _createSparkleTexture() {
-    const canvas = document.createElement('canvas');
-    const size = 16;
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-    const cx = size / 2;
-    const cy = size / 2;
-    
-    // 4-point sparkle
-    const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, size / 2);
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(0.3, 'rgba(255, 215, 0, 0.8)');
-    gradient.addColorStop(0.6, 'rgba(255, 165, 0, 0.3)');
-    gradient.addColorStop(1, 'rgba(255, 140, 0, 0)');
-    
-    ctx.fillStyle = gradient;
-    ctx.beginPath();
-    ctx.arc(cx, cy, size / 2, 0, Math.PI * 2);
-    ctx.fill();
-    
-    return this.classes.Texture.from(canvas);
+  /**
+   * Takes a texture from the context's cache; _teardownScene() gives it back
+   */
+  _acquireTexture(name, params, bake) {
+    const texture = this.textures.acquire(name, params, bake);
+    this._textures.push(texture);
+    return texture;
   }
 
   _createBokehParticles() {
     const opts = this.options;
     
     for (let i = 0; i < opts.bokehCount; i++) {
-      const size = 20 + Math.random() * 40;
-      const bokeh = this._createRadialGlow(size, 
-        Math.random() > 0.5 ? opts.magenta : opts.purple, 
-        0.2 + Math.random() * 0.2
-      );
+      const size = 20 + this.random.float() * 40;
+      const color = this.random.float() > 0.5 ? opts.magenta : opts.purple;
+      // Intensity in steps of 0.05 keeps this to a handful of shared textures
+      const intensity = Math.round((0.2 + this.random.float() * 0.2) * 20) / 20;
+      const bokeh = this._createRadialGlow(BOKEH_TEXTURE_SIZE, color, intensity);
+      bokeh.scale.set(size / BOKEH_TEXTURE_SIZE);
       
       bokeh._data = {
-        baseX: (Math.random() - 0.5) * opts.maxRadius * 3,
-        baseY: (Math.random() - 0.5) * opts.maxRadius * 3,
-        floatSpeed: 0.5 + Math.random() * 0.5,
-        floatOffset: Math.random() * Math.PI * 2,
-        floatRadius: 10 + Math.random() * 20
+        baseX: (this.random.float() - 0.5) * opts.maxRadius * 3,
+        baseY: (this.random.float() - 0.5) * opts.maxRadius * 3,
+        floatSpeed: 0.5 + this.random.float() * 0.5,
+        floatOffset: this.random.float() * Math.PI * 2,
+        floatRadius: 10 + this.random.float() * 20
       };
       
       bokeh.alpha = 0;
@@ -514,19 +698,19 @@ class GoldenStarCharge {
     for (let i = 0; i < opts.vortexParticleCount; i++) {
       const sprite = new this.classes.Sprite(this._vortexTexture);
       sprite.anchor.set(1, 0.5);
-      sprite.scale.set(0.6 + Math.random() * 0.5, 0.4 + Math.random() * 0.3);
+      sprite.scale.set(0.6 + this.random.float() * 0.5, 0.4 + this.random.float() * 0.3);
       
       // Tint with gold variations
       const tints = [opts.goldLight, opts.goldMid, opts.white];
-      sprite.tint = tints[Math.floor(Math.random() * tints.length)];
+      sprite.tint = this.random.pick(tints);
       sprite.alpha = 0;
       
       sprite._data = {
-        angle: Math.random() * Math.PI * 2,
-        radius: opts.maxRadius * (1.5 + Math.random() * 1.5),
-        speed: 70 + Math.random() * 50,
-        spiralSpeed: 1.2 + Math.random() * 0.8,
-        baseRadius: opts.maxRadius * (1.5 + Math.random() * 1.5)
+        angle: this.random.float() * Math.PI * 2,
+        radius: opts.maxRadius * (1.5 + this.random.float() * 1.5),
+        speed: 70 + this.random.float() * 50,
+        spiralSpeed: 1.2 + this.random.float() * 0.8,
+        baseRadius: opts.maxRadius * (1.5 + this.random.float() * 1.5)
       };
       
       this._vortexParticles.push(sprite);
@@ -540,20 +724,20 @@ class GoldenStarCharge {
     for (let i = 0; i < opts.starCount; i++) {
       const star = new this.classes.Sprite(this._starTexture);
       star.anchor.set(0.5);
-      star.scale.set(0.3 + Math.random() * 0.4);
-      star.tint = Math.random() > 0.3 ? opts.goldLight : opts.white;
+      star.scale.set(0.3 + this.random.float() * 0.4);
+      star.tint = this.random.float() > 0.3 ? opts.goldLight : opts.white;
       star.alpha = 0;
       
       star._data = {
-        orbitRadius: opts.maxRadius * (0.5 + Math.random() * 0.4),
+        orbitRadius: opts.maxRadius * (0.5 + this.random.float() * 0.4),
         orbitAngle: (i / opts.starCount) * Math.PI * 2,
-        orbitSpeed: 0.8 + Math.random() * 0.6,
-        wobble: Math.random() * Math.PI * 2,
-        wobbleSpeed: 2 + Math.random() * 2,
-        wobbleAmp: 5 + Math.random() * 10,
-        twinkleSpeed: 3 + Math.random() * 4,
-        twinkleOffset: Math.random() * Math.PI * 2,
-        baseScale: 0.3 + Math.random() * 0.4
+        orbitSpeed: 0.8 + this.random.float() * 0.6,
+        wobble: this.random.float() * Math.PI * 2,
+        wobbleSpeed: 2 + this.random.float() * 2,
+        wobbleAmp: 5 + this.random.float() * 10,
+        twinkleSpeed: 3 + this.random.float() * 4,
+        twinkleOffset: this.random.float() * Math.PI * 2,
+        baseScale: 0.3 + this.random.float() * 0.4
       };
       
       this._stars.push(star);
@@ -561,29 +745,27 @@ class GoldenStarCharge {
     }
   }
 
+  /**
+   * Sparkle emitters, stepped from _update() so they follow the charge cycle.
+   * Both stay null when sparkleCount is 0.
+   */
   _createSparkles() {
     const opts = this.options;
-    
-    for (let i = 0; i < opts.sparkleCount; i++) {
-      const sparkle = new this.classes.Sprite(this._sparkleTexture);
-      sparkle.anchor.set(0.5);
-      sparkle.scale.set(0.2 + Math.random() * 0.3);
-      sparkle.alpha = 0;
-      sparkle.visible = false;
-      
-      sparkle._data = {
-        active: false,
-        life: 0,
-        maxLife: 200 + Math.random() * 200,
-        x: 0,
-        y: 0,
-        angle: 0,
-        speed: 30 + Math.random() * 40
-      };
-      
-      this._sparkles.push(sparkle);
-      this._sparkleContainer.addChild(sparkle);
-    }
+    this._sparkles = null;
+    this._releaseSparkles = null;
+    if (opts.sparkleCount === 0) return;
+
+    const shared = {
+      maxParticles: opts.sparkleCount,
+      shape: { type: 'circle', radius: opts.maxRadius * 0.8 }
+    };
+    const emitterOptions = {
+      container: this._sparkleContainer,
+      generators: { 'GoldenStarCharge.sparkle': bakeSparkle },
+      autoStart: false
+    };
+    this._sparkles = createParticleEmitter(this._ctx, { ...SPARKLE_CONFIG, ...shared }, emitterOptions);
+    this._releaseSparkles = createParticleEmitter(this._ctx, { ...RELEASE_SPARKLE_CONFIG, ...shared }, emitterOptions);
   }
 
   _createPulseRings() {
@@ -599,26 +781,7 @@ class GoldenStarCharge {
   }
 
   _createPulseRing(radius) {
-    const canvas = document.createElement('canvas');
-    const size = radius * 2 + 30;
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-    const cx = size / 2;
-    const cy = size / 2;
-    
-    // Golden ring with glow
-    ctx.strokeStyle = 'rgba(255, 215, 0, 0.8)';
-    ctx.lineWidth = 3;
-    ctx.shadowColor = '#ffd700';
-    ctx.shadowBlur = 15;
-    ctx.beginPath();
-    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
-    ctx.stroke();
-    
-    const texture = this.classes.Texture.from(canvas);
-    this._textures.push(texture);
-    
+    const texture = this._acquireTexture('GoldenStarCharge.pulseRing', { radius }, bakePulseRing);
     const sprite = new this.classes.Sprite(texture);
     sprite.anchor.set(0.5);
     return sprite;
@@ -636,33 +799,8 @@ class GoldenStarCharge {
   }
 
   _createShockwaveRing() {
-    const opts = this.options;
-    const size = opts.maxRadius * 5;
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-    const cx = size / 2;
-    const cy = size / 2;
-    const outerR = size / 2;
-    const innerR = outerR * 0.88;
-    
-    const gradient = ctx.createRadialGradient(cx, cy, innerR, cx, cy, outerR);
-    gradient.addColorStop(0, 'rgba(255, 215, 0, 0)');
-    gradient.addColorStop(0.3, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(0.5, 'rgba(255, 215, 0, 0.9)');
-    gradient.addColorStop(0.7, 'rgba(255, 165, 0, 0.6)');
-    gradient.addColorStop(1, 'rgba(255, 140, 0, 0)');
-    
-    ctx.beginPath();
-    ctx.arc(cx, cy, outerR, 0, Math.PI * 2);
-    ctx.arc(cx, cy, innerR, 0, Math.PI * 2, true);
-    ctx.fillStyle = gradient;
-    ctx.fill();
-    
-    const texture = this.classes.Texture.from(canvas);
-    this._textures.push(texture);
-    
+    const size = this.options.maxRadius * 5;
+    const texture = this._acquireTexture('GoldenStarCharge.shockwave', { size }, bakeShockwaveRing);
     const sprite = new this.classes.Sprite(texture);
     sprite.anchor.set(0.5);
     return sprite;
@@ -674,7 +812,7 @@ class GoldenStarCharge {
     for (let i = 0; i < opts.rayCount; i++) {
       const ray = this._createRay();
       ray._data = {
-        angle: (i / opts.rayCount) * Math.PI * 2 + (Math.random() - 0.5) * 0.3
+        angle: (i / opts.rayCount) * Math.PI * 2 + (this.random.float() - 0.5) * 0.3
       };
       ray.rotation = ray._data.angle;
       ray.alpha = 0;
@@ -684,41 +822,8 @@ class GoldenStarCharge {
   }
 
   _createRay() {
-    const opts = this.options;
-    const length = opts.maxRadius * 3.5;
-    const canvas = document.createElement('canvas');
-    canvas.width = length;
-    canvas.height = 30;
-    const ctx = canvas.getContext('2d');
-    
-    // Golden ray with fade
-    const gradient = ctx.createLinearGradient(0, 0, length, 0);
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(0.05, 'rgba(255, 215, 0, 1)');
-    gradient.addColorStop(0.3, 'rgba(255, 165, 0, 0.6)');
-    gradient.addColorStop(0.6, 'rgba(255, 140, 0, 0.2)');
-    gradient.addColorStop(1, 'rgba(255, 140, 0, 0)');
-    
-    ctx.fillStyle = gradient;
-    
-    // Tapered ray shape
-    ctx.beginPath();
-    ctx.moveTo(0, 15);
-    ctx.lineTo(length, 13);
-    ctx.lineTo(length, 17);
-    ctx.lineTo(0, 15);
-    ctx.fill();
-    
-    // Glow
-    const glowGradient = ctx.createLinearGradient(0, 0, length * 0.5, 0);
-    glowGradient.addColorStop(0, 'rgba(255, 255, 255, 0.5)');
-    glowGradient.addColorStop(1, 'rgba(255, 215, 0, 0)');
-    ctx.fillStyle = glowGradient;
-    ctx.fillRect(0, 5, length * 0.5, 20);
-    
-    const texture = this.classes.Texture.from(canvas);
-    this._textures.push(texture);
-    
+    const length = this.options.maxRadius * 3.5;
+    const texture = this._acquireTexture('GoldenStarCharge.ray', { length }, bakeRay);
     const sprite = new this.classes.Sprite(texture);
     sprite.anchor.set(0, 0.5);
     return sprite;
@@ -731,14 +836,14 @@ class GoldenStarCharge {
     for (let i = 0; i < count; i++) {
       const star = new this.classes.Sprite(this._starTexture);
       star.anchor.set(0.5);
-      star.scale.set(0.4 + Math.random() * 0.5);
-      star.tint = Math.random() > 0.4 ? opts.goldLight : opts.white;
+      star.scale.set(0.4 + this.random.float() * 0.5);
+      star.tint = this.random.float() > 0.4 ? opts.goldLight : opts.white;
       star.alpha = 0;
       
       star._data = {
-        angle: (i / count) * Math.PI * 2 + (Math.random() - 0.5) * 0.4,
-        speed: 120 + Math.random() * 100,
-        rotSpeed: (Math.random() - 0.5) * 8,
+        angle: (i / count) * Math.PI * 2 + (this.random.float() - 0.5) * 0.4,
+        speed: 120 + this.random.float() * 100,
+        rotSpeed: (this.random.float() - 0.5) * 8,
         x: 0,
         y: 0
       };
@@ -830,15 +935,41 @@ class GoldenStarCharge {
     this.onReleaseComplete.clear();
     this.onDestroy.clear();
 
-    // 4. Destroy textures
-    for (const texture of this._textures) {
-      if (texture && !texture.destroyed) {
-        texture.destroy(true);
-      }
+    // 4. Destroy textures and display objects
+    this._teardownScene();
+  }
+
+  /**
+   * Switch quality tier at runtime. Counts are baked into the scene, so it is
+   * rebuilt in place; a running charge restarts from ignition.
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    if (!isQualityLevel(level)) {
+      throw new Error(`GoldenStarCharge: unknown quality "${level}"`);
     }
-    this._textures = [];
+    if (this._destroyed || level === this.options.quality) return;
+
+    const { x, y } = this._root;
+    const wasRunning = this._running;
+    this.stop();
+    this._teardownScene();
+
+    this.options.quality = level;
+    this._applyQuality();
+    this._setup();
+    this.setPosition(x, y);
+
+    if (wasRunning) this.start();
+  }
+
+  _teardownScene() {
+    // Emitters first: they return their sprites and texture themselves
+    this._sparkles?.destroy();
+    this._releaseSparkles?.destroy();
+    this._sparkles = null;
+    this._releaseSparkles = null;
 
-    // 5. Remove and destroy root container
     if (this._root && this._root.parent) {
       this._root.parent.removeChild(this._root);
     }
@@ -846,12 +977,17 @@ class GoldenStarCharge {
       this._root.destroy({ children: true });
     }
 
+    // Sprites are gone, so the cache may evict these
+    for (const texture of this._textures) {
+      this.textures.release(texture);
+    }
+    this._textures = [];
+
     // Clear references
     this._displayObjects = [];
     this._bokehParticles = [];
     this._vortexParticles = [];
     this._stars = [];
-    this._sparkles = [];
     this._pulseRings = [];
     this._shockwaves = [];
     this._rays = [];
@@ -884,10 +1020,10 @@ class GoldenStarCharge {
       v._data.radius = v._data.baseRadius;
     }
     for (const star of this._stars) star.alpha = 0;
-    for (const sparkle of this._sparkles) {
-      sparkle.alpha = 0;
-      sparkle.visible = false;
-      sparkle._data.active = false;
+    for (const emitter of [this._sparkles, this._releaseSparkles]) {
+      if (!emitter) continue;
+      emitter.rate = 0;
+      emitter.clear();
     }
     for (const ring of this._pulseRings) {
       ring.alpha = 0;
@@ -924,6 +1060,9 @@ class GoldenStarCharge {
     } else {
       this._updateCharge(delta, deltaMs);
     }
+
+    this._sparkles?.update(deltaMs / 1000);
+    this._releaseSparkles?.update(deltaMs / 1000);
   }
 
   _updatePhase() {
@@ -1023,7 +1162,7 @@ class GoldenStarCharge {
       
       if (data.radius < opts.maxRadius * 0.15) {
         data.radius = data.baseRadius;
-        data.angle = Math.random() * Math.PI * 2;
+        data.angle = this.random.float() * Math.PI * 2;
       }
       
       v.x = Math.cos(data.angle) * data.radius;
@@ -1051,32 +1190,9 @@ class GoldenStarCharge {
     }
     
     // === SPARKLES ===
-    const sparkleRate = 0.03 + progress * 0.12;
-    if (Math.random() < sparkleRate) {
-      this._spawnSparkle();
-    }
-    
-    for (const sparkle of this._sparkles) {
-      if (!sparkle._data.active) continue;
-      
-      const data = sparkle._data;
-      data.life -= deltaMs;
-      
-      if (data.life <= 0) {
-        sparkle._data.active = false;
-        sparkle.visible = false;
-        continue;
-      }
-      
-      const lifeRatio = data.life / data.maxLife;
-      sparkle.alpha = lifeRatio * 0.9;
-      sparkle.scale.set(0.3 * lifeRatio + 0.1);
-      
-      // Drift outward slightly
-      data.x += Math.cos(data.angle) * data.speed * deltaSec * 0.3;
-      data.y += Math.sin(data.angle) * data.speed * deltaSec * 0.3;
-      sparkle.x = data.x;
-      sparkle.y = data.y;
+    if (this._sparkles) {
+      // 0.03-0.15 per frame at 60 fps
+      this._sparkles.rate = (0.03 + progress * 0.12) * 60;
     }
     
     // === PULSE RINGS ===
@@ -1095,25 +1211,6 @@ class GoldenStarCharge {
     }
   }
 
-  _spawnSparkle() {
-    const opts = this.options;
-    const sparkle = this._sparkles.find(s => !s._data.active);
-    if (!sparkle) return;
-    
-    const angle = Math.random() * Math.PI * 2;
-    const radius = opts.maxRadius * (0.3 + Math.random() * 0.5);
-    
-    sparkle._data.active = true;
-    sparkle._data.life = sparkle._data.maxLife;
-    sparkle._data.x = Math.cos(angle) * radius;
-    sparkle._data.y = Math.sin(angle) * radius;
-    sparkle._data.angle = angle;
-    sparkle.x = sparkle._data.x;
-    sparkle.y = sparkle._data.y;
-    sparkle.visible = true;
-    sparkle.alpha = 0.8;
-  }
-
   _updateRelease(delta, deltaMs) {
     const progress = this._releaseProgress;
     const easeOut = this._easeOutQuart(progress);
@@ -1198,19 +1295,10 @@ class GoldenStarCharge {
     }
     
     // === SPARKLE BURST ===
-    if (progress < 0.4 && Math.random() < 0.4) {
-      this._spawnSparkle();
-    }
-    
-    for (const sparkle of this._sparkles) {
-      if (sparkle._data.active) {
-        const data = sparkle._data;
-        data.x += Math.cos(data.angle) * 200 * deltaSec;
-        data.y += Math.sin(data.angle) * 200 * deltaSec;
-        sparkle.x = data.x;
-        sparkle.y = data.y;
-        sparkle.alpha *= (1 - progress * 0.02);
-      }
+    if (this._sparkles) {
+      this._sparkles.rate = 0;
+      // 0.4 per frame at 60 fps, over the first 40% of the release
+      this._releaseSparkles.rate = progress < 0.4 ? 24 : 0;
     }
     
     // === ATMOSPHERE FADE ===
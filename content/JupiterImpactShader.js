@@ -13,6 +13,10 @@
  * @param {boolean} [options.autoStart=true] - Start animation immediately
  */
 
+import { resolveOptions } from '../src/core/options';
+import { getQualityProfile } from '../src/core/quality';
+import { createShaderLayer } from '../src/core/shaderLayer';
+
 // ============================================================================
 // VERTEX SHADER (WebGL 1.0 - original)
 // ============================================================================
@@ -683,6 +687,16 @@ const fragmentShaderSource = `
 // ============================================================================
 
 class JupiterImpactShader {
+  /**
+   * Runtime kind for demoRunner: owns its canvas and WebGL context
+   */
+  static runtime = 'standalone-webgl';
+
+  /**
+   * Host requirements: needs WebGL, probed before the canvas is created
+   */
+  static requires = { webgl: ['webgl'] };
+
   /**
    * Default configuration
    */
@@ -693,6 +707,16 @@ class JupiterImpactShader {
     dpr: 1.5, // Max device pixel ratio
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', nullable: true, description: 'Width (null = canvas client width)' },
+    height: { type: 'number', min: 1, unit: 'px', nullable: true, description: 'Height (null = canvas client height)' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+    dpr: { type: 'number', min: 0.5, max: 3, step: 0.25, description: 'Max device pixel ratio' },
+  };
+
   /**
    * @param {Object} options - Configuration options
    */
@@ -706,13 +730,13 @@ class JupiterImpactShader {
     }
 
     // Merge options
-    this.options = { ...JupiterImpactShader.defaults, ...options };
+    this.options = resolveOptions(JupiterImpactShader, options);
     this.ticker = this.options.ticker;
 
     // Internal state
     this._destroyed = false;
+    this._maxDpr = Infinity; // lowered by setQuality()
     this._running = false;
-    this._startTime = 0;
     this._time = 0;
 
     // Mouse position (pixel coordinates)
@@ -845,7 +869,7 @@ class JupiterImpactShader {
    * Resize canvas
    */
   _resize() {
-    const dpr = Math.min(window.devicePixelRatio, this.options.dpr);
+    const dpr = Math.min(window.devicePixelRatio, this.options.dpr, this._maxDpr);
     const width = this.options.width ?? this._canvas.clientWidth ?? window.innerWidth;
     const height = this.options.height ?? this._canvas.clientHeight ?? window.innerHeight;
 
@@ -861,13 +885,13 @@ class JupiterImpactShader {
   /**
    * Update loop - called by ticker
    */
-  _update() {
+  _update(ticker) {
     if (this._destroyed || !this._running) return;
 
     const gl = this._gl;
 
-    // Update time
-    this._time = (performance.now() - this._startTime) * 0.001;
+    // Advance by ticker time so pausing and slow motion apply
+    this._time += ticker.deltaMS * 0.001;
 
     // Update uniforms
     gl.uniform2f(this._uniforms.resolution, this._canvas.width, this._canvas.height);
@@ -885,7 +909,7 @@ class JupiterImpactShader {
     if (this._destroyed || this._running) return this;
 
     this._running = true;
-    this._startTime = performance.now();
+    this._time = 0;
     this.ticker.add(this._boundUpdate);
 
     return this;
@@ -915,6 +939,16 @@ class JupiterImpactShader {
     return this;
   }
 
+  /**
+   * Cap the render resolution for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._maxDpr = getQualityProfile(level).dpr;
+    this._resize();
+    return this;
+  }
+
   /**
    * Resize the effect
    * @param {number} [width] - New width (optional)
@@ -988,9 +1022,182 @@ class JupiterImpactShader {
   }
 }
 
+// ============================================================================
+// PIXI-HOSTED MODE
+// ============================================================================
+
+/**
+ * JupiterImpactShaderLayer - JupiterImpactShader rendered inside the shared PIXI renderer
+ *
+ * Runs the same fragment source through createShaderLayer() (a ctx.classes.Filter
+ * on a full-screen quad), so it can be layered under other PIXI content without
+ * using up a browser WebGL context of its own.
+ *
+ * @example
+ * const background = new JupiterImpactShaderLayer(ctx, { container: app.stage, width: 800, height: 600 });
+ * const star = new GoldenStarCharge(ctx, { container: app.stage, width: 800, height: 600 });
+ *
+ * @param {Object} ctx - PixiContext with classes (Container, Graphics, Filter, GlProgram), ticker
+ * @param {Object} options - Configuration options
+ * @param {PIXI.Container} options.container - Parent container (required)
+ * @param {number} [options.width=800] - Width in CSS pixels
+ * @param {number} [options.height=600] - Height in CSS pixels
+ * @param {boolean} [options.autoStart=true] - Start animation immediately
+ */
+class JupiterImpactShaderLayer {
+  /**
+   * Host requirements: the ctx classes the full-screen filter is built from
+   */
+  static requires = { classes: ['Filter', 'GlProgram'] };
+
+  /**
+   * Default configuration
+   */
+  static defaults = {
+    width: 800,
+    height: 600,
+    autoStart: true,
+    dpr: 1.5, // Max device pixel ratio
+  };
+
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Width in CSS pixels' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Height in CSS pixels' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+    dpr: { type: 'number', min: 0.5, max: 3, step: 0.25, description: 'Max device pixel ratio' },
+  };
+
+  /**
+   * @param {Object} ctx - PixiContext
+   * @param {Object} options - Configuration options
+   */
+  constructor(ctx, options = {}) {
+    // Merge options
+    this.options = resolveOptions(JupiterImpactShaderLayer, options, { mode: ctx?.validation });
+
+    // Mouse position (shader pixel coordinates)
+    this._mouse = { x: 0, y: 0 };
+
+    const uniforms = { u_mouse: { value: new Float32Array(2), type: 'vec2<f32>' } };
+    this._layer = createShaderLayer(ctx, fragmentShaderSource, uniforms, {
+      container: this.options.container,
+      width: this.options.width,
+      height: this.options.height,
+      dpr: this.options.dpr,
+      name: 'JupiterImpactShaderLayer',
+      onUpdate: (values) => {
+        values.u_mouse[0] = this._mouse.x;
+        values.u_mouse[1] = this._mouse.y;
+      },
+      onResize: (_uniforms, width, height) => {
+        // Update mouse to center on resize
+        this._mouse.x = width / 2;
+        this._mouse.y = height / 2;
+      },
+    });
+    this.container = this.options.container;
+
+    // Auto-start if configured
+    if (this.options.autoStart) {
+      this.start();
+    }
+  }
+
+  /**
+   * Start animation
+   */
+  start() {
+    this._layer.start();
+    return this;
+  }
+
+  /**
+   * Stop animation
+   */
+  stop() {
+    this._layer.stop();
+    return this;
+  }
+
+  /**
+   * Set mouse position (pixel coordinates)
+   * @param {number} x - X position in pixels
+   * @param {number} y - Y position in pixels (0 = top, height = bottom)
+   */
+  setMouse(x, y) {
+    // Convert to WebGL coordinates (flip Y)
+    this._mouse.x = x;
+    this._mouse.y = this._layer.uniforms.u_resolution[1] - y;
+    return this;
+  }
+
+  /**
+   * Set mouse position in layer pixels (y down), as scenes forward the pointer
+   * @param {number} x - X position in pixels
+   * @param {number} y - Y position in pixels
+   */
+  setMousePosition(x, y) {
+    // Layer pixels to shader pixels
+    const scale = this._layer.uniforms.u_resolution[0] / this.options.width;
+    return this.setMouse(x * scale, y * scale);
+  }
+
+  /**
+   * Cap the render resolution for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._layer.setQuality(level);
+    return this;
+  }
+
+  /**
+   * Resize the effect
+   * @param {number} [width] - New width (optional)
+   * @param {number} [height] - New height (optional)
+   */
+  resize(width, height) {
+    if (width !== undefined) this.options.width = width;
+    if (height !== undefined) this.options.height = height;
+    this._layer.resize(this.options.width, this.options.height);
+    return this;
+  }
+
+  /**
+   * Get the root display object
+   */
+  get view() {
+    return this._layer.view;
+  }
+
+  /**
+   * Get current time
+   */
+  get time() {
+    return this._layer.time;
+  }
+
+  /**
+   * Get running state
+   */
+  get isRunning() {
+    return this._layer.isRunning;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this._layer.destroy();
+  }
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
 
-export { JupiterImpactShader, vertexShaderSource, fragmentShaderSource };
+export { JupiterImpactShader, JupiterImpactShaderLayer, vertexShaderSource, fragmentShaderSource };
 export default JupiterImpactShader;
@@ -10,6 +10,10 @@
  * colony.start();
  */
 
+import { resolveOptions } from '../src/core/options';
+import { createPixiContext } from '../src/core/pixiContext';
+import { isQualityLevel, scaleCount } from '../src/core/quality';
+
 // ============================================================================
 // HELPER: RGB to Hex
 // ============================================================================
@@ -38,6 +42,22 @@ class MarsColony {
     rockCount: 25,
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Scene width' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Scene height' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+    starCount: { type: 'integer', min: 0, max: 1000, description: 'Sky stars' },
+    groundDustCount: { type: 'integer', min: 0, max: 500, description: 'Ground dust particles' },
+    airDustCount: { type: 'integer', min: 0, max: 500, description: 'Airborne dust particles' },
+    backgroundRobotCount: { type: 'integer', min: 0, max: 12, description: 'Robots in the background row' },
+    midgroundRobotCount: { type: 'integer', min: 0, max: 12, description: 'Robots in the midground row' },
+    foregroundRobotCount: { type: 'integer', min: 0, max: 12, description: 'Robots in the foreground row' },
+    rockCount: { type: 'integer', min: 0, max: 200, description: 'Scattered rocks' },
+  };
+
   /**
    * @param {PixiContext} ctx - PixiContext with classes, ticker, gsap
    * @param {Object} options - Configuration options
@@ -53,12 +73,13 @@ class MarsColony {
 
     // Store context references
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this.classes = ctx.classes;
     this.create = ctx.create;
     this.gsap = ctx.gsap;
 
     // Merge options
-    this.options = { ...MarsColony.defaults, ...options };
+    this.options = resolveOptions(MarsColony, options, { mode: ctx.validation });
 
     // Validate required options
     if (!this.options.container) {
@@ -69,6 +90,7 @@ class MarsColony {
     this._destroyed = false;
     this._running = false;
     this._time = 0;
+    this._quality = 'high'; // kept across rebuilds, see setQuality()
 
     // Bind update method
     this._boundUpdate = this._update.bind(this);
@@ -142,18 +164,18 @@ class MarsColony {
 
     for (let i = 0; i < starCount; i++) {
       const star = new this.classes.Graphics();
-      const size = Math.random() * 2 + 0.5;
-      const alpha = Math.random() * 0.6 + 0.2;
+      const size = this.random.float() * 2 + 0.5;
+      const alpha = this.random.float() * 0.6 + 0.2;
 
       star.circle(0, 0, size);
       star.fill({ color: 0xffffff, alpha });
 
-      star.x = Math.random() * width;
-      star.y = Math.random() * height * 0.4;
+      star.x = this.random.float() * width;
+      star.y = this.random.float() * height * 0.4;
 
       // Store animation data
-      star._twinkleSpeed = Math.random() * 0.02 + 0.01;
-      star._twinkleOffset = Math.random() * Math.PI * 2;
+      star._twinkleSpeed = this.random.float() * 0.02 + 0.01;
+      star._twinkleOffset = this.random.float() * Math.PI * 2;
       star._baseAlpha = alpha;
 
       starsContainer.addChild(star);
@@ -197,19 +219,19 @@ class MarsColony {
 
     for (let i = 0; i < airDustCount; i++) {
       const particle = new this.classes.Graphics();
-      const size = Math.random() * 2 + 0.5;
-      const alpha = Math.random() * 0.2 + 0.05;
+      const size = this.random.float() * 2 + 0.5;
+      const alpha = this.random.float() * 0.2 + 0.05;
 
       particle.circle(0, 0, size);
       particle.fill({ color: 0xffaa77, alpha });
 
-      particle.x = Math.random() * width;
-      particle.y = Math.random() * height * 0.6;
+      particle.x = this.random.float() * width;
+      particle.y = this.random.float() * height * 0.6;
 
       // Store animation data
-      particle._vx = Math.random() * 0.3 + 0.1;
-      particle._vy = Math.sin(Math.random() * Math.PI) * 0.1;
-      particle._floatOffset = Math.random() * Math.PI * 2;
+      particle._vx = this.random.float() * 0.3 + 0.1;
+      particle._vy = Math.sin(this.random.float() * Math.PI) * 0.1;
+      particle._floatOffset = this.random.float() * Math.PI * 2;
 
       airDustContainer.addChild(particle);
       this._airDust.push(particle);
@@ -257,7 +279,7 @@ class MarsColony {
     const ground = new this.classes.Graphics();
     ground.moveTo(0, groundY + 60);
     for (let x = 0; x <= width; x += 20) {
-      const y = groundY + 60 + Math.sin(x * 0.02) * 10 + Math.random() * 5;
+      const y = groundY + 60 + Math.sin(x * 0.02) * 10 + this.random.float() * 5;
       ground.lineTo(x, y);
     }
     ground.lineTo(width, height);
@@ -269,10 +291,10 @@ class MarsColony {
     // Add rocks
     for (let i = 0; i < rockCount; i++) {
       const rock = new this.classes.Graphics();
-      const rockX = Math.random() * width;
-      const rockY = groundY + 70 + Math.random() * (height - groundY - 100);
-      const rockSize = 5 + Math.random() * 25;
-      const shade = Math.random() * 0.3;
+      const rockX = this.random.float() * width;
+      const rockY = groundY + 70 + this.random.float() * (height - groundY - 100);
+      const rockSize = 5 + this.random.float() * 25;
+      const shade = this.random.float() * 0.3;
 
       rock.moveTo(0, 0);
       rock.lineTo(rockSize * 0.6, -rockSize * 0.4);
@@ -301,18 +323,18 @@ class MarsColony {
 
     for (let i = 0; i < groundDustCount; i++) {
       const particle = new this.classes.Graphics();
-      const size = Math.random() * 3 + 1;
-      const alpha = Math.random() * 0.5 + 0.1;
+      const size = this.random.float() * 3 + 1;
+      const alpha = this.random.float() * 0.5 + 0.1;
 
       particle.circle(0, 0, size);
       particle.fill({ color: 0xcc8866, alpha });
 
-      particle.x = Math.random() * width;
-      particle.y = groundY + Math.random() * (height - groundY);
+      particle.x = this.random.float() * width;
+      particle.y = groundY + this.random.float() * (height - groundY);
 
       // Store animation data
-      particle._vx = Math.random() * 0.5 + 0.2;
-      particle._vy = Math.random() * 0.3 - 0.15;
+      particle._vx = this.random.float() * 0.5 + 0.2;
+      particle._vy = this.random.float() * 0.3 - 0.15;
       particle._baseAlpha = alpha;
 
       dustContainer.addChild(particle);
@@ -506,11 +528,11 @@ class MarsColony {
     // Background robots (smaller, farther)
     for (let i = 0; i < backgroundRobotCount; i++) {
       const robot = this._createRobot(0.4);
-      robot.x = 100 + i * 250 + Math.random() * 100;
+      robot.x = 100 + i * 250 + this.random.float() * 100;
       robot.y = groundY + 20;
-      robot._walkSpeed = 0.3 + Math.random() * 0.2;
-      robot._walkPhase = Math.random() * Math.PI * 2;
-      robot._direction = Math.random() > 0.5 ? 1 : -1;
+      robot._walkSpeed = 0.3 + this.random.float() * 0.2;
+      robot._walkPhase = this.random.float() * Math.PI * 2;
+      robot._direction = this.random.float() > 0.5 ? 1 : -1;
       robot.scale.x = robot._direction * 0.4;
       robot.alpha = 0.6;
       robot._baseY = robot.y;
@@ -521,11 +543,11 @@ class MarsColony {
     // Mid-ground robots
     for (let i = 0; i < midgroundRobotCount; i++) {
       const robot = this._createRobot(0.7);
-      robot.x = 150 + i * 300 + Math.random() * 150;
+      robot.x = 150 + i * 300 + this.random.float() * 150;
       robot.y = groundY + 70;
-      robot._walkSpeed = 0.5 + Math.random() * 0.3;
-      robot._walkPhase = Math.random() * Math.PI * 2;
-      robot._direction = Math.random() > 0.5 ? 1 : -1;
+      robot._walkSpeed = 0.5 + this.random.float() * 0.3;
+      robot._walkPhase = this.random.float() * Math.PI * 2;
+      robot._direction = this.random.float() > 0.5 ? 1 : -1;
       robot.scale.x = robot._direction * 0.7;
       robot.alpha = 0.85;
       robot._baseY = robot.y;
@@ -536,11 +558,11 @@ class MarsColony {
     // Foreground robots (larger, closer)
     for (let i = 0; i < foregroundRobotCount; i++) {
       const robot = this._createRobot(1.0);
-      robot.x = 100 + i * 350 + Math.random() * 200;
+      robot.x = 100 + i * 350 + this.random.float() * 200;
       robot.y = groundY + 140;
-      robot._walkSpeed = 0.8 + Math.random() * 0.4;
-      robot._walkPhase = Math.random() * Math.PI * 2;
-      robot._direction = Math.random() > 0.5 ? 1 : -1;
+      robot._walkSpeed = 0.8 + this.random.float() * 0.4;
+      robot._walkPhase = this.random.float() * Math.PI * 2;
+      robot._direction = this.random.float() > 0.5 ? 1 : -1;
       robot.scale.x = robot._direction * 1.0;
       robot._baseY = robot.y;
       this._robots.push(robot);
@@ -562,6 +584,7 @@ class MarsColony {
 
     // Animate stars twinkling
     for (const star of this._stars) {
+      if (!star.visible) continue; // thinned out by setQuality()
       star.alpha = 0.3 + Math.sin(this._time * star._twinkleSpeed * 60 + star._twinkleOffset) * 0.3;
     }
 
@@ -600,6 +623,7 @@ class MarsColony {
 
     // Animate ground dust
     for (const particle of this._groundDust) {
+      if (!particle.visible) continue; // thinned out by setQuality()
       particle.x += particle._vx * delta;
       particle.y += particle._vy * delta + Math.sin(this._time * 2 + particle.x * 0.01) * 0.2;
       particle.alpha = particle._baseAlpha * (0.7 + Math.sin(this._time + particle.x * 0.05) * 0.3);
@@ -611,12 +635,13 @@ class MarsColony {
 
     // Animate air dust
     for (const particle of this._airDust) {
+      if (!particle.visible) continue; // thinned out by setQuality()
       particle.x += particle._vx * delta;
       particle.y += Math.sin(this._time + particle._floatOffset) * 0.2;
 
       if (particle.x > width + 10) {
         particle.x = -10;
-        particle.y = Math.random() * height * 0.6;
+        particle.y = this.random.float() * height * 0.6;
       }
     }
   }
@@ -662,10 +687,38 @@ class MarsColony {
     this._airDust = [];
     this._robots = [];
     this._setup();
+    this._applyQuality();
 
     return this;
   }
 
+  /**
+   * Thin out stars and dust for a quality tier. Robots, rocks and terrain
+   * make up the scene and stay as they are.
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    if (!isQualityLevel(level)) {
+      throw new Error(`MarsColony: unknown quality "${level}"`);
+    }
+    this._quality = level;
+    this._applyQuality();
+
+    return this;
+  }
+
+  /**
+   * Show the share of each particle list the current quality allows
+   */
+  _applyQuality() {
+    for (const list of [this._stars, this._groundDust, this._airDust]) {
+      const visibleCount = scaleCount(list.length, this._quality);
+      list.forEach((item, i) => {
+        item.visible = i < visibleCount;
+      });
+    }
+  }
+
   /**
    * Destroy internal contents without destroying the component
    */
@@ -728,62 +781,6 @@ class MarsColony {
   }
 }
 
-// ============================================================================
-// PIXI CONTEXT FACTORY (for standalone usage)
-// ============================================================================
-
-/**
- * Creates a PixiContext for dependency injection
- * @param {Object} pixiModule - PIXI namespace
- * @param {Object} gsapModule - { gsap, PixiPlugin }
- * @param {Object} app - PIXI Application
- * @returns {Object} PixiContext
- */
-function createPixiContext(pixiModule, gsapModule, app) {
-  if (!pixiModule) {
-    throw new Error('createPixiContext: pixiModule is required');
-  }
-  if (!app?.stage) {
-    throw new Error('createPixiContext: app with stage is required');
-  }
-
-  // Register PixiPlugin if available
-  const gsap = gsapModule?.gsap;
-  const PixiPlugin = gsapModule?.PixiPlugin;
-  if (gsap && PixiPlugin) {
-    gsap.registerPlugin(PixiPlugin);
-    PixiPlugin.registerPIXI(pixiModule);
-  }
-
-  return Object.freeze({
-    app,
-    stage: app.stage,
-    ticker: app.ticker,
-    renderer: app.renderer,
-    gsap: gsap || null,
-    classes: Object.freeze({
-      Container: pixiModule.Container,
-      Graphics: pixiModule.Graphics,
-      Sprite: pixiModule.Sprite,
-      Text: pixiModule.Text,
-      TilingSprite: pixiModule.TilingSprite,
-      Point: pixiModule.Point,
-      Rectangle: pixiModule.Rectangle,
-      BlurFilter: pixiModule.BlurFilter,
-      ColorMatrixFilter: pixiModule.ColorMatrixFilter,
-      Filter: pixiModule.Filter,
-      GlProgram: pixiModule.GlProgram,
-      Geometry: pixiModule.Geometry,
-      Mesh: pixiModule.Mesh,
-    }),
-    create: Object.freeze({
-      container: () => new pixiModule.Container(),
-      graphics: () => new pixiModule.Graphics(),
-      point: (x = 0, y = 0) => new pixiModule.Point(x, y),
-    }),
-  });
-}
-
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -20,7 +20,84 @@
  * });
  * effect.start();
  */
+
+import { resolveOptions } from '../src/core/options';
+import { createParticleEmitter } from '../src/core/particleEmitter';
+import { scaleCount } from '../src/core/quality';
+import { getTextureCache } from '../src/core/textureCache';
+
+// ============================================================================
+// TEXTURES
+// ============================================================================
+
+/**
+ * Radial gradient on a square canvas; stops are [offset, css color] pairs
+ */
+function bakeGradientDot(classes, size, stops) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  
+  const half = size / 2;
+  const gradient = ctx.createRadialGradient(half, half, 0, half, half, half);
+  for (const [offset, color] of stops) gradient.addColorStop(offset, color);
+  
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, size, size);
+  return classes.Texture.from(canvas);
+}
+
+/** Small glowing point for orbiting particles */
+function bakeParticle({ classes }, { size }) {
+  return bakeGradientDot(classes, size, [
+    [0, 'rgba(255, 255, 255, 1)'],
+    [0.3, 'rgba(255, 255, 255, 0.8)'],
+    [0.6, 'rgba(200, 200, 255, 0.3)'],
+    [1, 'rgba(100, 100, 255, 0)'],
+  ]);
+}
+
+/** Warm spark for collisions */
+function bakeSpark({ classes }, { size }) {
+  return bakeGradientDot(classes, size, [
+    [0, 'rgba(255, 255, 255, 1)'],
+    [0.5, 'rgba(255, 200, 100, 0.6)'],
+    [1, 'rgba(255, 100, 50, 0)'],
+  ]);
+}
+
+// ============================================================================
+// SPARKS
+// ============================================================================
+
+// Collision sparks, tinted per burst with the colliding particles' colors.
+// Rates are per second (the effect was tuned per 60 fps frame).
+const SPARK_CONFIG = {
+  maxParticles: 50,
+  texture: { type: 'generator', name: 'QuantumColliderEffect.spark', params: { size: 16 } },
+  blendMode: 'add',
+  lifetime: 0.5,
+  speed: [120, 360],
+  size: [0.3, 0.7],
+  scale: [{ time: 0, value: 1 }, { time: 1, value: 0.55 }], // 0.98 per frame
+  alpha: [{ time: 0, value: 1 }, { time: 1, value: 0 }],
+  forces: [{ type: 'drag', amount: 0.95 }], // 0.95 per frame
+};
+
+// ============================================================================
+// QUANTUM COLLIDER EFFECT
+// ============================================================================
+
 class QuantumColliderEffect {
+  /**
+   * Lifecycle descriptor for demoRunner.
+   * Exposes collide() as a demo action.
+   */
+  static lifecycle = {
+    actions: [{ label: 'Collide', method: 'collide', args: [1], shortcut: 'c', description: 'Collision burst at center' }]
+  };
+
   /**
    * Static defaults for option merging.
    * Note: centerX, centerY, and orbit radii are calculated from width/height if not provided.
@@ -44,6 +121,27 @@ class QuantumColliderEffect {
     accelerationCurve: 'ease', // 'linear' or 'ease' (ease-in-out)
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Effect bounds width (used to calculate center)' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Effect bounds height (used to calculate center)' },
+    singularityRadius: { type: 'number', min: 0, unit: 'px', nullable: true, description: 'Radius of central void (null = minDimension × 0.04)' },
+    particleCount: { type: 'integer', min: 0, max: 500, description: 'Orbiting particles' },
+    minOrbitRadius: { type: 'number', min: 0, unit: 'px', nullable: true, description: 'Minimum orbital distance (null = minDimension × 0.08)' },
+    maxOrbitRadius: { type: 'number', min: 0, unit: 'px', nullable: true, description: 'Maximum orbital distance (null = minDimension × 0.4)' },
+    baseSpeed: { type: 'number', min: 0, max: 0.2, step: 0.001, unit: 'rad/frame', description: 'Base orbital speed' },
+    trailLength: { type: 'integer', min: 0, max: 100, description: 'Trail segments per particle' },
+    ringCount: { type: 'integer', min: 0, max: 12, description: 'Energy rings' },
+    collisionsEnabled: { type: 'boolean', description: 'Enable collision sparks' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+    minSpeedMultiplier: { type: 'number', min: 0, max: 1, step: 0.01, unit: '×', description: 'Starting speed (fraction of baseSpeed)' },
+    maxSpeedMultiplier: { type: 'number', min: 0.1, max: 5, step: 0.1, unit: '×', description: 'Maximum speed (multiple of baseSpeed)' },
+    accelerationRate: { type: 'number', min: 0, max: 0.05, step: 0.0001, description: 'Ramp progress per frame' },
+    accelerationCurve: { type: 'enum', values: ['linear', 'ease'], description: 'Speed ramp curve' },
+  };
+
   /**
    * @param {PixiContext} ctx - Context from createPixiContext()
    * @param {Object} options - Configuration options
@@ -74,13 +172,16 @@ class QuantumColliderEffect {
 
     // Store context references
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this.classes = ctx.classes;
+    this.textures = getTextureCache(ctx);
+    this._ctx = ctx; // for the spark emitter
 
     // Store container
     this.container = options.container;
 
     // Merge options with defaults
-    this.options = { ...QuantumColliderEffect.defaults, ...options };
+    this.options = resolveOptions(QuantumColliderEffect, options, { mode: ctx.validation });
 
     // Calculate center and radii from dimensions if not explicitly provided
     const width = this.options.width;
@@ -128,8 +229,7 @@ class QuantumColliderEffect {
     // Storage
     this._displayObjects = [];
     this._particles = [];
-    this._sparks = [];
-    this._sparkPool = [];
+    this._sparks = null; // particle emitter, see SPARK_CONFIG
     
     // Reusable buffers (zero GC)
     this._collisionPairs = [];
@@ -188,17 +288,18 @@ class QuantumColliderEffect {
     // Create central singularity
     this._createSingularity();
     
-    // Create particle texture
-    this._particleTexture = this._createParticleTexture();
-    
-    // Create spark texture
-    this._sparkTexture = this._createSparkTexture();
+    // Particle texture, shared through the context's cache
+    this._particleTexture = this.textures.acquire('QuantumColliderEffect.particle', { size: 32 }, bakeParticle);
     
     // Create particles
     this._createParticles(particleCount);
     
-    // Create spark pool
-    this._createSparkPool(50);
+    // Collision sparks; stepped while the effect runs
+    this._sparks = createParticleEmitter(this._ctx, SPARK_CONFIG, {
+      container: this._sparkContainer,
+      generators: { 'QuantumColliderEffect.spark': bakeSpark },
+      autoStart: false
+    });
   }
   
   /**
@@ -268,59 +369,6 @@ class QuantumColliderEffect {
     this._coreContainer.addChild(core);
   }
   
-  /**
-   * Create particle texture (small glowing point)
-   * @returns {PIXI.Texture}
-   */
-  _createParticleTexture() {
-    const canvas = document.createElement('canvas');
-    canvas.width = 32;
-    canvas.height = 32;
-    const ctx = canvas.getContext('2d');
-    
-    const gradient = ctx.createRadialGradient(16, 16, 0, 16, 16, 16);
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(0.3, 'rgba(255, 255, 255, 0.8)');
-    gradient.addColorStop(0.6, 'rgba(200, 200, 255, 0.3)');
-    gradient.addColorStop(1, 'rgba(100, 100, 255, 0)');
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, 32, 32);
-    
-    // Use classes.Texture if available, otherwise fall back
-    if (this.classes.Texture?.from) {
-      return this.classes.Texture.from(canvas);
-    }
-    // Fallback for environments where Texture.from is static
-    return PIXI.Texture.from(canvas);
-  }
-  
-  /**
-   * Create spark texture for collisions
-   * @returns {PIXI.Texture}
-   */
-  _createSparkTexture() {
-    const canvas = document.createElement('canvas');
-    canvas.width = 16;
-    canvas.height = 16;
-    const ctx = canvas.getContext('2d');
-    
-    const gradient = ctx.createRadialGradient(8, 8, 0, 8, 8, 8);
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(0.5, 'rgba(255, 200, 100, 0.6)');
-    gradient.addColorStop(1, 'rgba(255, 100, 50, 0)');
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, 16, 16);
-    
-    // Use classes.Texture if available, otherwise fall back
-    if (this.classes.Texture?.from) {
-      return this.classes.Texture.from(canvas);
-    }
-    // Fallback for environments where Texture.from is static
-    return PIXI.Texture.from(canvas);
-  }
-  
   /**
    * Create orbiting particles
    * @param {number} count
@@ -330,7 +378,7 @@ class QuantumColliderEffect {
     
     for (let i = 0; i < count; i++) {
       // Select random particle type
-      const type = this.particleTypes[Math.floor(Math.random() * this.particleTypes.length)];
+      const type = this.random.pick(this.particleTypes);
       
       // Create sprite using ctx.classes
       const sprite = new this.classes.Sprite(this._particleTexture);
@@ -340,14 +388,14 @@ class QuantumColliderEffect {
       sprite.scale.set(0.3 * type.size);
       
       // Orbital parameters
-      const orbitRadius = minOrbitRadius + Math.random() * (maxOrbitRadius - minOrbitRadius);
-      const angle = Math.random() * Math.PI * 2;
-      const direction = Math.random() > 0.5 ? 1 : -1;
+      const orbitRadius = minOrbitRadius + this.random.float() * (maxOrbitRadius - minOrbitRadius);
+      const angle = this.random.float() * Math.PI * 2;
+      const direction = this.random.float() > 0.5 ? 1 : -1;
       
       // Calculate initial position
-      const helixPhase = Math.random() * Math.PI * 2;
-      const helixAmplitude = 5 + Math.random() * 15;
-      const helixFrequency = 3 + Math.random() * 5;
+      const helixPhase = this.random.float() * Math.PI * 2;
+      const helixAmplitude = 5 + this.random.float() * 15;
+      const helixFrequency = 3 + this.random.float() * 5;
       const helixOffset = Math.sin(angle * helixFrequency + helixPhase) * helixAmplitude;
       const effectiveRadius = orbitRadius + helixOffset;
       const initX = this.options.centerX + Math.cos(angle) * effectiveRadius;
@@ -368,7 +416,7 @@ class QuantumColliderEffect {
         helixFrequency: helixFrequency,
         trail: new Array(trailLength).fill(null).map(() => ({ x: initX, y: initY, active: false })),
         trailIndex: 0,
-        baseAlpha: 0.7 + Math.random() * 0.3
+        baseAlpha: 0.7 + this.random.float() * 0.3
       };
 
       this._particleContainer.addChild(sprite);
@@ -376,69 +424,6 @@ class QuantumColliderEffect {
     }
   }
   
-  /**
-   * Create spark pool for collision effects
-   * @param {number} count
-   */
-  _createSparkPool(count) {
-    for (let i = 0; i < count; i++) {
-      const spark = new this.classes.Sprite(this._sparkTexture);
-      spark.anchor.set(0.5);
-      spark.blendMode = 'add';
-      spark.visible = false;
-      spark.scale.set(0.5);
-      
-      spark._spark = {
-        vx: 0,
-        vy: 0,
-        life: 0,
-        maxLife: 30,
-        active: false
-      };
-      
-      this._sparkContainer.addChild(spark);
-      this._sparkPool.push(spark);
-    }
-  }
-  
-  /**
-   * Spawn a spark at position
-   * @param {number} x
-   * @param {number} y
-   * @param {number} color
-   */
-  _spawnSpark(x, y, color) {
-    // Find inactive spark
-    let spark = null;
-    for (const s of this._sparkPool) {
-      if (!s._spark.active) {
-        spark = s;
-        break;
-      }
-    }
-    
-    if (!spark) return;
-    
-    const data = spark._spark;
-    data.active = true;
-    data.life = data.maxLife;
-    
-    // Random velocity
-    const angle = Math.random() * Math.PI * 2;
-    const speed = 2 + Math.random() * 4;
-    data.vx = Math.cos(angle) * speed;
-    data.vy = Math.sin(angle) * speed;
-    
-    spark.x = x;
-    spark.y = y;
-    spark.alpha = 1;
-    spark.scale.set(0.3 + Math.random() * 0.4);
-    spark.tint = color;
-    spark.visible = true;
-    
-    this._sparks.push(spark);
-  }
-  
   /**
    * Create collision burst
    * @param {number} x
@@ -447,17 +432,14 @@ class QuantumColliderEffect {
    * @param {number} color2
    */
   _createCollisionBurst(x, y, color1, color2) {
-    const sparkCount = 8 + Math.floor(Math.random() * 8);
+    const sparkCount = 8 + this.random.int(0, 7);
+    const firstCount = this.random.int(0, sparkCount);
     
-    for (let i = 0; i < sparkCount; i++) {
-      const color = Math.random() > 0.5 ? color1 : color2;
-      this._spawnSpark(x, y, color);
-    }
+    this._sparks.burst(firstCount, { x, y, color: color1 });
+    this._sparks.burst(sparkCount - firstCount, { x, y, color: color2 });
     
     // Also spawn white sparks
-    for (let i = 0; i < 3; i++) {
-      this._spawnSpark(x, y, 0xFFFFFF);
-    }
+    this._sparks.burst(3, { x, y, color: 0xFFFFFF });
   }
   
   /**
@@ -472,15 +454,17 @@ class QuantumColliderEffect {
     
     // Only check subset each frame for performance
     const checkCount = Math.min(20, len);
-    const startIdx = Math.floor(Math.random() * len);
+    const startIdx = Math.floor(this.random.float() * len);
     
     for (let i = 0; i < checkCount; i++) {
       const idx1 = (startIdx + i) % len;
       const p1 = particles[idx1];
+      if (!p1.visible) continue;
       
       for (let j = i + 1; j < checkCount; j++) {
         const idx2 = (startIdx + j) % len;
         const p2 = particles[idx2];
+        if (!p2.visible) continue;
         
         const dx = p1.x - p2.x;
         const dy = p1.y - p2.y;
@@ -545,6 +529,7 @@ class QuantumColliderEffect {
     const { centerX, centerY } = this.options;
 
     for (const sprite of this._particles) {
+      if (!sprite.visible) continue; // thinned out by setQuality()
       const p = sprite._particle;
 
       // Update orbital angle with current speed multiplier
@@ -584,6 +569,7 @@ class QuantumColliderEffect {
     g.clear();
     
     for (const sprite of this._particles) {
+      if (!sprite.visible) continue;
       const p = sprite._particle;
       const trail = p.trail;
       const color = p.type.color;
@@ -611,39 +597,6 @@ class QuantumColliderEffect {
     }
   }
   
-  /**
-   * Update sparks
-   * @param {number} delta
-   */
-  _updateSparks(delta) {
-    for (let i = this._sparks.length - 1; i >= 0; i--) {
-      const spark = this._sparks[i];
-      const data = spark._spark;
-      
-      data.life -= delta;
-      
-      if (data.life <= 0) {
-        // Return to pool
-        spark.visible = false;
-        data.active = false;
-        this._sparks.splice(i, 1);
-        continue;
-      }
-      
-      // Update position
-      spark.x += data.vx * delta;
-      spark.y += data.vy * delta;
-      
-      // Slow down
-      data.vx *= 0.95;
-      data.vy *= 0.95;
-      
-      // Fade out
-      spark.alpha = data.life / data.maxLife;
-      spark.scale.set(spark.scale.x * 0.98);
-    }
-  }
-  
   /**
    * Animate energy rings
    * @param {number} delta
@@ -673,6 +626,7 @@ class QuantumColliderEffect {
     
     this._boundUpdate = this._boundUpdate || this._update.bind(this);
     this.ticker.add(this._boundUpdate);
+    this._sparks.start();
     
     return this;
   }
@@ -702,9 +656,6 @@ class QuantumColliderEffect {
       this._lastCollisionCheck = 0;
     }
 
-    // Update sparks
-    this._updateSparks(delta);
-
     // Animate rings
     this._animateRings(delta);
   }
@@ -719,6 +670,7 @@ class QuantumColliderEffect {
     if (this._boundUpdate) {
       this.ticker.remove(this._boundUpdate);
     }
+    this._sparks.stop();
     
     return this;
   }
@@ -737,16 +689,12 @@ class QuantumColliderEffect {
     // Reset all particles
     for (const sprite of this._particles) {
       const p = sprite._particle;
-      p.angle = Math.random() * Math.PI * 2;
+      p.angle = this.random.float() * Math.PI * 2;
       p.trail.forEach(t => t.active = false);
     }
 
     // Clear sparks
-    for (const spark of this._sparks) {
-      spark.visible = false;
-      spark._spark.active = false;
-    }
-    this._sparks = [];
+    this._sparks.clear();
 
     this.start();
 
@@ -763,21 +711,21 @@ class QuantumColliderEffect {
     
     // Spawn many sparks
     for (let i = 0; i < sparkCount; i++) {
-      const type = this.particleTypes[Math.floor(Math.random() * this.particleTypes.length)];
-      this._spawnSpark(
-        centerX + (Math.random() - 0.5) * 20,
-        centerY + (Math.random() - 0.5) * 20,
-        type.color
-      );
+      const type = this.random.pick(this.particleTypes);
+      this._sparks.burst(1, {
+        x: centerX + (this.random.float() - 0.5) * 20,
+        y: centerY + (this.random.float() - 0.5) * 20,
+        color: type.color
+      });
     }
     
     // Also white sparks
     for (let i = 0; i < Math.floor(15 * intensity); i++) {
-      this._spawnSpark(
-        centerX + (Math.random() - 0.5) * 30,
-        centerY + (Math.random() - 0.5) * 30,
-        0xFFFFFF
-      );
+      this._sparks.burst(1, {
+        x: centerX + (this.random.float() - 0.5) * 30,
+        y: centerY + (this.random.float() - 0.5) * 30,
+        color: 0xFFFFFF
+      });
     }
     
     return this;
@@ -808,7 +756,24 @@ class QuantumColliderEffect {
     this.options.collisionsEnabled = enabled;
     return this;
   }
-  
+
+  /**
+   * Thin out orbiting particles and their trails for a quality tier. Hidden
+   * particles stay parked and rejoin with a fresh trail.
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    const visibleCount = scaleCount(this._particles.length, level);
+    this._particles.forEach((sprite, i) => {
+      const visible = i < visibleCount;
+      if (visible && !sprite.visible) {
+        for (const point of sprite._particle.trail) point.active = false;
+      }
+      sprite.visible = visible;
+    });
+    return this;
+  }
+
   /**
    * Resize the effect
    * @param {number} width
@@ -900,13 +865,9 @@ class QuantumColliderEffect {
     }
     this._particles = [];
     
-    // Destroy sparks
-    for (const spark of this._sparkPool) {
-      if (spark.parent) spark.parent.removeChild(spark);
-      spark.destroy();
-    }
-    this._sparkPool = [];
-    this._sparks = [];
+    // Destroy sparks (the emitter returns its texture to the cache)
+    this._sparks.destroy();
+    this._sparks = null;
     
     // Destroy containers
     for (const obj of this._displayObjects) {
@@ -915,21 +876,17 @@ class QuantumColliderEffect {
     }
     this._displayObjects = [];
     
-    // Destroy textures
+    // Return textures to the cache
     if (this._particleTexture) {
-      this._particleTexture.destroy(true);
+      this.textures.release(this._particleTexture);
       this._particleTexture = null;
     }
-    if (this._sparkTexture) {
-      this._sparkTexture.destroy(true);
-      this._sparkTexture = null;
-    }
   }
   
   // Getters
   get running() { return this._running; }
   get particleCount() { return this._particles.length; }
-  get sparkCount() { return this._sparks.length; }
+  get sparkCount() { return this._sparks?.count ?? 0; }
 }
 
 // ============================================================================
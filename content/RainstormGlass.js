@@ -20,6 +20,9 @@
  * });
  */
 
+import { resolveOptions } from '../src/core/options';
+import { getQualityProfile, scaleCount } from '../src/core/quality';
+
 // =============================================================================
 // RAINDROP DATA CLASS
 // =============================================================================
@@ -83,15 +86,54 @@ const DEFAULTS = {
   autoStart: false
 };
 
+// Blur passes on the background at full quality
+const BACKGROUND_BLUR_QUALITY = 4;
+
 // =============================================================================
 // MAIN COMPONENT
 // =============================================================================
 
 class RainstormGlass {
+  /**
+   * Lifecycle descriptor for demoRunner.
+   * Exposes triggerLightning() as a demo action.
+   */
+  static lifecycle = {
+    actions: [{ label: 'Lightning', method: 'triggerLightning', shortcut: 'l', description: 'Flash lightning now' }]
+  };
+
+  /**
+   * Host requirements: ctx classes used for the blurred, refracted glass
+   */
+  static requires = { classes: ['BlurFilter', 'DisplacementFilter', 'RenderTexture'] };
+
   /**
    * Static defaults for option merging
    */
   static defaults = DEFAULTS;
+
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    backgroundTexture: { type: 'object', nullable: true, description: 'Texture behind the glass (null = procedural city lights)' },
+    width: { type: 'number', min: 1, unit: 'px', description: 'Effect width' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Effect height' },
+    maxDroplets: { type: 'integer', min: 0, max: 2000, description: 'Maximum pooled droplets' },
+    spawnRate: { type: 'number', min: 0, max: 10, step: 0.1, unit: '/frame', description: 'Droplets spawned per frame' },
+    gravity: { type: 'number', min: 0, max: 1, step: 0.01, unit: 'px/frame²', description: 'Gravity acceleration' },
+    terminalVelocity: { type: 'number', min: 0, max: 30, step: 0.5, unit: 'px/frame', description: 'Max fall speed' },
+    surfaceTension: { type: 'number', min: 0, max: 1, step: 0.01, description: 'Horizontal wobble amount' },
+    refractionStrength: { type: 'number', min: 0, max: 0.2, step: 0.005, description: 'Displacement strength' },
+    blurAmount: { type: 'number', min: 0, max: 100, step: 1, description: 'Background blur strength' },
+    enableLightning: { type: 'boolean', description: 'Enable lightning flashes' },
+    lightningInterval: { type: 'array', unit: 'frames', description: 'Lightning timing range [min, max]' },
+    enableInteraction: { type: 'boolean', description: 'Enable mouse/touch interaction' },
+    minDropletRadius: { type: 'number', min: 0.5, max: 20, step: 0.5, unit: 'px', description: 'Smallest droplet radius' },
+    maxDropletRadius: { type: 'number', min: 0.5, max: 40, step: 0.5, unit: 'px', description: 'Largest droplet radius' },
+    mergeDistance: { type: 'number', min: 0, max: 5, step: 0.1, unit: '× radius', description: 'Distance at which droplets merge' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+  };
   
   /**
    * @param {Object} ctx - PixiContext with classes, ticker, renderer, gsap
@@ -126,11 +168,12 @@ class RainstormGlass {
     // Store context references
     this.classes = ctx.classes;
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this.renderer = ctx.renderer;
     this.gsap = ctx.gsap;
     
     // Merge options with defaults
-    this.options = { ...RainstormGlass.defaults, ...options };
+    this.options = resolveOptions(RainstormGlass, options, { mode: ctx.validation });
     
     // Validate required options
     if (!this.options.container) {
@@ -157,6 +200,7 @@ class RainstormGlass {
     this._dropletPool = [];
     this._activeDroplets = [];
     this._spatialGrid = new Map();
+    this._dropletLimit = this.options.maxDroplets; // lowered by setQuality()
     
     // Initialize pool
     this._initPool();
@@ -177,7 +221,7 @@ class RainstormGlass {
   }
   
   _spawnDroplet() {
-    if (this._dropletPool.length === 0) return null;
+    if (this._dropletPool.length === 0 || this._activeDroplets.length >= this._dropletLimit) return null;
     const drop = this._dropletPool.pop();
     drop.reset();
     drop.active = true;
@@ -237,7 +281,7 @@ class RainstormGlass {
     
     this._blurFilter = new BlurFilter({
       strength: blurAmount / 10,
-      quality: 4
+      quality: BACKGROUND_BLUR_QUALITY
     });
     this._backgroundSprite.filters = [this._blurFilter];
     
@@ -265,11 +309,11 @@ class RainstormGlass {
     
     // Large blurred lights
     for (let i = 0; i < 60; i++) {
-      const x = Math.random() * width;
-      const y = height * 0.25 + Math.random() * height * 0.75;
-      const radius = 8 + Math.random() * 35;
-      const color = colors[Math.floor(Math.random() * colors.length)];
-      const alpha = 0.15 + Math.random() * 0.4;
+      const x = this.random.float() * width;
+      const y = height * 0.25 + this.random.float() * height * 0.75;
+      const radius = 8 + this.random.float() * 35;
+      const color = this.random.pick(colors);
+      const alpha = 0.15 + this.random.float() * 0.4;
       
       graphics.circle(x, y, radius);
       graphics.fill({ color, alpha });
@@ -277,11 +321,11 @@ class RainstormGlass {
     
     // Medium lights
     for (let i = 0; i < 40; i++) {
-      const x = Math.random() * width;
-      const y = height * 0.4 + Math.random() * height * 0.6;
-      const radius = 4 + Math.random() * 12;
-      const color = colors[Math.floor(Math.random() * colors.length)];
-      const alpha = 0.3 + Math.random() * 0.5;
+      const x = this.random.float() * width;
+      const y = height * 0.4 + this.random.float() * height * 0.6;
+      const radius = 4 + this.random.float() * 12;
+      const color = this.random.pick(colors);
+      const alpha = 0.3 + this.random.float() * 0.5;
       
       graphics.circle(x, y, radius);
       graphics.fill({ color, alpha });
@@ -289,21 +333,21 @@ class RainstormGlass {
     
     // Sharp point lights
     for (let i = 0; i < 50; i++) {
-      const x = Math.random() * width;
-      const y = height * 0.3 + Math.random() * height * 0.7;
+      const x = this.random.float() * width;
+      const y = height * 0.3 + this.random.float() * height * 0.7;
       
-      graphics.circle(x, y, 1 + Math.random() * 3);
-      graphics.fill({ color: 0xffffff, alpha: 0.6 + Math.random() * 0.4 });
+      graphics.circle(x, y, 1 + this.random.float() * 3);
+      graphics.fill({ color: 0xffffff, alpha: 0.6 + this.random.float() * 0.4 });
     }
     
     // Window-like rectangles
     for (let i = 0; i < 30; i++) {
-      const x = Math.random() * width;
-      const y = height * 0.5 + Math.random() * height * 0.5;
-      const w = 2 + Math.random() * 6;
-      const h = 3 + Math.random() * 8;
-      const color = colors[Math.floor(Math.random() * 3)]; // Warmer colors
-      const alpha = 0.3 + Math.random() * 0.4;
+      const x = this.random.float() * width;
+      const y = height * 0.5 + this.random.float() * height * 0.5;
+      const w = 2 + this.random.float() * 6;
+      const h = 3 + this.random.float() * 8;
+      const color = colors[this.random.int(0, 2)]; // Warmer colors
+      const alpha = 0.3 + this.random.float() * 0.4;
       
       graphics.rect(x, y, w, h);
       graphics.fill({ color, alpha });
@@ -379,11 +423,11 @@ class RainstormGlass {
     const pos = event.global;
     const localPos = this.container.toLocal(pos);
     
-    if (Math.random() > 0.6) {
+    if (this.random.float() > 0.6) {
       this.spawnDropletAt(localPos.x, localPos.y, {
-        radius: 2 + Math.random() * 4,
-        vx: (Math.random() - 0.5) * 0.8,
-        vy: Math.random() * 0.8
+        radius: 2 + this.random.float() * 4,
+        vx: (this.random.float() - 0.5) * 0.8,
+        vy: this.random.float() * 0.8
       });
     }
   }
@@ -396,9 +440,9 @@ class RainstormGlass {
     
     for (let i = 0; i < 12; i++) {
       const angle = (i / 12) * Math.PI * 2;
-      const speed = 1.5 + Math.random() * 2;
+      const speed = 1.5 + this.random.float() * 2;
       this.spawnDropletAt(localPos.x, localPos.y, {
-        radius: 3 + Math.random() * 5,
+        radius: 3 + this.random.float() * 5,
         vx: Math.cos(angle) * speed * 0.4,
         vy: Math.sin(angle) * speed * 0.3 + 0.8
       });
@@ -454,16 +498,16 @@ class RainstormGlass {
     const { width, spawnRate } = this.options;
     
     for (let i = 0; i < Math.ceil(spawnRate); i++) {
-      if (Math.random() < (spawnRate - Math.floor(spawnRate) + 0.5)) {
+      if (this.random.float() < (spawnRate - Math.floor(spawnRate) + 0.5)) {
         this.spawnDropletAt(
-          Math.random() * width,
-          -10 - Math.random() * 50,
+          this.random.float() * width,
+          -10 - this.random.float() * 50,
           {
             radius: this._randomRange(
               this.options.minDropletRadius,
               this.options.maxDropletRadius
             ),
-            vy: 1 + Math.random() * 2
+            vy: 1 + this.random.float() * 2
           }
         );
       }
@@ -486,14 +530,14 @@ class RainstormGlass {
     
     drop.x = x;
     drop.y = y;
-    drop.vx = props.vx ?? (Math.random() - 0.5) * 0.2;
+    drop.vx = props.vx ?? (this.random.float() - 0.5) * 0.2;
     drop.vy = props.vy ?? 0;
     drop.radius = props.radius ?? this._randomRange(
       this.options.minDropletRadius,
       this.options.maxDropletRadius
     );
     drop.mass = drop.radius * drop.radius;
-    drop.maxLife = 400 + Math.random() * 300;
+    drop.maxLife = 400 + this.random.float() * 300;
     drop.life = drop.maxLife;
     
     return drop;
@@ -522,9 +566,9 @@ class RainstormGlass {
         continue;
       }
       
-      if (Math.random() < 0.001 * (1 / drop.radius)) {
+      if (this.random.float() < 0.001 * (1 / drop.radius)) {
         drop.stuck = true;
-        drop.stuckTimer = 20 + Math.random() * 40;
+        drop.stuckTimer = 20 + this.random.float() * 40;
         continue;
       }
       
@@ -534,7 +578,7 @@ class RainstormGlass {
         drop.vy = terminalVelocity;
       }
       
-      drop.vx += (Math.random() - 0.5) * surfaceTension * delta;
+      drop.vx += (this.random.float() - 0.5) * surfaceTension * delta;
       drop.vx *= 0.98;
       
       drop.x += drop.vx * delta;
@@ -666,10 +710,10 @@ class RainstormGlass {
    * Trigger a lightning flash effect
    */
   triggerLightning() {
-    this._lightningOverlay.alpha = 0.7 + Math.random() * 0.3;
+    this._lightningOverlay.alpha = 0.7 + this.random.float() * 0.3;
     
-    const shakeX = (Math.random() - 0.5) * 12;
-    const shakeY = (Math.random() - 0.5) * 6;
+    const shakeX = (this.random.float() - 0.5) * 12;
+    const shakeY = (this.random.float() - 0.5) * 6;
     this.container.x = shakeX;
     this.container.y = shakeY;
   }
@@ -823,9 +867,28 @@ class RainstormGlass {
   }
   
   _randomRange(min, max) {
-    return min + Math.random() * (max - min);
+    return min + this.random.float() * (max - min);
   }
   
+  /**
+   * Scale droplet count and background blur passes for a quality tier.
+   * Droplets above the new limit are left to run off the glass.
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._dropletLimit = scaleCount(this.options.maxDroplets, level);
+    if (this._blurFilter) {
+      this._blurFilter.quality = Math.min(BACKGROUND_BLUR_QUALITY, getQualityProfile(level).blurQuality);
+    }
+  }
+
+  /**
+   * Live counters for the performance HUD
+   */
+  getStats() {
+    return { droplets: this.dropletCount };
+  }
+
   // =========================================================================
   // GETTERS & SETTERS
   // =========================================================================
@@ -21,6 +21,10 @@
  * - Configurable density, speed, and color palette
  */
 
+import { resolveOptions } from '../src/core/options';
+import { getQualityProfile, scaleCount } from '../src/core/quality';
+import { getTextureCache } from '../src/core/textureCache';
+
 // ============================================================================
 // DEFAULT CONFIGURATION
 // ============================================================================
@@ -63,16 +67,92 @@ const DEFAULT_CONFIG = {
   autoStart: true,
 };
 
+// Blur passes on the far layers at full quality (the BlurFilter default)
+const DEPTH_BLUR_QUALITY = 4;
+
+// ============================================================================
+// BOKEH TEXTURE
+// ============================================================================
+
+/**
+ * Soft radial gradient bokeh (white, feathered edges), drawn on a canvas so
+ * there is no external asset to load
+ */
+function bakeBokeh({ classes }, { size }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  
+  const gradient = ctx.createRadialGradient(
+    size / 2, size / 2, 0,           // Inner circle
+    size / 2, size / 2, size / 2     // Outer circle
+  );
+  
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+  gradient.addColorStop(0.3, 'rgba(255, 255, 255, 0.8)');
+  gradient.addColorStop(0.6, 'rgba(255, 255, 255, 0.3)');
+  gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+  
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, size, size);
+  
+  // Texture.from is static, so it is reached through the context's class
+  if (!classes.Texture?.from) {
+    throw new Error('StarNudgeBackground: bokehTexture must be provided via options or ctx.classes.Texture must be available');
+  }
+  return classes.Texture.from(canvas);
+}
+
 // ============================================================================
 // STAR NUDGE BACKGROUND CLASS
 // ============================================================================
 
 class StarNudgeBackground {
+  /**
+   * Lifecycle descriptor for demoRunner.
+   * Exposes intensity modes and burst() as demo actions.
+   */
+  static lifecycle = {
+    actions: [
+      { label: 'Burst', method: 'burst', args: [1000], shortcut: 'b', description: 'Brief bigWin intensity spike' },
+      { label: 'Idle', method: 'setMode', args: ['idle'], shortcut: '1' },
+      { label: 'Win', method: 'setMode', args: ['win'], shortcut: '2' },
+      { label: 'Big Win', method: 'setMode', args: ['bigWin'], shortcut: '3' }
+    ]
+  };
+
+  /**
+   * Host requirements: ctx classes for the bokeh texture and depth blur
+   */
+  static requires = { classes: ['Texture', 'BlurFilter'] };
+
   /**
    * Static defaults for external access
    */
   static defaults = DEFAULT_CONFIG;
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    bokehTexture: { type: 'object', nullable: true, description: 'Custom bokeh texture (generated when omitted)' },
+    width: { type: 'number', min: 1, unit: 'px', description: 'Background width' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Background height' },
+    layers: { type: 'array', description: 'Depth layers: { depth, count, minSize, maxSize, speed, alpha }' },
+    colors: { type: 'array', description: 'Star colors (0xRRGGBB)' },
+    baseSpeedX: { type: 'number', min: -5, max: 5, step: 0.05, unit: 'px/frame', description: 'Horizontal drift speed' },
+    baseSpeedY: { type: 'number', min: -5, max: 5, step: 0.05, unit: 'px/frame', description: 'Vertical drift (negative = upward)' },
+    breatheSpeed: { type: 'number', min: 0, max: 0.2, step: 0.005, description: 'Pulse/breathing speed' },
+    breatheAmount: { type: 'number', min: 0, max: 1, step: 0.01, description: 'Scale variation (±)' },
+    wobbleAmount: { type: 'number', min: 0, max: 200, step: 1, unit: 'px', description: 'Horizontal wobble amplitude' },
+    wobbleSpeed: { type: 'number', min: 0, max: 0.1, step: 0.001, description: 'Wobble frequency' },
+    idleIntensity: { type: 'number', min: 0, max: 5, step: 0.1, unit: '×', description: 'Intensity in idle mode' },
+    winIntensity: { type: 'number', min: 0, max: 5, step: 0.1, unit: '×', description: 'Intensity in win mode' },
+    bigWinIntensity: { type: 'number', min: 0, max: 5, step: 0.1, unit: '×', description: 'Intensity in bigWin mode' },
+    autoStart: { type: 'boolean', description: 'Start animation automatically' },
+  };
+
   /**
    * @param {PixiContext} ctx - PixiContext with classes, ticker, create, gsap
    * @param {Object} options - Configuration options
@@ -94,8 +174,12 @@ class StarNudgeBackground {
     // Store context references
     this.classes = ctx.classes;
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
+    this.clock = ctx.clock;
     this.create = ctx.create;
     this.gsap = ctx.gsap;
+    // Only needed when the bokeh texture is generated
+    this.textures = options.bokehTexture ? null : getTextureCache(ctx);
     
     // Validate required options
     if (!options.container) {
@@ -106,13 +190,13 @@ class StarNudgeBackground {
     this.container = options.container;
     
     // Merge options with defaults
-    this.options = { ...DEFAULT_CONFIG, ...options };
+    this.options = resolveOptions(StarNudgeBackground, options, { mode: ctx.validation });
     
     // State flags
     this._running = false;
     this._destroyed = false;
     this._boundUpdate = null;
-    this._burstTimeout = null;
+    this._cancelBurst = null;
     this._intensity = this.options.idleIntensity;
     this._targetIntensity = this.options.idleIntensity;
     this._time = 0;
@@ -135,8 +219,8 @@ class StarNudgeBackground {
   }
   
   /**
-   * Generate a soft radial gradient bokeh texture programmatically
-   * This avoids external asset dependencies
+   * Use the custom bokeh texture, or the generated one from the context's
+   * texture cache
    * @private
    */
   _createBokehTexture() {
@@ -144,36 +228,7 @@ class StarNudgeBackground {
       this._bokehTexture = this.options.bokehTexture;
       return;
     }
-    
-    // Create a canvas to draw the bokeh
-    const size = 128;
-    const canvas = document.createElement('canvas');
-    canvas.width = size;
-    canvas.height = size;
-    const ctx = canvas.getContext('2d');
-    
-    // Create radial gradient (soft circle with feathered edges)
-    const gradient = ctx.createRadialGradient(
-      size / 2, size / 2, 0,           // Inner circle
-      size / 2, size / 2, size / 2     // Outer circle
-    );
-    
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
-    gradient.addColorStop(0.3, 'rgba(255, 255, 255, 0.8)');
-    gradient.addColorStop(0.6, 'rgba(255, 255, 255, 0.3)');
-    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
-    
-    ctx.fillStyle = gradient;
-    ctx.fillRect(0, 0, size, size);
-    
-    // Create texture from canvas using classes.Texture if available
-    // Note: Texture.from is a static method, so we access it via the class
-    if (this.classes.Texture?.from) {
-      this._bokehTexture = this.classes.Texture.from(canvas);
-    } else {
-      // Fallback: texture should be passed via options in production
-      throw new Error('StarNudgeBackground: bokehTexture must be provided via options or ctx.classes.Texture must be available');
-    }
+    this._bokehTexture = this.textures.acquire('StarNudgeBackground.bokeh', { size: 128 }, bakeBokeh);
   }
   
   /**
@@ -191,7 +246,7 @@ class StarNudgeBackground {
       // Apply blur based on depth (far = more blur) - PixiJS v8 syntax
       if (layerConfig.depth > 1) {
         const blurAmount = (layerConfig.depth - 1) * 4;
-        layerContainer.filters = [new this.classes.BlurFilter({ strength: blurAmount })];
+        layerContainer.filters = [new this.classes.BlurFilter({ strength: blurAmount, quality: DEPTH_BLUR_QUALITY })];
       }
       
       this._layerContainers.push(layerContainer);
@@ -219,20 +274,20 @@ class StarNudgeBackground {
     sprite.blendMode = 'add';  // Additive blending for light accumulation
     
     // Random size within layer range
-    const size = layerConfig.minSize + Math.random() * (layerConfig.maxSize - layerConfig.minSize);
+    const size = layerConfig.minSize + this.random.float() * (layerConfig.maxSize - layerConfig.minSize);
     const baseScale = size / 128;  // 128 is our texture size
     sprite.scale.set(baseScale);
     
     // Random position
-    sprite.x = Math.random() * width;
-    sprite.y = Math.random() * height;
+    sprite.x = this.random.float() * width;
+    sprite.y = this.random.float() * height;
     
     // Random color from palette
-    const color = colors[Math.floor(Math.random() * colors.length)];
+    const color = this.random.pick(colors);
     sprite.tint = color;
     
     // Base alpha from layer config
-    sprite.alpha = layerConfig.alpha * (0.7 + Math.random() * 0.3);
+    sprite.alpha = layerConfig.alpha * (0.7 + this.random.float() * 0.3);
     
     // Create particle data object
     const particle = {
@@ -243,12 +298,12 @@ class StarNudgeBackground {
       baseAlpha: sprite.alpha,
       
       // Movement
-      vx: (Math.random() - 0.5) * 2,  // Random horizontal variance
-      vy: (Math.random() - 0.5) * 2,  // Random vertical variance
+      vx: (this.random.float() - 0.5) * 2,  // Random horizontal variance
+      vy: (this.random.float() - 0.5) * 2,  // Random vertical variance
       
       // Animation phase offsets (for organic feel)
-      breatheOffset: Math.random() * Math.PI * 2,
-      wobbleOffset: Math.random() * Math.PI * 2,
+      breatheOffset: this.random.float() * Math.PI * 2,
+      wobbleOffset: this.random.float() * Math.PI * 2,
       
       // Starting position for wrap calculation
       startX: sprite.x,
@@ -292,6 +347,7 @@ class StarNudgeBackground {
     for (let i = 0; i < this._particles.length; i++) {
       const p = this._particles[i];
       const sprite = p.sprite;
+      if (!sprite.visible) continue; // thinned out by setQuality()
       const config = p.layerConfig;
       
       // Calculate layer-specific speed (deeper = slower)
@@ -349,8 +405,8 @@ class StarNudgeBackground {
     // Reset particle positions
     const { width, height } = this.options;
     for (const p of this._particles) {
-      p.sprite.x = Math.random() * width;
-      p.sprite.y = Math.random() * height;
+      p.sprite.x = this.random.float() * width;
+      p.sprite.y = this.random.float() * height;
       p.sprite.scale.set(p.baseScale);
       p.sprite.alpha = p.baseAlpha;
     }
@@ -394,15 +450,14 @@ class StarNudgeBackground {
     const previousTarget = this._targetIntensity;
     this._targetIntensity = this.options.bigWinIntensity;
     
-    // Clear any existing burst timeout
-    if (this._burstTimeout) {
-      clearTimeout(this._burstTimeout);
-    }
+    // Cancel any pending burst end; the delay runs on the context clock,
+    // so pausing the demo also holds the burst
+    this._cancelBurst?.();
     
-    this._burstTimeout = setTimeout(() => {
+    this._cancelBurst = this.clock.delay(duration, () => {
       this._targetIntensity = previousTarget;
-      this._burstTimeout = null;
-    }, duration);
+      this._cancelBurst = null;
+    });
     
     return this;
   }
@@ -418,13 +473,33 @@ class StarNudgeBackground {
     
     // Redistribute particles
     for (const p of this._particles) {
-      if (p.sprite.x > width) p.sprite.x = Math.random() * width;
-      if (p.sprite.y > height) p.sprite.y = Math.random() * height;
+      if (p.sprite.x > width) p.sprite.x = this.random.float() * width;
+      if (p.sprite.y > height) p.sprite.y = this.random.float() * height;
     }
     
     return this;
   }
   
+  /**
+   * Thin out each depth layer and lower blur passes for a quality tier.
+   * Hidden orbs stay pooled, so stepping back up restores them in place.
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    const { blurQuality } = getQualityProfile(level);
+    this.options.layers.forEach((layerConfig, i) => {
+      const layerContainer = this._layerContainers[i];
+      const visibleCount = scaleCount(layerConfig.count, level);
+      layerContainer.children.forEach((sprite, j) => {
+        sprite.visible = j < visibleCount;
+      });
+      for (const filter of layerContainer.filters ?? []) {
+        filter.quality = Math.min(DEPTH_BLUR_QUALITY, blurQuality);
+      }
+    });
+    return this;
+  }
+
   // Getters
   get running() { return this._running; }
   get intensity() { return this._intensity; }
@@ -440,11 +515,9 @@ class StarNudgeBackground {
     this.stop();
     this._boundUpdate = null;
     
-    // Clear any pending burst timeout
-    if (this._burstTimeout) {
-      clearTimeout(this._burstTimeout);
-      this._burstTimeout = null;
-    }
+    // Cancel any pending burst end
+    this._cancelBurst?.();
+    this._cancelBurst = null;
     
     // Kill any GSAP tweens if gsap is available
     if (this.gsap) {
@@ -471,9 +544,9 @@ class StarNudgeBackground {
     this._layerContainers = [];
     this._particles = [];
     
-    // Destroy generated texture if we created it
+    // Release the generated texture; a custom one belongs to the caller
     if (!this.options.bokehTexture && this._bokehTexture) {
-      this._bokehTexture.destroy(true);
+      this.textures.release(this._bokehTexture);
       this._bokehTexture = null;
     }
     
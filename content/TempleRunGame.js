@@ -7,6 +7,8 @@
  * Uses PixiJS ticker for game loop
  */
 
+import { resolveOptions } from '../src/core/options';
+
 // ═══════════════════════════════════════════════════════════════════════════
 // SIGNAL CLASS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -388,6 +390,7 @@ class Coin {
     this.classes = ctx.classes;
     this.gsap = ctx.gsap;
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this.options = { ...Coin.defaults, ...options };
     this.container = this.options.container;
     
@@ -396,7 +399,7 @@ class Coin {
     this._destroyed = false;
     this._active = true;
     this._collected = false;
-    this._time = Math.random() * Math.PI * 2;
+    this._time = this.random.float() * Math.PI * 2;
     this._displayObjects = [];
     
     this._setup();
@@ -938,12 +941,24 @@ class GameUI {
 // ═══════════════════════════════════════════════════════════════════════════
 // MAIN GAME CLASS
 // ═══════════════════════════════════════════════════════════════════════════
+
+// No setQuality(): there are no particles or filters to thin out, and the
+// obstacle and coin counts are gameplay. The runner's resolution cap is all
+// the quality tiers change here.
 class TempleRunGame {
   static defaults = {
     designWidth: GAME_CONFIG.DESIGN_WIDTH,
     designHeight: GAME_CONFIG.DESIGN_HEIGHT,
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    designWidth: { type: 'integer', min: 1, unit: 'px', description: 'Design resolution width' },
+    designHeight: { type: 'integer', min: 1, unit: 'px', description: 'Design resolution height' },
+  };
+
   constructor(ctx, options = {}) {
     if (!ctx?.classes) throw new Error('TempleRunGame: ctx.classes required');
     if (!ctx?.gsap) throw new Error('TempleRunGame: ctx.gsap required');
@@ -951,10 +966,11 @@ class TempleRunGame {
 
     this.app = ctx.app;
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this.classes = ctx.classes;
     this.gsap = ctx.gsap;
     this.ctx = ctx;
-    this.options = { ...TempleRunGame.defaults, ...options };
+    this.options = resolveOptions(TempleRunGame, options, { mode: ctx.validation });
     this.container = this.options.container;
 
     // Signals
@@ -1206,7 +1222,7 @@ class TempleRunGame {
     if (this._spawnTimer >= this._nextSpawnTime) {
       this._spawnTimer = 0;
       this._nextSpawnTime = GAME_CONFIG.SPAWN_INTERVAL_MIN + 
-        Math.random() * (GAME_CONFIG.SPAWN_INTERVAL_MAX - GAME_CONFIG.SPAWN_INTERVAL_MIN);
+        this.random.float() * (GAME_CONFIG.SPAWN_INTERVAL_MAX - GAME_CONFIG.SPAWN_INTERVAL_MIN);
       this._spawnObjects();
     }
     
@@ -1228,10 +1244,10 @@ class TempleRunGame {
   }
 
   _spawnObjects() {
-    const lane = Math.floor(Math.random() * 3);
+    const lane = this.random.int(0, 2);
     
     // Decide what to spawn
-    const rand = Math.random();
+    const rand = this.random.float();
     if (rand < 0.4) {
       // Spawn low obstacle (jump over)
       const obs = new Obstacle(this.ctx, {
@@ -1254,7 +1270,7 @@ class TempleRunGame {
       this._obstacles.push(obs);
     } else {
       // Spawn coin row
-      const coinCount = 1 + Math.floor(Math.random() * 3);
+      const coinCount = 1 + this.random.int(0, 2);
       for (let i = 0; i < coinCount; i++) {
         const coinLane = (lane + i) % 3;
         const coin = new Coin(this.ctx, {
@@ -27,14 +27,19 @@
  * jellyfish.start();
  */
 
+import { resolveOptions } from '../src/core/options';
+import { createPixiContext } from '../src/core/pixiContext';
+import { scaleCount } from '../src/core/quality';
+
 // ============================================================================
 // UTILITY: Simple Perlin-like noise for organic movement
 // ============================================================================
-const noise = (() => {
+// The permutation is shuffled from `random`, so a seeded context gets the same field
+const createNoise = (random) => {
   const permutation = [];
   for (let i = 0; i < 256; i++) permutation[i] = i;
   for (let i = 255; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = random.int(0, i);
     [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
   }
   const p = [...permutation, ...permutation];
@@ -67,7 +72,7 @@ const noise = (() => {
       v
     );
   };
-})();
+};
 
 // ============================================================================
 // COMPONENT: DeepOceanBackground
@@ -123,6 +128,14 @@ class DeepOceanBackground {
   }
 
   _setup() {
+    this._bgSprite = new this.classes.Sprite(this._createGradientTexture());
+    this.container.addChild(this._bgSprite);
+  }
+
+  /**
+   * Paint the ocean gradient at the current size
+   */
+  _createGradientTexture() {
     const { width, height } = this.options;
 
     // Create gradient via canvas
@@ -151,12 +164,8 @@ class DeepOceanBackground {
     ctx2d.fillStyle = radialGradient;
     ctx2d.fillRect(0, 0, width, height);
 
-    // Create sprite from canvas texture
     // Note: Texture creation handled externally for tree-shaking
-    const bgTexture = this._createTextureFromCanvas(gradientCanvas);
-    this._bgSprite = new this.classes.Sprite(bgTexture);
-
-    this.container.addChild(this._bgSprite);
+    return this._createTextureFromCanvas(gradientCanvas);
   }
 
   /**
@@ -194,6 +203,22 @@ class DeepOceanBackground {
     return this;
   }
 
+  /**
+   * Repaint the gradient for new dimensions
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  resize(width, height) {
+    if (this._destroyed) return this;
+    this.options.width = width;
+    this.options.height = height;
+
+    const previous = this._bgSprite.texture;
+    this._bgSprite.texture = this._createGradientTexture();
+    previous.destroy(true);
+    return this;
+  }
+
   reset() {
     this._time = 0;
     return this;
@@ -224,6 +249,9 @@ class DeepOceanBackground {
  * BioluminescentPlankton - Pooled particle system for glowing plankton
  * Pure composition with O(1) pool operations
  * Uses ticker for continuous physics, GSAP for reactive bursts
+ *
+ * Not a particle emitter: the plankton never dies, and its drift, pointer
+ * repulsion and glow react to the scene every frame.
  * 
  * @param {PixiContext} ctx - Context from createPixiContext()
  * @param {Object} options - Configuration
@@ -258,7 +286,9 @@ class BioluminescentPlankton {
     // Store context references
     this.ticker = ctx.ticker;
     this.classes = ctx.classes;
+    this.random = ctx.random;
     this.gsap = ctx.gsap;
+    this._noise = createNoise(this.random);
 
     // Merge options with defaults
     this.options = { ...BioluminescentPlankton.defaults, ...options };
@@ -298,21 +328,21 @@ class BioluminescentPlankton {
       const particle = this._createParticle();
 
       // Random initial position
-      particle.x = Math.random() * width;
-      particle.y = Math.random() * height;
+      particle.x = this.random.float() * width;
+      particle.y = this.random.float() * height;
       
       // Particle properties (stored on object for O(1) access)
       particle._baseX = particle.x;
       particle._baseY = particle.y;
-      particle._phase = Math.random() * Math.PI * 2;
-      particle._speed = 0.5 + Math.random() * 1.5;
-      particle._size = 1 + Math.random() * 3;
-      particle._colorIndex = Math.floor(Math.random() * this._colors.length);
-      particle._pulseSpeed = 0.02 + Math.random() * 0.03;
-      particle._driftAngle = Math.random() * Math.PI * 2;
-      particle._noiseOffsetX = Math.random() * 1000;
-      particle._noiseOffsetY = Math.random() * 1000;
-      particle._depth = 0.3 + Math.random() * 0.7;
+      particle._phase = this.random.float() * Math.PI * 2;
+      particle._speed = 0.5 + this.random.float() * 1.5;
+      particle._size = 1 + this.random.float() * 3;
+      particle._colorIndex = Math.floor(this.random.float() * this._colors.length);
+      particle._pulseSpeed = 0.02 + this.random.float() * 0.03;
+      particle._driftAngle = this.random.float() * Math.PI * 2;
+      particle._noiseOffsetX = this.random.float() * 1000;
+      particle._noiseOffsetY = this.random.float() * 1000;
+      particle._depth = 0.3 + this.random.float() * 0.7;
       particle._exciteLevel = 0;
       particle._poolIndex = i; // O(1) pool tracking
 
@@ -367,10 +397,11 @@ class BioluminescentPlankton {
 
     for (let i = this._active.length - 1; i >= 0; i--) {
       const p = this._active[i];
+      if (!p.visible) continue; // thinned out by setQuality()
 
       // Organic drift using noise
-      const noiseX = noise(p._noiseOffsetX + this._time * 0.5, p._noiseOffsetY);
-      const noiseY = noise(p._noiseOffsetX, p._noiseOffsetY + this._time * 0.5);
+      const noiseX = this._noise(p._noiseOffsetX + this._time * 0.5, p._noiseOffsetY);
+      const noiseY = this._noise(p._noiseOffsetX, p._noiseOffsetY + this._time * 0.5);
 
       p._driftAngle += noiseX * 0.02 * delta;
       const driftX = Math.cos(p._driftAngle) * baseSpeed * p._speed * delta;
@@ -439,6 +470,36 @@ class BioluminescentPlankton {
     return this;
   }
 
+  /**
+   * Update bounds and spread particles proportionally
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  resize(width, height) {
+    const scaleX = width / this.options.width;
+    const scaleY = height / this.options.height;
+    this.options.width = width;
+    this.options.height = height;
+
+    for (const p of this._active) {
+      p.x *= scaleX;
+      p.y *= scaleY;
+    }
+    return this;
+  }
+
+  /**
+   * Show a share of the plankton for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    const visibleCount = scaleCount(this._active.length, level);
+    this._active.forEach((p, i) => {
+      p.visible = i < visibleCount;
+    });
+    return this;
+  }
+
   reset() {
     this._time = 0;
     this._mouseInfluence = 0;
@@ -508,6 +569,7 @@ class LightRays {
     // Store context references
     this.ticker = ctx.ticker;
     this.classes = ctx.classes;
+    this.random = ctx.random;
     this.gsap = ctx.gsap;
 
     // Merge options with defaults
@@ -530,33 +592,41 @@ class LightRays {
     for (let i = 0; i < count; i++) {
       const ray = new this.classes.Graphics();
 
-      const rayWidth = 40 + Math.random() * 80;
-      const rayHeight = height * 1.2;
-
-      // Trapezoid shape (wider at bottom)
-      ray.moveTo(0, 0);
-      ray.lineTo(rayWidth * 0.3, 0);
-      ray.lineTo(rayWidth, rayHeight);
-      ray.lineTo(-rayWidth * 0.3, rayHeight);
-      ray.closePath();
-      ray.fill({ color: 0x66ccff, alpha: 0.03 });
+      ray._width = 40 + this.random.float() * 80;
+      this._drawRay(ray, height);
 
       // Position rays evenly with some randomness
-      ray.x = (width / (count + 1)) * (i + 1) + (Math.random() - 0.5) * 100;
+      ray.x = (width / (count + 1)) * (i + 1) + (this.random.float() - 0.5) * 100;
       ray.y = -50;
       ray.blendMode = 'add';
 
       // Animation properties
       ray._baseX = ray.x;
-      ray._phase = Math.random() * Math.PI * 2;
-      ray._speed = 0.3 + Math.random() * 0.4;
-      ray._intensity = 0.5 + Math.random() * 0.5;
+      ray._phase = this.random.float() * Math.PI * 2;
+      ray._speed = 0.3 + this.random.float() * 0.4;
+      ray._intensity = 0.5 + this.random.float() * 0.5;
 
       this._rays.push(ray);
       this.container.addChild(ray);
     }
   }
 
+
+  /**
+   * Draw a trapezoid ray (wider at bottom) spanning the given height
+   */
+  _drawRay(ray, height) {
+    const rayWidth = ray._width;
+    const rayHeight = height * 1.2;
+
+    ray.clear();
+    ray.moveTo(0, 0);
+    ray.lineTo(rayWidth * 0.3, 0);
+    ray.lineTo(rayWidth, rayHeight);
+    ray.lineTo(-rayWidth * 0.3, rayHeight);
+    ray.closePath();
+    ray.fill({ color: 0x66ccff, alpha: 0.03 });
+  }
   start() {
     if (this._destroyed || this._running) return this;
     this._running = true;
@@ -590,6 +660,23 @@ class LightRays {
     return this;
   }
 
+  /**
+   * Stretch ray spacing and length to new dimensions
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  resize(width, height) {
+    const scaleX = width / this.options.width;
+    this.options.width = width;
+    this.options.height = height;
+
+    for (const ray of this._rays) {
+      ray._baseX *= scaleX;
+      this._drawRay(ray, height);
+    }
+    return this;
+  }
+
   reset() {
     this._time = 0;
     return this;
@@ -646,6 +733,7 @@ class FloatingDebris {
     // Store context references
     this.ticker = ctx.ticker;
     this.classes = ctx.classes;
+    this.random = ctx.random;
 
     // Merge options with defaults
     this.options = { ...FloatingDebris.defaults, ...options };
@@ -668,18 +756,18 @@ class FloatingDebris {
       const p = new this.classes.Graphics();
 
       // Tiny floating speck
-      const size = 0.5 + Math.random() * 2;
+      const size = 0.5 + this.random.float() * 2;
       p.circle(0, 0, size);
-      p.fill({ color: 0xaaddff, alpha: 0.2 + Math.random() * 0.2 });
+      p.fill({ color: 0xaaddff, alpha: 0.2 + this.random.float() * 0.2 });
 
-      p.x = Math.random() * width;
-      p.y = Math.random() * height;
+      p.x = this.random.float() * width;
+      p.y = this.random.float() * height;
 
       // Physics properties
-      p._vy = 0.1 + Math.random() * 0.3; // Slow upward float (marine snow sinks, but visually rising looks nice)
-      p._vx = (Math.random() - 0.5) * 0.2;
-      p._wobble = Math.random() * Math.PI * 2;
-      p._wobbleSpeed = 0.01 + Math.random() * 0.02;
+      p._vy = 0.1 + this.random.float() * 0.3; // Slow upward float (marine snow sinks, but visually rising looks nice)
+      p._vx = (this.random.float() - 0.5) * 0.2;
+      p._wobble = this.random.float() * Math.PI * 2;
+      p._wobbleSpeed = 0.01 + this.random.float() * 0.02;
 
       this._particles.push(p);
       this.container.addChild(p);
@@ -699,6 +787,7 @@ class FloatingDebris {
     const { width, height } = this.options;
 
     for (const p of this._particles) {
+      if (!p.visible) continue; // thinned out by setQuality()
       p._wobble += p._wobbleSpeed * delta;
 
       // Gentle drift with wobble
@@ -708,7 +797,7 @@ class FloatingDebris {
       // Wrap around
       if (p.y > height + 10) {
         p.y = -10;
-        p.x = Math.random() * width;
+        p.x = this.random.float() * width;
       }
       if (p.x < -10) p.x = width + 10;
       if (p.x > width + 10) p.x = -10;
@@ -724,6 +813,36 @@ class FloatingDebris {
     return this;
   }
 
+  /**
+   * Update bounds and spread particles proportionally
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  resize(width, height) {
+    const scaleX = width / this.options.width;
+    const scaleY = height / this.options.height;
+    this.options.width = width;
+    this.options.height = height;
+
+    for (const p of this._particles) {
+      p.x *= scaleX;
+      p.y *= scaleY;
+    }
+    return this;
+  }
+
+  /**
+   * Show a share of the debris for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    const visibleCount = scaleCount(this._particles.length, level);
+    this._particles.forEach((p, i) => {
+      p.visible = i < visibleCount;
+    });
+    return this;
+  }
+
   reset() {
     this._time = 0;
     return this;
@@ -781,6 +900,7 @@ class JellyfishSpawner {
     // Store context references
     this.ticker = ctx.ticker;
     this.classes = ctx.classes;
+    this.random = ctx.random;
     this.gsap = ctx.gsap;
 
     // Merge options with defaults
@@ -813,7 +933,7 @@ class JellyfishSpawner {
 
     // Bell (body)
     const bell = new this.classes.Graphics();
-    const bellSize = 15 + Math.random() * 25;
+    const bellSize = 15 + this.random.float() * 25;
 
     // Organic bell shape using curves
     bell.moveTo(-bellSize, 0);
@@ -821,7 +941,7 @@ class JellyfishSpawner {
     bell.quadraticCurveTo(bellSize, -bellSize * 1.2, bellSize, 0);
     bell.quadraticCurveTo(0, bellSize * 0.3, -bellSize, 0);
 
-    const bellColor = Math.random() > 0.5 ? 0x88ccff : 0x66ffcc;
+    const bellColor = this.random.float() > 0.5 ? 0x88ccff : 0x66ffcc;
     bell.fill({ color: bellColor, alpha: 0.3 });
     bell.stroke({ color: bellColor, alpha: 0.5, width: 1 });
 
@@ -834,9 +954,9 @@ class JellyfishSpawner {
     const tentacles = new this.classes.Graphics();
     for (let t = 0; t < 5; t++) {
       const tx = (t - 2) * (bellSize * 0.4);
-      const length = bellSize * (1.5 + Math.random());
+      const length = bellSize * (1.5 + this.random.float());
       tentacles.moveTo(tx, 0);
-      tentacles.lineTo(tx + (Math.random() - 0.5) * 10, length);
+      tentacles.lineTo(tx + (this.random.float() - 0.5) * 10, length);
       tentacles.stroke({ color: bellColor, alpha: 0.4, width: 1 });
     }
 
@@ -845,12 +965,12 @@ class JellyfishSpawner {
     jelly.addChild(innerGlow);
 
     // Position and physics
-    jelly.x = Math.random() * width;
+    jelly.x = this.random.float() * width;
     jelly.y = -100;
-    jelly._vy = 0.2 + Math.random() * 0.3;
-    jelly._vx = (Math.random() - 0.5) * 0.3;
-    jelly._phase = Math.random() * Math.PI * 2;
-    jelly._pulseSpeed = 0.03 + Math.random() * 0.02;
+    jelly._vy = 0.2 + this.random.float() * 0.3;
+    jelly._vx = (this.random.float() - 0.5) * 0.3;
+    jelly._phase = this.random.float() * Math.PI * 2;
+    jelly._pulseSpeed = 0.03 + this.random.float() * 0.02;
     jelly._tentacles = tentacles;
     jelly._bell = bell;
     jelly._bellSize = bellSize;
@@ -922,6 +1042,17 @@ class JellyfishSpawner {
     return this;
   }
 
+  /**
+   * Update spawn and despawn bounds; live jellyfish keep drifting
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  resize(width, height) {
+    this.options.width = width;
+    this.options.height = height;
+    return this;
+  }
+
   reset() {
     this._time = 0;
     this._spawnTimer = 0;
@@ -951,65 +1082,6 @@ class JellyfishSpawner {
   }
 }
 
-// ============================================================================
-// PIXICONTEXT FACTORY (include for standalone use)
-// ============================================================================
-/**
- * Creates a PixiContext with GSAP integration.
- * 
- * @param {object} pixiModule - PIXI namespace (global or imported)
- * @param {object} gsapModule - GSAP namespace { gsap, PixiPlugin }
- * @param {PIXI.Application} app - Initialized PIXI application
- * @param {object} [config] - Optional overrides
- * @returns {PixiContext} Immutable context object
- */
-function createPixiContext(pixiModule, gsapModule, app, config = {}) {
-  if (!pixiModule) {
-    throw new Error('PixiContext: pixiModule is required');
-  }
-  if (!app?.stage) {
-    throw new Error('PixiContext: app with stage is required');
-  }
-
-  // Register PixiPlugin if provided
-  const { gsap, PixiPlugin } = gsapModule || {};
-  if (gsap && PixiPlugin && !gsap.plugins?.pixi) {
-    gsap.registerPlugin(PixiPlugin);
-    PixiPlugin.registerPIXI(pixiModule);
-  }
-
-  return Object.freeze({
-    // App instances
-    app,
-    stage: app.stage,
-    ticker: config.ticker ?? app.ticker,
-    renderer: app.renderer,
-
-    // GSAP
-    gsap: gsap || null,
-
-    // Class references
-    classes: Object.freeze({
-      Container: config.Container ?? pixiModule.Container,
-      Graphics: config.Graphics ?? pixiModule.Graphics,
-      Sprite: config.Sprite ?? pixiModule.Sprite,
-      Text: config.Text ?? pixiModule.Text,
-      Point: config.Point ?? pixiModule.Point,
-      Rectangle: config.Rectangle ?? pixiModule.Rectangle,
-      BlurFilter: config.BlurFilter ?? pixiModule.BlurFilter,
-      Filter: config.Filter ?? pixiModule.Filter,
-    }),
-
-    // Convenience factories
-    create: Object.freeze({
-      container: () => new (config.Container ?? pixiModule.Container)(),
-      graphics: () => new (config.Graphics ?? pixiModule.Graphics)(),
-      sprite: (texture) => new (config.Sprite ?? pixiModule.Sprite)(texture),
-      point: (x = 0, y = 0) => new (config.Point ?? pixiModule.Point)(x, y),
-    }),
-  });
-}
-
 // ============================================================================
 // MAIN SCENE COMPONENT
 // ============================================================================
@@ -1034,6 +1106,17 @@ class BioluminescentOcean {
     debrisCount: 25,
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Scene width' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Scene height' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+    planktonCount: { type: 'integer', min: 0, max: 2000, description: 'Glowing plankton particles' },
+    debrisCount: { type: 'integer', min: 0, max: 200, description: 'Floating marine snow' },
+  };
+
   constructor(ctx, options = {}) {
     // Validate required context
     if (!ctx?.classes) {
@@ -1049,11 +1132,12 @@ class BioluminescentOcean {
     // Store context references
     this.classes = ctx.classes;
     this.ticker = ctx.ticker;
+    this.random = ctx.random;
     this._ctx = ctx;
 
     // Store container and merge options
     this.parentContainer = options.container;
-    this.options = { ...BioluminescentOcean.defaults, ...options };
+    this.options = resolveOptions(BioluminescentOcean, options, { mode: ctx.validation });
 
     // State
     this._destroyed = false;
@@ -1152,6 +1236,38 @@ class BioluminescentOcean {
     return this;
   }
 
+  /**
+   * Thin out plankton and debris for a quality tier. Light rays and the few
+   * jellyfish are cheap and stay as they are.
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    for (const component of this._components) {
+      if (typeof component.setQuality === 'function') {
+        component.setQuality(level);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Resize the scene and all layers
+   * @param {number} width - New width
+   * @param {number} height - New height
+   */
+  resize(width, height) {
+    if (this._destroyed) return this;
+    this.options.width = width;
+    this.options.height = height;
+
+    for (const component of this._components) {
+      if (typeof component.resize === 'function') {
+        component.resize(width, height);
+      }
+    }
+    return this;
+  }
+
   reset() {
     for (const component of this._components) {
       if (typeof component.reset === 'function') {
@@ -1185,7 +1301,7 @@ class BioluminescentOcean {
 // EXPORTS
 // ============================================================================
 export {
-  noise,
+  createNoise,
   createPixiContext,
   DeepOceanBackground,
   BioluminescentPlankton,
@@ -13,6 +13,10 @@
  * @param {boolean} [options.autoStart=true] - Start animation immediately
  */
 
+import { resolveOptions } from '../src/core/options';
+import { getQualityProfile } from '../src/core/quality';
+import { createShaderLayer } from '../src/core/shaderLayer';
+
 // ============================================================================
 // VERTEX SHADER (WebGL 1.0 - original)
 // ============================================================================
@@ -347,6 +351,16 @@ const fragmentShaderSource = `
 // ============================================================================
 
 class StarExplosionShader {
+  /**
+   * Runtime kind for demoRunner: owns its canvas and WebGL context
+   */
+  static runtime = 'standalone-webgl';
+
+  /**
+   * Host requirements: needs WebGL, probed before the canvas is created
+   */
+  static requires = { webgl: ['webgl'] };
+
   /**
    * Default configuration
    */
@@ -357,6 +371,16 @@ class StarExplosionShader {
     dpr: 1.5, // Max device pixel ratio
   };
 
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', nullable: true, description: 'Width (null = canvas client width)' },
+    height: { type: 'number', min: 1, unit: 'px', nullable: true, description: 'Height (null = canvas client height)' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+    dpr: { type: 'number', min: 0.5, max: 3, step: 0.25, description: 'Max device pixel ratio' },
+  };
+
   /**
    * @param {Object} options - Configuration options
    */
@@ -370,13 +394,13 @@ class StarExplosionShader {
     }
 
     // Merge options
-    this.options = { ...StarExplosionShader.defaults, ...options };
+    this.options = resolveOptions(StarExplosionShader, options);
     this.ticker = this.options.ticker;
 
     // Internal state
     this._destroyed = false;
+    this._maxDpr = Infinity; // lowered by setQuality()
     this._running = false;
-    this._startTime = 0;
     this._time = 0;
 
     // Mouse position (normalized 0-1)
@@ -506,7 +530,7 @@ class StarExplosionShader {
    * Resize canvas
    */
   _resize() {
-    const dpr = Math.min(window.devicePixelRatio, this.options.dpr);
+    const dpr = Math.min(window.devicePixelRatio, this.options.dpr, this._maxDpr);
     const width = this.options.width ?? this._canvas.clientWidth;
     const height = this.options.height ?? this._canvas.clientHeight;
 
@@ -518,13 +542,13 @@ class StarExplosionShader {
   /**
    * Update loop - called by ticker
    */
-  _update() {
+  _update(ticker) {
     if (this._destroyed || !this._running) return;
 
     const gl = this._gl;
 
-    // Update time
-    this._time = (performance.now() - this._startTime) * 0.001;
+    // Advance by ticker time so pausing and slow motion apply
+    this._time += ticker.deltaMS * 0.001;
 
     // Smooth mouse interpolation
     this._smoothMouse.x += (this._mouse.x - this._smoothMouse.x) * 0.05;
@@ -546,7 +570,7 @@ class StarExplosionShader {
     if (this._destroyed || this._running) return this;
 
     this._running = true;
-    this._startTime = performance.now();
+    this._time = 0;
     this.ticker.add(this._boundUpdate);
 
     return this;
@@ -575,6 +599,16 @@ class StarExplosionShader {
     return this;
   }
 
+  /**
+   * Cap the render resolution for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._maxDpr = getQualityProfile(level).dpr;
+    this._resize();
+    return this;
+  }
+
   /**
    * Resize the effect
    * @param {number} [width] - New width (optional)
@@ -648,9 +682,178 @@ class StarExplosionShader {
   }
 }
 
+// ============================================================================
+// PIXI-HOSTED MODE
+// ============================================================================
+
+/**
+ * StarExplosionShaderLayer - StarExplosionShader rendered inside the shared PIXI renderer
+ *
+ * Runs the same fragment source through createShaderLayer() (a ctx.classes.Filter
+ * on a full-screen quad), so it can be layered under other PIXI content without
+ * using up a browser WebGL context of its own.
+ *
+ * @example
+ * const background = new StarExplosionShaderLayer(ctx, { container: app.stage, width: 800, height: 600 });
+ * const star = new GoldenStarCharge(ctx, { container: app.stage, width: 800, height: 600 });
+ *
+ * @param {Object} ctx - PixiContext with classes (Container, Graphics, Filter, GlProgram), ticker
+ * @param {Object} options - Configuration options
+ * @param {PIXI.Container} options.container - Parent container (required)
+ * @param {number} [options.width=800] - Width in CSS pixels
+ * @param {number} [options.height=600] - Height in CSS pixels
+ * @param {boolean} [options.autoStart=true] - Start animation immediately
+ */
+class StarExplosionShaderLayer {
+  /**
+   * Host requirements: the ctx classes the full-screen filter is built from
+   */
+  static requires = { classes: ['Filter', 'GlProgram'] };
+
+  /**
+   * Default configuration
+   */
+  static defaults = {
+    width: 800,
+    height: 600,
+    autoStart: true,
+    dpr: 1.5, // Max device pixel ratio
+  };
+
+  /**
+   * Option schema - types, ranges and docs used for validation and tooling
+   */
+  static schema = {
+    width: { type: 'number', min: 1, unit: 'px', description: 'Width in CSS pixels' },
+    height: { type: 'number', min: 1, unit: 'px', description: 'Height in CSS pixels' },
+    autoStart: { type: 'boolean', description: 'Start animation immediately' },
+    dpr: { type: 'number', min: 0.5, max: 3, step: 0.25, description: 'Max device pixel ratio' },
+  };
+
+  /**
+   * @param {Object} ctx - PixiContext
+   * @param {Object} options - Configuration options
+   */
+  constructor(ctx, options = {}) {
+    // Merge options
+    this.options = resolveOptions(StarExplosionShaderLayer, options, { mode: ctx?.validation });
+
+    // Mouse position (normalized 0-1)
+    this._mouse = { x: 0.5, y: 0.5 };
+    this._smoothMouse = { x: 0.5, y: 0.5 };
+
+    const uniforms = { u_mouse: { value: new Float32Array(2), type: 'vec2<f32>' } };
+    this._layer = createShaderLayer(ctx, fragmentShaderSource, uniforms, {
+      container: this.options.container,
+      width: this.options.width,
+      height: this.options.height,
+      dpr: this.options.dpr,
+      name: 'StarExplosionShaderLayer',
+      onUpdate: (values) => {
+        // Smooth mouse interpolation
+        this._smoothMouse.x += (this._mouse.x - this._smoothMouse.x) * 0.05;
+        this._smoothMouse.y += (this._mouse.y - this._smoothMouse.y) * 0.05;
+        values.u_mouse[0] = this._smoothMouse.x;
+        values.u_mouse[1] = this._smoothMouse.y;
+      },
+    });
+    this.container = this.options.container;
+
+    // Auto-start if configured
+    if (this.options.autoStart) {
+      this.start();
+    }
+  }
+
+  /**
+   * Start animation
+   */
+  start() {
+    this._layer.start();
+    return this;
+  }
+
+  /**
+   * Stop animation
+   */
+  stop() {
+    this._layer.stop();
+    return this;
+  }
+
+  /**
+   * Set mouse position (normalized 0-1)
+   * @param {number} x - X position (0 = left, 1 = right)
+   * @param {number} y - Y position (0 = bottom, 1 = top)
+   */
+  setMouse(x, y) {
+    this._mouse.x = x;
+    this._mouse.y = y;
+    return this;
+  }
+
+  /**
+   * Set mouse position in layer pixels (y down), as scenes forward the pointer
+   * @param {number} x - X position in pixels
+   * @param {number} y - Y position in pixels
+   */
+  setMousePosition(x, y) {
+    return this.setMouse(x / this.options.width, 1 - y / this.options.height);
+  }
+
+  /**
+   * Cap the render resolution for a quality tier
+   * @param {'low'|'medium'|'high'} level
+   */
+  setQuality(level) {
+    this._layer.setQuality(level);
+    return this;
+  }
+
+  /**
+   * Resize the effect
+   * @param {number} [width] - New width (optional)
+   * @param {number} [height] - New height (optional)
+   */
+  resize(width, height) {
+    if (width !== undefined) this.options.width = width;
+    if (height !== undefined) this.options.height = height;
+    this._layer.resize(this.options.width, this.options.height);
+    return this;
+  }
+
+  /**
+   * Get the root display object
+   */
+  get view() {
+    return this._layer.view;
+  }
+
+  /**
+   * Get current time
+   */
+  get time() {
+    return this._layer.time;
+  }
+
+  /**
+   * Get running state
+   */
+  get isRunning() {
+    return this._layer.isRunning;
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this._layer.destroy();
+  }
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
 
-export { StarExplosionShader, vertexShaderSource, fragmentShaderSource };
+export { StarExplosionShader, StarExplosionShaderLayer, vertexShaderSource, fragmentShaderSource };
 export default StarExplosionShader;
\ No newline at end of file
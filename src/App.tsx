@@ -1,21 +1,43 @@
 import { AnimatePresence, motion } from 'framer-motion';
-import { useMemo } from 'react';
+import { useEffect, useMemo } from 'react';
 
 import { COMPONENT_METADATA } from './registry';
 import { ContentCard } from './components/content/ContentCard';
 import { ContentModal } from './components/content/ContentModal';
+import { SceneComposer } from './components/composer/SceneComposer';
+import { FilterBar } from './components/layout/FilterBar';
 import { Header } from './components/layout/Header';
-import { useUIStore, useUserStore } from './stores';
+import { useFilterStore, useUIStore, useUserStore } from './stores';
+import { filterComponents } from './utils/componentFilters';
+import { suspendPreviews } from './utils/previewRenderer';
+import { useRouteSync } from './utils/router';
 
 export default function App() {
-  const { selectedContentId, setSelectedContent } = useUIStore();
+  useRouteSync();
+
+  const { selectedContentId, setSelectedContent, isComposerOpen, setComposerOpen } = useUIStore();
   const { viewMode, likedItems, bookmarkedItems, toggleLike, toggleBookmark } = useUserStore();
+  const { search, category, tag, sortBy, showBookmarksOnly, reset: resetFilters } = useFilterStore();
+
+  const filteredContent = useMemo(
+    () =>
+      filterComponents(
+        { search, category, tag, sortBy, showBookmarksOnly },
+        { likedItems, bookmarkedItems }
+      ),
+    [search, category, tag, sortBy, showBookmarksOnly, likedItems, bookmarkedItems]
+  );
 
   const selectedContent = useMemo(
     () => COMPONENT_METADATA.find((c) => c.id === selectedContentId) ?? null,
     [selectedContentId]
   );
 
+  // The modal covers the gallery; card previews would only compete with its demo
+  useEffect(() => {
+    suspendPreviews(selectedContent !== null || isComposerOpen);
+  }, [selectedContent, isComposerOpen]);
+
   return (
     <div className="h-screen flex flex-col bg-slate-950 text-white overflow-hidden">
       {/* Animated Background */}
@@ -31,13 +53,27 @@ export default function App() {
 
       <main className="relative z-10 flex-1 overflow-y-auto">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 py-6">
+          <FilterBar />
+
           {/* Results Info */}
           <div className="flex items-center justify-between mb-4">
             <p className="text-slate-400 text-sm">
-              Showing <span className="text-white font-medium">{COMPONENT_METADATA.length}</span> components
+              Showing <span className="text-white font-medium">{filteredContent.length}</span>
+              {filteredContent.length === COMPONENT_METADATA.length ? '' : ` of ${COMPONENT_METADATA.length}`}{' '}
+              {filteredContent.length === 1 ? 'component' : 'components'}
             </p>
           </div>
 
+          {filteredContent.length === 0 && (
+            <div className="text-center py-16">
+              <p className="text-4xl mb-3">🔍</p>
+              <p className="text-slate-400 mb-3">No components match these filters.</p>
+              <button onClick={resetFilters} className="text-sm text-cyan-400 hover:text-cyan-300">
+                Clear filters
+              </button>
+            </div>
+          )}
+
           {/* Content Grid */}
           <motion.div
             className={
@@ -48,7 +84,7 @@ export default function App() {
             layout
           >
             <AnimatePresence mode="popLayout">
-              {COMPONENT_METADATA.map((content, index) => (
+              {filteredContent.map((content, index) => (
                 <motion.div
                   key={content.id}
                   initial={{ opacity: 0, y: 20 }}
@@ -86,6 +122,11 @@ export default function App() {
           />
         )}
       </AnimatePresence>
+
+      {/* Scene Composer */}
+      <AnimatePresence>
+        {isComposerOpen && <SceneComposer onClose={() => setComposerOpen(false)} />}
+      </AnimatePresence>
     </div>
   );
 }
@@ -0,0 +1,75 @@
+import { getComponentById } from '../../registry';
+import type { SceneLayer } from '../../types';
+
+interface LayerListProps {
+  /** Bottom to top, as stored; listed top first */
+  layers: SceneLayer[];
+  selectedId: string | null;
+  /** Start errors of the running scene, by layer id */
+  errors: Record<string, string>;
+  onSelect: (id: string) => void;
+  onMove: (id: string, offset: number) => void;
+  onToggleVisible: (layer: SceneLayer) => void;
+  onRemove: (id: string) => void;
+}
+
+export function LayerList({ layers, selectedId, errors, onSelect, onMove, onToggleVisible, onRemove }: LayerListProps) {
+  if (layers.length === 0) {
+    return <p className="text-sm text-slate-500">No layers yet. Add a component to start the scene.</p>;
+  }
+
+  const iconButton = 'w-6 h-6 rounded text-xs text-slate-400 hover:text-white hover:bg-slate-700 disabled:opacity-30 disabled:hover:bg-transparent';
+
+  return (
+    <ol className="space-y-1.5">
+      {layers
+        .map((layer, index) => ({ layer, index }))
+        .reverse()
+        .map(({ layer, index }) => {
+          const metadata = getComponentById(layer.component);
+          const error = errors[layer.id];
+          return (
+            <li
+              key={layer.id}
+              onClick={() => onSelect(layer.id)}
+              className={`flex items-center gap-2 px-2 py-1.5 rounded-lg cursor-pointer transition-colors ${
+                layer.id === selectedId ? 'bg-cyan-500/15 ring-1 ring-cyan-500/40' : 'bg-slate-800/50 hover:bg-slate-800'
+              }`}
+            >
+              <span className={layer.visible ? '' : 'opacity-40'}>{metadata?.icon}</span>
+              <div className={`flex-1 min-w-0 ${layer.visible ? '' : 'opacity-40'}`}>
+                <p className="text-sm text-white truncate">{metadata?.name ?? layer.component}</p>
+                <p className="text-[11px] text-slate-500 font-mono truncate">
+                  {layer.id} · {layer.blendMode} · {Math.round(layer.alpha * 100)}%
+                </p>
+              </div>
+              {error && (
+                <span className="text-xs text-red-400" title={error}>
+                  ⚠️
+                </span>
+              )}
+              <div className="flex items-center" onClick={(e) => e.stopPropagation()}>
+                <button onClick={() => onToggleVisible(layer)} className={iconButton} title={layer.visible ? 'Hide' : 'Show'}>
+                  {layer.visible ? '◉' : '○'}
+                </button>
+                <button
+                  onClick={() => onMove(layer.id, 1)}
+                  disabled={index === layers.length - 1}
+                  className={iconButton}
+                  title="Bring forward"
+                >
+                  ↑
+                </button>
+                <button onClick={() => onMove(layer.id, -1)} disabled={index === 0} className={iconButton} title="Send backward">
+                  ↓
+                </button>
+                <button onClick={() => onRemove(layer.id)} className={iconButton} title="Remove layer">
+                  ✕
+                </button>
+              </div>
+            </li>
+          );
+        })}
+    </ol>
+  );
+}
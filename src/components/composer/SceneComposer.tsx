@@ -0,0 +1,364 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { motion } from 'framer-motion';
+import { useComposerStore } from '../../stores';
+import type { LayerBlendMode, SceneLayer } from '../../types';
+import { runSceneDemo, type SceneDemo } from '../../utils/demoRunner';
+import { applyLiveOption, getOptionFields } from '../../utils/optionFields';
+import {
+  compositionSlug,
+  getComposableComponents,
+  LAYER_BLEND_MODES,
+  loadSceneSources,
+  parseComposition,
+  serializeComposition,
+} from '../../utils/sceneComposer';
+import { buildSceneProject } from '../../utils/starterProject';
+import { downloadBlob } from '../../utils/zip';
+import { OptionPanel } from '../content/OptionPanel';
+import { RecordMenu } from '../content/RecordMenu';
+import { SnapshotMenu } from '../content/SnapshotMenu';
+import { TimeControl } from '../content/TimeControl';
+import { LayerList } from './LayerList';
+
+// Delay before rebuilding the scene after a non-live option change (slider drags)
+const RESTART_DEBOUNCE_MS = 250;
+
+interface SceneComposerProps {
+  onClose: () => void;
+}
+
+export function SceneComposer({ onClose }: SceneComposerProps) {
+  const { composition, setComposition, setName, addLayer, removeLayer, moveLayer, updateLayer } = useComposerStore();
+  const [selectedId, setSelectedId] = useState<string | null>(() => composition.layers.at(-1)?.id ?? null);
+  const [scene, setScene] = useState<SceneDemo | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<{ text: string; error?: boolean } | null>(null);
+  const [isExporting, setIsExporting] = useState(false);
+  const [sceneKey, setSceneKey] = useState(0);
+  const stageRef = useRef<HTMLDivElement>(null);
+  const sceneRef = useRef<SceneDemo | null>(null);
+  const fileInputRef = useRef<HTMLInputElement>(null);
+  const restartTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+
+  const composable = useMemo(() => getComposableComponents(), []);
+  const selected = composition.layers.find((layer) => layer.id === selectedId) ?? null;
+
+  // Only the set of components decides what gets constructed; order, blend
+  // mode, alpha and visibility are applied to the running scene
+  const structure = composition.layers.map((layer) => `${layer.id}:${layer.component}`).join('|');
+
+  // Build the scene
+  useEffect(() => {
+    const container = stageRef.current;
+    const { layers } = useComposerStore.getState().composition;
+    setError(null);
+    setIsLoading(layers.length > 0);
+    if (!container || layers.length === 0) return;
+
+    let mounted = true;
+
+    const build = async () => {
+      try {
+        const sources = await loadSceneSources(layers);
+        if (!mounted) return;
+        const next = await runSceneDemo(container, sources);
+        if (!mounted) {
+          next.destroy();
+          return;
+        }
+        // Settings may have changed while the layers loaded
+        next.arrange(useComposerStore.getState().composition.layers);
+        sceneRef.current = next;
+        setScene(next);
+      } catch (err) {
+        if (!mounted) return;
+        setError(`Failed to build the scene: ${err instanceof Error ? err.message : 'Unknown error'}`);
+        console.error('Scene build error:', err);
+      } finally {
+        if (mounted) setIsLoading(false);
+      }
+    };
+
+    build();
+
+    return () => {
+      mounted = false;
+      setScene(null);
+      sceneRef.current?.destroy();
+      sceneRef.current = null;
+      container.querySelectorAll('canvas').forEach((canvas) => canvas.remove());
+    };
+  }, [structure, sceneKey]);
+
+  // Arrange live
+  useEffect(() => {
+    scene?.arrange(composition.layers);
+  }, [scene, composition.layers]);
+
+  // Cancel a pending rebuild on unmount
+  useEffect(
+    () => () => {
+      if (restartTimerRef.current) clearTimeout(restartTimerRef.current);
+    },
+    []
+  );
+
+  const running = selected ? scene?.layers.get(selected.id) : undefined;
+  const optionFields = useMemo(
+    () => (running ? getOptionFields(running.componentClass, running.instance) : []),
+    [running]
+  );
+  const layerErrors = useMemo(() => {
+    const errors: Record<string, string> = {};
+    for (const [id, entry] of scene?.layers ?? []) {
+      if (entry.error) errors[id] = entry.error;
+    }
+    return errors;
+  }, [scene]);
+
+  const handleAddLayer = (component: string) => {
+    addLayer(component);
+    setSelectedId(useComposerStore.getState().composition.layers.at(-1)?.id ?? null);
+  };
+
+  const handleRemoveLayer = (id: string) => {
+    removeLayer(id);
+    if (id === selectedId) setSelectedId(useComposerStore.getState().composition.layers.at(-1)?.id ?? null);
+  };
+
+  // Apply an option live through a setter, or rebuild the scene
+  const handleOptionChange = useCallback(
+    (key: string, value: unknown) => {
+      if (!selected) return;
+      updateLayer(selected.id, { options: { ...selected.options, [key]: value } });
+
+      if (applyLiveOption(sceneRef.current?.layers.get(selected.id)?.instance ?? null, key, value)) return;
+
+      if (restartTimerRef.current) clearTimeout(restartTimerRef.current);
+      restartTimerRef.current = setTimeout(() => {
+        restartTimerRef.current = null;
+        setSceneKey((k) => k + 1);
+      }, RESTART_DEBOUNCE_MS);
+    },
+    [selected, updateLayer]
+  );
+
+  const handleOptionReset = useCallback(() => {
+    if (!selected) return;
+    updateLayer(selected.id, { options: {} });
+    setSceneKey((k) => k + 1);
+  }, [selected, updateLayer]);
+
+  const handleSave = () => {
+    const json = serializeComposition(composition);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${compositionSlug(composition)}.json`);
+  };
+
+  const handleLoad = async (file: File) => {
+    try {
+      const loaded = parseComposition(await file.text());
+      setComposition(loaded);
+      setSelectedId(loaded.layers.at(-1)?.id ?? null);
+      // Same layer ids would otherwise keep the old options running
+      setSceneKey((k) => k + 1);
+      setNotice({ text: `Loaded ${file.name}` });
+    } catch (err) {
+      setNotice({ text: err instanceof Error ? err.message : 'Could not load the file', error: true });
+    }
+  };
+
+  // Zip a runnable project whose main.js stacks the layers
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const slug = compositionSlug(composition);
+      const sources = await loadSceneSources(composition.layers);
+      // Same seed as the preview, so the project opens on the same scene
+      const seed = sceneRef.current?.seed ?? null;
+      downloadBlob(await buildSceneProject(composition, sources, slug, seed), `${slug}.zip`);
+    } catch (err) {
+      setNotice({ text: err instanceof Error ? err.message : 'Export failed', error: true });
+      console.error('Scene export failed:', err);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Handle escape key
+  useEffect(() => {
+    const handleEscape = (e: KeyboardEvent) => {
+      if (e.key === 'Escape' && !document.fullscreenElement) onClose();
+    };
+    window.addEventListener('keydown', handleEscape);
+    return () => window.removeEventListener('keydown', handleEscape);
+  }, [onClose]);
+
+  const headerButton =
+    'p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors disabled:opacity-50 disabled:cursor-wait';
+  const fileName = compositionSlug(composition);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 z-50 flex items-center justify-center p-2 sm:p-4 bg-black/80 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.95, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.95, opacity: 0 }}
+        className="relative bg-slate-900 border border-slate-700 rounded-2xl overflow-hidden flex flex-col w-full h-[95vh] max-w-7xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between gap-3 px-4 py-3 border-b border-slate-800 bg-slate-900 z-10">
+          <div className="flex items-center gap-3 min-w-0 flex-1">
+            <span className="text-2xl flex-shrink-0">🧩</span>
+            <div className="min-w-0 flex-1">
+              <input
+                value={composition.name}
+                onChange={(e) => setName(e.target.value)}
+                className="w-full max-w-sm bg-transparent text-lg font-bold text-white focus:outline-none border-b border-transparent focus:border-cyan-500"
+                aria-label="Scene name"
+              />
+              <p className="text-xs text-slate-400">Scene composer</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-1 flex-shrink-0">
+            <SnapshotMenu demo={scene} fileName={fileName} />
+            <RecordMenu demo={scene} fileName={fileName} />
+            <button onClick={handleSave} className={headerButton} title="Save composition (.json)">
+              💾
+            </button>
+            <button onClick={() => fileInputRef.current?.click()} className={headerButton} title="Load composition (.json)">
+              📂
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                if (file) handleLoad(file);
+              }}
+            />
+            <button
+              onClick={handleExport}
+              disabled={isExporting || composition.layers.length === 0}
+              className={headerButton}
+              title="Export project with a combined bootstrap (.zip)"
+            >
+              {isExporting ? '⏳' : '📦'}
+            </button>
+            <button onClick={onClose} className={headerButton}>
+              ✕
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 flex flex-col md:flex-row overflow-hidden min-h-0">
+          {/* Stage */}
+          <div className="flex-1 md:flex-[2] relative overflow-hidden min-h-[60%] md:min-h-0">
+            <div ref={stageRef} className="absolute inset-0 bg-slate-950 flex items-center justify-center">
+              {composition.layers.length === 0 && (
+                <p className="text-slate-500 text-sm">Add layers from the panel to compose a scene.</p>
+              )}
+              {isLoading && (
+                <div className="absolute inset-0 flex items-center justify-center bg-slate-950 z-10">
+                  <p className="text-slate-400 animate-pulse">Building scene...</p>
+                </div>
+              )}
+              {!error && <TimeControl clock={scene?.clock} />}
+              {error && (
+                <div className="absolute inset-0 flex items-center justify-center bg-slate-950 z-10">
+                  <p className="text-red-400">{error}</p>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Layers */}
+          <div className="max-h-[40%] md:max-h-none md:w-80 lg:w-96 border-t md:border-t-0 md:border-l border-slate-800 bg-slate-900/80 overflow-y-auto flex-shrink-0">
+            <div className="p-4 space-y-4">
+              <select
+                value=""
+                onChange={(e) => e.target.value && handleAddLayer(e.target.value)}
+                className="w-full px-2 py-1.5 rounded-lg bg-slate-800 border border-slate-700 text-sm text-slate-200 focus:outline-none focus:border-cyan-500"
+              >
+                <option value="">+ Add layer…</option>
+                {composable.map((metadata) => (
+                  <option key={metadata.id} value={metadata.id}>
+                    {metadata.icon} {metadata.name}
+                  </option>
+                ))}
+              </select>
+
+              {notice && (
+                <p className={`text-[11px] leading-snug ${notice.error ? 'text-red-400' : 'text-cyan-400'}`}>{notice.text}</p>
+              )}
+
+              <div>
+                <h3 className="text-xs font-medium text-slate-500 uppercase tracking-wider mb-2">Layers</h3>
+                <LayerList
+                  layers={composition.layers}
+                  selectedId={selectedId}
+                  errors={layerErrors}
+                  onSelect={setSelectedId}
+                  onMove={moveLayer}
+                  onToggleVisible={(layer: SceneLayer) => updateLayer(layer.id, { visible: !layer.visible })}
+                  onRemove={handleRemoveLayer}
+                />
+              </div>
+
+              {selected && (
+                <div className="space-y-3">
+                  <h3 className="text-xs font-medium text-slate-500 uppercase tracking-wider">Layer</h3>
+                  <label className="flex items-center justify-between gap-2">
+                    <span className="text-xs text-slate-300">Blend mode</span>
+                    <select
+                      value={selected.blendMode}
+                      onChange={(e) => updateLayer(selected.id, { blendMode: e.target.value as LayerBlendMode })}
+                      className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-xs text-white"
+                    >
+                      {LAYER_BLEND_MODES.map((mode) => (
+                        <option key={mode} value={mode}>
+                          {mode}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="block">
+                    <div className="flex items-center justify-between gap-2 mb-1">
+                      <span className="text-xs text-slate-300">Alpha</span>
+                      <span className="text-xs text-cyan-400 font-mono">{selected.alpha}</span>
+                    </div>
+                    <input
+                      type="range"
+                      min={0}
+                      max={1}
+                      step={0.05}
+                      value={selected.alpha}
+                      onChange={(e) => updateLayer(selected.id, { alpha: Number(e.target.value) })}
+                      className="w-full accent-cyan-400"
+                    />
+                  </label>
+                  <OptionPanel
+                    fields={optionFields}
+                    values={selected.options}
+                    onChange={handleOptionChange}
+                    onReset={handleOptionReset}
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+}
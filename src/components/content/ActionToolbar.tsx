@@ -0,0 +1,32 @@
+import type { ComponentAction } from '../../types';
+
+interface ActionToolbarProps {
+  actions: ComponentAction[];
+  onAction: (action: ComponentAction) => void;
+}
+
+export function ActionToolbar({ actions, onAction }: ActionToolbarProps) {
+  if (actions.length === 0) return null;
+
+  return (
+    <div className="absolute bottom-3 left-1/2 -translate-x-1/2 z-20 flex flex-wrap justify-center gap-1.5 px-2 py-1.5 bg-slate-900/80 backdrop-blur-sm border border-slate-700 rounded-xl">
+      {actions.map((action) => (
+        <button
+          key={`${action.method}:${action.label}`}
+          onClick={() => onAction(action)}
+          title={[action.description, action.shortcut && `Shortcut: ${action.shortcut.toUpperCase()}`]
+            .filter(Boolean)
+            .join(' · ')}
+          className="flex items-center gap-1.5 px-3 py-1 rounded-lg text-xs font-medium text-slate-300 hover:text-cyan-400 hover:bg-slate-800 transition-colors"
+        >
+          {action.label}
+          {action.shortcut && (
+            <kbd className="px-1 rounded bg-slate-800 border border-slate-700 text-[10px] text-slate-500 font-mono">
+              {action.shortcut.toUpperCase()}
+            </kbd>
+          )}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -1,4 +1,6 @@
+import { useEffect, useRef, useState } from 'react';
 import type { ComponentMetadata, ViewMode } from '../../types';
+import { createPreviewSlot } from '../../utils/previewRenderer';
 
 interface ContentCardProps {
   content: ComponentMetadata;
@@ -17,6 +19,60 @@ const complexityColors = {
   expert: 'bg-red-500/20 text-red-400',
 };
 
+/**
+ * Plays a live preview in the card while it is on screen or hovered.
+ * With reduced motion preferred, only hovering plays it.
+ */
+function useLivePreview(content: ComponentMetadata, enabled: boolean) {
+  const cardRef = useRef<HTMLDivElement>(null);
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const [live, setLive] = useState(false);
+
+  useEffect(() => {
+    const card = cardRef.current;
+    const canvas = canvasRef.current;
+    if (!enabled || !card || !canvas) return;
+
+    const preview = createPreviewSlot(content, canvas, { onFirstFrame: () => setLive(true) });
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    let visible = false;
+    let hovered = false;
+    const update = () => {
+      preview.setActive(hovered || (visible && !reducedMotion));
+      preview.setFocused(hovered);
+    };
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        visible = entry.isIntersecting;
+        update();
+      },
+      { threshold: 0.25 }
+    );
+    observer.observe(card);
+    const handleEnter = () => {
+      hovered = true;
+      update();
+    };
+    const handleLeave = () => {
+      hovered = false;
+      update();
+    };
+    card.addEventListener('pointerenter', handleEnter);
+    card.addEventListener('pointerleave', handleLeave);
+
+    return () => {
+      observer.disconnect();
+      card.removeEventListener('pointerenter', handleEnter);
+      card.removeEventListener('pointerleave', handleLeave);
+      preview.destroy();
+      setLive(false);
+    };
+  }, [content, enabled]);
+
+  return { cardRef, canvasRef, live };
+}
+
 export function ContentCard({
   content,
   onSelect,
@@ -26,6 +82,8 @@ export function ContentCard({
   isBookmarked,
   viewMode,
 }: ContentCardProps) {
+  const { cardRef, canvasRef, live } = useLivePreview(content, viewMode === 'grid');
+
   if (viewMode === 'list') {
     return (
       <div
@@ -84,6 +142,7 @@ export function ContentCard({
 
   return (
     <div
+      ref={cardRef}
       onClick={onSelect}
       className="group relative bg-slate-900/50 border border-slate-800 rounded-2xl overflow-hidden hover:border-cyan-500/50 cursor-pointer transition-all hover:scale-[1.02] hover:shadow-xl hover:shadow-cyan-500/10"
     >
@@ -94,8 +153,20 @@ export function ContentCard({
           background: `linear-gradient(135deg, ${content.color}20, transparent)`,
         }}
       >
-        {/* Large Icon */}
-        <div className="absolute inset-0 flex items-center justify-center text-8xl opacity-30 group-hover:opacity-50 transition-opacity">
+        {/* Live preview, drawn by the shared preview renderer */}
+        <canvas
+          ref={canvasRef}
+          className={`absolute inset-0 w-full h-full object-cover transition-opacity duration-500 ${
+            live ? 'opacity-100' : 'opacity-0'
+          }`}
+        />
+
+        {/* Large Icon (until the preview has a frame) */}
+        <div
+          className={`absolute inset-0 flex items-center justify-center text-8xl transition-opacity ${
+            live ? 'opacity-0' : 'opacity-30 group-hover:opacity-50'
+          }`}
+        >
           {content.icon}
         </div>
 
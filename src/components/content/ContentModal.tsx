@@ -1,8 +1,36 @@
-import { useEffect, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { motion } from 'framer-motion';
-import type { ComponentMetadata } from '../../types';
+import type { ComponentAction, ComponentMetadata, OptionField, QualityLevel, QualityMode } from '../../types';
 import { loadComponent, getComponentSource, getRelatedComponents } from '../../registry';
-import { runDemo, type DemoInstance } from '../../utils/demoRunner';
+import { useUIStore, useUserStore } from '../../stores';
+import {
+  findComponentClass,
+  getDemoActions,
+  getPresetOptions,
+  runDemo,
+  runDemoAction,
+  type ComponentClass,
+  type DemoInstance,
+} from '../../utils/demoRunner';
+import { applyLiveOption, getOptionFields } from '../../utils/optionFields';
+import { createQualityGovernor, type QualityGovernor } from '../../utils/qualityGovernor';
+import { buildStarterProject, contentFile, getCoreFiles } from '../../utils/starterProject';
+import { downloadBlob } from '../../utils/zip';
+import { ActionToolbar } from './ActionToolbar';
+import { OptionPanel } from './OptionPanel';
+import { OptionReference } from './OptionReference';
+import { PerfHud } from './PerfHud';
+import { RecordMenu } from './RecordMenu';
+import { SeedControl } from './SeedControl';
+import { SnapshotMenu } from './SnapshotMenu';
+import { TimeControl } from './TimeControl';
+
+// Delay before re-instantiating after a non-live option change (slider drags)
+const RESTART_DEBOUNCE_MS = 250;
+
+// Some browsers deliver the Escape keydown that ended fullscreen; ignore it
+// for this long so it does not also close the modal
+const FULLSCREEN_EXIT_GRACE_MS = 200;
 
 interface ContentModalProps {
   content: ComponentMetadata;
@@ -21,21 +49,107 @@ export function ContentModal({
   isLiked,
   isBookmarked,
 }: ContentModalProps) {
-  const [activeTab, setActiveTab] = useState<'demo' | 'code'>('demo');
   const [sourceCode, setSourceCode] = useState<string>('Loading...');
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [isTheaterMode, setIsTheaterMode] = useState(false);
+  const [optionFields, setOptionFields] = useState<OptionField[]>([]);
+  const [demoKey, setDemoKey] = useState(0);
+  const [componentClass, setComponentClass] = useState<ComponentClass | null>(null);
+  const [demoActions, setDemoActions] = useState<ComponentAction[]>([]);
+  const [isExporting, setIsExporting] = useState(false);
+  // Mirrors demoInstanceRef for consumers that render from it (HUD)
+  const [runningDemo, setRunningDemo] = useState<DemoInstance | null>(null);
+  // Tier the running demo is at (the governor's pick in auto mode)
+  const [qualityLevel, setQualityLevel] = useState<QualityLevel | null>(null);
   const canvasRef = useRef<HTMLDivElement>(null);
   const demoInstanceRef = useRef<DemoInstance | null>(null);
+  const governorRef = useRef<QualityGovernor | null>(null);
+  const restartTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const fullscreenExitedAtRef = useRef(0);
+  const {
+    activeTab,
+    setActiveTab,
+    isFullscreen,
+    setFullscreen,
+    optionOverrides,
+    setOptionOverrides,
+    preset,
+    setPreset,
+    seed,
+    setSeed,
+  } = useUIStore();
+  const { showPerfHud, togglePerfHud, qualityMode, setQualityMode } = useUserStore();
+  // Overrides this modal last wrote or applied; anything else came from outside (URL)
+  const optionValuesRef = useRef(optionOverrides);
+  // Registry id componentClass was resolved for
+  const componentClassIdRef = useRef<string | null>(null);
+
+  // Values shown in the panel: preset first, explicit overrides on top
+  const optionValues = useMemo(
+    () => ({ ...getPresetOptions(componentClass, preset), ...optionOverrides }),
+    [componentClass, preset, optionOverrides]
+  );
 
   const relatedComponents = getRelatedComponents(content.id);
 
+  // Shared src/core modules the source imports, shown under it like the zip ships them
+  const coreFiles = useMemo(() => getCoreFiles([contentFile(content, sourceCode)]), [content, sourceCode]);
+
   // Load source code
   useEffect(() => {
     getComponentSource(content.id).then(setSourceCode).catch(() => setSourceCode('// Failed to load source'));
   }, [content.id]);
 
+  // Resolve the component class for the generated options reference
+  useEffect(() => {
+    let mounted = true;
+    setComponentClass(null);
+    componentClassIdRef.current = null;
+    loadComponent(content.id)
+      .then((module) => {
+        if (!mounted) return;
+        const found = findComponentClass(module as Record<string, unknown>, content);
+        componentClassIdRef.current = content.id;
+        // Classes are functions, so wrap to keep React from calling it as an updater
+        setComponentClass(() => found);
+      })
+      .catch(() => {});
+    return () => {
+      mounted = false;
+    };
+  }, [content.id, content]);
+
+  // Checked once the class has loaded: a preset it does not declare is
+  // reported here and dropped, which also removes it from the URL
+  useEffect(() => {
+    // The state still holds the previous component's class until the new one loads
+    if (componentClassIdRef.current !== content.id) return;
+    if (!componentClass || !preset || componentClass.presets?.[preset]) return;
+    console.warn(`[${componentClass.name}] unknown preset "${preset}"`);
+    setPreset(null);
+  }, [componentClass, content.id, preset, setPreset]);
+
+  // Clear the previous component's controls when switching components
+  useEffect(() => {
+    setOptionFields([]);
+  }, [content.id]);
+
+  // Restart the demo when overrides change from outside (back/forward, links)
+  useEffect(() => {
+    if (optionOverrides === optionValuesRef.current) return;
+    optionValuesRef.current = optionOverrides;
+    setDemoKey((k) => k + 1);
+  }, [optionOverrides]);
+
+  // Cancel a pending restart on unmount
+  useEffect(
+    () => () => {
+      if (restartTimerRef.current) clearTimeout(restartTimerRef.current);
+    },
+    []
+  );
+
   // Load and run component demo
   useEffect(() => {
     if (activeTab !== 'demo' || !canvasRef.current) return;
@@ -44,6 +158,8 @@ export function ContentModal({
     let mounted = true;
 
     // Cleanup previous demo instance
+    governorRef.current?.destroy();
+    governorRef.current = null;
     if (demoInstanceRef.current) {
       demoInstanceRef.current.destroy();
       demoInstanceRef.current = null;
@@ -55,6 +171,7 @@ export function ContentModal({
 
     setIsLoading(true);
     setError(null);
+    setDemoActions([]);
 
     const loadAndRun = async () => {
       try {
@@ -62,7 +179,14 @@ export function ContentModal({
 
         if (!mounted || !canvasRef.current) return;
 
-        const instance = await runDemo(canvasRef.current, content, module);
+        const presetOptions = getPresetOptions(findComponentClass(module, content), preset);
+        const instance = await runDemo(
+          canvasRef.current,
+          content,
+          module,
+          { ...presetOptions, ...optionValuesRef.current },
+          seed ?? undefined
+        );
 
         if (!mounted) {
           instance.destroy();
@@ -70,6 +194,20 @@ export function ContentModal({
         }
 
         demoInstanceRef.current = instance;
+        setRunningDemo(instance);
+
+        // Read at mount; later mode changes go through the effect below
+        const mode = useUserStore.getState().qualityMode;
+        const governor = createQualityGovernor(instance, {
+          level: mode === 'auto' ? 'high' : mode,
+          auto: mode === 'auto',
+        });
+        governor.onChange.add(({ level }) => setQualityLevel(level));
+        governorRef.current = governor;
+        setQualityLevel(governor.level);
+
+        setOptionFields(getOptionFields(instance.componentClass, instance.instance));
+        setDemoActions(getDemoActions(instance));
         setIsLoading(false);
       } catch (err) {
         if (!mounted) return;
@@ -83,6 +221,11 @@ export function ContentModal({
 
     return () => {
       mounted = false;
+      setRunningDemo(null);
+      setQualityLevel(null);
+      // Stop the governor first so it cannot touch a destroyed renderer
+      governorRef.current?.destroy();
+      governorRef.current = null;
       if (demoInstanceRef.current) {
         demoInstanceRef.current.destroy();
         demoInstanceRef.current = null;
@@ -90,12 +233,117 @@ export function ContentModal({
       const canvases = container.querySelectorAll('canvas');
       canvases.forEach((canvas) => canvas.remove());
     };
-  }, [content.id, content, activeTab]);
+  }, [content.id, content, activeTab, demoKey, preset, seed]);
+
+  // Switch the running demo between auto and a fixed tier without remounting
+  useEffect(() => {
+    const governor = governorRef.current;
+    if (!governor) return;
+    governor.setAuto(qualityMode === 'auto');
+    if (qualityMode !== 'auto') governor.setLevel(qualityMode);
+  }, [qualityMode]);
+
+  // Apply an option live through a setter, or re-instantiate the component
+  const handleOptionChange = useCallback((key: string, value: unknown) => {
+    optionValuesRef.current = { ...optionValuesRef.current, [key]: value };
+    setOptionOverrides(optionValuesRef.current);
+
+    if (applyLiveOption(demoInstanceRef.current?.instance ?? null, key, value)) return;
+
+    if (restartTimerRef.current) clearTimeout(restartTimerRef.current);
+    restartTimerRef.current = setTimeout(() => {
+      restartTimerRef.current = null;
+      setDemoKey((k) => k + 1);
+    }, RESTART_DEBOUNCE_MS);
+  }, [setOptionOverrides]);
+
+  const handleOptionReset = useCallback(() => {
+    optionValuesRef.current = {};
+    setOptionOverrides({});
+    setPreset(null);
+    setDemoKey((k) => k + 1);
+  }, [setOptionOverrides, setPreset]);
+
+  const handleAction = useCallback((action: ComponentAction) => {
+    runDemoAction(demoInstanceRef.current, action);
+  }, []);
+
+  // Keyboard shortcuts for demo actions (ignored while typing in a control)
+  useEffect(() => {
+    if (activeTab !== 'demo' || demoActions.length === 0) return;
+
+    const handleShortcut = (e: KeyboardEvent) => {
+      if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+      const target = e.target as HTMLElement | null;
+      if (target?.closest('input, select, textarea, [contenteditable="true"]')) return;
+
+      const key = e.key.toLowerCase();
+      const action = demoActions.find((a) => a.shortcut?.toLowerCase() === key);
+      if (!action) return;
+
+      e.preventDefault();
+      runDemoAction(demoInstanceRef.current, action);
+    };
+    window.addEventListener('keydown', handleShortcut);
+    return () => window.removeEventListener('keydown', handleShortcut);
+  }, [activeTab, demoActions]);
+
+  // Keep the store in sync with the Fullscreen API (Esc, browser UI, tab switch)
+  useEffect(() => {
+    const handleFullscreenChange = () => {
+      const active = document.fullscreenElement !== null && document.fullscreenElement === canvasRef.current;
+      if (!active && useUIStore.getState().isFullscreen) {
+        fullscreenExitedAtRef.current = performance.now();
+      }
+      setFullscreen(active);
+    };
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => {
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+      setFullscreen(false);
+    };
+  }, [setFullscreen]);
+
+  const toggleFullscreen = useCallback(() => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+      return;
+    }
+    canvasRef.current?.requestFullscreen().catch((err) => {
+      console.warn('Fullscreen request denied:', err);
+    });
+  }, []);
+
+  // Zip a runnable starter project with the current option values baked in
+  const handleDownloadProject = useCallback(async () => {
+    setIsExporting(true);
+    try {
+      const module = (await loadComponent(content.id)) as Record<string, unknown>;
+      const blob = await buildStarterProject(content, module, optionValues, seed ?? runningDemo?.seed ?? null);
+      downloadBlob(blob, `${content.id}.zip`);
+    } catch (err) {
+      console.error('Starter project export failed:', err);
+    } finally {
+      setIsExporting(false);
+    }
+  }, [content, optionValues, seed, runningDemo]);
+
+  // Hold the current tier while recording so a downshift cannot land mid-take
+  const handleRecordingChange = useCallback(
+    (recording: boolean) => {
+      governorRef.current?.setAuto(!recording && qualityMode === 'auto');
+    },
+    [qualityMode]
+  );
 
   // Handle escape key
   useEffect(() => {
     const handleEscape = (e: KeyboardEvent) => {
       if (e.key === 'Escape') {
+        // Escape in fullscreen only leaves fullscreen (the browser handles it)
+        if (document.fullscreenElement) return;
+        if (performance.now() - fullscreenExitedAtRef.current < FULLSCREEN_EXIT_GRACE_MS) return;
         if (isTheaterMode) {
           setIsTheaterMode(false);
         } else {
@@ -134,6 +382,51 @@ export function ContentModal({
             </div>
           </div>
           <div className="flex items-center gap-1 flex-shrink-0">
+            {activeTab === 'demo' && (
+              <button
+                onClick={togglePerfHud}
+                className={`p-2 rounded-lg transition-colors ${
+                  showPerfHud ? 'bg-cyan-500/20 text-cyan-400' : 'text-slate-400 hover:text-white hover:bg-slate-800'
+                }`}
+                title={showPerfHud ? 'Hide performance HUD' : 'Show performance HUD'}
+              >
+                📊
+              </button>
+            )}
+            {activeTab === 'demo' && (
+              <select
+                value={qualityMode}
+                onChange={(e) => setQualityMode(e.target.value as QualityMode)}
+                className="px-2 py-1.5 rounded-lg bg-transparent text-xs text-slate-400 hover:text-white hover:bg-slate-800 border border-slate-700 transition-colors cursor-pointer"
+                title="Render quality (auto adapts to frame rate)"
+              >
+                <option value="auto">Auto{qualityMode === 'auto' && qualityLevel ? ` · ${qualityLevel}` : ''}</option>
+                <option value="high">High</option>
+                <option value="medium">Medium</option>
+                <option value="low">Low</option>
+              </select>
+            )}
+            {activeTab === 'demo' && <SnapshotMenu demo={runningDemo} fileName={content.id} />}
+            {activeTab === 'demo' && (
+              <RecordMenu demo={runningDemo} fileName={content.id} onRecordingChange={handleRecordingChange} />
+            )}
+            <button
+              onClick={handleDownloadProject}
+              disabled={isExporting}
+              className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors disabled:opacity-50 disabled:cursor-wait"
+              title="Download starter project (.zip)"
+            >
+              {isExporting ? '⏳' : '📦'}
+            </button>
+            {activeTab === 'demo' && document.fullscreenEnabled && (
+              <button
+                onClick={toggleFullscreen}
+                className="p-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"
+                title="Fullscreen (Esc to exit)"
+              >
+                ⛶
+              </button>
+            )}
             <button
               onClick={() => setIsTheaterMode(!isTheaterMode)}
               className={`p-2 rounded-lg transition-colors ${
@@ -215,6 +508,12 @@ export function ContentModal({
                       </div>
                     </div>
                   )}
+                  {showPerfHud && !isLoading && !error && <PerfHud demo={runningDemo} />}
+                  {!isLoading && !error && !isFullscreen && (
+                    <ActionToolbar actions={demoActions} onAction={handleAction} />
+                  )}
+                  {/* Stays mounted across remounts so the chosen speed carries over */}
+                  {!error && !isFullscreen && <TimeControl clock={runningDemo?.clock} />}
                   {error && (
                     <div className="absolute inset-0 flex items-center justify-center bg-slate-950 z-10">
                       <div className="text-center text-red-400">
@@ -226,9 +525,20 @@ export function ContentModal({
                 </div>
               ) : (
                 <div className="absolute inset-0 overflow-auto p-4 bg-slate-900">
+                  {componentClass?.schema && (
+                    <OptionReference schema={componentClass.schema} defaults={componentClass.defaults} />
+                  )}
                   <pre className="bg-slate-950 rounded-xl p-4 text-sm text-slate-300 font-mono">
                     <code>{sourceCode}</code>
                   </pre>
+                  {coreFiles.map((file) => (
+                    <div key={file.path} className="mt-4">
+                      <h3 className="text-xs font-mono text-slate-500 mb-2">{file.path}</h3>
+                      <pre className="bg-slate-950 rounded-xl p-4 text-sm text-slate-300 font-mono">
+                        <code>{file.content}</code>
+                      </pre>
+                    </div>
+                  ))}
                 </div>
               )}
             </div>
@@ -238,6 +548,20 @@ export function ContentModal({
           {!isTheaterMode && (
             <div className="max-h-[40%] md:max-h-none md:w-80 lg:w-96 border-t md:border-t-0 md:border-l border-slate-800 bg-slate-900/80 overflow-y-auto flex-shrink-0">
               <div className="p-4 space-y-4">
+                {activeTab === 'demo' && (
+                  <SeedControl seed={seed} runningSeed={runningDemo?.seed} onChange={setSeed} />
+                )}
+
+                {/* Live Parameters */}
+                {activeTab === 'demo' && (
+                  <OptionPanel
+                    fields={optionFields}
+                    values={optionValues}
+                    onChange={handleOptionChange}
+                    onReset={handleOptionReset}
+                  />
+                )}
+
                 {/* Description */}
                 <div>
                   <h3 className="text-xs font-medium text-slate-500 uppercase tracking-wider mb-2">
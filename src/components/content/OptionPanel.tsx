@@ -0,0 +1,142 @@
+import type { OptionField } from '../../types';
+import { colorToHex, hexToColor } from '../../utils/optionFields';
+
+interface OptionPanelProps {
+  fields: OptionField[];
+  values: Record<string, unknown>;
+  onChange: (key: string, value: unknown) => void;
+  onReset: () => void;
+}
+
+export function OptionPanel({ fields, values, onChange, onReset }: OptionPanelProps) {
+  if (fields.length === 0) return null;
+
+  const hasOverrides = Object.keys(values).length > 0;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-xs font-medium text-slate-500 uppercase tracking-wider">Parameters</h3>
+        {hasOverrides && (
+          <button
+            onClick={onReset}
+            className="text-xs text-slate-400 hover:text-cyan-400 transition-colors"
+          >
+            Reset
+          </button>
+        )}
+      </div>
+      <div className="space-y-3">
+        {fields.map((field) => (
+          <OptionControl
+            key={field.key}
+            field={field}
+            value={field.key in values ? values[field.key] : field.defaultValue}
+            onChange={(value) => onChange(field.key, value)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+interface OptionControlProps {
+  field: OptionField;
+  value: unknown;
+  onChange: (value: unknown) => void;
+}
+
+function OptionControl({ field, value, onChange }: OptionControlProps) {
+  const hint = field.live ? 'Applied live' : 'Restarts the demo';
+  const label = (
+    <span
+      className="text-xs text-slate-300 truncate"
+      title={field.description ? `${field.description} (${hint})` : hint}
+    >
+      {field.label}
+      {field.unit && <span className="text-slate-500"> ({field.unit})</span>}
+      {!field.live && <span className="text-slate-600"> ↻</span>}
+    </span>
+  );
+
+  switch (field.type) {
+    case 'boolean':
+      return (
+        <label className="flex items-center justify-between gap-2 cursor-pointer">
+          {label}
+          <input
+            type="checkbox"
+            checked={Boolean(value)}
+            onChange={(e) => onChange(e.target.checked)}
+            className="accent-cyan-400"
+          />
+        </label>
+      );
+
+    case 'color':
+      return (
+        <label className="flex items-center justify-between gap-2">
+          {label}
+          <input
+            type="color"
+            value={colorToHex(Number(value))}
+            onChange={(e) => onChange(hexToColor(e.target.value))}
+            className="w-8 h-6 bg-transparent border border-slate-700 rounded cursor-pointer"
+          />
+        </label>
+      );
+
+    case 'enum':
+      return (
+        <label className="flex items-center justify-between gap-2">
+          {label}
+          <select
+            value={String(value)}
+            onChange={(e) => {
+              const match = field.values?.find((v) => String(v) === e.target.value);
+              onChange(match ?? e.target.value);
+            }}
+            className="bg-slate-800 border border-slate-700 rounded px-2 py-1 text-xs text-white"
+          >
+            {field.values?.map((v) => (
+              <option key={String(v)} value={String(v)}>
+                {String(v)}
+              </option>
+            ))}
+          </select>
+        </label>
+      );
+
+    case 'number':
+      return (
+        <label className="block">
+          <div className="flex items-center justify-between gap-2 mb-1">
+            {label}
+            <span className="text-xs text-cyan-400 font-mono">{Number(value)}</span>
+          </div>
+          <input
+            type="range"
+            min={field.min}
+            max={field.max}
+            step={field.step}
+            value={Number(value)}
+            onChange={(e) => onChange(Number(e.target.value))}
+            className="w-full accent-cyan-400"
+          />
+        </label>
+      );
+
+    default:
+      return (
+        <label className="flex items-center justify-between gap-2">
+          {label}
+          <input
+            type="text"
+            value={String(value ?? '')}
+            onChange={(e) => onChange(e.target.value)}
+            className="w-28 bg-slate-800 border border-slate-700 rounded px-2 py-1 text-xs text-white"
+          />
+        </label>
+      );
+  }
+}
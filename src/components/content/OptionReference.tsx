@@ -0,0 +1,52 @@
+import type { OptionSchema } from '../../types';
+
+interface OptionReferenceProps {
+  schema: OptionSchema;
+  defaults?: Record<string, unknown>;
+}
+
+function formatDefault(value: unknown, type: string): string {
+  if (value === undefined) return '—';
+  if (type === 'color' && typeof value === 'number') {
+    return `0x${value.toString(16).padStart(6, '0')}`;
+  }
+  return JSON.stringify(value);
+}
+
+function formatType(spec: OptionSchema[string]): string {
+  if (spec.type === 'enum') return spec.values?.map((v) => JSON.stringify(v)).join(' | ') ?? 'enum';
+  const range =
+    spec.min !== undefined || spec.max !== undefined ? ` ${spec.min ?? ''}…${spec.max ?? ''}` : '';
+  return `${spec.type}${range}${spec.unit ? ` ${spec.unit}` : ''}`;
+}
+
+/**
+ * Options table generated from a component's `static schema`
+ */
+export function OptionReference({ schema, defaults = {} }: OptionReferenceProps) {
+  return (
+    <div className="bg-slate-950 rounded-xl p-4 mb-4 overflow-x-auto">
+      <h3 className="text-xs font-medium text-slate-500 uppercase tracking-wider mb-3">Options</h3>
+      <table className="w-full text-xs text-left">
+        <thead className="text-slate-500">
+          <tr>
+            <th className="pb-2 pr-4 font-medium">Option</th>
+            <th className="pb-2 pr-4 font-medium">Type</th>
+            <th className="pb-2 pr-4 font-medium">Default</th>
+            <th className="pb-2 font-medium">Description</th>
+          </tr>
+        </thead>
+        <tbody className="text-slate-300">
+          {Object.entries(schema).map(([key, spec]) => (
+            <tr key={key} className="border-t border-slate-800">
+              <td className="py-1.5 pr-4 font-mono text-cyan-400">{key}</td>
+              <td className="py-1.5 pr-4 font-mono text-slate-400">{formatType(spec)}</td>
+              <td className="py-1.5 pr-4 font-mono">{formatDefault(defaults[key], spec.type)}</td>
+              <td className="py-1.5 text-slate-400">{spec.description ?? ''}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
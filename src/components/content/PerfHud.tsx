@@ -0,0 +1,97 @@
+import { useEffect, useState } from 'react';
+import type { RuntimeStats } from '../../types';
+import { getDemoStats, type DemoInstance } from '../../utils/demoRunner';
+import { createPerfMonitor, FRAME_BUCKETS, type PerfSnapshot } from '../../utils/perfMonitor';
+
+// HUD refresh rate; sampling itself runs every frame
+const REFRESH_MS = 250;
+
+interface PerfHudProps {
+  demo: DemoInstance | null;
+}
+
+function formatBytes(bytes: number): string {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+function fpsColor(fps: number): string {
+  if (fps >= 55) return 'text-emerald-400';
+  if (fps >= 30) return 'text-yellow-400';
+  return 'text-red-400';
+}
+
+export function PerfHud({ demo }: PerfHudProps) {
+  const [snapshot, setSnapshot] = useState<PerfSnapshot | null>(null);
+  const [stats, setStats] = useState<RuntimeStats | null>(null);
+
+  useEffect(() => {
+    if (!demo) return;
+
+    const monitor = createPerfMonitor(demo.host);
+    const timer = setInterval(() => {
+      setSnapshot(monitor.sample());
+      setStats(getDemoStats(demo));
+    }, REFRESH_MS);
+
+    return () => {
+      clearInterval(timer);
+      monitor.destroy();
+      setSnapshot(null);
+      setStats(null);
+    };
+  }, [demo]);
+
+  if (!snapshot) return null;
+
+  const totalFrames = snapshot.histogram.reduce((sum, count) => sum + count, 0) || 1;
+
+  return (
+    <div className="absolute top-3 left-3 z-20 w-44 px-3 py-2 bg-slate-950/85 backdrop-blur-sm border border-slate-700 rounded-lg font-mono text-[10px] text-slate-400 pointer-events-none select-none">
+      <div className="flex items-baseline justify-between">
+        <span className={`text-base font-bold ${fpsColor(snapshot.fps)}`}>{snapshot.fps.toFixed(0)}</span>
+        <span>fps · {snapshot.frameTime.toFixed(1)} ms</span>
+      </div>
+      <div className="text-slate-500">worst {snapshot.worstFrame.toFixed(1)} ms</div>
+
+      {/* Frame time histogram (ms buckets) */}
+      <div className="flex items-end gap-1 h-8 mt-1.5">
+        {FRAME_BUCKETS.map((bucket, i) => (
+          <div key={bucket.label} className="flex-1 flex flex-col items-center justify-end h-full">
+            <div
+              className={`w-full rounded-sm ${i < 2 ? 'bg-cyan-500/70' : i < 3 ? 'bg-yellow-500/70' : 'bg-red-500/70'}`}
+              style={{ height: `${(snapshot.histogram[i] / totalFrames) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 text-[9px] text-slate-600">
+        {FRAME_BUCKETS.map((bucket) => (
+          <span key={bucket.label} className="flex-1 text-center">
+            {bucket.label}
+          </span>
+        ))}
+      </div>
+
+      <dl className="mt-1.5 grid grid-cols-[1fr_auto] gap-x-2">
+        <dt>draw calls</dt>
+        <dd className="text-slate-200 text-right">{snapshot.drawCalls ?? '–'}</dd>
+        <dt>textures</dt>
+        <dd className="text-slate-200 text-right">
+          {snapshot.textureMemory === null
+            ? '–'
+            : `${snapshot.textureCount} · ${formatBytes(snapshot.textureMemory)}`}
+        </dd>
+        {stats &&
+          Object.entries(stats).map(([key, value]) => (
+            <div key={key} className="contents">
+              <dt className="text-cyan-500/80 truncate">{key}</dt>
+              <dd className="text-slate-200 text-right">
+                {typeof value === 'number' ? Math.round(value * 100) / 100 : value}
+              </dd>
+            </div>
+          ))}
+      </dl>
+    </div>
+  );
+}
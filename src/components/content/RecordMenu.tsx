@@ -0,0 +1,182 @@
+import { useEffect, useRef, useState } from 'react';
+import type { DemoInstance } from '../../utils/demoRunner';
+import { canRecordFrames, canRecordWebM, recordDemo, type RecordingFormat } from '../../utils/recorder';
+import { downloadBlob } from '../../utils/zip';
+
+const SIZES = [
+  { label: 'Canvas', width: undefined, height: undefined },
+  { label: '720p', width: 1280, height: 720 },
+  { label: '1080p', width: 1920, height: 1080 },
+  { label: 'Square', width: 1080, height: 1080 },
+  { label: 'Vertical', width: 1080, height: 1920 },
+];
+const DURATIONS = [2, 5, 10];
+const FRAME_RATES = [30, 60];
+
+interface RecordMenuProps {
+  demo: DemoInstance | null;
+  /** Download name without extension */
+  fileName: string;
+  /** Fires when a recording starts and ends (e.g. to hold the quality tier) */
+  onRecordingChange?: (recording: boolean) => void;
+}
+
+export function RecordMenu({ demo, fileName, onRecordingChange }: RecordMenuProps) {
+  const [open, setOpen] = useState(false);
+  const [format, setFormat] = useState<RecordingFormat>(() => (canRecordWebM() ? 'webm' : 'png'));
+  const [sizeIndex, setSizeIndex] = useState(0);
+  const [duration, setDuration] = useState(DURATIONS[0]);
+  const [fps, setFps] = useState(60);
+  const [progress, setProgress] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const abortRef = useRef<AbortController | null>(null);
+
+  // The demo is going away (remount, close); stop recording it
+  useEffect(() => {
+    return () => abortRef.current?.abort();
+  }, [demo]);
+
+  if (!demo?.canvas) return null;
+
+  const formats: { value: RecordingFormat; label: string; enabled: boolean }[] = [
+    { value: 'webm', label: 'WebM video', enabled: canRecordWebM() },
+    { value: 'png', label: 'PNG frames (.zip)', enabled: canRecordFrames(demo) },
+  ];
+
+  const start = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const size = SIZES[sizeIndex];
+    setError(null);
+    setProgress(0);
+    onRecordingChange?.(true);
+    try {
+      const blob = await recordDemo(demo, {
+        format,
+        duration,
+        fps,
+        width: size.width,
+        height: size.height,
+        onProgress: setProgress,
+        signal: controller.signal,
+      });
+      downloadBlob(blob, format === 'webm' ? `${fileName}.webm` : `${fileName}-frames.zip`);
+      setOpen(false);
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        setError(err instanceof Error ? err.message : 'Recording failed');
+        console.error('Recording failed:', err);
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+      onRecordingChange?.(false);
+    }
+  };
+
+  const recording = progress !== null;
+  const fieldClass =
+    'w-full px-2 py-1 rounded-lg bg-slate-800 border border-slate-700 text-xs text-slate-200 focus:outline-none focus:border-cyan-500';
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`p-2 rounded-lg transition-colors ${
+          recording || open ? 'bg-red-500/20 text-red-400' : 'text-slate-400 hover:text-white hover:bg-slate-800'
+        }`}
+        title="Record video or frames"
+      >
+        {recording ? `${Math.round(progress * 100)}%` : '⏺'}
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-2 z-30 w-56 p-3 space-y-2 bg-slate-900 border border-slate-700 rounded-xl shadow-xl">
+          <label className="block text-xs text-slate-500">
+            Format
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value as RecordingFormat)}
+              disabled={recording}
+              className={fieldClass}
+            >
+              {formats.map((option) => (
+                <option key={option.value} value={option.value} disabled={!option.enabled}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-xs text-slate-500">
+            Size
+            <select
+              value={sizeIndex}
+              onChange={(e) => setSizeIndex(Number(e.target.value))}
+              disabled={recording}
+              className={fieldClass}
+            >
+              {SIZES.map((size, i) => (
+                <option key={size.label} value={i}>
+                  {size.width ? `${size.label} · ${size.width}×${size.height}` : `${size.label} · ${demo.canvas!.width}×${demo.canvas!.height}`}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="flex gap-2">
+            <label className="flex-1 block text-xs text-slate-500">
+              Length
+              <select
+                value={duration}
+                onChange={(e) => setDuration(Number(e.target.value))}
+                disabled={recording}
+                className={fieldClass}
+              >
+                {DURATIONS.map((seconds) => (
+                  <option key={seconds} value={seconds}>
+                    {seconds}s
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex-1 block text-xs text-slate-500">
+              FPS
+              <select
+                value={fps}
+                onChange={(e) => setFps(Number(e.target.value))}
+                disabled={recording}
+                className={fieldClass}
+              >
+                {FRAME_RATES.map((rate) => (
+                  <option key={rate} value={rate}>
+                    {rate}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          {format === 'png' && (
+            <p className="text-[11px] text-slate-500 leading-snug">
+              Renders frame by frame at a fixed timestep, so nothing is dropped. Slower than real time.
+            </p>
+          )}
+          {error && <p className="text-[11px] text-red-400 leading-snug">{error}</p>}
+          {recording ? (
+            <button
+              onClick={() => abortRef.current?.abort()}
+              className="w-full py-1.5 rounded-lg text-xs font-medium text-slate-300 bg-slate-800 hover:bg-slate-700 transition-colors"
+            >
+              Cancel
+            </button>
+          ) : (
+            <button
+              onClick={start}
+              disabled={!formats.find((option) => option.value === format)?.enabled}
+              className="w-full py-1.5 rounded-lg text-xs font-medium text-white bg-red-500/80 hover:bg-red-500 transition-colors disabled:opacity-50"
+            >
+              Record
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { randomSeed } from '../../core';
+
+interface SeedControlProps {
+  /** Pinned seed (from the URL), or null when every run picks its own */
+  seed: string | null;
+  /** Seed the running demo actually used */
+  runningSeed: number | undefined;
+  onChange: (seed: string | null) => void;
+}
+
+export function SeedControl({ seed, runningSeed, onChange }: SeedControlProps) {
+  const [draft, setDraft] = useState(seed ?? '');
+
+  // Follow outside changes (back/forward, reroll)
+  useEffect(() => {
+    setDraft(seed ?? '');
+  }, [seed]);
+
+  if (runningSeed === undefined && seed === null) return null;
+
+  const commit = () => {
+    const next = draft.trim() || null;
+    if (next !== seed) onChange(next);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-xs font-medium text-slate-500 uppercase tracking-wider">Seed</h3>
+        {seed === null && runningSeed !== undefined && (
+          <button
+            onClick={() => onChange(String(runningSeed))}
+            className="text-xs text-slate-400 hover:text-cyan-400 transition-colors"
+            title="Keep this scene: put the current seed in the URL"
+          >
+            Pin
+          </button>
+        )}
+      </div>
+      <div className="flex gap-1.5">
+        <input
+          type="text"
+          value={draft}
+          placeholder={runningSeed !== undefined ? `${runningSeed} (random)` : 'random'}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={commit}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commit();
+          }}
+          className="flex-1 min-w-0 px-2 py-1 rounded-lg bg-slate-800 border border-slate-700 text-xs text-slate-200 font-mono placeholder:text-slate-500 focus:outline-none focus:border-cyan-500"
+        />
+        <button
+          onClick={() => onChange(String(randomSeed()))}
+          className="px-2 rounded-lg text-slate-400 hover:text-white hover:bg-slate-800 transition-colors"
+          title="New random seed"
+        >
+          🎲
+        </button>
+      </div>
+    </div>
+  );
+}
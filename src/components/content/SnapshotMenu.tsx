@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import type { DemoInstance } from '../../utils/demoRunner';
+import {
+  canSnapshotTransparent,
+  captureSnapshot,
+  copyImageToClipboard,
+  SNAPSHOT_SCALES,
+  type SnapshotScale,
+} from '../../utils/snapshot';
+import { downloadBlob } from '../../utils/zip';
+
+interface SnapshotMenuProps {
+  demo: DemoInstance | null;
+  /** Download name without extension */
+  fileName: string;
+}
+
+export function SnapshotMenu({ demo, fileName }: SnapshotMenuProps) {
+  const [open, setOpen] = useState(false);
+  const [scale, setScale] = useState<SnapshotScale>(2);
+  const [transparent, setTransparent] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState<{ text: string; error?: boolean } | null>(null);
+
+  if (!demo?.canvas) return null;
+
+  const canBeTransparent = canSnapshotTransparent(demo);
+
+  const capture = async (target: 'clipboard' | 'download') => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      const png = await captureSnapshot(demo, { scale, transparent: transparent && canBeTransparent });
+      if (target === 'clipboard') {
+        await copyImageToClipboard(png);
+        setStatus({ text: 'Copied to clipboard' });
+      } else {
+        downloadBlob(png, `${fileName}@${scale}x.png`);
+        setStatus(null);
+        setOpen(false);
+      }
+    } catch (err) {
+      setStatus({ text: err instanceof Error ? err.message : 'Snapshot failed', error: true });
+      console.error('Snapshot failed:', err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const actionClass =
+    'flex-1 py-1.5 rounded-lg text-xs font-medium text-slate-200 bg-slate-800 hover:bg-slate-700 transition-colors disabled:opacity-50 disabled:cursor-wait';
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`p-2 rounded-lg transition-colors ${
+          open ? 'bg-cyan-500/20 text-cyan-400' : 'text-slate-400 hover:text-white hover:bg-slate-800'
+        }`}
+        title="Snapshot (PNG)"
+      >
+        📷
+      </button>
+      {open && (
+        <div className="absolute right-0 top-full mt-2 z-30 w-52 p-3 space-y-2.5 bg-slate-900 border border-slate-700 rounded-xl shadow-xl">
+          <div className="flex gap-1">
+            {SNAPSHOT_SCALES.map((value) => (
+              <button
+                key={value}
+                onClick={() => setScale(value)}
+                className={`flex-1 py-1 rounded-lg text-xs font-mono transition-colors ${
+                  scale === value ? 'bg-cyan-500/20 text-cyan-400' : 'text-slate-400 hover:text-white hover:bg-slate-800'
+                }`}
+              >
+                {value}x
+              </button>
+            ))}
+          </div>
+          <label
+            className={`flex items-center gap-2 text-xs ${canBeTransparent ? 'text-slate-300' : 'text-slate-600'}`}
+            title={canBeTransparent ? undefined : 'Shader canvases keep the background they draw'}
+          >
+            <input
+              type="checkbox"
+              checked={transparent && canBeTransparent}
+              disabled={!canBeTransparent}
+              onChange={(e) => setTransparent(e.target.checked)}
+              className="accent-cyan-500"
+            />
+            Transparent background
+          </label>
+          <div className="flex gap-1.5">
+            <button onClick={() => capture('clipboard')} disabled={busy} className={actionClass}>
+              Copy
+            </button>
+            <button onClick={() => capture('download')} disabled={busy} className={actionClass}>
+              Download
+            </button>
+          </div>
+          {status && (
+            <p className={`text-[11px] leading-snug ${status.error ? 'text-red-400' : 'text-cyan-400'}`}>{status.text}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
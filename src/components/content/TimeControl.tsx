@@ -0,0 +1,72 @@
+import { useEffect, useRef, useState } from 'react';
+import type { Clock } from '../../types';
+
+const SPEEDS = [0.1, 0.25, 0.5, 1, 2, 4];
+
+interface TimeControlProps {
+  /** Clock of the running demo; nothing is rendered without one */
+  clock: Clock | undefined;
+}
+
+export function TimeControl({ clock }: TimeControlProps) {
+  const [paused, setPaused] = useState(clock?.paused ?? false);
+  const [speed, setSpeed] = useState(clock?.scale ?? 1);
+  const speedRef = useRef(speed);
+  speedRef.current = speed;
+
+  // A remounted demo (option change, new seed) keeps the chosen speed
+  useEffect(() => {
+    if (!clock) return;
+    setPaused(clock.paused);
+    if (clock.scale !== speedRef.current) clock.setScale(speedRef.current);
+  }, [clock]);
+
+  if (!clock) return null;
+
+  const togglePause = () => {
+    if (clock.paused) clock.resume();
+    else clock.pause();
+    setPaused(clock.paused);
+  };
+
+  const step = () => {
+    clock.step();
+    setPaused(true);
+  };
+
+  const changeSpeed = (next: number) => {
+    clock.setScale(next);
+    setSpeed(next);
+  };
+
+  return (
+    <div className="absolute top-3 right-3 z-20 flex items-center gap-1 px-1.5 py-1 bg-slate-900/80 backdrop-blur-sm border border-slate-700 rounded-xl">
+      <button
+        onClick={togglePause}
+        className="w-7 h-7 rounded-lg text-sm text-slate-300 hover:text-cyan-400 hover:bg-slate-800 transition-colors"
+        title={paused ? 'Resume' : 'Pause'}
+      >
+        {paused ? '▶' : '⏸'}
+      </button>
+      <button
+        onClick={step}
+        className="w-7 h-7 rounded-lg text-sm text-slate-300 hover:text-cyan-400 hover:bg-slate-800 transition-colors"
+        title="Step one frame"
+      >
+        ⏭
+      </button>
+      <select
+        value={speed}
+        onChange={(e) => changeSpeed(Number(e.target.value))}
+        className="h-7 px-1 rounded-lg bg-transparent text-xs text-slate-300 font-mono hover:bg-slate-800 focus:outline-none"
+        title="Playback speed"
+      >
+        {SPEEDS.map((value) => (
+          <option key={value} value={value} className="bg-slate-900">
+            {value}x
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import { useEffect, useState } from 'react';
+import { getAllTags, getCategoryCounts } from '../../registry';
+import { useFilterStore } from '../../stores';
+import type { ComponentCategory, SortOption } from '../../types';
+
+// Delay between the last keystroke and filtering the gallery
+const SEARCH_DEBOUNCE_MS = 200;
+
+const SORT_OPTIONS: { value: SortOption; label: string }[] = [
+  { value: 'popular', label: 'Popular' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'name', label: 'Name' },
+  { value: 'likes', label: 'Liked first' },
+];
+
+// Static registry data, computed once
+const CATEGORY_COUNTS = getCategoryCounts();
+const CATEGORIES = Object.keys(CATEGORY_COUNTS).filter((c) => c !== 'all') as ComponentCategory[];
+const TAGS = getAllTags();
+
+export function FilterBar() {
+  const {
+    search,
+    category,
+    tag,
+    sortBy,
+    showBookmarksOnly,
+    setSearch,
+    setCategory,
+    setTag,
+    setSortBy,
+    setShowBookmarksOnly,
+    reset,
+  } = useFilterStore();
+  const [query, setQuery] = useState(search);
+  const [showTags, setShowTags] = useState(false);
+
+  // Push the typed query to the store once typing pauses
+  useEffect(() => {
+    if (query === search) return;
+    const timer = setTimeout(() => setSearch(query), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query, search, setSearch]);
+
+  // Follow external changes (reset, URL)
+  useEffect(() => {
+    setQuery(search);
+  }, [search]);
+
+  const isFiltered = search !== '' || category !== 'all' || tag !== null || showBookmarksOnly;
+
+  return (
+    <div className="space-y-3 mb-6">
+      {/* Search, sort and toggles */}
+      <div className="flex flex-col sm:flex-row gap-2">
+        <div className="relative flex-1">
+          <span className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-500 text-sm">⌕</span>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search components, tags..."
+            className="w-full bg-slate-900 border border-slate-800 rounded-lg pl-8 pr-3 py-2 text-sm text-white placeholder-slate-500 focus:outline-none focus:border-cyan-500/50"
+          />
+        </div>
+        <div className="flex gap-2">
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value as SortOption)}
+            className="bg-slate-900 border border-slate-800 rounded-lg px-3 py-2 text-sm text-slate-300 focus:outline-none focus:border-cyan-500/50"
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowBookmarksOnly(!showBookmarksOnly)}
+            className={`px-3 py-2 rounded-lg text-sm border transition-colors ${
+              showBookmarksOnly
+                ? 'bg-yellow-500/20 border-yellow-500/40 text-yellow-400'
+                : 'bg-slate-900 border-slate-800 text-slate-400 hover:text-yellow-400'
+            }`}
+            title="Show bookmarked only"
+          >
+            {showBookmarksOnly ? '⭐' : '☆'}
+          </button>
+          <button
+            onClick={() => setShowTags(!showTags)}
+            className={`px-3 py-2 rounded-lg text-sm border transition-colors ${
+              showTags || tag
+                ? 'bg-cyan-500/20 border-cyan-500/40 text-cyan-400'
+                : 'bg-slate-900 border-slate-800 text-slate-400 hover:text-white'
+            }`}
+            title="Tags"
+          >
+            #
+          </button>
+        </div>
+      </div>
+
+      {/* Category chips */}
+      <div className="flex flex-wrap items-center gap-1.5">
+        {(['all', ...CATEGORIES] as const).map((value) => (
+          <button
+            key={value}
+            onClick={() => setCategory(value)}
+            className={`px-3 py-1 rounded-full text-xs capitalize transition-colors ${
+              category === value
+                ? 'bg-cyan-500/20 text-cyan-400'
+                : 'bg-slate-800/50 text-slate-400 hover:text-white hover:bg-slate-800'
+            }`}
+          >
+            {value}
+            <span className="ml-1.5 text-slate-500">{CATEGORY_COUNTS[value]}</span>
+          </button>
+        ))}
+        {isFiltered && (
+          <button
+            onClick={reset}
+            className="ml-auto text-xs text-slate-400 hover:text-cyan-400 transition-colors"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {/* Tag cloud */}
+      {(showTags || tag) && (
+        <div className="flex flex-wrap gap-1.5">
+          {TAGS.map((value) => (
+            <button
+              key={value}
+              onClick={() => setTag(tag === value ? null : value)}
+              className={`px-2 py-0.5 rounded text-xs transition-colors ${
+                tag === value
+                  ? 'bg-pink-500/20 text-pink-400'
+                  : 'bg-slate-800/50 text-slate-400 hover:text-white'
+              }`}
+            >
+              #{value}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
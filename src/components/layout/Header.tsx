@@ -1,7 +1,8 @@
-import { useUserStore } from '../../stores';
+import { useUIStore, useUserStore } from '../../stores';
 
 export function Header() {
   const { viewMode, setViewMode } = useUserStore();
+  const setComposerOpen = useUIStore((state) => state.setComposerOpen);
 
   return (
     <header className="sticky top-0 z-50 backdrop-blur-xl bg-slate-950/80 border-b border-slate-800 flex-shrink-0">
@@ -18,24 +19,34 @@ export function Header() {
             </div>
           </div>
 
-          {/* View Toggle */}
-          <div className="flex bg-slate-800 rounded-lg p-1">
+          <div className="flex items-center gap-2">
             <button
-              onClick={() => setViewMode('grid')}
-              className={`px-3 py-1.5 rounded text-sm ${
-                viewMode === 'grid' ? 'bg-slate-700 text-white' : 'text-slate-400 hover:text-white'
-              }`}
+              onClick={() => setComposerOpen(true)}
+              className="px-3 py-1.5 rounded-lg bg-slate-800 text-sm text-slate-300 hover:text-white hover:bg-slate-700 transition-colors"
+              title="Stack components into one scene"
             >
-              ▦
-            </button>
-            <button
-              onClick={() => setViewMode('list')}
-              className={`px-3 py-1.5 rounded text-sm ${
-                viewMode === 'list' ? 'bg-slate-700 text-white' : 'text-slate-400 hover:text-white'
-              }`}
-            >
-              ☰
+              🧩 Compose
             </button>
+
+            {/* View Toggle */}
+            <div className="flex bg-slate-800 rounded-lg p-1">
+              <button
+                onClick={() => setViewMode('grid')}
+                className={`px-3 py-1.5 rounded text-sm ${
+                  viewMode === 'grid' ? 'bg-slate-700 text-white' : 'text-slate-400 hover:text-white'
+                }`}
+              >
+                ▦
+              </button>
+              <button
+                onClick={() => setViewMode('list')}
+                className={`px-3 py-1.5 rounded text-sm ${
+                  viewMode === 'list' ? 'bg-slate-700 text-white' : 'text-slate-400 hover:text-white'
+                }`}
+              >
+                ☰
+              </button>
+            </div>
           </div>
         </div>
       </div>
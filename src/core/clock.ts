@@ -0,0 +1,137 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// VIRTUAL CLOCK
+// ═══════════════════════════════════════════════════════════════════════════
+
+import type { Ticker } from 'pixi.js';
+import type { Clock, GsapModule } from '../types';
+
+const FRAME_MS = 1000 / 60;
+
+// UPDATE_PRIORITY.INTERACTION: time advances before components read it
+const CLOCK_PRIORITY = 50;
+
+/**
+ * Creates the virtual clock for a ticker.
+ *
+ * Speed is the ticker's `speed`, so components that move by `deltaTime` or
+ * `deltaMS` follow it without changes. Pausing stops the ticker outright
+ * rather than zeroing deltas, which also freezes per-frame counters. now()
+ * advances by the scaled delta of each tick.
+ *
+ * The GSAP global timeline is shared by every context on the page. A clock
+ * only touches it after the first pause or speed change and restores it on
+ * destroy(), so idle clocks never fight over it.
+ *
+ * delay() is the clock's setTimeout: callbacks fire on virtual time, so they
+ * wait while paused, follow the speed and fire during step().
+ */
+export function createClock(ticker: Ticker, gsap?: GsapModule['gsap'] | null): Clock {
+  let time = performance.now();
+  let scale = 1;
+  let paused = false;
+  let ownsTimeline = false;
+  let destroyed = false;
+  const autoStart = ticker.autoStart;
+  const timers = new Set<{ at: number; callback: () => void }>();
+
+  const advance = () => {
+    time += ticker.deltaMS;
+    for (const timer of timers) {
+      if (timer.at > time) continue;
+      timers.delete(timer);
+      timer.callback();
+    }
+  };
+  ticker.add(advance, undefined, CLOCK_PRIORITY);
+
+  const syncTimeline = () => {
+    if (!gsap) return;
+    ownsTimeline = true;
+    gsap.globalTimeline.timeScale(scale);
+    gsap.globalTimeline.paused(paused);
+  };
+
+  const clock: Clock = {
+    now: () => time,
+    get scale() {
+      return scale;
+    },
+    get paused() {
+      return paused;
+    },
+
+    setScale(next) {
+      if (!(next > 0) || !Number.isFinite(next)) {
+        throw new Error(`Clock: scale must be a positive number, got ${next}`);
+      }
+      scale = next;
+      ticker.speed = next;
+      syncTimeline();
+    },
+
+    pause() {
+      if (paused || destroyed) return;
+      paused = true;
+      // A component adding a listener would otherwise restart an autoStart ticker
+      ticker.autoStart = false;
+      ticker.stop();
+      syncTimeline();
+    },
+
+    resume() {
+      if (!paused || destroyed) return;
+      paused = false;
+      ticker.autoStart = autoStart;
+      // start() resets lastTime, so the pause does not arrive as one long frame
+      ticker.start();
+      syncTimeline();
+    },
+
+    step(frames = 1) {
+      if (destroyed) return;
+      clock.pause();
+      // A step is a real frame at 1x; restoring speed afterwards keeps the slow-motion setting
+      ticker.speed = 1;
+      for (let i = 0; i < frames; i++) {
+        ticker.update(ticker.lastTime + FRAME_MS);
+      }
+      ticker.speed = scale;
+      if (gsap) {
+        const timeline = gsap.globalTimeline;
+        timeline.time(timeline.time() + (frames * FRAME_MS) / 1000);
+      }
+    },
+
+    delay(ms, callback) {
+      if (destroyed) return () => {};
+      const timer = { at: time + ms, callback };
+      timers.add(timer);
+      return () => {
+        timers.delete(timer);
+      };
+    },
+
+    redraw() {
+      if (destroyed) return;
+      // update() skips listeners unless time moves; speed 0 zeroes the deltas
+      ticker.speed = 0;
+      ticker.update(ticker.lastTime + 1);
+      ticker.speed = scale;
+    },
+
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      timers.clear();
+      ticker.remove(advance);
+      ticker.speed = 1;
+      ticker.autoStart = autoStart;
+      if (ownsTimeline) {
+        gsap!.globalTimeline.timeScale(1);
+        gsap!.globalTimeline.paused(false);
+      }
+    },
+  };
+
+  return clock;
+}
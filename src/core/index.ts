@@ -2,77 +2,24 @@
 // PIXI CONTEXT
 // ═══════════════════════════════════════════════════════════════════════════
 
-import type { Application } from 'pixi.js';
-import type { GsapModule, PixiContext, PixiContextConfig } from '../types';
-
-/**
- * Creates a PixiContext for dependency injection
- */
-export function createPixiContext(
-  pixiModule: typeof import('pixi.js'),
-  gsapModule: GsapModule,
-  app: Application,
-  config: PixiContextConfig = {}
-): PixiContext {
-  if (!pixiModule) {
-    throw new Error('PixiContext: pixiModule is required');
-  }
-  if (!gsapModule?.gsap) {
-    throw new Error('PixiContext: gsapModule with gsap is required');
-  }
-  if (!app?.stage) {
-    throw new Error('PixiContext: app with stage is required');
-  }
-
-  const { gsap, PixiPlugin } = gsapModule;
-
-  // Register PixiPlugin if available and not already registered
-  if (PixiPlugin && !(gsap as any).plugins?.pixi) {
-    gsap.registerPlugin(PixiPlugin as any);
-    (PixiPlugin as any).registerPIXI(pixiModule);
-  }
-
-  const context: PixiContext = Object.freeze({
-    app,
-    stage: app.stage,
-    ticker: config.ticker ?? app.ticker,
-    renderer: app.renderer,
-    gsap,
-    classes: Object.freeze({
-      Container: pixiModule.Container,
-      Graphics: pixiModule.Graphics,
-      Sprite: pixiModule.Sprite,
-      Text: pixiModule.Text,
-      Point: pixiModule.Point,
-      Texture: pixiModule.Texture,
-      BlurFilter: pixiModule.BlurFilter,
-      Rectangle: pixiModule.Rectangle,
-      RenderTexture: pixiModule.RenderTexture,
-      TextStyle: pixiModule.TextStyle,
-      Filter: pixiModule.Filter,
-      GlProgram: pixiModule.GlProgram,
-    }),
-    create: Object.freeze({
-      container: () => new pixiModule.Container(),
-      graphics: () => new pixiModule.Graphics(),
-      sprite: (texture?: InstanceType<typeof pixiModule.Texture>) => new pixiModule.Sprite(texture),
-      point: (x = 0, y = 0) => new pixiModule.Point(x, y),
-      text: (text: string, style?: Partial<InstanceType<typeof pixiModule.TextStyle>>) =>
-        new pixiModule.Text({ text, style }),
-    }),
-  });
-
-  return context;
-}
+export {
+  assertRequirements,
+  checkRequirements,
+  createPixiContext,
+  getWebGLSupport,
+  isPixiContext,
+} from './pixiContext';
+
+export { createClock } from './clock';
+export { createRandom, normalizeSeed, randomSeed } from './random';
+export { createShaderLayer, toFilterFragment } from './shaderLayer';
+export { createTextureCache, getTextureCache, textureCachePlugin } from './textureCache';
 
-/**
- * Type guard to check if an object is a valid PixiContext
- */
-export function isPixiContext(obj: unknown): obj is PixiContext {
-  if (!obj || typeof obj !== 'object') return false;
-  const ctx = obj as Partial<PixiContext>;
-  return !!(ctx.app && ctx.stage && ctx.ticker && ctx.gsap && ctx.classes && ctx.create);
-}
+// ═══════════════════════════════════════════════════════════════════════════
+// QUALITY TIERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export { getQualityProfile, isQualityLevel, QUALITY_LEVELS, QUALITY_PROFILES, scaleCount } from './quality';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // EASING FUNCTIONS
@@ -165,37 +112,22 @@ export function createSignal<T = void>(): Signal<T> {
 // OBJECT POOL
 // ═══════════════════════════════════════════════════════════════════════════
 
-import type { ObjectPool, Poolable } from '../types';
+export { createObjectPool } from './objectPool';
 
-export function createObjectPool<T extends Poolable>(
-  factory: () => T,
-  initialSize = 0
-): ObjectPool<T> {
-  const pool: T[] = [];
+// ═══════════════════════════════════════════════════════════════════════════
+// PARTICLE EMITTERS
+// ═══════════════════════════════════════════════════════════════════════════
 
-  for (let i = 0; i < initialSize; i++) {
-    pool.push(factory());
-  }
+export {
+  createParticleEmitter,
+  EMITTER_CONFIG_VERSION,
+  parseEmitterConfig,
+  sampleCurve,
+  validateEmitterConfig,
+} from './particleEmitter';
 
-  return {
-    acquire(): T {
-      if (pool.length > 0) {
-        return pool.pop()!;
-      }
-      return factory();
-    },
-    release(obj: T) {
-      obj.reset?.();
-      pool.push(obj);
-    },
-    clear() {
-      pool.length = 0;
-    },
-    get size() {
-      return pool.length;
-    },
-    get available() {
-      return pool.length;
-    },
-  };
-}
+// ═══════════════════════════════════════════════════════════════════════════
+// OPTION SCHEMA VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+export { OptionsError, resolveOptions, validateOptions } from './options';
@@ -0,0 +1,38 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// OBJECT POOL
+// ═══════════════════════════════════════════════════════════════════════════
+
+import type { ObjectPool, Poolable } from '../types';
+
+export function createObjectPool<T extends Poolable>(
+  factory: () => T,
+  initialSize = 0
+): ObjectPool<T> {
+  const pool: T[] = [];
+
+  for (let i = 0; i < initialSize; i++) {
+    pool.push(factory());
+  }
+
+  return {
+    acquire(): T {
+      if (pool.length > 0) {
+        return pool.pop()!;
+      }
+      return factory();
+    },
+    release(obj: T) {
+      obj.reset?.();
+      pool.push(obj);
+    },
+    clear() {
+      pool.length = 0;
+    },
+    get size() {
+      return pool.length;
+    },
+    get available() {
+      return pool.length;
+    },
+  };
+}
@@ -0,0 +1,145 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// OPTION SCHEMA VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+import type { OptionIssue, OptionSchema, OptionSpec, OptionsOwner, ValidateOptionsConfig } from '../types';
+
+/** Keys a host injects into every component; checked only where a schema declares them */
+const HOST_OPTION_KEYS = ['container', 'ticker', 'canvas', 'width', 'height'];
+
+/**
+ * Raised by validateOptions in 'throw' mode. The message lists every issue,
+ * and `issues` keeps them for hosts that show them elsewhere.
+ */
+export class OptionsError extends Error {
+  readonly issues: OptionIssue[];
+
+  constructor(message: string, issues: OptionIssue[]) {
+    super(message);
+    this.name = 'OptionsError';
+    this.issues = issues;
+  }
+}
+
+function editDistance(a: string, b: string): number {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+function suggestKey(key: string, schema: OptionSchema): string | undefined {
+  const lower = key.toLowerCase();
+  let best: string | undefined;
+  let bestDistance = 3;
+  for (const candidate of Object.keys(schema)) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function checkValue(spec: OptionSpec, value: unknown): string | null {
+  if (value === undefined) return null;
+  if (value === null) return spec.nullable ? null : 'must not be null';
+
+  switch (spec.type) {
+    case 'number':
+    case 'integer':
+    case 'color': {
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        return `expected ${spec.type}, got ${typeof value}`;
+      }
+      if (spec.type !== 'number' && !Number.isInteger(value)) {
+        return `expected ${spec.type}, got ${value}`;
+      }
+      const min = spec.type === 'color' ? 0 : spec.min;
+      const max = spec.type === 'color' ? 0xffffff : spec.max;
+      if (min !== undefined && value < min) return `${value} is below minimum ${min}`;
+      if (max !== undefined && value > max) return `${value} is above maximum ${max}`;
+      return null;
+    }
+    case 'enum':
+      return spec.values?.includes(value as string | number)
+        ? null
+        : `expected one of ${spec.values?.map((v) => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`;
+    case 'array':
+      return Array.isArray(value) ? null : `expected array, got ${typeof value}`;
+    case 'object':
+      return typeof value === 'object' ? null : `expected object, got ${typeof value}`;
+    default:
+      return typeof value === spec.type ? null : `expected ${spec.type}, got ${typeof value}`;
+  }
+}
+
+/**
+ * Checks constructor options against a component's `static schema`.
+ * Reports unknown keys (with a "did you mean" hint), wrong types and
+ * out-of-range values. Returns the issues found; in 'throw' mode raises an
+ * OptionsError instead.
+ */
+export function validateOptions(
+  schema: OptionSchema | undefined,
+  options: Record<string, unknown>,
+  config: ValidateOptionsConfig = {}
+): OptionIssue[] {
+  if (!schema) return [];
+
+  const { mode = 'warn', name = 'Component', ignore = [] } = config;
+  const issues: OptionIssue[] = [];
+
+  for (const [key, value] of Object.entries(options)) {
+    const spec = schema[key];
+    if (!spec && (HOST_OPTION_KEYS.includes(key) || ignore.includes(key))) continue;
+
+    if (!spec) {
+      const suggestion = suggestKey(key, schema);
+      issues.push({
+        key,
+        message: suggestion ? `unknown option (did you mean "${suggestion}"?)` : 'unknown option',
+      });
+      continue;
+    }
+
+    const problem = checkValue(spec, value);
+    if (problem) issues.push({ key, message: problem });
+  }
+
+  if (issues.length > 0) {
+    const report = issues.map((issue) => `  ${issue.key}: ${issue.message}`).join('\n');
+    if (mode === 'throw') {
+      throw new OptionsError(`${name}: invalid options\n${report}`, issues);
+    }
+    console.warn(`[${name}] invalid options\n${report}`);
+  }
+
+  return issues;
+}
+
+/**
+ * What a constructor calls instead of spreading its defaults: validates
+ * `options` against `Component.schema`, then merges them over
+ * `Component.defaults`. Pass `mode: ctx.validation` so the host decides
+ * whether bad options warn or throw.
+ *
+ * @example
+ * this.options = resolveOptions(RainstormGlass, options, { mode: ctx.validation });
+ */
+export function resolveOptions<T extends Record<string, unknown> = Record<string, unknown>>(
+  Component: OptionsOwner,
+  options: Record<string, unknown>,
+  config: ValidateOptionsConfig = {}
+): T {
+  validateOptions(Component.schema, options, { name: Component.name, ...config });
+  return { ...Component.defaults, ...options } as T;
+}
@@ -0,0 +1,587 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// PARTICLE EMITTERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+import type { Sprite, Texture, Ticker } from 'pixi.js';
+import type {
+  ColorSpec,
+  CurveKey,
+  EmitterConfig,
+  EmitterForce,
+  EmitterShape,
+  EmitterTexture,
+  LifeCurve,
+  ParticleEmitter,
+  ParticleEmitterOptions,
+  PixiContext,
+  Random,
+  TextureBakeContext,
+  TextureCache,
+  ValueRange,
+} from '../types';
+import { createObjectPool } from './objectPool';
+import { getTextureCache } from './textureCache';
+
+/**
+ * Particle effects described as data.
+ *
+ * An EmitterConfig says where particles are born, how they launch, which
+ * forces act on them and how scale, alpha and tint change over their life.
+ * createParticleEmitter() runs one: sprites come from an object pool, the
+ * texture from the context's texture cache, randomness from ctx.random (so
+ * a seed reproduces the effect) and time from ctx.ticker.
+ *
+ * @example
+ * const sparks = createParticleEmitter(ctx, {
+ *   maxParticles: 200,
+ *   texture: { type: 'glow', radius: 8 },
+ *   blendMode: 'add',
+ *   lifetime: [0.4, 0.9],
+ *   speed: [120, 260],
+ *   alpha: [{ time: 0, value: 1 }, { time: 1, value: 0 }],
+ *   color: { palette: [0xffd700, 0xffffff] },
+ *   forces: [{ type: 'gravity', y: 300 }, { type: 'drag', amount: 0.8 }],
+ * }, { container: app.stage });
+ * sparks.burst(40, { x: 200, y: 150 });
+ */
+
+export const EMITTER_CONFIG_VERSION = 1;
+
+const DEFAULT_BURST = 10;
+const DEG_TO_RAD = Math.PI / 180;
+const BLEND_MODES = ['normal', 'add', 'multiply', 'screen'];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIG VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function invalid(path: string, expected: string): never {
+  throw new Error(`Emitter: ${path} must be ${expected}`);
+}
+
+function checkNumber(value: unknown, path: string, { min = -Infinity, optional = false } = {}): void {
+  if (value === undefined && optional) return;
+  if (!isNumber(value) || value < min) invalid(path, min === -Infinity ? 'a number' : `a number ≥ ${min}`);
+}
+
+function checkRange(value: unknown, path: string, min = -Infinity): void {
+  if (value === undefined) return;
+  if (Array.isArray(value)) {
+    if (value.length !== 2 || !value.every((v) => isNumber(v) && v >= min)) {
+      invalid(path, 'a number or a [min, max] pair');
+    }
+    return;
+  }
+  checkNumber(value, path, { min });
+}
+
+function checkCurve(value: unknown, path: string): void {
+  if (value === undefined || isNumber(value)) return;
+  if (!Array.isArray(value) || value.length === 0) invalid(path, 'a number or a non-empty array of { time, value } keys');
+  let previous = -Infinity;
+  value.forEach((key, i) => {
+    if (!isPlainObject(key) || !isNumber(key.time) || !isNumber(key.value)) {
+      invalid(`${path}[${i}]`, 'a { time, value } key');
+    }
+    if (key.time < 0 || key.time > 1 || key.time < previous) {
+      invalid(`${path}[${i}].time`, 'between 0 and 1 and not before the previous key');
+    }
+    previous = key.time;
+  });
+}
+
+function checkColor(value: unknown, path: string): void {
+  if (value === undefined || isNumber(value)) return;
+  if (isPlainObject(value)) {
+    const { palette } = value;
+    if (!Array.isArray(palette) || palette.length === 0 || !palette.every(isNumber)) {
+      invalid(`${path}.palette`, 'a non-empty array of colors');
+    }
+    return;
+  }
+  checkCurve(value, path);
+}
+
+function checkTexture(value: unknown): void {
+  if (!isPlainObject(value)) invalid('texture', 'an object');
+  switch (value.type) {
+    case 'dot':
+    case 'glow':
+      checkNumber(value.radius, 'texture.radius', { min: 0.5 });
+      return;
+    case 'generator':
+      if (typeof value.name !== 'string' || !value.name) invalid('texture.name', 'a generator name');
+      if (value.params !== undefined && !isPlainObject(value.params)) invalid('texture.params', 'an object');
+      return;
+    default:
+      invalid('texture.type', '"dot", "glow" or "generator"');
+  }
+}
+
+function checkShape(value: unknown): void {
+  if (value === undefined) return;
+  if (!isPlainObject(value)) invalid('shape', 'an object');
+  switch (value.type) {
+    case 'point':
+      return;
+    case 'circle':
+      checkNumber(value.radius, 'shape.radius', { min: 0 });
+      return;
+    case 'rect':
+      checkNumber(value.width, 'shape.width', { min: 0 });
+      checkNumber(value.height, 'shape.height', { min: 0 });
+      return;
+    default:
+      invalid('shape.type', '"point", "circle" or "rect"');
+  }
+}
+
+function checkForce(value: unknown, path: string): void {
+  if (!isPlainObject(value)) invalid(path, 'an object');
+  switch (value.type) {
+    case 'gravity':
+      checkNumber(value.x, `${path}.x`, { optional: true });
+      checkNumber(value.y, `${path}.y`, { optional: true });
+      return;
+    case 'drag':
+      checkNumber(value.amount, `${path}.amount`, { min: 0 });
+      if ((value.amount as number) > 1) invalid(`${path}.amount`, 'between 0 and 1');
+      return;
+    case 'attract':
+      checkNumber(value.x, `${path}.x`);
+      checkNumber(value.y, `${path}.y`);
+      checkNumber(value.strength, `${path}.strength`);
+      checkNumber(value.radius, `${path}.radius`, { min: 0, optional: true });
+      return;
+    case 'turbulence':
+      checkNumber(value.strength, `${path}.strength`);
+      checkNumber(value.frequency, `${path}.frequency`, { min: 0, optional: true });
+      return;
+    default:
+      invalid(`${path}.type`, '"gravity", "drag", "attract" or "turbulence"');
+  }
+}
+
+/**
+ * Checks that a value is a usable EmitterConfig and returns it typed.
+ * Throws on the first problem, naming the field.
+ */
+export function validateEmitterConfig(config: unknown): EmitterConfig {
+  if (!isPlainObject(config)) invalid('the config', 'an object');
+  if (config.version !== undefined && config.version !== EMITTER_CONFIG_VERSION) {
+    throw new Error(`Emitter: unsupported config version ${JSON.stringify(config.version)}`);
+  }
+  if (!Number.isInteger(config.maxParticles) || (config.maxParticles as number) < 1) {
+    invalid('maxParticles', 'a positive integer');
+  }
+  checkTexture(config.texture);
+  if (config.blendMode !== undefined && !BLEND_MODES.includes(config.blendMode as string)) {
+    invalid('blendMode', `one of ${BLEND_MODES.join(', ')}`);
+  }
+  checkShape(config.shape);
+  checkNumber(config.rate, 'rate', { min: 0, optional: true });
+  checkNumber(config.burst, 'burst', { min: 0, optional: true });
+  if (config.lifetime === undefined) invalid('lifetime', 'set');
+  checkRange(config.lifetime, 'lifetime', 0.001);
+  checkRange(config.angle, 'angle');
+  checkRange(config.speed, 'speed');
+  checkRange(config.rotation, 'rotation');
+  checkRange(config.spin, 'spin');
+  checkRange(config.size, 'size', 0);
+  checkCurve(config.scale, 'scale');
+  checkCurve(config.alpha, 'alpha');
+  checkColor(config.color, 'color');
+  if (config.forces !== undefined) {
+    if (!Array.isArray(config.forces)) invalid('forces', 'an array');
+    config.forces.forEach((force, i) => checkForce(force, `forces[${i}]`));
+  }
+  return config as unknown as EmitterConfig;
+}
+
+/**
+ * Reads an emitter config from JSON (e.g. a file next to the effect)
+ */
+export function parseEmitterConfig(json: string): EmitterConfig {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    throw new Error('Emitter: the config is not valid JSON');
+  }
+  return validateEmitterConfig(raw);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SAMPLING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function pick(range: ValueRange | undefined, fallback: number, random: Random): number {
+  if (range === undefined) return fallback;
+  if (typeof range === 'number') return range;
+  return range[0] === range[1] ? range[0] : random.float(range[0], range[1]);
+}
+
+/** Value of a life curve at t (0-1); keys are sorted by time */
+export function sampleCurve(curve: LifeCurve | undefined, t: number, fallback = 1): number {
+  if (curve === undefined) return fallback;
+  if (typeof curve === 'number') return curve;
+  if (t <= curve[0].time) return curve[0].value;
+  for (let i = 1; i < curve.length; i++) {
+    const b = curve[i];
+    if (t <= b.time) {
+      const a = curve[i - 1];
+      const span = b.time - a.time;
+      return span > 0 ? a.value + (b.value - a.value) * ((t - a.time) / span) : b.value;
+    }
+  }
+  return curve[curve.length - 1].value;
+}
+
+function mixColor(a: number, b: number, f: number): number {
+  const r = ((a >> 16) & 0xff) + ((((b >> 16) & 0xff) - ((a >> 16) & 0xff)) * f);
+  const g = ((a >> 8) & 0xff) + ((((b >> 8) & 0xff) - ((a >> 8) & 0xff)) * f);
+  const bl = (a & 0xff) + (((b & 0xff) - (a & 0xff)) * f);
+  return (Math.round(r) << 16) | (Math.round(g) << 8) | Math.round(bl);
+}
+
+function sampleColor(keys: readonly CurveKey[], t: number): number {
+  if (t <= keys[0].time) return keys[0].value;
+  for (let i = 1; i < keys.length; i++) {
+    const b = keys[i];
+    if (t <= b.time) {
+      const a = keys[i - 1];
+      const span = b.time - a.time;
+      return span > 0 ? mixColor(a.value, b.value, (t - a.time) / span) : b.value;
+    }
+  }
+  return keys[keys.length - 1].value;
+}
+
+/** Birth offset from the emitter position */
+function spawnOffset(shape: EmitterShape | undefined, random: Random, out: { x: number; y: number }): void {
+  out.x = 0;
+  out.y = 0;
+  if (!shape || shape.type === 'point') return;
+  if (shape.type === 'rect') {
+    out.x = (random.float() - 0.5) * shape.width;
+    out.y = (random.float() - 0.5) * shape.height;
+    return;
+  }
+  const angle = random.float() * Math.PI * 2;
+  // sqrt keeps a filled circle uniform instead of bunched at the center
+  const distance = shape.edge ? shape.radius : Math.sqrt(random.float()) * shape.radius;
+  out.x = Math.cos(angle) * distance;
+  out.y = Math.sin(angle) * distance;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEXTURES
+// ═══════════════════════════════════════════════════════════════════════════
+
+function bakeCanvas({ classes }: TextureBakeContext, radius: number, draw: (g: CanvasRenderingContext2D, center: number) => void): Texture {
+  const size = Math.ceil(radius * 2) + 2;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  draw(canvas.getContext('2d')!, size / 2);
+  return classes.Texture.from(canvas);
+}
+
+function bakeDot(ctx: TextureBakeContext, { radius }: { radius: number }): Texture {
+  return bakeCanvas(ctx, radius, (g, center) => {
+    g.fillStyle = '#ffffff';
+    g.beginPath();
+    g.arc(center, center, radius, 0, Math.PI * 2);
+    g.fill();
+  });
+}
+
+function bakeGlow(ctx: TextureBakeContext, { radius }: { radius: number }): Texture {
+  return bakeCanvas(ctx, radius, (g, center) => {
+    const gradient = g.createRadialGradient(center, center, 0, center, center, radius);
+    gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    gradient.addColorStop(0.35, 'rgba(255, 255, 255, 0.6)');
+    gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    g.fillStyle = gradient;
+    g.fillRect(0, 0, center * 2, center * 2);
+  });
+}
+
+function acquireTexture(
+  cache: TextureCache,
+  texture: EmitterTexture,
+  generators: ParticleEmitterOptions['generators']
+): Texture {
+  switch (texture.type) {
+    case 'dot':
+      return cache.acquire('ParticleEmitter.dot', { radius: texture.radius }, bakeDot);
+    case 'glow':
+      return cache.acquire('ParticleEmitter.glow', { radius: texture.radius }, bakeGlow);
+    case 'generator': {
+      const generate = generators?.[texture.name];
+      if (!generate) {
+        throw new Error(`Emitter: no generator "${texture.name}" (pass it in options.generators)`);
+      }
+      return cache.acquire(texture.name, texture.params ?? {}, generate);
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EMITTER
+// ═══════════════════════════════════════════════════════════════════════════
+
+interface Particle {
+  sprite: Sprite;
+  vx: number;
+  vy: number;
+  age: number;
+  life: number;
+  size: number;
+  spin: number;
+  /** Fixed tint, or null to follow the color curve */
+  tint: number | null;
+  /** Turbulence phase, so particles do not sway in lockstep */
+  phase: number;
+  reset(): void;
+}
+
+/**
+ * Runs an EmitterConfig in `options.container`. The config is validated
+ * first, so a typo in a hand-written file fails here with the field's name.
+ */
+export function createParticleEmitter(
+  ctx: PixiContext,
+  config: EmitterConfig,
+  options: ParticleEmitterOptions
+): ParticleEmitter {
+  validateEmitterConfig(config);
+  if (!options?.container) {
+    throw new Error('Emitter: options.container is required');
+  }
+
+  const { classes, random, ticker } = ctx;
+  const cache = options.texture ? null : getTextureCache(ctx);
+  const texture = options.texture ?? acquireTexture(cache!, config.texture, options.generators);
+  const forces: readonly EmitterForce[] = config.forces ?? [];
+  const colorCurve = Array.isArray(config.color) ? (config.color as readonly CurveKey[]) : null;
+
+  // Own layer, so the blend mode does not leak onto the host's container
+  const layer = new classes.Container();
+  layer.label = 'ParticleEmitter';
+  if (config.blendMode) layer.blendMode = config.blendMode;
+  options.container.addChild(layer);
+
+  const sprites: Sprite[] = [];
+  const pool = createObjectPool<Particle>(() => {
+    const sprite = new classes.Sprite(texture);
+    sprite.anchor.set(0.5);
+    sprite.visible = false;
+    layer.addChild(sprite);
+    sprites.push(sprite);
+    return {
+      sprite, vx: 0, vy: 0, age: 0, life: 1, size: 1, spin: 0, tint: null, phase: 0,
+      reset() {
+        this.sprite.visible = false;
+      },
+    };
+  });
+  const live: Particle[] = [];
+  const offset = { x: 0, y: 0 };
+  let x = options.x ?? 0;
+  let y = options.y ?? 0;
+  let rate = config.rate ?? 0;
+  let pending = 0;
+  let running = false;
+  let destroyed = false;
+
+  const birthTint = (color: ColorSpec | undefined): number | null => {
+    if (color === undefined) return 0xffffff;
+    if (typeof color === 'number') return color;
+    if ('palette' in color) return random.pick(color.palette);
+    return null;
+  };
+
+  const draw = (p: Particle) => {
+    const t = p.age / p.life;
+    p.sprite.scale.set(p.size * sampleCurve(config.scale, t));
+    p.sprite.alpha = sampleCurve(config.alpha, t);
+    p.sprite.tint = p.tint ?? sampleColor(colorCurve!, t);
+  };
+
+  const spawn = (atX: number, atY: number, tint: number | undefined): boolean => {
+    if (live.length >= config.maxParticles) return false;
+    const p = pool.acquire();
+    spawnOffset(config.shape, random, offset);
+    const angle = (config.angle === undefined ? random.float(0, 360) : pick(config.angle, 0, random)) * DEG_TO_RAD;
+    const speed = pick(config.speed, 0, random);
+    p.vx = Math.cos(angle) * speed;
+    p.vy = Math.sin(angle) * speed;
+    p.age = 0;
+    p.life = pick(config.lifetime, 1, random);
+    p.size = pick(config.size, 1, random);
+    p.spin = pick(config.spin, 0, random) * DEG_TO_RAD;
+    p.tint = tint ?? birthTint(config.color);
+    p.phase = random.float(0, Math.PI * 2);
+    p.sprite.position.set(atX + offset.x, atY + offset.y);
+    p.sprite.rotation = pick(config.rotation, 0, random) * DEG_TO_RAD;
+    p.sprite.visible = true;
+    draw(p);
+    live.push(p);
+    return true;
+  };
+
+  const recycle = (index: number) => {
+    const p = live[index];
+    // O(1) swap-and-pop; iteration runs backwards so the swapped-in one is done
+    live[index] = live[live.length - 1];
+    live.pop();
+    pool.release(p);
+  };
+
+  const step = (p: Particle, dt: number, drag: number) => {
+    let ax = 0;
+    let ay = 0;
+    for (const force of forces) {
+      switch (force.type) {
+        case 'gravity':
+          ax += force.x ?? 0;
+          ay += force.y ?? 0;
+          break;
+        case 'attract': {
+          const dx = force.x - p.sprite.x;
+          const dy = force.y - p.sprite.y;
+          const distance = Math.sqrt(dx * dx + dy * dy);
+          if (distance < 1 || (force.radius !== undefined && distance > force.radius)) break;
+          ax += (dx / distance) * force.strength;
+          ay += (dy / distance) * force.strength;
+          break;
+        }
+        case 'turbulence': {
+          const w = p.age * (force.frequency ?? 1) * Math.PI * 2 + p.phase;
+          ax += Math.sin(w) * force.strength;
+          ay += Math.cos(w * 1.3) * force.strength;
+          break;
+        }
+        case 'drag':
+          break;
+      }
+    }
+    p.vx = (p.vx + ax * dt) * drag;
+    p.vy = (p.vy + ay * dt) * drag;
+    p.sprite.x += p.vx * dt;
+    p.sprite.y += p.vy * dt;
+    p.sprite.rotation += p.spin * dt;
+  };
+
+  const update = (seconds: number) => {
+    if (destroyed || seconds <= 0) return;
+
+    if (rate > 0) {
+      pending += rate * seconds;
+      while (pending >= 1) {
+        pending--;
+        spawn(x, y, undefined);
+      }
+    }
+
+    let drag = 1;
+    for (const force of forces) {
+      if (force.type === 'drag') drag *= Math.pow(1 - force.amount, seconds);
+    }
+
+    for (let i = live.length - 1; i >= 0; i--) {
+      const p = live[i];
+      p.age += seconds;
+      if (p.age >= p.life) {
+        recycle(i);
+        continue;
+      }
+      step(p, seconds, drag);
+      draw(p);
+    }
+  };
+
+  const tick = (t: Ticker) => update(t.deltaMS / 1000);
+
+  const emitter: ParticleEmitter = {
+    config,
+    get x() {
+      return x;
+    },
+    set x(value) {
+      x = value;
+    },
+    get y() {
+      return y;
+    },
+    set y(value) {
+      y = value;
+    },
+    get rate() {
+      return rate;
+    },
+    set rate(value) {
+      rate = Math.max(0, value);
+      if (rate === 0) pending = 0;
+    },
+    get running() {
+      return running;
+    },
+    get count() {
+      return live.length;
+    },
+
+    start() {
+      if (running || destroyed) return;
+      running = true;
+      ticker.add(tick);
+    },
+
+    stop() {
+      if (!running) return;
+      running = false;
+      ticker.remove(tick);
+    },
+
+    burst(count = config.burst ?? DEFAULT_BURST, at = {}) {
+      if (destroyed) return 0;
+      const atX = at.x ?? x;
+      const atY = at.y ?? y;
+      let spawned = 0;
+      while (spawned < count && spawn(atX, atY, at.color)) spawned++;
+      return spawned;
+    },
+
+    update,
+
+    clear() {
+      while (live.length > 0) pool.release(live.pop()!);
+      pending = 0;
+    },
+
+    destroy() {
+      if (destroyed) return;
+      emitter.stop();
+      destroyed = true;
+      live.length = 0;
+      pool.clear();
+      for (const sprite of sprites) sprite.destroy();
+      sprites.length = 0;
+      layer.parent?.removeChild(layer);
+      layer.destroy();
+      cache?.release(texture);
+    },
+  };
+
+  if (options.autoStart ?? true) emitter.start();
+  return emitter;
+}
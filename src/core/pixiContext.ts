@@ -0,0 +1,265 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// PIXI CONTEXT
+// ═══════════════════════════════════════════════════════════════════════════
+
+import type { Application } from 'pixi.js';
+import type {
+  ComponentRequirements,
+  GsapModule,
+  PixiClasses,
+  PixiContext,
+  PixiContextConfig,
+  PixiContextPlugin,
+  RequirementIssue,
+  WebGLFeature,
+} from '../types';
+import { createClock } from './clock';
+import { createRandom } from './random';
+
+interface InstalledPlugin {
+  plugin: PixiContextPlugin<unknown>;
+  service: unknown;
+}
+
+/**
+ * Creates a PixiContext for dependency injection.
+ *
+ * This is the one context factory shared by the demo runner, starter projects
+ * and content files. Services are added with `ctx.use(plugin)`:
+ *
+ *   const ctx = createPixiContext(PIXI, { gsap, PixiPlugin }, app);
+ *   const textures = ctx.use(textureCachePlugin); // also ctx.textures
+ *
+ * GSAP is optional: pass null and ctx.gsap is null. Components that tween
+ * check for it in their constructor.
+ */
+export function createPixiContext(
+  pixiModule: typeof import('pixi.js'),
+  gsapModule: GsapModule | null,
+  app: Application,
+  config: PixiContextConfig = {}
+): PixiContext {
+  if (!pixiModule) {
+    throw new Error('PixiContext: pixiModule is required');
+  }
+  if (!app?.stage) {
+    throw new Error('PixiContext: app with stage is required');
+  }
+
+  const gsap = gsapModule?.gsap ?? null;
+  const PixiPlugin = gsapModule?.PixiPlugin;
+
+  // Register PixiPlugin if available and not already registered
+  if (gsap && PixiPlugin && !(gsap as any).plugins?.pixi) {
+    gsap.registerPlugin(PixiPlugin as any);
+    (PixiPlugin as any).registerPIXI(pixiModule);
+  }
+
+  const classes: PixiClasses = Object.freeze({
+    Container: pixiModule.Container,
+    Graphics: pixiModule.Graphics,
+    Sprite: pixiModule.Sprite,
+    Text: pixiModule.Text,
+    TilingSprite: pixiModule.TilingSprite,
+    ParticleContainer: pixiModule.ParticleContainer,
+    Point: pixiModule.Point,
+    Texture: pixiModule.Texture,
+    BlurFilter: pixiModule.BlurFilter,
+    ColorMatrixFilter: pixiModule.ColorMatrixFilter,
+    DisplacementFilter: pixiModule.DisplacementFilter,
+    Rectangle: pixiModule.Rectangle,
+    RenderTexture: pixiModule.RenderTexture,
+    TextStyle: pixiModule.TextStyle,
+    Filter: pixiModule.Filter,
+    GlProgram: pixiModule.GlProgram,
+    GpuProgram: pixiModule.GpuProgram,
+    Shader: pixiModule.Shader,
+    Geometry: pixiModule.Geometry,
+    Mesh: pixiModule.Mesh,
+    Buffer: pixiModule.Buffer,
+    ...config.classes,
+  });
+
+  const installed: InstalledPlugin[] = [];
+  const ticker = config.ticker ?? app.ticker;
+  const clock = createClock(ticker, gsap);
+
+  const context = {
+    app,
+    stage: app.stage,
+    ticker,
+    renderer: app.renderer,
+    gsap,
+    classes,
+    create: Object.freeze({
+      container: () => new classes.Container(),
+      graphics: () => new classes.Graphics(),
+      sprite: (texture?: InstanceType<typeof pixiModule.Texture>) => new classes.Sprite(texture),
+      point: (x = 0, y = 0) => new classes.Point(x, y),
+      rectangle: (x = 0, y = 0, width = 0, height = 0) => new classes.Rectangle(x, y, width, height),
+      text: (text: string, style?: Partial<InstanceType<typeof pixiModule.TextStyle>>) =>
+        new classes.Text({ text, style }),
+    }),
+    random: createRandom(config.seed),
+    clock,
+    validation: config.validation ?? 'warn',
+
+    use<T>(plugin: PixiContextPlugin<T>): T {
+      if (!plugin?.name || typeof plugin.install !== 'function') {
+        throw new Error('PixiContext: plugin needs a name and an install() function');
+      }
+
+      const existing = installed.find((entry) => entry.plugin.name === plugin.name);
+      if (existing) {
+        if (existing.plugin !== plugin) {
+          throw new Error(`PixiContext: "${plugin.name}" is already provided by another plugin`);
+        }
+        return existing.service as T;
+      }
+      if (plugin.name in context) {
+        throw new Error(`PixiContext: "${plugin.name}" is a reserved context member`);
+      }
+
+      const service = plugin.install(context as PixiContext);
+      // Entries only hand a service back to the plugin that installed it
+      installed.push({ plugin: plugin as PixiContextPlugin<unknown>, service });
+      Object.defineProperty(context, plugin.name, { value: service, enumerable: true, configurable: true });
+      return service;
+    },
+
+    has(name: string): boolean {
+      return installed.some((entry) => entry.plugin.name === name);
+    },
+
+    destroy(): void {
+      while (installed.length > 0) {
+        const { plugin, service } = installed.pop()!;
+        delete (context as Record<string, unknown>)[plugin.name];
+        try {
+          plugin.destroy?.(service);
+        } catch (e) {
+          console.warn(`PixiContext: destroying "${plugin.name}" failed:`, e);
+        }
+      }
+      clock.destroy();
+    },
+  };
+
+  // Built-in members are read-only; plugins can only add new names
+  for (const key of Object.keys(context)) {
+    Object.defineProperty(context, key, { writable: false, configurable: false });
+  }
+
+  for (const plugin of config.plugins ?? []) {
+    context.use(plugin);
+  }
+
+  if (config.requires) {
+    assertRequirements(config.requires, context as PixiContext, 'PixiContext');
+  }
+
+  return context as PixiContext;
+}
+
+/**
+ * Type guard to check if an object is a valid PixiContext
+ */
+export function isPixiContext(obj: unknown): obj is PixiContext {
+  if (!obj || typeof obj !== 'object') return false;
+  const ctx = obj as Partial<PixiContext>;
+  return !!(ctx.app && ctx.stage && ctx.ticker && ctx.classes && ctx.create && ctx.use);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REQUIREMENTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+let webglSupport: Set<WebGLFeature> | null = null;
+
+/**
+ * Probes the browser's WebGL capabilities once, on throwaway canvases
+ */
+export function getWebGLSupport(): ReadonlySet<WebGLFeature> {
+  if (webglSupport) return webglSupport;
+
+  const support = new Set<WebGLFeature>();
+  if (typeof document !== 'undefined') {
+    const gl2 = document.createElement('canvas').getContext('webgl2');
+    if (gl2) {
+      support.add('webgl').add('webgl2');
+      // In WebGL2 this one extension makes both 16 and 32-bit float buffers renderable
+      if (gl2.getExtension('EXT_color_buffer_float')) {
+        support.add('float-textures').add('half-float-textures');
+      } else if (gl2.getExtension('EXT_color_buffer_half_float')) {
+        support.add('half-float-textures');
+      }
+      gl2.getExtension('WEBGL_lose_context')?.loseContext();
+    } else {
+      const gl = document.createElement('canvas').getContext('webgl');
+      if (gl) {
+        support.add('webgl');
+        if (gl.getExtension('OES_texture_float') && gl.getExtension('WEBGL_color_buffer_float')) {
+          support.add('float-textures');
+        }
+        if (gl.getExtension('OES_texture_half_float') && gl.getExtension('EXT_color_buffer_half_float')) {
+          support.add('half-float-textures');
+        }
+        gl.getExtension('WEBGL_lose_context')?.loseContext();
+      }
+    }
+  }
+
+  webglSupport = support;
+  return support;
+}
+
+/**
+ * Lists the requirements a context (and the browser) does not meet.
+ * Without a context only WebGL features are checked, which is what
+ * standalone components that own their canvas can declare.
+ */
+export function checkRequirements(
+  requires: ComponentRequirements | undefined,
+  ctx?: PixiContext | null
+): RequirementIssue[] {
+  if (!requires) return [];
+
+  const issues: RequirementIssue[] = [];
+  if (ctx) {
+    for (const name of requires.classes ?? []) {
+      if (typeof ctx.classes[name] !== 'function') issues.push({ kind: 'class', name });
+    }
+    for (const name of requires.services ?? []) {
+      if (!ctx.has(name)) issues.push({ kind: 'service', name });
+    }
+  }
+  if (requires.webgl?.length) {
+    const support = getWebGLSupport();
+    for (const feature of requires.webgl) {
+      if (!support.has(feature)) issues.push({ kind: 'webgl', name: feature });
+    }
+  }
+  return issues;
+}
+
+const ISSUE_LABELS: Record<RequirementIssue['kind'], string> = {
+  class: 'class',
+  service: 'service',
+  webgl: 'WebGL feature',
+};
+
+/**
+ * Throws one readable Error when requirements are unmet, using the
+ * component's fallback message when it declares one
+ */
+export function assertRequirements(
+  requires: ComponentRequirements | undefined,
+  ctx: PixiContext | null,
+  name = 'Component'
+): void {
+  const issues = checkRequirements(requires, ctx);
+  if (issues.length === 0) return;
+
+  const missing = `missing ${issues.map((issue) => `${ISSUE_LABELS[issue.kind]} ${issue.name}`).join(', ')}`;
+  throw new Error(requires?.fallback ? `${name}: ${requires.fallback} (${missing})` : `${name}: ${missing}`);
+}
@@ -0,0 +1,43 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// QUALITY TIERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+import type { QualityLevel, QualityProfile } from '../types';
+
+/**
+ * Tiers from cheapest to most expensive
+ */
+export const QUALITY_LEVELS: readonly QualityLevel[] = Object.freeze(['low', 'medium', 'high']);
+
+/**
+ * Multipliers and caps per tier. 'high' leaves every setting as configured;
+ * a dpr cap below 1 renders under native resolution and is upscaled.
+ */
+export const QUALITY_PROFILES: Readonly<Record<QualityLevel, QualityProfile>> = Object.freeze({
+  low: Object.freeze({ particles: 0.4, blurQuality: 1, dpr: 0.75 }),
+  medium: Object.freeze({ particles: 0.7, blurQuality: 2, dpr: 1 }),
+  high: Object.freeze({ particles: 1, blurQuality: Infinity, dpr: Infinity }),
+});
+
+export function isQualityLevel(value: unknown): value is QualityLevel {
+  return QUALITY_LEVELS.includes(value as QualityLevel);
+}
+
+/**
+ * Returns the profile for a tier, throwing on anything else so a typo in
+ * `setQuality('hi')` does not silently fall through to some default
+ */
+export function getQualityProfile(level: QualityLevel): QualityProfile {
+  if (!isQualityLevel(level)) {
+    throw new Error(`Quality: unknown level "${level}" (expected ${QUALITY_LEVELS.join(', ')})`);
+  }
+  return QUALITY_PROFILES[level];
+}
+
+/**
+ * Scales a configured count for a tier. Non-zero counts never drop to zero.
+ */
+export function scaleCount(count: number, level: QualityLevel): number {
+  if (count <= 0) return 0;
+  return Math.max(1, Math.round(count * getQualityProfile(level).particles));
+}
@@ -0,0 +1,70 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SEEDED RANDOM
+// ═══════════════════════════════════════════════════════════════════════════
+
+import type { Random } from '../types';
+
+/**
+ * Turns a seed into the 32-bit state the generator runs on. Integer seeds
+ * (and strings holding one, as they arrive from the URL) are used as is;
+ * any other string is hashed (FNV-1a).
+ */
+export function normalizeSeed(seed: number | string): number {
+  if (typeof seed === 'number' || /^\d+$/.test(seed)) {
+    const value = Number(seed);
+    if (Number.isFinite(value)) return Math.floor(Math.abs(value)) >>> 0;
+  }
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * A fresh seed for runs that did not ask for one, so they can still be
+ * reproduced by reading `random.seed` afterwards
+ */
+export function randomSeed(): number {
+  return Math.floor(Math.random() * 2 ** 32) >>> 0;
+}
+
+/**
+ * Creates a seedable PRNG (mulberry32). The same seed always yields the same
+ * sequence; without one a random seed is picked.
+ *
+ *   const random = createRandom(42);
+ *   random.float(-1, 1); random.int(1, 6); random.pick(colors); random.gaussian(0, 0.2);
+ */
+export function createRandom(seed: number | string = randomSeed()): Random {
+  const initial = normalizeSeed(seed);
+  let state = initial;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    seed: initial,
+    float: (min = 0, max = 1) => min + next() * (max - min),
+    int: (min, max) => Math.floor(min + next() * (max - min + 1)),
+    pick: (items) => {
+      if (items.length === 0) {
+        throw new Error('Random: pick() needs a non-empty array');
+      }
+      return items[Math.floor(next() * items.length)];
+    },
+    gaussian: (mean = 0, stddev = 1) => {
+      // Box-Muller; 1 - next() keeps log() away from 0
+      const u = 1 - next();
+      const v = next();
+      return mean + stddev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    },
+  };
+}
@@ -0,0 +1,176 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// SHADER LAYERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+import type { Filter } from 'pixi.js';
+import type {
+  PixiContext,
+  ShaderLayer,
+  ShaderLayerOptions,
+  ShaderUniformSpec,
+  ShaderUniformValues,
+} from '../types';
+import { getQualityProfile } from './quality';
+
+const DEFAULT_DPR = 1.5;
+
+/**
+ * Filter vertex shader (WebGL 1.0)
+ * Emulates gl_FragCoord (in u_resolution units, origin bottom-left) so a
+ * standalone fragment source runs unchanged inside a PIXI filter pass.
+ */
+const FILTER_VERTEX_SOURCE = `
+  attribute vec2 aPosition;
+  varying vec2 vFragCoord;
+
+  uniform vec4 uOutputFrame;
+  uniform vec4 uOutputTexture;
+  uniform vec2 uQuadResolution;
+
+  void main() {
+    vec2 position = aPosition * uOutputFrame.zw + uOutputFrame.xy;
+    position.x = position.x * (2.0 / uOutputTexture.x) - 1.0;
+    position.y = position.y * (2.0 * uOutputTexture.z / uOutputTexture.y) - uOutputTexture.z;
+    gl_Position = vec4(position, 0.0, 1.0);
+    vFragCoord = vec2(aPosition.x, 1.0 - aPosition.y) * uQuadResolution;
+  }
+`;
+
+/**
+ * Rewrites a standalone fragment source to read the emulated frag coord
+ */
+export function toFilterFragment(source: string): string {
+  return source
+    .replace(/gl_FragCoord/g, 'vFragCoord')
+    .replace(/(precision \w+ float;)/, '$1\n  varying vec2 vFragCoord;');
+}
+
+/**
+ * Runs a fragment shader written for a canvas of its own (u_resolution,
+ * u_time, gl_FragCoord) as a ctx.classes.Filter on a full-screen quad, so it
+ * can sit under other PIXI content on one stage and one WebGL context.
+ *
+ * `uniforms` declares anything beyond u_resolution and u_time; the layer
+ * writes those two itself. Time advances by ticker time, so the context's
+ * clock pauses and slows it like everything else.
+ *
+ * @example
+ * const layer = createShaderLayer(ctx, fragmentSource, {
+ *   u_mouse: { value: new Float32Array([0.5, 0.5]), type: 'vec2<f32>' },
+ * }, { container: app.stage, width: 800, height: 600 });
+ * layer.start();
+ */
+export function createShaderLayer(
+  ctx: Pick<PixiContext, 'classes' | 'ticker'>,
+  fragmentSource: string,
+  uniforms: ShaderUniformSpec,
+  options: ShaderLayerOptions
+): ShaderLayer {
+  const { container, dpr = DEFAULT_DPR, name = 'ShaderLayer', onUpdate, onResize } = options;
+  if (!ctx?.classes?.Filter || !ctx.classes.GlProgram) {
+    throw new Error(`${name}: ctx.classes.Filter and ctx.classes.GlProgram are required`);
+  }
+  if (!ctx.ticker) {
+    throw new Error(`${name}: ctx.ticker is required`);
+  }
+  if (!container) {
+    throw new Error(`${name}: options.container is required`);
+  }
+
+  const { classes, ticker } = ctx;
+  let width = options.width;
+  let height = options.height;
+  let maxDpr = Infinity; // lowered by setQuality()
+  let running = false;
+  let destroyed = false;
+  let time = 0;
+
+  const root = new classes.Container();
+  const quad = new classes.Graphics();
+  const filter: Filter = new classes.Filter({
+    glProgram: new classes.GlProgram({
+      vertex: FILTER_VERTEX_SOURCE,
+      fragment: toFilterFragment(fragmentSource),
+      name,
+    }),
+    resources: {
+      shaderUniforms: {
+        ...uniforms,
+        u_resolution: { value: new Float32Array(2), type: 'vec2<f32>' },
+        u_time: { value: 0, type: 'f32' },
+        uQuadResolution: { value: new Float32Array(2), type: 'vec2<f32>' },
+      },
+    },
+  });
+  const values = filter.resources.shaderUniforms.uniforms as ShaderUniformValues;
+  const resolution = values.u_resolution as Float32Array;
+  const quadResolution = values.uQuadResolution as Float32Array;
+
+  quad.filters = [filter];
+  root.addChild(quad);
+  container.addChild(root);
+
+  const layout = () => {
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, dpr, maxDpr);
+    filter.resolution = pixelRatio;
+    quad.clear().rect(0, 0, width, height).fill({ color: 0x000000 });
+
+    resolution[0] = quadResolution[0] = width * pixelRatio;
+    resolution[1] = quadResolution[1] = height * pixelRatio;
+    onResize?.(values, resolution[0], resolution[1]);
+  };
+
+  const update = () => {
+    if (destroyed || !running) return;
+    const seconds = ticker.deltaMS * 0.001;
+    time += seconds;
+    values.u_time = time;
+    onUpdate?.(values, seconds);
+  };
+
+  const stop = () => {
+    if (!running) return;
+    running = false;
+    ticker.remove(update);
+  };
+
+  layout();
+
+  return {
+    view: root,
+    uniforms: values,
+    get time() {
+      return time;
+    },
+    get isRunning() {
+      return running;
+    },
+    start() {
+      if (destroyed || running) return;
+      running = true;
+      time = 0;
+      ticker.add(update);
+    },
+    stop,
+    resize(nextWidth, nextHeight) {
+      if (destroyed) return;
+      width = nextWidth;
+      height = nextHeight;
+      layout();
+    },
+    setQuality(level) {
+      maxDpr = getQualityProfile(level).dpr;
+      if (!destroyed) layout();
+    },
+    destroy() {
+      if (destroyed) return;
+      stop();
+      destroyed = true;
+
+      quad.filters = null;
+      filter.destroy();
+      root.parent?.removeChild(root);
+      root.destroy({ children: true });
+    },
+  };
+}
@@ -0,0 +1,134 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// TEXTURE CACHE
+// ═══════════════════════════════════════════════════════════════════════════
+
+import type { Texture } from 'pixi.js';
+import type {
+  PixiContext,
+  PixiContextPlugin,
+  TextureBakeContext,
+  TextureCache,
+  TextureCacheConfig,
+  TextureParams,
+} from '../types';
+
+interface CacheEntry {
+  key: string;
+  texture: Texture;
+  references: number;
+}
+
+const DEFAULT_MAX_IDLE = 32;
+
+/**
+ * Cache key for a generator name and its parameters. Keys are sorted, so
+ * `{ size, color }` and `{ color, size }` hit the same texture.
+ */
+function cacheKey(name: string, params: TextureParams): string {
+  const sorted = Object.keys(params)
+    .sort()
+    .map((key) => [key, params[key]]);
+  return `${name}:${JSON.stringify(sorted)}`;
+}
+
+/**
+ * Creates a reference-counted texture cache drawing with `ctx`.
+ *
+ * Textures nobody holds are not destroyed right away: the last `maxIdle` of
+ * them stay around, so a component that tears down and rebuilds its scene
+ * (quality change, remount into the same context) gets the same GPU textures
+ * back instead of baking them again.
+ */
+export function createTextureCache(ctx: TextureBakeContext, config: TextureCacheConfig = {}): TextureCache {
+  const { maxIdle = DEFAULT_MAX_IDLE } = config;
+  const bake: TextureBakeContext = { classes: ctx.classes, renderer: ctx.renderer };
+  const byKey = new Map<string, CacheEntry>();
+  const byTexture = new Map<Texture, CacheEntry>();
+  // Unreferenced entries, least recently released first
+  const idle = new Map<string, CacheEntry>();
+  let destroyed = false;
+
+  const evict = (entry: CacheEntry) => {
+    byKey.delete(entry.key);
+    byTexture.delete(entry.texture);
+    idle.delete(entry.key);
+    entry.texture.destroy(true);
+  };
+
+  return {
+    acquire(name, params, generate) {
+      if (destroyed) {
+        throw new Error(`TextureCache: acquire("${name}") after destroy()`);
+      }
+      const key = cacheKey(name, params);
+      let entry = byKey.get(key);
+      if (!entry) {
+        const texture = generate(bake, params);
+        if (!texture) {
+          throw new Error(`TextureCache: generator for "${name}" returned no texture`);
+        }
+        entry = { key, texture, references: 0 };
+        byKey.set(key, entry);
+        byTexture.set(texture, entry);
+      }
+      entry.references++;
+      idle.delete(key);
+      return entry.texture;
+    },
+
+    release(texture) {
+      const entry = byTexture.get(texture);
+      if (!entry || entry.references === 0) {
+        // Already gone with destroy(), or released twice
+        if (!destroyed) console.warn('[TextureCache] release() of a texture that is not held');
+        return;
+      }
+      entry.references--;
+      if (entry.references > 0) return;
+
+      idle.set(entry.key, entry);
+      if (idle.size > maxIdle) {
+        evict(idle.values().next().value!);
+      }
+    },
+
+    trim() {
+      const count = idle.size;
+      for (const entry of [...idle.values()]) evict(entry);
+      return count;
+    },
+
+    get stats() {
+      let references = 0;
+      for (const entry of byKey.values()) references += entry.references;
+      return { textures: byKey.size, idle: idle.size, references };
+    },
+
+    destroy() {
+      destroyed = true;
+      for (const entry of byKey.values()) entry.texture.destroy(true);
+      byKey.clear();
+      byTexture.clear();
+      idle.clear();
+    },
+  };
+}
+
+/**
+ * One cache per context, installed as `ctx.textures` and destroyed with it
+ */
+export const textureCachePlugin: PixiContextPlugin<TextureCache> = {
+  name: 'textures',
+  install: (ctx) => createTextureCache(ctx),
+  destroy: (cache) => cache.destroy(),
+};
+
+/**
+ * The context's texture cache, installing the default one if the host has
+ * not provided its own under `ctx.textures`
+ */
+export function getTextureCache(ctx: PixiContext): TextureCache {
+  return ctx.has(textureCachePlugin.name)
+    ? (ctx[textureCachePlugin.name] as TextureCache)
+    : ctx.use(textureCachePlugin);
+}
@@ -0,0 +1,8 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// EMBEDDING
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Framework-agnostic entry point: mount components into any page, or drop in
+// <pixi-effect> after calling definePixiEffect().
+export { mount, type MountConfig, type MountHandle } from './mount';
+export { definePixiEffect, PixiEffectElement } from './pixiEffectElement';
@@ -0,0 +1,191 @@
+import { getComponentById, loadComponent } from '../registry';
+import type { Clock, ComponentMetadata, QualityLevel } from '../types';
+import {
+  findComponentClass,
+  getDemoActions,
+  getPresetOptions,
+  runDemo,
+  runDemoAction,
+  setDemoQuality,
+  type ComponentClass,
+  type ComponentInstance,
+  type DemoInstance,
+  type DemoOptions,
+} from '../utils/demoRunner';
+import { applyLiveOption } from '../utils/optionFields';
+
+/**
+ * Mounting a component into any element, without React or the gallery.
+ *
+ * mount() runs the same adapters as the gallery demos: it picks the runtime,
+ * creates the PIXI application (or lets a shader create its canvas), builds
+ * the context and runs the lifecycle. The element must have a size; the
+ * canvas fits it and follows it when it resizes.
+ */
+
+export interface MountConfig {
+  /** Name of a `static presets` entry; options are applied on top of it */
+  preset?: string;
+  /** ctx.random seed, for the same scene on every load */
+  seed?: number | string;
+  /** Quality tier to start at (default: the component's own, i.e. high) */
+  quality?: QualityLevel;
+}
+
+export interface MountHandle {
+  /** Running component instance; replaced when update() has to remount */
+  readonly instance: ComponentInstance | null;
+  /** Virtual clock (pause, step, speed) of the running component */
+  readonly clock: Clock | undefined;
+  /** Options the component currently runs with (defaults not included) */
+  readonly options: DemoOptions;
+  /**
+   * Merges options into the running component. Options with a setter are
+   * applied live; any other change remounts the component with all options.
+   */
+  update: (options: DemoOptions) => Promise<void>;
+  /**
+   * Invokes a declared action (by method name or label) or any public
+   * method. Arguments replace the action's declared ones.
+   */
+  call: (action: string, ...args: unknown[]) => unknown;
+  /** Resizes to the given size, or re-reads the element's size */
+  resize: (width?: number, height?: number) => void;
+  destroy: () => void;
+}
+
+/**
+ * Registry-style metadata for a class passed to mount() directly
+ */
+function classMetadata(ComponentClass: ComponentClass): ComponentMetadata {
+  const name = ComponentClass.name || 'Component';
+  return {
+    id: name,
+    name,
+    description: '',
+    category: 'effect',
+    tags: [],
+    complexity: 'beginner',
+    color: '',
+    icon: '',
+    fileName: `${name}.js`,
+    lines: 0,
+    components: [name],
+    createdAt: '',
+  };
+}
+
+async function resolveComponent(
+  component: string | ComponentClass
+): Promise<{ metadata: ComponentMetadata; module: Record<string, unknown> }> {
+  if (typeof component === 'function') {
+    return { metadata: classMetadata(component), module: { default: component } };
+  }
+  const metadata = getComponentById(component);
+  if (!metadata) {
+    throw new Error(`Mount: unknown component "${component}"`);
+  }
+  const module = (await loadComponent(component)) as Record<string, unknown>;
+  return { metadata, module };
+}
+
+/**
+ * Mounts a registry component (by id) or a component class into an element
+ *
+ * @example
+ * const effect = await mount(document.getElementById('hero'), 'cosmic-aurora', { starCount: 300 });
+ * effect.call('burst');
+ * await effect.update({ orbCount: 40 });
+ * effect.destroy();
+ */
+export async function mount(
+  element: HTMLElement,
+  component: string | ComponentClass,
+  options: DemoOptions = {},
+  config: MountConfig = {}
+): Promise<MountHandle> {
+  const { metadata, module } = await resolveComponent(component);
+  const componentClass = findComponentClass(module, metadata);
+  if (config.preset && !componentClass?.presets?.[config.preset]) {
+    throw new Error(`Mount: ${metadata.name} has no preset "${config.preset}"`);
+  }
+  const presetOptions = getPresetOptions(componentClass, config.preset ?? null);
+
+  let current: DemoOptions = { ...options };
+  let demo: DemoInstance | null = null;
+  let destroyed = false;
+  // Remounts in flight; only the latest one is kept
+  let generation = 0;
+
+  // Shader components may leave their canvas behind on destroy()
+  const teardown = () => {
+    if (!demo) return;
+    const { canvas } = demo;
+    demo.destroy();
+    canvas?.remove();
+    demo = null;
+  };
+
+  const start = async () => {
+    const own = ++generation;
+    // One WebGL context per element, so the old one goes first
+    teardown();
+    const next = await runDemo(element, metadata, module, { ...presetOptions, ...current }, config.seed);
+    if (destroyed || own !== generation) {
+      next.destroy();
+      next.canvas?.remove();
+      return;
+    }
+    demo = next;
+    if (config.quality) setDemoQuality(demo, config.quality);
+  };
+
+  await start();
+
+  const handle: MountHandle = {
+    get instance() {
+      return demo?.instance ?? null;
+    },
+    get clock() {
+      return demo?.clock;
+    },
+    get options() {
+      return current;
+    },
+
+    async update(changes) {
+      if (destroyed) return;
+      current = { ...current, ...changes };
+      const instance = demo?.instance ?? null;
+      const live = Object.entries(changes).every(([key, value]) => applyLiveOption(instance, key, value));
+      if (!live) await start();
+    },
+
+    call(action, ...args) {
+      if (!demo) return undefined;
+      const declared = getDemoActions(demo).find((a) => a.method === action || a.label === action);
+      if (declared && args.length === 0) {
+        runDemoAction(demo, declared);
+        return undefined;
+      }
+      const instance = demo.instance;
+      const method = instance?.[declared?.method ?? action];
+      if (typeof method !== 'function') {
+        throw new Error(`Mount: ${metadata.name} has no action "${action}"`);
+      }
+      return (method as (...a: unknown[]) => unknown).apply(instance, args);
+    },
+
+    resize(width, height) {
+      demo?.resize?.(width ?? element.clientWidth, height ?? element.clientHeight);
+    },
+
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      teardown();
+    },
+  };
+
+  return handle;
+}
@@ -0,0 +1,166 @@
+import type { QualityLevel } from '../types';
+import type { DemoOptions } from '../utils/demoRunner';
+import { mount, type MountHandle } from './mount';
+
+const QUALITY_LEVELS: readonly QualityLevel[] = ['low', 'medium', 'high'];
+
+const STYLE = `
+  :host { display: block; position: relative; min-height: 150px; }
+  :host([hidden]) { display: none; }
+  .stage { position: absolute; inset: 0; display: flex; align-items: center; justify-content: center; overflow: hidden; }
+`;
+
+/**
+ * `<pixi-effect>` - a registry component as a custom element, on top of mount().
+ *
+ *   <pixi-effect name="cosmic-aurora" options='{"starCount": 300}' seed="42"></pixi-effect>
+ *
+ * Attributes: `name` (registry id), `options` (JSON), `seed`, `preset` and
+ * `quality` (low | medium | high). Changing `options` applies live where the
+ * component allows it; any other change remounts. The element fires `ready`
+ * (detail: the MountHandle) once the component runs, and `error` (detail: the
+ * error) when it cannot start.
+ */
+export class PixiEffectElement extends HTMLElement {
+  static observedAttributes = ['name', 'options', 'seed', 'preset', 'quality'];
+
+  private readonly stage: HTMLDivElement;
+  private mounted: MountHandle | null = null;
+  private generation = 0;
+  private scheduled = false;
+
+  constructor() {
+    super();
+    const root = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = STYLE;
+    this.stage = document.createElement('div');
+    this.stage.className = 'stage';
+    this.stage.setAttribute('part', 'stage');
+    root.append(style, this.stage);
+  }
+
+  /** The running component, or null while loading or after an error */
+  get handle(): MountHandle | null {
+    return this.mounted;
+  }
+
+  /** Shorthand for handle.call(); does nothing while nothing is mounted */
+  call(action: string, ...args: unknown[]): unknown {
+    return this.mounted?.call(action, ...args);
+  }
+
+  connectedCallback(): void {
+    this.scheduleMount();
+  }
+
+  disconnectedCallback(): void {
+    this.generation++;
+    this.mounted?.destroy();
+    this.mounted = null;
+  }
+
+  attributeChangedCallback(name: string, oldValue: string | null, value: string | null): void {
+    if (!this.isConnected || oldValue === value) return;
+    if (name === 'options' && this.mounted) {
+      void this.applyOptions(this.mounted);
+      return;
+    }
+    this.scheduleMount();
+  }
+
+  private parseOptions(): DemoOptions {
+    const raw = this.getAttribute('options');
+    if (!raw) return {};
+    let options: unknown;
+    try {
+      options = JSON.parse(raw);
+    } catch {
+      throw new Error('PixiEffect: the options attribute is not valid JSON');
+    }
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('PixiEffect: the options attribute must be a JSON object');
+    }
+    return options as DemoOptions;
+  }
+
+  private parseQuality(): QualityLevel | undefined {
+    const quality = this.getAttribute('quality');
+    if (quality === null) return undefined;
+    if (!QUALITY_LEVELS.includes(quality as QualityLevel)) {
+      console.warn(`<pixi-effect> ignores quality="${quality}" (expected ${QUALITY_LEVELS.join(', ')})`);
+      return undefined;
+    }
+    return quality as QualityLevel;
+  }
+
+  private fail(error: unknown): void {
+    console.error(`<pixi-effect name="${this.getAttribute('name')}">`, error);
+    this.dispatchEvent(new CustomEvent('error', { detail: error }));
+  }
+
+  // Attributes set right after creation arrive one by one; mount once for all of them
+  private scheduleMount(): void {
+    if (this.scheduled) return;
+    this.scheduled = true;
+    queueMicrotask(() => {
+      this.scheduled = false;
+      if (this.isConnected) void this.remount();
+    });
+  }
+
+  private async remount(): Promise<void> {
+    const own = ++this.generation;
+    this.mounted?.destroy();
+    this.mounted = null;
+
+    const name = this.getAttribute('name');
+    if (!name) return;
+
+    try {
+      const handle = await mount(this.stage, name, this.parseOptions(), {
+        seed: this.getAttribute('seed') || undefined,
+        preset: this.getAttribute('preset') || undefined,
+        quality: this.parseQuality(),
+      });
+      if (own !== this.generation) {
+        handle.destroy();
+        return;
+      }
+      this.mounted = handle;
+      this.dispatchEvent(new CustomEvent('ready', { detail: handle }));
+    } catch (err) {
+      if (own === this.generation) this.fail(err);
+    }
+  }
+
+  // Removed keys cannot be unset on a running instance, so those remount
+  private async applyOptions(handle: MountHandle): Promise<void> {
+    try {
+      const options = this.parseOptions();
+      if (Object.keys(handle.options).every((key) => key in options)) {
+        await handle.update(options);
+      } else {
+        this.scheduleMount();
+      }
+    } catch (err) {
+      this.fail(err);
+    }
+  }
+}
+
+/**
+ * Registers the element (idempotent). Pass a tag name to register it under
+ * another name, e.g. to avoid a clash with another library.
+ */
+export function definePixiEffect(tagName = 'pixi-effect'): void {
+  if (typeof customElements === 'undefined' || customElements.get(tagName)) return;
+  // A constructor can only be registered once, so each tag gets its own subclass
+  customElements.define(tagName, class extends PixiEffectElement {});
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'pixi-effect': PixiEffectElement;
+  }
+}
@@ -0,0 +1,258 @@
+import {
+  forwardRef,
+  useEffect,
+  useImperativeHandle,
+  useRef,
+  useState,
+  type CSSProperties,
+  type DOMAttributes,
+  type HTMLAttributes,
+  type RefObject,
+} from 'react';
+import { loadComponent } from '../registry';
+import type { QualityLevel } from '../types';
+import type { ComponentClass, ComponentInstance, DemoOptions } from '../utils/demoRunner';
+import { mount, type MountHandle } from './mount';
+
+/**
+ * React bindings over mount().
+ *
+ * Registry components suspend while their module loads, so a <Suspense>
+ * boundary can show a fallback; load errors go to the nearest error
+ * boundary. Mounting is cancelled when the effect is cleaned up before it
+ * resolves, which is what StrictMode's double mount relies on.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SUSPENSE
+// ═══════════════════════════════════════════════════════════════════════════
+
+type ModuleRecord =
+  | { status: 'pending'; promise: Promise<void> }
+  | { status: 'ready' }
+  | { status: 'failed'; error: unknown };
+
+const moduleRecords = new Map<string, ModuleRecord>();
+
+/**
+ * Throws (suspends) until the component's module has loaded
+ */
+function suspendUntilLoaded(id: string): void {
+  let record = moduleRecords.get(id);
+  if (!record) {
+    const promise = loadComponent(id).then(
+      () => void moduleRecords.set(id, { status: 'ready' }),
+      (error: unknown) => void moduleRecords.set(id, { status: 'failed', error })
+    );
+    record = { status: 'pending', promise };
+    moduleRecords.set(id, record);
+  }
+  if (record.status === 'pending') throw record.promise;
+  if (record.status === 'failed') throw record.error;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HOOK
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Callback for one component signal. Declared as a method so handlers typed
+ * for a specific payload (`(e: { progress: number }) => void`) still fit.
+ */
+export type SignalHandler = { bivarianceHack(data: unknown): void }['bivarianceHack'];
+
+export type SignalHandlers = Record<string, SignalHandler | undefined>;
+
+export interface UsePixiEffectConfig {
+  seed?: number | string;
+  preset?: string;
+  quality?: QualityLevel;
+  /** Callbacks by signal property name, e.g. `{ onPeak: () => ... }` */
+  signals?: SignalHandlers;
+}
+
+export interface UsePixiEffectResult {
+  /** Attach to the element the component should fill */
+  ref: RefObject<HTMLDivElement>;
+  /** Null until mounted */
+  handle: MountHandle | null;
+  /** Mount failure (bad options, missing WebGL feature) */
+  error: unknown;
+}
+
+/**
+ * Mounts a component into the element behind `ref`.
+ *
+ * Changed option values go through handle.update() (setters where the
+ * component has them); removing an option, or changing the component, seed,
+ * preset or quality, remounts. Signal callbacks may change identity on every
+ * render without resubscribing.
+ */
+export function usePixiEffect(
+  component: string | ComponentClass,
+  options: DemoOptions = {},
+  { seed, preset, quality, signals }: UsePixiEffectConfig = {}
+): UsePixiEffectResult {
+  if (typeof component === 'string') suspendUntilLoaded(component);
+
+  const ref = useRef<HTMLDivElement>(null);
+  const [handle, setHandle] = useState<MountHandle | null>(null);
+  // Changes when update() remounts, so signals are re-subscribed
+  const [instance, setInstance] = useState<ComponentInstance | null>(null);
+  const [error, setError] = useState<unknown>(null);
+  const [remountKey, setRemountKey] = useState(0);
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+  const signalsRef = useRef(signals);
+  signalsRef.current = signals;
+  // Options the running component was given, for diffing
+  const appliedRef = useRef<DemoOptions>({});
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element) return;
+
+    let cancelled = false;
+    let mounted: MountHandle | null = null;
+    const initial = optionsRef.current;
+    setError(null);
+
+    mount(element, component, initial, { seed, preset, quality }).then(
+      (next) => {
+        if (cancelled) {
+          next.destroy();
+          return;
+        }
+        mounted = next;
+        appliedRef.current = initial;
+        setHandle(next);
+        setInstance(next.instance);
+      },
+      (err: unknown) => {
+        if (!cancelled) setError(err);
+      }
+    );
+
+    return () => {
+      cancelled = true;
+      mounted?.destroy();
+      setHandle(null);
+      setInstance(null);
+    };
+  }, [component, seed, preset, quality, remountKey]);
+
+  // Diff option props into the running component
+  useEffect(() => {
+    if (!handle) return;
+    const applied = appliedRef.current;
+    const changes: DemoOptions = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (!Object.is(applied[key], value)) changes[key] = value;
+    }
+    const removed = Object.keys(applied).some((key) => !(key in options));
+    if (!removed && Object.keys(changes).length === 0) return;
+
+    appliedRef.current = options;
+    if (removed) {
+      setRemountKey((k) => k + 1);
+      return;
+    }
+    handle.update(changes).then(
+      () => setInstance(handle.instance),
+      (err: unknown) => setError(err)
+    );
+  }, [handle, options]);
+
+  // Subscribe by name; the latest callback is looked up on each emit
+  const signalNames = Object.keys(signals ?? {}).sort().join(',');
+  useEffect(() => {
+    if (!instance || !signalNames) return;
+    const unsubscribes = signalNames.split(',').map((name) => {
+      const signal = instance[name] as { add?: (callback: (data: unknown) => void) => () => void } | undefined;
+      if (typeof signal?.add !== 'function') {
+        console.warn(`[PixiEffect] ${name} is not a signal of this component`);
+        return null;
+      }
+      return signal.add((data) => signalsRef.current?.[name]?.(data));
+    });
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe?.());
+  }, [instance, signalNames]);
+
+  return { ref, handle, error };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COMPONENT
+// ═══════════════════════════════════════════════════════════════════════════
+
+// onPeak, onPathFound...; other props (id, aria-*, data-*) go to the div
+const SIGNAL_PROP = /^on[A-Z]/;
+
+const BASE_STYLE: CSSProperties = {
+  position: 'relative',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  overflow: 'hidden',
+};
+
+/** Attributes passed through to the wrapper div; DOM events are left out */
+type DivAttributes = Omit<HTMLAttributes<HTMLDivElement>, keyof DOMAttributes<HTMLDivElement>>;
+
+export interface PixiEffectProps extends DivAttributes {
+  /** Registry id or component class */
+  component: string | ComponentClass;
+  options?: DemoOptions;
+  seed?: number | string;
+  preset?: string;
+  quality?: QualityLevel;
+  className?: string;
+  style?: CSSProperties;
+  /** The component is running */
+  onReady?: (handle: MountHandle) => void;
+  /** Mount failed; without this prop the error is thrown to the error boundary */
+  onError?: (error: unknown) => void;
+  [attribute: `data-${string}`]: string | number | boolean | undefined;
+  /** Any other on<Name> prop subscribes to the component signal of that name */
+  [signal: `on${Capitalize<string>}`]: SignalHandler | undefined;
+}
+
+/**
+ * A component as a React element. The ref receives the MountHandle.
+ *
+ * @example
+ * <Suspense fallback={<Spinner />}>
+ *   <PixiEffect component="golden-star-charge" options={{ vortexParticleCount: 50 }} onPeak={celebrate} />
+ * </Suspense>
+ */
+export const PixiEffect = forwardRef<MountHandle | null, PixiEffectProps>(function PixiEffect(
+  { component, options, seed, preset, quality, className, style, onReady, onError, ...rest },
+  forwardedRef
+) {
+  const signals: SignalHandlers = {};
+  const attributes: Record<string, unknown> = {};
+  for (const [key, value] of Object.entries(rest)) {
+    if (SIGNAL_PROP.test(key)) signals[key] = value as SignalHandler | undefined;
+    else attributes[key] = value;
+  }
+
+  const { ref, handle, error } = usePixiEffect(component, options, { seed, preset, quality, signals });
+  const onReadyRef = useRef(onReady);
+  onReadyRef.current = onReady;
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  useImperativeHandle<MountHandle | null, MountHandle | null>(forwardedRef, () => handle, [handle]);
+
+  useEffect(() => {
+    if (handle) onReadyRef.current?.(handle);
+  }, [handle]);
+
+  useEffect(() => {
+    if (error) onErrorRef.current?.(error);
+  }, [error]);
+
+  if (error && !onError) throw error;
+
+  return <div {...attributes} ref={ref} className={className} style={{ ...BASE_STYLE, ...style }} />;
+});
@@ -3,6 +3,11 @@ import ReactDOM from 'react-dom/client';
 import App from './App';
 import './globals.css';
 
+// Dev-only console helper: await leakAudit.all() / leakAudit.run('bokeh-ball')
+if (import.meta.env.DEV) {
+  import('./utils/leakAudit').then(({ installLeakAuditGlobal }) => installLeakAuditGlobal());
+}
+
 ReactDOM.createRoot(document.getElementById('root')!).render(
   <React.StrictMode>
     <App />
@@ -48,8 +48,10 @@ export const COMPONENT_METADATA: readonly ComponentMetadata[] = [
     icon: '💫',
     fileName: 'star-explosion.js',
     lines: 612,
-    components: ['StarExplosionShader'],
+    components: ['StarExplosionShader', 'StarExplosionShaderLayer'],
     createdAt: '2025-10-30',
+    runtime: 'standalone-webgl',
+    layer: 'StarExplosionShaderLayer',
   },
   {
     id: 'cosmic-universe-shader',
@@ -63,8 +65,10 @@ export const COMPONENT_METADATA: readonly ComponentMetadata[] = [
     icon: '🌀',
     fileName: 'CosmicUniverseShader.js',
     lines: 780,
-    components: ['CosmicUniverseShader'],
+    components: ['CosmicUniverseShader', 'CosmicUniverseShaderLayer'],
     createdAt: '2025-10-15',
+    runtime: 'standalone-webgl',
+    layer: 'CosmicUniverseShaderLayer',
   },
   {
     id: 'ferrofluid-oracle',
@@ -110,6 +114,8 @@ export const COMPONENT_METADATA: readonly ComponentMetadata[] = [
     lines: 1458,
     components: ['TempleRunGame', 'Player', 'Obstacle', 'Coin', 'Background', 'GameUI'],
     createdAt: '2025-09-05',
+    // Binds the keyboard on window, which a card preview must not do
+    preview: false,
   },
   {
     id: 'jupiter-impact',
@@ -123,8 +129,10 @@ export const COMPONENT_METADATA: readonly ComponentMetadata[] = [
     icon: '💥',
     fileName: 'JupiterImpactShader.js',
     lines: 923,
-    components: ['JupiterImpactShader'],
+    components: ['JupiterImpactShader', 'JupiterImpactShaderLayer'],
     createdAt: '2025-09-28',
+    runtime: 'standalone-webgl',
+    layer: 'JupiterImpactShaderLayer',
   },
   {
     id: 'bokeh-ball',
@@ -228,8 +236,10 @@ export const COMPONENT_METADATA: readonly ComponentMetadata[] = [
     icon: '✨',
     fileName: 'CosmicShader.js',
     lines: 492,
-    components: ['CosmicShader'],
+    components: ['CosmicShader', 'CosmicShaderLayer'],
     createdAt: '2025-11-01',
+    runtime: 'standalone-webgl',
+    layer: 'CosmicShaderLayer',
   },
   {
     id: 'golden-star-charge',
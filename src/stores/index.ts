@@ -1,6 +1,15 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
-import type { ComponentCategory, SortOption, ThemeMode, ViewMode } from '../types';
+import type {
+  ComponentCategory,
+  QualityMode,
+  SceneComposition,
+  SceneLayer,
+  SortOption,
+  ThemeMode,
+  ViewMode,
+} from '../types';
+import { createEmptyComposition, createLayer } from '../utils/sceneComposer';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // USER PREFERENCES STORE
@@ -11,11 +20,17 @@ interface UserState {
   viewMode: ViewMode;
   likedItems: string[];
   bookmarkedItems: string[];
+  /** Performance HUD over demos (FPS, draw calls, component counters) */
+  showPerfHud: boolean;
+  /** Demo quality tier, or 'auto' for the frame-time governor */
+  qualityMode: QualityMode;
 
   setTheme: (theme: ThemeMode) => void;
   setViewMode: (mode: ViewMode) => void;
   toggleLike: (id: string) => void;
   toggleBookmark: (id: string) => void;
+  togglePerfHud: () => void;
+  setQualityMode: (mode: QualityMode) => void;
   isLiked: (id: string) => boolean;
   isBookmarked: (id: string) => boolean;
 }
@@ -27,6 +42,8 @@ export const useUserStore = create<UserState>()(
       viewMode: 'grid',
       likedItems: [],
       bookmarkedItems: [],
+      showPerfHud: false,
+      qualityMode: 'auto',
 
       setTheme: (theme) => set({ theme }),
       setViewMode: (mode) => set({ viewMode: mode }),
@@ -45,6 +62,9 @@ export const useUserStore = create<UserState>()(
             : [...state.bookmarkedItems, id],
         })),
 
+      togglePerfHud: () => set((state) => ({ showPerfHud: !state.showPerfHud })),
+      setQualityMode: (mode) => set({ qualityMode: mode }),
+
       isLiked: (id) => get().likedItems.includes(id),
       isBookmarked: (id) => get().bookmarkedItems.includes(id),
     }),
@@ -55,6 +75,8 @@ export const useUserStore = create<UserState>()(
         viewMode: state.viewMode,
         likedItems: state.likedItems,
         bookmarkedItems: state.bookmarkedItems,
+        showPerfHud: state.showPerfHud,
+        qualityMode: state.qualityMode,
       }),
     }
   )
@@ -67,6 +89,7 @@ export const useUserStore = create<UserState>()(
 interface FilterState {
   search: string;
   category: ComponentCategory | 'all';
+  tag: string | null;
   sortBy: SortOption;
   showBookmarksOnly: boolean;
 }
@@ -74,6 +97,7 @@ interface FilterState {
 interface FilterStoreState extends FilterState {
   setSearch: (search: string) => void;
   setCategory: (category: ComponentCategory | 'all') => void;
+  setTag: (tag: string | null) => void;
   setSortBy: (sortBy: SortOption) => void;
   setShowBookmarksOnly: (show: boolean) => void;
   reset: () => void;
@@ -82,6 +106,7 @@ interface FilterStoreState extends FilterState {
 const initialFilterState: FilterState = {
   search: '',
   category: 'all',
+  tag: null,
   sortBy: 'popular',
   showBookmarksOnly: false,
 };
@@ -91,6 +116,7 @@ export const useFilterStore = create<FilterStoreState>()((set) => ({
 
   setSearch: (search) => set({ search }),
   setCategory: (category) => set({ category }),
+  setTag: (tag) => set({ tag }),
   setSortBy: (sortBy) => set({ sortBy }),
   setShowBookmarksOnly: (show) => set({ showBookmarksOnly: show }),
   reset: () => set(initialFilterState),
@@ -105,11 +131,23 @@ interface UIState {
   isFiltersOpen: boolean;
   isFullscreen: boolean;
   activeTab: 'demo' | 'code';
+  /** Constructor option overrides for the open demo (on top of preset and defaults) */
+  optionOverrides: Record<string, unknown>;
+  /** Name of a `static presets` entry applied to the open demo */
+  preset: string | null;
+  /** ctx.random seed for the open demo; null picks a fresh one per run */
+  seed: string | null;
+  /** Scene composer view (replaces the demo modal while open) */
+  isComposerOpen: boolean;
 
   setSelectedContent: (id: string | null) => void;
   setFiltersOpen: (open: boolean) => void;
   setFullscreen: (fullscreen: boolean) => void;
   setActiveTab: (tab: 'demo' | 'code') => void;
+  setOptionOverrides: (overrides: Record<string, unknown>) => void;
+  setPreset: (preset: string | null) => void;
+  setSeed: (seed: string | null) => void;
+  setComposerOpen: (open: boolean) => void;
 }
 
 export const useUIStore = create<UIState>()((set) => ({
@@ -117,9 +155,80 @@ export const useUIStore = create<UIState>()((set) => ({
   isFiltersOpen: false,
   isFullscreen: false,
   activeTab: 'demo',
+  optionOverrides: {},
+  preset: null,
+  seed: null,
+  isComposerOpen: false,
 
-  setSelectedContent: (id) => set({ selectedContentId: id, activeTab: 'demo' }),
+  setSelectedContent: (id) =>
+    set({ selectedContentId: id, activeTab: 'demo', optionOverrides: {}, preset: null, seed: null }),
   setFiltersOpen: (open) => set({ isFiltersOpen: open }),
   setFullscreen: (fullscreen) => set({ isFullscreen: fullscreen }),
   setActiveTab: (tab) => set({ activeTab: tab }),
+  setOptionOverrides: (overrides) => set({ optionOverrides: overrides }),
+  setPreset: (preset) => set({ preset }),
+  setSeed: (seed) => set({ seed }),
+  setComposerOpen: (open) => set({ isComposerOpen: open }),
 }));
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCENE COMPOSER STORE
+// ═══════════════════════════════════════════════════════════════════════════
+
+interface ComposerState {
+  composition: SceneComposition;
+
+  setComposition: (composition: SceneComposition) => void;
+  setName: (name: string) => void;
+  addLayer: (component: string, options?: Record<string, unknown>) => void;
+  removeLayer: (id: string) => void;
+  /** Moves a layer up (+1, towards the front) or down (-1) */
+  moveLayer: (id: string, offset: number) => void;
+  updateLayer: (id: string, patch: Partial<Omit<SceneLayer, 'id' | 'component'>>) => void;
+}
+
+export const useComposerStore = create<ComposerState>()(
+  persist(
+    (set) => ({
+      composition: createEmptyComposition(),
+
+      setComposition: (composition) => set({ composition }),
+      setName: (name) => set((state) => ({ composition: { ...state.composition, name } })),
+
+      addLayer: (component, options) =>
+        set(({ composition }) => ({
+          composition: {
+            ...composition,
+            layers: [...composition.layers, createLayer(component, composition.layers, options)],
+          },
+        })),
+
+      removeLayer: (id) =>
+        set(({ composition }) => ({
+          composition: { ...composition, layers: composition.layers.filter((layer) => layer.id !== id) },
+        })),
+
+      moveLayer: (id, offset) =>
+        set(({ composition }) => {
+          const layers = [...composition.layers];
+          const from = layers.findIndex((layer) => layer.id === id);
+          const to = from + offset;
+          if (from < 0 || to < 0 || to >= layers.length) return {};
+          const [layer] = layers.splice(from, 1);
+          layers.splice(to, 0, layer);
+          return { composition: { ...composition, layers } };
+        }),
+
+      updateLayer: (id, patch) =>
+        set(({ composition }) => ({
+          composition: {
+            ...composition,
+            layers: composition.layers.map((layer) => (layer.id === id ? { ...layer, ...patch } : layer)),
+          },
+        })),
+    }),
+    {
+      name: 'pixijs-store-composer',
+    }
+  )
+);
@@ -1,4 +1,29 @@
-import type { Application, Container, Graphics, Sprite, Text, Point, Ticker, Renderer, Texture, BlurFilter, Rectangle, RenderTexture, TextStyle, Filter, GlProgram } from 'pixi.js';
+import type {
+  Application,
+  Container,
+  Graphics,
+  Sprite,
+  Text,
+  TilingSprite,
+  ParticleContainer,
+  Point,
+  Ticker,
+  Renderer,
+  Texture,
+  BlurFilter,
+  ColorMatrixFilter,
+  DisplacementFilter,
+  Rectangle,
+  RenderTexture,
+  TextStyle,
+  Filter,
+  GlProgram,
+  GpuProgram,
+  Shader,
+  Geometry,
+  Mesh,
+  Buffer,
+} from 'pixi.js';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // PIXI CONTEXT TYPES
@@ -9,14 +34,23 @@ export interface PixiClasses {
   Graphics: typeof Graphics;
   Sprite: typeof Sprite;
   Text: typeof Text;
+  TilingSprite: typeof TilingSprite;
+  ParticleContainer: typeof ParticleContainer;
   Point: typeof Point;
   Texture: typeof Texture;
   BlurFilter: typeof BlurFilter;
+  ColorMatrixFilter: typeof ColorMatrixFilter;
+  DisplacementFilter: typeof DisplacementFilter;
   Rectangle: typeof Rectangle;
   RenderTexture: typeof RenderTexture;
   TextStyle: typeof TextStyle;
   Filter: typeof Filter;
   GlProgram: typeof GlProgram;
+  GpuProgram: typeof GpuProgram;
+  Shader: typeof Shader;
+  Geometry: typeof Geometry;
+  Mesh: typeof Mesh;
+  Buffer: typeof Buffer;
 }
 
 export interface PixiCreate {
@@ -24,6 +58,7 @@ export interface PixiCreate {
   graphics: () => Graphics;
   sprite: (texture?: Texture) => Sprite;
   point: (x?: number, y?: number) => Point;
+  rectangle: (x?: number, y?: number, width?: number, height?: number) => Rectangle;
   text: (text: string, style?: Partial<TextStyle>) => Text;
 }
 
@@ -32,18 +67,216 @@ export interface GsapModule {
   PixiPlugin?: unknown;
 }
 
+/**
+ * Adds a service to a context. The value returned by install() is exposed
+ * as `ctx[name]` (e.g. a texture cache, input, audio or RNG service).
+ */
+export interface PixiContextPlugin<T = unknown> {
+  name: string;
+  install: (ctx: PixiContext) => T;
+  /** Releases the service when the context is destroyed */
+  destroy?: (service: T) => void;
+}
+
+/**
+ * Seedable random source, exposed as `ctx.random`. Components use it instead
+ * of Math.random() so a seed reproduces a scene.
+ */
+export interface Random {
+  /** 32-bit seed the sequence started from */
+  readonly seed: number;
+  /** Uniform float in [min, max); [0, 1) without arguments */
+  float(min?: number, max?: number): number;
+  /** Uniform integer in [min, max], both inclusive */
+  int(min: number, max: number): number;
+  /** Uniformly chosen element; throws on an empty array */
+  pick<T>(items: readonly T[]): T;
+  /** Normally distributed value */
+  gaussian(mean?: number, stddev?: number): number;
+}
+
+/**
+ * Virtual time for one ticker. Drives the ticker's deltas, now() and the
+ * GSAP global timeline together, so pausing or slowing a demo affects all
+ * three the same way.
+ */
+export interface Clock {
+  /** Virtual milliseconds; use instead of performance.now() */
+  now(): number;
+  /** Playback speed, 1 = real time */
+  readonly scale: number;
+  readonly paused: boolean;
+  setScale(scale: number): void;
+  pause(): void;
+  resume(): void;
+  /** Advances by whole 60fps frames at 1x, pausing first if running */
+  step(frames?: number): void;
+  /** Calls back after `ms` of virtual time; returns a function that cancels it */
+  delay(ms: number, callback: () => void): () => void;
+  /** Runs the ticker once with zero deltas, re-rendering the current frame */
+  redraw(): void;
+  /** Removes the ticker listener and hands speed and GSAP back to real time */
+  destroy(): void;
+}
+
 export interface PixiContext {
-  app: Application;
-  stage: Container;
-  ticker: Ticker;
-  renderer: Renderer;
-  gsap: typeof import('gsap').gsap;
-  classes: PixiClasses;
-  create: PixiCreate;
+  readonly app: Application;
+  readonly stage: Container;
+  readonly ticker: Ticker;
+  readonly renderer: Renderer;
+  /** null when the context was created without GSAP */
+  readonly gsap: typeof import('gsap').gsap | null;
+  readonly classes: PixiClasses;
+  readonly create: PixiCreate;
+  readonly random: Random;
+  readonly clock: Clock;
+  /** How components treat invalid options (see resolveOptions) */
+  readonly validation: OptionValidationMode;
+  /** Installs a plugin once and returns its service */
+  use<T>(plugin: PixiContextPlugin<T>): T;
+  /** Whether a service with this name is installed */
+  has(name: string): boolean;
+  /** Destroys installed services in reverse install order, then the clock */
+  destroy(): void;
+  /** Services added through use() */
+  readonly [service: string]: unknown;
+}
+
+/**
+ * WebGL capabilities a component can declare in `static requires`
+ * - `float-textures`: renderable 32-bit float color buffers
+ * - `half-float-textures`: renderable 16-bit float color buffers
+ */
+export type WebGLFeature = 'webgl' | 'webgl2' | 'float-textures' | 'half-float-textures';
+
+/**
+ * What a component needs from its host, declared as `static requires`.
+ * Checked by createPixiContext (config.requires) and the demo runner before
+ * the constructor runs, so a gap surfaces as a readable error instead of a
+ * TypeError deep inside the component.
+ */
+export interface ComponentRequirements {
+  /** ctx.classes members the component constructs */
+  classes?: readonly (keyof PixiClasses)[];
+  /** Services installed with ctx.use() */
+  services?: readonly string[];
+  webgl?: readonly WebGLFeature[];
+  /** Shown to users when a requirement is missing */
+  fallback?: string;
+}
+
+export interface RequirementIssue {
+  kind: 'class' | 'service' | 'webgl';
+  name: string;
 }
 
 export interface PixiContextConfig {
   ticker?: Ticker;
+  /** Seed for ctx.random; a random one is picked when omitted */
+  seed?: number | string;
+  /** 'warn' (default) logs invalid options, 'throw' fails the constructor */
+  validation?: OptionValidationMode;
+  /** Requirements checked once plugins are installed; throws when unmet */
+  requires?: ComponentRequirements;
+  /** Replacement classes (e.g. subclasses or test doubles) */
+  classes?: Partial<PixiClasses>;
+  /** Plugins installed right after the context is created */
+  plugins?: PixiContextPlugin<any>[];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEXTURE CACHE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Flat, JSON-like parameters a generated texture depends on */
+export type TextureParams = Readonly<Record<string, string | number | boolean | null>>;
+
+/** What a generator may draw with; it must not depend on anything but params */
+export type TextureBakeContext = Pick<PixiContext, 'classes' | 'renderer'>;
+
+export type TextureGenerator<P extends TextureParams = TextureParams> = (
+  ctx: TextureBakeContext,
+  params: P
+) => Texture;
+
+export interface TextureCacheStats {
+  /** Textures held, in use or idle */
+  textures: number;
+  /** Textures nobody holds, kept for the next acquire() */
+  idle: number;
+  /** Outstanding acquire() calls */
+  references: number;
+}
+
+/**
+ * Procedurally generated textures shared by name and parameters, exposed as
+ * `ctx.textures`. Each acquire() must be paired with a release().
+ */
+export interface TextureCache {
+  /**
+   * Returns the texture for `name` + `params`, calling `generate` only when
+   * it is not cached. Names are shared by everything using the cache, so
+   * prefix them with the component name.
+   */
+  acquire<P extends TextureParams>(name: string, params: P, generate: TextureGenerator<P>): Texture;
+  /** Drops one reference; unreferenced textures stay idle until evicted */
+  release(texture: Texture): void;
+  /** Destroys idle textures now; returns how many */
+  trim(): number;
+  readonly stats: TextureCacheStats;
+  /** Destroys every texture, referenced or not */
+  destroy(): void;
+}
+
+export interface TextureCacheConfig {
+  /** Idle textures kept for reuse before the oldest is destroyed (default 32) */
+  maxIdle?: number;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SHADER LAYERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Filter uniform declarations, e.g. `{ u_mouse: { value: new Float32Array(2), type: 'vec2<f32>' } }` */
+export type ShaderUniformSpec = Record<string, { value: number | Float32Array; type: string }>;
+
+/** Live uniform values of a running layer; write to them to update the shader */
+export type ShaderUniformValues = Record<string, number | Float32Array>;
+
+export interface ShaderLayerOptions {
+  /** Parent the layer's view is added to */
+  container: Container;
+  /** CSS pixels */
+  width: number;
+  height: number;
+  /** Max device pixel ratio (default 1.5) */
+  dpr?: number;
+  /** Used in error messages and as the GlProgram name */
+  name?: string;
+  /** Every frame while running, after u_time has advanced */
+  onUpdate?: (uniforms: ShaderUniformValues, seconds: number) => void;
+  /** After u_resolution changed; sizes are in shader (device) pixels */
+  onResize?: (uniforms: ShaderUniformValues, width: number, height: number) => void;
+}
+
+/**
+ * A full-screen fragment shader drawn inside the shared PIXI renderer.
+ * The source sees u_resolution, u_time and gl_FragCoord as it would on a
+ * canvas of its own.
+ */
+export interface ShaderLayer {
+  readonly view: Container;
+  readonly uniforms: ShaderUniformValues;
+  /** Seconds since start(), advanced by ticker time */
+  readonly time: number;
+  readonly isRunning: boolean;
+  /** Resets time to 0 and starts advancing it */
+  start(): void;
+  stop(): void;
+  resize(width: number, height: number): void;
+  /** Caps the render resolution for a quality tier */
+  setQuality(level: QualityLevel): void;
+  destroy(): void;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -62,6 +295,16 @@ export type ComponentCategory =
 
 export type ComponentComplexity = 'beginner' | 'intermediate' | 'advanced' | 'expert';
 
+/**
+ * How a component expects to be hosted by the demo runner.
+ * - `pixi-ctx`: constructed as `new Component(ctx, { container, width, height })`
+ * - `standalone-webgl`: owns its canvas/WebGL context, takes `{ container, ticker, width, height }`
+ * - `html-canvas`: owns a plain HTML canvas (2D or otherwise), same options as standalone-webgl
+ *
+ * Third-party content may declare any other string and register a matching adapter.
+ */
+export type ComponentRuntime = 'pixi-ctx' | 'standalone-webgl' | 'html-canvas' | (string & {});
+
 export interface ComponentMetadata {
   id: string;
   name: string;
@@ -75,6 +318,16 @@ export interface ComponentMetadata {
   lines: number;
   components: string[];
   createdAt: string;
+  /** Runtime kind; falls back to the class's `static runtime`, then `pixi-ctx` */
+  runtime?: ComponentRuntime;
+  /**
+   * Export that draws into a given PIXI container, for components whose main
+   * class owns its canvas (e.g. `CosmicShaderLayer`). Lets the scene composer
+   * layer them.
+   */
+  layer?: string;
+  /** Set false to keep the gallery card static instead of playing a live preview */
+  preview?: boolean;
 }
 
 export interface ComponentStats {
@@ -146,6 +399,69 @@ export interface ComponentLifecycleDescriptor {
    * Defaults to true (start is called automatically).
    */
   start?: boolean;
+
+  /**
+   * One-shot actions the gallery exposes as toolbar buttons, e.g. a
+   * release() or burst() that would otherwise need user code to trigger.
+   */
+  actions?: ComponentAction[];
+}
+
+/**
+ * A public method the demo UI can invoke on a running instance.
+ */
+export interface ComponentAction {
+  /** Button label */
+  label: string;
+  /** Method name on the component instance */
+  method: string;
+  /** Arguments passed to the method */
+  args?: unknown[];
+  /** Single keyboard key that triggers the action while the demo is open */
+  shortcut?: string;
+  /** Tooltip text */
+  description?: string;
+}
+
+/**
+ * Counters a component reports through an optional `getStats()` method,
+ * e.g. `{ droplets: 212 }`. Shown in the demo's performance HUD.
+ */
+export type RuntimeStats = Record<string, number | string>;
+
+/**
+ * Quality tiers a component accepts through an optional `setQuality(level)`
+ */
+export type QualityLevel = 'low' | 'medium' | 'high';
+
+/**
+ * Demo quality setting: a fixed tier, or 'auto' to let the governor pick
+ */
+export type QualityMode = QualityLevel | 'auto';
+
+/**
+ * What a quality tier means in numbers. Components scale their own
+ * settings by these rather than hard-coding per-tier tables.
+ */
+export interface QualityProfile {
+  /** Multiplier for particle/instance counts (1 = as configured) */
+  particles: number;
+  /** Upper bound for BlurFilter quality (passes); Infinity = as configured */
+  blurQuality: number;
+  /** Upper bound for render resolution / device pixel ratio; Infinity = as configured */
+  dpr: number;
+}
+
+/**
+ * Emitted when a quality tier changes
+ */
+export interface QualityChange {
+  level: QualityLevel;
+  previous: QualityLevel;
+  /** 'auto' when the governor stepped, 'manual' for setLevel() */
+  reason: 'auto' | 'manual';
+  /** Mean frame time (ms) that triggered an automatic step */
+  frameTime?: number;
 }
 
 /**
@@ -156,6 +472,96 @@ export interface ComponentClassWithLifecycle {
   new (...args: unknown[]): BaseComponent;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// OPTION SCHEMA TYPES
+// ═══════════════════════════════════════════════════════════════════════════
+
+export type OptionSpecType =
+  | 'number'
+  | 'integer'
+  | 'color'
+  | 'boolean'
+  | 'enum'
+  | 'string'
+  | 'array'
+  | 'object'
+  | 'function';
+
+/**
+ * Declares one constructor option. Components expose a map of these as
+ * `static schema`; it drives validation, the parameter panel and the docs.
+ *
+ * @example
+ * class BokehBallThrow {
+ *   static schema = {
+ *     ballCount: { type: 'integer', min: 1, max: 200, description: 'Maximum active balls' },
+ *     gravity: { type: 'number', min: 0, max: 2, unit: 'px/frame²' },
+ *   };
+ * }
+ */
+export interface OptionSpec {
+  type: OptionSpecType;
+  min?: number;
+  max?: number;
+  step?: number;
+  /** Allowed values for `enum` */
+  values?: readonly (string | number)[];
+  unit?: string;
+  description?: string;
+  /** Accept null (e.g. "computed from width/height when null") */
+  nullable?: boolean;
+}
+
+export type OptionSchema = Record<string, OptionSpec>;
+
+export interface OptionIssue {
+  key: string;
+  message: string;
+}
+
+/** 'warn' logs issues, 'throw' raises a single OptionsError listing them */
+export type OptionValidationMode = 'warn' | 'throw';
+
+export interface ValidateOptionsConfig {
+  /** Defaults to 'warn' */
+  mode?: OptionValidationMode;
+  /** Component name used as the message prefix */
+  name?: string;
+  /** Keys accepted without a schema entry (injected by the host) */
+  ignore?: readonly string[];
+}
+
+/** A component class as resolveOptions sees it */
+export interface OptionsOwner {
+  readonly name: string;
+  defaults?: Record<string, unknown>;
+  schema?: OptionSchema;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OPTION PANEL TYPES
+// ═══════════════════════════════════════════════════════════════════════════
+
+export type OptionFieldType = 'number' | 'color' | 'boolean' | 'enum' | 'string';
+
+/**
+ * A single tweakable component option, as rendered by the parameter panel
+ */
+export interface OptionField {
+  key: string;
+  label: string;
+  type: OptionFieldType;
+  defaultValue: unknown;
+  min?: number;
+  max?: number;
+  step?: number;
+  values?: readonly (string | number)[];
+  unit?: string;
+  description?: string;
+  /** True when the instance exposes a setter, so changes apply without re-instantiating */
+  live: boolean;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // SIGNAL TYPES
 // ═══════════════════════════════════════════════════════════════════════════
@@ -187,6 +593,161 @@ export interface ObjectPool<T extends Poolable> {
   readonly available: number;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// SCENE COMPOSITION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** Blend modes a layer container can use (the ones PIXI ships without extra imports) */
+export type LayerBlendMode = 'normal' | 'add' | 'multiply' | 'screen';
+
+export interface SceneLayer {
+  /** Unique within the composition */
+  id: string;
+  /** Registry id of the component (pixi-ctx runtime only) */
+  component: string;
+  blendMode: LayerBlendMode;
+  alpha: number;
+  visible: boolean;
+  /** Constructor options on top of the component defaults */
+  options: Record<string, unknown>;
+}
+
+/**
+ * Several components stacked on one stage. Layers are listed bottom to top.
+ */
+export interface SceneComposition {
+  version: 1;
+  name: string;
+  layers: SceneLayer[];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARTICLE EMITTERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/** A fixed value, or `[min, max]` picked uniformly per particle */
+export type ValueRange = number | readonly [number, number];
+
+/** A value at a point of a particle's life (0 = born, 1 = dies) */
+export interface CurveKey {
+  time: number;
+  value: number;
+}
+
+/** A constant, or keys interpolated linearly over life (sorted by time) */
+export type LifeCurve = number | readonly CurveKey[];
+
+/**
+ * Particle tint: one color, a palette each particle picks from at birth, or
+ * keys over life (values are 0xRRGGBB, blended per channel)
+ */
+export type ColorSpec = number | { palette: readonly number[] } | readonly CurveKey[];
+
+/** Where particles are born, relative to the emitter position */
+export type EmitterShape =
+  | { type: 'point' }
+  | { type: 'circle'; radius: number; /** Only on the rim */ edge?: boolean }
+  | { type: 'rect'; width: number; height: number };
+
+/** Accelerations applied every frame. Units are px and seconds. */
+export type EmitterForce =
+  | { type: 'gravity'; x?: number; y?: number }
+  | { type: 'drag'; /** Share of velocity lost per second, 0-1 */ amount: number }
+  | { type: 'attract'; x: number; y: number; /** Negative repels */ strength: number; radius?: number }
+  | { type: 'turbulence'; strength: number; /** Cycles per second (default 1) */ frequency?: number };
+
+/**
+ * Particle texture. Built-in shapes are baked white (so tint colors them)
+ * through the context's texture cache; `generator` names one passed to the
+ * emitter in `generators`.
+ */
+export type EmitterTexture =
+  | { type: 'dot'; radius: number }
+  | { type: 'glow'; radius: number }
+  | { type: 'generator'; name: string; params?: TextureParams };
+
+/**
+ * A particle effect as data. Plain JSON: new effects can be written as a
+ * config file and loaded with parseEmitterConfig().
+ */
+export interface EmitterConfig {
+  version?: 1;
+  /** Live particles never exceed this; spawns beyond it are dropped */
+  maxParticles: number;
+  texture: EmitterTexture;
+  blendMode?: LayerBlendMode;
+  /** Default 'point' */
+  shape?: EmitterShape;
+  /** Particles per second while running (default 0: bursts only) */
+  rate?: number;
+  /** Particles per burst() call without a count (default 10) */
+  burst?: number;
+  /** Seconds */
+  lifetime: ValueRange;
+  /** Launch direction in degrees, 0 = right, 90 = down (default any) */
+  angle?: ValueRange;
+  /** Launch speed in px per second (default 0) */
+  speed?: ValueRange;
+  /** Initial rotation in degrees (default 0) */
+  rotation?: ValueRange;
+  /** Degrees per second (default 0) */
+  spin?: ValueRange;
+  /** Per-particle size multiplier picked at birth (default 1) */
+  size?: ValueRange;
+  /** Scale over life, multiplied with size (default 1) */
+  scale?: LifeCurve;
+  /** Alpha over life (default 1) */
+  alpha?: LifeCurve;
+  /** Tint (default white: the texture's own colors) */
+  color?: ColorSpec;
+  forces?: readonly EmitterForce[];
+}
+
+export interface BurstOptions {
+  /** Spawn position; defaults to the emitter's position */
+  x?: number;
+  y?: number;
+  /** Tint for this burst only, replacing config.color */
+  color?: number;
+}
+
+export interface ParticleEmitterOptions {
+  /** Particles are added to this container, in its coordinates */
+  container: Container;
+  /** Emitter position (default 0, 0) */
+  x?: number;
+  y?: number;
+  /** Use this texture instead of config.texture (not serializable) */
+  texture?: Texture;
+  /** Texture generators for `{ type: 'generator' }` configs */
+  generators?: Readonly<Record<string, TextureGenerator<any>>>;
+  /** Start stepping on ctx.ticker right away (default true) */
+  autoStart?: boolean;
+}
+
+export interface ParticleEmitter {
+  readonly config: EmitterConfig;
+  /** Emitter position; rate emission and default bursts spawn here */
+  x: number;
+  y: number;
+  /** Particles per second while running; 0 stops continuous emission */
+  rate: number;
+  readonly running: boolean;
+  /** Live particles */
+  readonly count: number;
+  /** Steps particles (and emits at `rate`) on every tick */
+  start(): void;
+  /** Freezes particles in place; burst() still spawns */
+  stop(): void;
+  /** Spawns particles at once; returns how many fit under maxParticles */
+  burst(count?: number, options?: BurstOptions): number;
+  /** Advances by `seconds`, for hosts that drive the emitter themselves */
+  update(seconds: number): void;
+  /** Removes every live particle */
+  clear(): void;
+  destroy(): void;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // APP STATE TYPES
 // ═══════════════════════════════════════════════════════════════════════════
@@ -203,6 +764,7 @@ export interface UserPreferences {
 export interface FilterState {
   search: string;
   category: ComponentCategory | 'all';
+  tag: string | null;
   sortBy: SortOption;
   showBookmarksOnly: boolean;
 }
@@ -0,0 +1,48 @@
+import { COMPONENT_METADATA, searchComponents } from '../registry';
+import type { ComponentMetadata, FilterState } from '../types';
+
+/**
+ * Per-user lists the filters and sorts depend on
+ */
+export interface FilterContext {
+  likedItems: readonly string[];
+  bookmarkedItems: readonly string[];
+}
+
+/**
+ * Derives the gallery list from the filter store.
+ *
+ * There are no server-side stats yet, so 'popular' (and 'copies') keep the
+ * curated registry order and 'likes' floats the user's liked items to the top.
+ */
+export function filterComponents(filters: FilterState, context: FilterContext): ComponentMetadata[] {
+  const query = filters.search.trim();
+  let results = query ? searchComponents(query) : [...COMPONENT_METADATA];
+
+  if (filters.category !== 'all') {
+    results = results.filter((c) => c.category === filters.category);
+  }
+
+  if (filters.tag) {
+    const tag = filters.tag;
+    results = results.filter((c) => c.tags.includes(tag));
+  }
+
+  if (filters.showBookmarksOnly) {
+    results = results.filter((c) => context.bookmarkedItems.includes(c.id));
+  }
+
+  switch (filters.sortBy) {
+    case 'newest':
+      return results.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    case 'name':
+      return results.sort((a, b) => a.name.localeCompare(b.name));
+    case 'likes': {
+      // Array.prototype.sort is stable, so ties keep registry order
+      const liked = (c: ComponentMetadata) => (context.likedItems.includes(c.id) ? 1 : 0);
+      return results.sort((a, b) => liked(b) - liked(a));
+    }
+    default:
+      return results;
+  }
+}
@@ -1,7 +1,36 @@
 import * as PIXI from 'pixi.js';
 import gsap from 'gsap';
 import { PixiPlugin } from 'gsap/PixiPlugin';
-import type { ComponentMetadata, ComponentLifecycleDescriptor } from '../types';
+import {
+  assertRequirements,
+  createClock,
+  createPixiContext,
+  getQualityProfile,
+  OptionsError,
+  validateOptions,
+} from '../core';
+import type {
+  Clock,
+  ComponentAction,
+  ComponentMetadata,
+  ComponentLifecycleDescriptor,
+  ComponentRequirements,
+  ComponentRuntime,
+  OptionSchema,
+  OptionValidationMode,
+  PixiClasses,
+  PixiContext,
+  QualityLevel,
+  RuntimeStats,
+  SceneLayer,
+} from '../types';
+
+// Upper bound for renderer resolution on high-density displays
+const MAX_PIXEL_RATIO = 2;
+
+// Invalid options fail the demo with the list of issues rather than a
+// console warning nobody sees
+const DEMO_VALIDATION: OptionValidationMode = 'throw';
 
 // Register GSAP plugin once
 gsap.registerPlugin(PixiPlugin);
@@ -9,23 +38,50 @@ PixiPlugin.registerPIXI(PIXI);
 
 export interface DemoInstance {
   destroy: () => void;
+  /** Applies new container dimensions to the running demo (optional for custom adapters) */
+  resize?: (width: number, height: number) => void;
+  /** Primary component instance (used for live option updates) */
+  instance: ComponentInstance | null;
+  /** Class the primary instance was constructed from */
+  componentClass: ComponentClass | null;
+  /** Ticker/renderer the demo runs on (used by the performance HUD) */
+  host?: DemoHost;
+  /** Applies a quality tier to the host and every instance that supports it */
+  setQuality?: (level: QualityLevel) => void;
+  /** Seed ctx.random started from (pixi-ctx demos); rerun with it to get the same scene */
+  seed?: number;
+  /** Virtual clock for pause, single-step and slow motion */
+  clock?: Clock;
+  /** Canvas the demo draws into (the PIXI app's or the component's own) */
+  canvas?: HTMLCanvasElement;
 }
 
+/**
+ * Option overrides passed to the component constructor on top of its defaults
+ */
+export type DemoOptions = Record<string, unknown>;
+
 /**
  * Type for component classes that may have lifecycle descriptors
  */
-interface ComponentClass {
+export interface ComponentClass {
   lifecycle?: ComponentLifecycleDescriptor;
+  defaults?: Record<string, unknown>;
+  schema?: OptionSchema;
+  /** Named option sets, selectable from the URL with ?preset=name */
+  presets?: Record<string, DemoOptions>;
+  /** Context classes, services and WebGL features checked before construction */
+  requires?: ComponentRequirements;
   new (
-    ctx: ReturnType<typeof createPixiContext>,
-    options: { container: PIXI.Container; width: number; height: number }
+    ctx: PixiContext,
+    options: DemoOptions & { container: PIXI.Container; width: number; height: number }
   ): ComponentInstance;
 }
 
 /**
  * Type for instantiated components
  */
-interface ComponentInstance {
+export interface ComponentInstance {
   start?: () => void;
   stop?: () => void;
   destroy?: () => void;
@@ -33,6 +89,43 @@ interface ComponentInstance {
   [key: string]: unknown;
 }
 
+/**
+ * Host objects a demo runs on, as seen by a DemoProbe
+ */
+export interface DemoHost {
+  /** Ticker the component was given (app.ticker or the shader ticker) */
+  ticker: PIXI.Ticker;
+  /** Present for pixi-ctx demos */
+  renderer?: PIXI.Renderer;
+  /** Root container; present for pixi-ctx demos */
+  stage?: PIXI.Container;
+}
+
+/**
+ * Observes demos from inside the runner. Dev tooling only (see leakAudit).
+ */
+export interface DemoProbe {
+  /** Overrides for ctx.classes, e.g. instrumented subclasses */
+  classes?: Partial<PixiClasses>;
+  /** Host is ready; the component has not been constructed yet */
+  onMount?: (host: DemoHost) => void;
+  /** Component stop()/destroy() ran; the host has not been torn down yet */
+  onComponentDestroyed?: (host: DemoHost) => void;
+  /** ctx.destroy() released the services (and the textures they cache); the renderer is still alive */
+  onContextDestroyed?: (host: DemoHost) => void;
+  /** stop() or destroy() threw */
+  onDestroyError?: (error: unknown) => void;
+}
+
+let demoProbe: DemoProbe | null = null;
+
+/**
+ * Installs (or clears) the probe used by subsequently started demos
+ */
+export function setDemoProbe(probe: DemoProbe | null): void {
+  demoProbe = probe;
+}
+
 /**
  * Runs the lifecycle methods for a component based on its static lifecycle descriptor.
  * Falls back to method introspection if no descriptor is provided.
@@ -42,7 +135,7 @@ interface ComponentInstance {
  * 2. init[] - custom initialization calls from lifecycle.init
  * 3. start() - always called if available
  */
-async function runComponentLifecycle(
+export async function runComponentLifecycle(
   instance: ComponentInstance,
   ComponentClass: ComponentClass
 ): Promise<void> {
@@ -73,84 +166,316 @@ async function runComponentLifecycle(
 }
 
 /**
- * Creates a PixiContext for components that use dependency injection
- * Includes all PIXI classes that components may need
+ * Returns the options of a named preset, or an empty object when the class
+ * does not declare it. Unknown names are reported where they come in
+ * (parseRoute, mount), not on every call.
  */
-function createPixiContext(app: PIXI.Application) {
-  return Object.freeze({
-    app,
-    stage: app.stage,
-    ticker: app.ticker,
-    renderer: app.renderer,
-    gsap,
-    classes: Object.freeze({
-      Container: PIXI.Container,
-      Graphics: PIXI.Graphics,
-      Sprite: PIXI.Sprite,
-      Text: PIXI.Text,
-      Point: PIXI.Point,
-      Texture: PIXI.Texture,
-      BlurFilter: PIXI.BlurFilter,
-      DisplacementFilter: PIXI.DisplacementFilter,
-      Rectangle: PIXI.Rectangle,
-      RenderTexture: PIXI.RenderTexture,
-      TextStyle: PIXI.TextStyle,
-      Filter: PIXI.Filter,
-      GlProgram: PIXI.GlProgram,
-    }),
-    create: Object.freeze({
-      container: () => new PIXI.Container(),
-      graphics: () => new PIXI.Graphics(),
-      sprite: (texture?: PIXI.Texture) => new PIXI.Sprite(texture),
-      point: (x = 0, y = 0) => new PIXI.Point(x, y),
-      text: (text: string, style?: Partial<PIXI.TextStyle>) => new PIXI.Text({ text, style }),
-    }),
-  });
+export function getPresetOptions(componentClass: ComponentClass | null, preset: string | null): DemoOptions {
+  if (!preset || !componentClass) return {};
+  return componentClass.presets?.[preset] ?? {};
+}
+
+/**
+ * Returns the demo actions a component declares in its lifecycle descriptor,
+ * dropping any whose method the running instance does not implement.
+ */
+export function getDemoActions(demo: DemoInstance | null): ComponentAction[] {
+  const actions = demo?.componentClass?.lifecycle?.actions;
+  const instance = demo?.instance;
+  if (!actions || !instance) return [];
+  return actions.filter((action) => typeof instance[action.method] === 'function');
+}
+
+/**
+ * Invokes a declared action on a running demo instance.
+ * Returns false if the instance is gone or no longer has the method.
+ */
+export function runDemoAction(demo: DemoInstance | null, action: ComponentAction): boolean {
+  const instance = demo?.instance;
+  const method = instance?.[action.method];
+  if (typeof method !== 'function') return false;
+  (method as (...a: unknown[]) => unknown).apply(instance, action.args ?? []);
+  return true;
+}
+
+/**
+ * Reads the counters a running component reports through getStats().
+ * Returns null when it has none or the call fails.
+ */
+export function getDemoStats(demo: DemoInstance | null): RuntimeStats | null {
+  const instance = demo?.instance;
+  if (typeof instance?.getStats !== 'function') return null;
+  try {
+    const stats = (instance.getStats as () => unknown).call(instance);
+    return stats && typeof stats === 'object' ? (stats as RuntimeStats) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Switches a running demo to a quality tier. Adapters cap the render
+ * resolution themselves; custom adapters without setQuality fall back to the
+ * instance's own setQuality(). Returns false when neither exists.
+ */
+export function setDemoQuality(demo: DemoInstance | null, level: QualityLevel): boolean {
+  if (!demo) return false;
+  if (demo.setQuality) {
+    demo.setQuality(level);
+    return true;
+  }
+  const instance = demo.instance;
+  if (typeof instance?.setQuality !== 'function') return false;
+  (instance.setQuality as (level: QualityLevel) => void).call(instance, level);
+  return true;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RUNTIME ADAPTERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Hosts a component of one runtime kind inside an HTML container.
+ * Register custom adapters with registerRuntimeAdapter() so third-party
+ * content can bring its own hosting strategy.
+ */
+export interface RuntimeAdapter {
+  run(
+    container: HTMLElement,
+    module: Record<string, unknown>,
+    metadata: ComponentMetadata,
+    width: number,
+    height: number,
+    options: DemoOptions,
+    /** Seed for ctx.random; adapters without a PixiContext may ignore it */
+    seed?: number | string
+  ): Promise<DemoInstance>;
+}
+
+const runtimeAdapters = new Map<ComponentRuntime, RuntimeAdapter>();
+
+/**
+ * Registers (or replaces) the adapter used for a runtime kind
+ */
+export function registerRuntimeAdapter(runtime: ComponentRuntime, adapter: RuntimeAdapter): void {
+  runtimeAdapters.set(runtime, adapter);
+}
+
+/**
+ * Returns the adapter registered for a runtime kind, if any
+ */
+export function getRuntimeAdapter(runtime: ComponentRuntime): RuntimeAdapter | undefined {
+  return runtimeAdapters.get(runtime);
+}
+
+/**
+ * Resolves the runtime kind of a component.
+ * Order: metadata.runtime, then `static runtime` on the exported class, then 'pixi-ctx'.
+ */
+export function resolveRuntime(
+  metadata: ComponentMetadata,
+  module: Record<string, unknown>
+): ComponentRuntime {
+  if (metadata.runtime) return metadata.runtime;
+
+  const candidates: unknown[] = [module.default];
+  const defaultObject =
+    module.default && typeof module.default === 'object'
+      ? (module.default as Record<string, unknown>)
+      : null;
+  for (const componentName of metadata.components) {
+    candidates.push(defaultObject?.[componentName], module[componentName]);
+  }
+
+  for (const candidate of candidates) {
+    if (typeof candidate !== 'function') continue;
+    const runtime = (candidate as { runtime?: unknown }).runtime;
+    if (typeof runtime === 'string') return runtime;
+  }
+
+  return 'pixi-ctx';
 }
 
-// Components that use their own WebGL canvas (shaders) - they take { ticker, container (HTML element) }
-const SHADER_COMPONENTS = [
-  'star-explosion',
-  'cosmic-shader',
-  'cosmic-universe-shader',
-  'jupiter-impact',
-];
+/**
+ * Finds the main component class of a content module, in the same order the
+ * pixi runner tries them: default export, default-object member, named export
+ */
+export function findComponentClass(
+  module: Record<string, unknown>,
+  metadata: ComponentMetadata
+): ComponentClass | null {
+  if (typeof module.default === 'function') return module.default as ComponentClass;
+
+  const defaultObject =
+    module.default && typeof module.default === 'object'
+      ? (module.default as Record<string, unknown>)
+      : null;
+  for (const componentName of metadata.components) {
+    const candidate = defaultObject?.[componentName] ?? module[componentName];
+    if (typeof candidate === 'function') return candidate as ComponentClass;
+  }
+
+  return null;
+}
+
+/**
+ * Finds the class a scene layer is built from: the export named in
+ * `metadata.layer`, else the main class of a pixi-ctx component. Returns null
+ * for components that can only draw to a canvas of their own.
+ */
+export function findLayerClass(
+  module: Record<string, unknown>,
+  metadata: ComponentMetadata
+): ComponentClass | null {
+  if (metadata.layer) {
+    const candidate = module[metadata.layer];
+    return typeof candidate === 'function' ? (candidate as ComponentClass) : null;
+  }
+  return resolveRuntime(metadata, module) === 'pixi-ctx' ? findComponentClass(module, metadata) : null;
+}
+
+registerRuntimeAdapter('pixi-ctx', {
+  run: (container, module, metadata, width, height, options, seed) =>
+    runPixiDemo(container, module, metadata, width, height, options, seed),
+});
+
+registerRuntimeAdapter('standalone-webgl', {
+  run: (container, module, _metadata, width, height, options) =>
+    runShaderDemo(container, module, width, height, options, 'normalized'),
+});
+
+registerRuntimeAdapter('html-canvas', {
+  run: (container, module, _metadata, width, height, options) =>
+    runShaderDemo(container, module, width, height, options, 'pixels'),
+});
 
 /**
  * Runs a component demo in the given container
  * Returns a cleanup function
  */
 export async function runDemo(
-  container: HTMLDivElement,
+  container: HTMLElement,
   metadata: ComponentMetadata,
-  module: Record<string, unknown>
+  module: Record<string, unknown>,
+  options: DemoOptions = {},
+  seed?: number | string
 ): Promise<DemoInstance> {
   const width = container.clientWidth || 800;
   const height = container.clientHeight || 600;
 
-  if (SHADER_COMPONENTS.includes(metadata.id)) {
-    return runShaderDemo(container, module, width, height);
+  const runtime = resolveRuntime(metadata, module);
+  const adapter = runtimeAdapters.get(runtime);
+  if (!adapter) {
+    throw new Error(`No runtime adapter registered for "${runtime}" (${metadata.id})`);
   }
 
-  return runPixiDemo(container, module, metadata, width, height);
+  // Fail before any canvas or WebGL context is created. Context classes and
+  // services are checked by the pixi-ctx adapter once the context exists.
+  const componentClass = findComponentClass(module, metadata);
+  assertRequirements(componentClass?.requires, null, componentClass?.name ?? metadata.name);
+
+  const demo = await adapter.run(container, module, metadata, width, height, options, seed);
+  return observeContainerSize(container, demo, width, height);
 }
 
 /**
- * Runs shader-based demos that manage their own WebGL context
+ * Forwards container size changes (window resizes, theater mode, fullscreen)
+ * and devicePixelRatio changes (browser zoom, moving between monitors) to the
+ * demo. Changes are coalesced to one resize per animation frame.
+ */
+function observeContainerSize<T extends DemoInstance>(
+  container: HTMLElement,
+  demo: T,
+  width: number,
+  height: number
+): T {
+  if (!demo.resize || typeof ResizeObserver === 'undefined') return demo;
+
+  const resize = demo.resize;
+  let lastWidth = width;
+  let lastHeight = height;
+  let lastPixelRatio = window.devicePixelRatio || 1;
+  let frame = 0;
+
+  const schedule = () => {
+    cancelAnimationFrame(frame);
+    frame = requestAnimationFrame(() => {
+      const nextWidth = container.clientWidth;
+      const nextHeight = container.clientHeight;
+      const pixelRatio = window.devicePixelRatio || 1;
+      // Ignore collapsed layouts (hidden tab, closing modal)
+      if (!nextWidth || !nextHeight) return;
+      if (nextWidth === lastWidth && nextHeight === lastHeight && pixelRatio === lastPixelRatio) return;
+      lastWidth = nextWidth;
+      lastHeight = nextHeight;
+      lastPixelRatio = pixelRatio;
+      resize(nextWidth, nextHeight);
+    });
+  };
+
+  const observer = new ResizeObserver(schedule);
+  observer.observe(container);
+
+  // A resolution media query only matches the current ratio, so re-arm on change
+  let pixelRatioQuery: MediaQueryList | null = null;
+  const watchPixelRatio = () => {
+    pixelRatioQuery?.removeEventListener('change', onPixelRatioChange);
+    pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    pixelRatioQuery.addEventListener('change', onPixelRatioChange);
+  };
+  const onPixelRatioChange = () => {
+    watchPixelRatio();
+    schedule();
+  };
+  watchPixelRatio();
+
+  return {
+    ...demo,
+    destroy: () => {
+      observer.disconnect();
+      pixelRatioQuery?.removeEventListener('change', onPixelRatioChange);
+      cancelAnimationFrame(frame);
+      demo.destroy();
+    },
+  };
+}
+
+/**
+ * Renderer resolution for the current display, capped to keep fill-rate sane
+ */
+function getPixelRatio(): number {
+  return Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO);
+}
+
+/**
+ * Sizes a demo canvas to fit its container (centered via flexbox on the
+ * parent). Width/height stay auto so the backing store decides the aspect.
+ */
+function fitCanvas(canvas: HTMLCanvasElement): void {
+  canvas.style.maxWidth = '100%';
+  canvas.style.maxHeight = '100%';
+  canvas.style.width = 'auto';
+  canvas.style.height = 'auto';
+  canvas.style.display = 'block';
+}
+
+/**
+ * Runs demos that manage their own canvas (raw WebGL shaders, plain HTML canvas)
  * These components take: { ticker, container (HTML element), width, height }
+ *
+ * Mouse positions are forwarded to setMouse() either normalized (0-1, y up)
+ * or in CSS pixels relative to the container (y down).
  */
 async function runShaderDemo(
-  container: HTMLDivElement,
+  container: HTMLElement,
   module: Record<string, unknown>,
   width: number,
-  height: number
+  height: number,
+  options: DemoOptions,
+  mouseSpace: 'normalized' | 'pixels'
 ): Promise<DemoInstance> {
-  // Create a shared ticker for shader components
-  const ticker = new PIXI.Ticker();
-  ticker.start();
-
   // Find the main shader class (usually the default export)
-  const ShaderClass = module.default as new (options: {
+  const ShaderClass = module.default as (new (options: DemoOptions & {
     container: HTMLElement;
     ticker: PIXI.Ticker;
     width: number;
@@ -161,19 +486,44 @@ async function runShaderDemo(
     destroy: () => void;
     canvas?: HTMLCanvasElement;
     setMouse?: (x: number, y: number) => void;
-  };
+    resize?: (width: number, height: number) => void;
+    setQuality?: (level: QualityLevel) => void;
+  }) & { schema?: OptionSchema };
 
   if (typeof ShaderClass !== 'function') {
     throw new Error('Shader component default export is not a constructor');
   }
 
-  const instance = new ShaderClass({
-    container,
-    ticker,
-    width,
-    height,
-    autoStart: false,
-  });
+  // These classes take no PixiContext, so check here with the mode pixi-ctx
+  // demos get from theirs
+  validateOptions(ShaderClass.schema, options, { name: ShaderClass.name, mode: DEMO_VALIDATION });
+
+  // Create a shared ticker for shader components
+  const ticker = new PIXI.Ticker();
+  ticker.start();
+  // No GSAP here: shader components animate from ticker time only
+  const clock = createClock(ticker);
+
+  const probe = demoProbe;
+  probe?.onMount?.({ ticker });
+
+  let instance: InstanceType<typeof ShaderClass>;
+  try {
+    instance = new ShaderClass({
+      ...options,
+      container,
+      ticker,
+      width,
+      height,
+      autoStart: false,
+    });
+    instance.start();
+  } catch (err) {
+    // Like abort() in runPixiDemo: a failed demo leaves no ticker running
+    clock.destroy();
+    ticker.destroy();
+    throw err;
+  }
 
   // Add mouse tracking if supported
   let handleMouseMove: ((e: MouseEvent) => void) | null = null;
@@ -181,6 +531,10 @@ async function runShaderDemo(
     const setMouseFn = instance.setMouse.bind(instance);
     handleMouseMove = (e: MouseEvent) => {
       const rect = container.getBoundingClientRect();
+      if (mouseSpace === 'pixels') {
+        setMouseFn(e.clientX - rect.left, e.clientY - rect.top);
+        return;
+      }
       const x = (e.clientX - rect.left) / rect.width;
       const y = 1 - (e.clientY - rect.top) / rect.height;
       setMouseFn(x, y);
@@ -188,24 +542,40 @@ async function runShaderDemo(
     container.addEventListener('mousemove', handleMouseMove);
   }
 
-  instance.start();
-
   // Style the canvas created by the shader component
-  // Canvas will be centered via flexbox on parent, constrained to fit
   if (instance.canvas) {
-    instance.canvas.style.maxWidth = '100%';
-    instance.canvas.style.maxHeight = '100%';
-    instance.canvas.style.width = 'auto';
-    instance.canvas.style.height = 'auto';
-    instance.canvas.style.display = 'block';
+    fitCanvas(instance.canvas);
   }
 
   return {
+    instance: instance as unknown as ComponentInstance,
+    componentClass: ShaderClass as unknown as ComponentClass,
+    host: { ticker },
+    clock,
+    canvas: instance.canvas,
+    resize: (nextWidth, nextHeight) => {
+      // Shader components re-read devicePixelRatio (capped by their dpr option) here
+      instance.resize?.(nextWidth, nextHeight);
+      if (instance.canvas) fitCanvas(instance.canvas);
+      if (clock.paused) clock.redraw();
+    },
+    setQuality: (level) => {
+      // The component owns its canvas, so the dpr cap is its to apply
+      instance.setQuality?.(level);
+      if (instance.canvas) fitCanvas(instance.canvas);
+    },
     destroy: () => {
       if (handleMouseMove) {
         container.removeEventListener('mousemove', handleMouseMove);
       }
-      instance.destroy();
+      try {
+        instance.destroy();
+      } catch (err) {
+        console.warn('Shader cleanup failed:', err);
+        probe?.onDestroyError?.(err);
+      }
+      probe?.onComponentDestroyed?.({ ticker });
+      clock.destroy();
       ticker.destroy();
     },
   };
@@ -216,12 +586,24 @@ async function runShaderDemo(
  * These components take: (ctx, { container (PIXI.Container), width, height })
  */
 async function runPixiDemo(
-  htmlContainer: HTMLDivElement,
+  htmlContainer: HTMLElement,
   module: Record<string, unknown>,
   metadata: ComponentMetadata,
-  width: number,
-  height: number
+  initialWidth: number,
+  initialHeight: number,
+  options: DemoOptions,
+  seed?: number | string
 ): Promise<DemoInstance> {
+  // Current demo size; updated by resize() so pointer mapping stays correct
+  let width = initialWidth;
+  let height = initialHeight;
+  // Container size as last seen by resize(), to re-apply the resolution cap
+  let displayWidth = initialWidth;
+  let displayHeight = initialHeight;
+  // Resolution cap of the current quality tier
+  let maxPixelRatio = Infinity;
+  const pixelRatio = () => Math.min(getPixelRatio(), maxPixelRatio);
+
   // Create PIXI Application
   const app = new PIXI.Application();
   await app.init({
@@ -229,25 +611,43 @@ async function runPixiDemo(
     height,
     backgroundColor: 0x0a0e1a,
     antialias: true,
-    resolution: Math.min(window.devicePixelRatio || 1, 2),
+    resolution: getPixelRatio(),
     autoDensity: true,
   });
 
   // Append canvas to container with responsive styling
-  // Canvas will be centered via flexbox on parent, constrained to fit
   const canvas = app.canvas;
-  canvas.style.maxWidth = '100%';
-  canvas.style.maxHeight = '100%';
-  canvas.style.width = 'auto';
-  canvas.style.height = 'auto';
-  canvas.style.display = 'block';
+  fitCanvas(canvas);
   htmlContainer.appendChild(canvas);
 
-  // Create the PixiContext
-  const ctx = createPixiContext(app);
+  // Create the PixiContext (PixiPlugin is registered at module load)
+  const probe = demoProbe;
+  const ctx = createPixiContext(PIXI, { gsap }, app, {
+    classes: probe?.classes,
+    seed,
+    validation: DEMO_VALIDATION,
+  });
+  const host: DemoHost = { ticker: ctx.ticker, renderer: app.renderer, stage: app.stage };
+
+  // Tear down what exists so far and fail the demo
+  const abort = (err: unknown): never => {
+    ctx.destroy();
+    app.destroy(true, { children: true, texture: true });
+    throw err;
+  };
+
+  const mainClass = findComponentClass(module, metadata);
+  try {
+    assertRequirements(mainClass?.requires, ctx, mainClass?.name ?? metadata.name);
+  } catch (err) {
+    abort(err);
+  }
+
+  probe?.onMount?.(host);
 
   // Track instances for cleanup
-  const instances: Array<{ destroy?: () => void; stop?: () => void }> = [];
+  const instances: ComponentInstance[] = [];
+  let componentClass: ComponentClass | null = null;
 
   // Try to instantiate the main/default component
   // Most components export a default that is the main class
@@ -263,6 +663,7 @@ async function runPixiDemo(
 
       const ComponentClass = DefaultExport as ComponentClass;
       const instance = new ComponentClass(ctx, {
+        ...options,
         container: componentContainer,
         width,
         height,
@@ -271,8 +672,11 @@ async function runPixiDemo(
       await runComponentLifecycle(instance, ComponentClass);
 
       instances.push(instance);
+      componentClass = ComponentClass;
       instantiated = true;
     } catch (err) {
+      // Bad options are the caller's to fix, not a reason to try other exports
+      if (err instanceof OptionsError) abort(err);
       console.error('Failed to instantiate default export:', err);
     }
   } else if (DefaultExport && typeof DefaultExport === 'object') {
@@ -287,6 +691,7 @@ async function runPixiDemo(
 
           const ComponentClass = ExportedClass as ComponentClass;
           const instance = new ComponentClass(ctx, {
+            ...options,
             container: componentContainer,
             width,
             height,
@@ -295,9 +700,11 @@ async function runPixiDemo(
           await runComponentLifecycle(instance, ComponentClass);
 
           instances.push(instance);
+          componentClass = ComponentClass;
           instantiated = true;
           break;
         } catch (err) {
+          if (err instanceof OptionsError) abort(err);
           console.warn(`Failed to instantiate ${componentName} from default object:`, err);
           continue;
         }
@@ -307,7 +714,11 @@ async function runPixiDemo(
 
   // If default export didn't work, try named exports
   if (!instantiated) {
-    await tryNamedExports(module, metadata, ctx, app, width, height, instances);
+    try {
+      componentClass = await tryNamedExports(module, metadata, ctx, app, width, height, options, instances);
+    } catch (err) {
+      abort(err);
+    }
   }
 
   // Add mouse interactivity for components that support it
@@ -363,7 +774,50 @@ async function runPixiDemo(
     htmlContainer.addEventListener('mousemove', handleMouseMove);
   }
 
+  // Only change the logical size when every instance can re-layout. Fixed-layout
+  // scenes keep their size and render at a higher resolution instead, so a
+  // larger container (fullscreen) stays sharp rather than being stretched.
+  const resizable = instances.length > 0 && instances.every((inst) => typeof inst.resize === 'function');
+
+  const resize = (nextWidth: number, nextHeight: number) => {
+    displayWidth = nextWidth;
+    displayHeight = nextHeight;
+    if (resizable) {
+      width = nextWidth;
+      height = nextHeight;
+      app.renderer.resize(width, height, pixelRatio());
+      for (const inst of instances) {
+        (inst.resize as (w: number, h: number) => void)(width, height);
+      }
+    } else {
+      const scale = Math.max(1, Math.min(nextWidth / width, nextHeight / height));
+      app.renderer.resize(width, height, pixelRatio() * scale);
+    }
+    // autoDensity rewrites the CSS size on resize
+    fitCanvas(canvas);
+    // A paused ticker would leave the cleared canvas blank until resume
+    if (ctx.clock.paused) ctx.clock.redraw();
+  };
+
   return {
+    instance: instances[0] ?? null,
+    componentClass,
+    host,
+    seed: ctx.random.seed,
+    clock: ctx.clock,
+    canvas,
+    resize,
+    setQuality: (level) => {
+      // Same size, new resolution cap
+      maxPixelRatio = getQualityProfile(level).dpr;
+      resize(displayWidth, displayHeight);
+      for (const inst of instances) {
+        if (typeof inst.setQuality === 'function') {
+          (inst.setQuality as (level: QualityLevel) => void).call(inst, level);
+        }
+      }
+      if (ctx.clock.paused) ctx.clock.redraw();
+    },
     destroy: () => {
       if (handleMouseMove) {
         htmlContainer.removeEventListener('mousemove', handleMouseMove);
@@ -380,10 +834,17 @@ async function runPixiDemo(
           if (typeof instance.destroy === 'function') {
             instance.destroy();
           }
-        } catch {
-          // Ignore cleanup errors
+        } catch (err) {
+          // Keep tearing down the rest; the audit reports these
+          console.warn('Component cleanup failed:', err);
+          probe?.onDestroyError?.(err);
         }
       }
+      probe?.onComponentDestroyed?.(host);
+
+      // Services may own textures, so release them before the renderer goes
+      ctx.destroy();
+      probe?.onContextDestroyed?.(host);
 
       try {
         app.destroy(true, { children: true, texture: true });
@@ -396,16 +857,19 @@ async function runPixiDemo(
 
 /**
  * Try to instantiate components from named exports
+ * Returns the class that was instantiated, or null. Throws an OptionsError
+ * from a constructor rather than moving on to the next export.
  */
 async function tryNamedExports(
   module: Record<string, unknown>,
   metadata: ComponentMetadata,
-  ctx: ReturnType<typeof createPixiContext>,
+  ctx: PixiContext,
   app: PIXI.Application,
   width: number,
   height: number,
-  instances: Array<{ destroy?: () => void; stop?: () => void }>
-): Promise<void> {
+  options: DemoOptions,
+  instances: ComponentInstance[]
+): Promise<ComponentClass | null> {
   // Try the first component name from metadata
   for (const componentName of metadata.components) {
     const ExportedClass = module[componentName];
@@ -417,6 +881,7 @@ async function tryNamedExports(
 
         const ComponentClass = ExportedClass as ComponentClass;
         const instance = new ComponentClass(ctx, {
+          ...options,
           container: componentContainer,
           width,
           height,
@@ -425,11 +890,218 @@ async function tryNamedExports(
         await runComponentLifecycle(instance, ComponentClass);
 
         instances.push(instance);
-        return; // Successfully created one component, that's enough for demo
+        return ComponentClass; // Successfully created one component, that's enough for demo
       } catch (err) {
+        if (err instanceof OptionsError) throw err;
         console.warn(`Failed to instantiate ${componentName}:`, err);
         continue;
       }
     }
   }
+
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCENES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * A loaded layer, ready for runSceneDemo
+ */
+export interface SceneLayerSource {
+  layer: SceneLayer;
+  metadata: ComponentMetadata;
+  module: Record<string, unknown>;
+}
+
+/**
+ * One running layer of a scene
+ */
+export interface SceneLayerInstance {
+  container: PIXI.Container;
+  instance: ComponentInstance | null;
+  componentClass: ComponentClass | null;
+  /** Why the layer did not start; the other layers keep running */
+  error?: string;
+}
+
+export interface SceneDemo extends DemoInstance {
+  /** Running layers by layer id */
+  layers: Map<string, SceneLayerInstance>;
+  /** Applies blend mode, alpha, visibility and order without restarting anything */
+  arrange: (layers: readonly SceneLayer[]) => void;
+}
+
+/**
+ * Runs several components on one stage, each in its own container,
+ * bottom to top. Shader components run through their Layer export (see
+ * findLayerClass). They share one application and one PixiContext, so a
+ * scene has one ticker, one clock and one seeded random sequence.
+ *
+ * Layers that fail to start are reported on their SceneLayerInstance rather
+ * than failing the scene.
+ */
+export async function runSceneDemo(
+  htmlContainer: HTMLElement,
+  sources: readonly SceneLayerSource[],
+  seed?: number | string
+): Promise<SceneDemo> {
+  // Every layer is laid out to the container, so the logical size follows it
+  let width = htmlContainer.clientWidth || 800;
+  let height = htmlContainer.clientHeight || 600;
+  let maxPixelRatio = Infinity;
+  const pixelRatio = () => Math.min(getPixelRatio(), maxPixelRatio);
+  const initialWidth = width;
+  const initialHeight = height;
+
+  const app = new PIXI.Application();
+  await app.init({
+    width,
+    height,
+    backgroundColor: 0x0a0e1a,
+    antialias: true,
+    resolution: getPixelRatio(),
+    autoDensity: true,
+  });
+  const canvas = app.canvas;
+  fitCanvas(canvas);
+  htmlContainer.appendChild(canvas);
+
+  const probe = demoProbe;
+  const ctx = createPixiContext(PIXI, { gsap }, app, {
+    classes: probe?.classes,
+    seed,
+    validation: DEMO_VALIDATION,
+  });
+  const host: DemoHost = { ticker: ctx.ticker, renderer: app.renderer, stage: app.stage };
+  probe?.onMount?.(host);
+
+  const layers = new Map<string, SceneLayerInstance>();
+  for (const { layer, metadata, module } of sources) {
+    const container = new PIXI.Container({ label: layer.id });
+    app.stage.addChild(container);
+    const entry: SceneLayerInstance = { container, instance: null, componentClass: null };
+    layers.set(layer.id, entry);
+
+    try {
+      const ComponentClass = findLayerClass(module, metadata);
+      if (!ComponentClass) {
+        throw new Error(
+          findComponentClass(module, metadata)
+            ? `${metadata.name} owns its canvas and cannot be layered`
+            : `No component class found in ${metadata.fileName}`
+        );
+      }
+      entry.componentClass = ComponentClass;
+      assertRequirements(ComponentClass.requires, ctx, ComponentClass.name);
+      entry.instance = new ComponentClass(ctx, { ...layer.options, container, width, height });
+      await runComponentLifecycle(entry.instance, ComponentClass);
+    } catch (err) {
+      entry.error = err instanceof Error ? err.message : String(err);
+      console.warn(`[Scene] layer "${layer.id}" did not start:`, err);
+    }
+  }
+
+  const arrange = (order: readonly SceneLayer[]) => {
+    let index = 0;
+    for (const layer of order) {
+      const entry = layers.get(layer.id);
+      if (!entry) continue;
+      entry.container.blendMode = layer.blendMode;
+      entry.container.alpha = layer.alpha;
+      entry.container.visible = layer.visible;
+      app.stage.setChildIndex(entry.container, index++);
+    }
+  };
+  arrange(sources.map((source) => source.layer));
+
+  const instances = [...layers.values()]
+    .map((entry) => entry.instance)
+    .filter((instance): instance is ComponentInstance => instance !== null);
+  const interactiveInstances = instances.filter(
+    (inst): inst is ComponentInstance & { setMousePosition: (x: number, y: number, influence?: number) => void } =>
+      typeof inst.setMousePosition === 'function'
+  );
+
+  // Every pointer-aware layer follows the pointer, whatever its order
+  const forwardPointer = (clientX: number, clientY: number) => {
+    const rect = htmlContainer.getBoundingClientRect();
+    const x = (clientX - rect.left) * (width / rect.width);
+    const y = (clientY - rect.top) * (height / rect.height);
+    for (const inst of interactiveInstances) {
+      inst.setMousePosition(x, y, 1);
+    }
+  };
+  const handleMouseMove = (e: MouseEvent) => forwardPointer(e.clientX, e.clientY);
+  const handleTouchMove = (e: TouchEvent) => {
+    e.preventDefault();
+    forwardPointer(e.touches[0].clientX, e.touches[0].clientY);
+  };
+  if (interactiveInstances.length > 0) {
+    htmlContainer.addEventListener('mousemove', handleMouseMove);
+    htmlContainer.addEventListener('touchmove', handleTouchMove, { passive: false });
+  }
+
+  // Fixed-layout layers keep their size and stay anchored top-left
+  const resize = (nextWidth: number, nextHeight: number) => {
+    width = nextWidth;
+    height = nextHeight;
+    app.renderer.resize(width, height, pixelRatio());
+    for (const inst of instances) {
+      if (typeof inst.resize === 'function') {
+        (inst.resize as (w: number, h: number) => void)(width, height);
+      }
+    }
+    fitCanvas(canvas);
+    // A paused ticker would leave the cleared canvas blank until resume
+    if (ctx.clock.paused) ctx.clock.redraw();
+  };
+
+  const scene: SceneDemo = {
+    instance: null,
+    componentClass: null,
+    host,
+    seed: ctx.random.seed,
+    clock: ctx.clock,
+    canvas,
+    layers,
+    arrange,
+    resize,
+    setQuality: (level) => {
+      maxPixelRatio = getQualityProfile(level).dpr;
+      resize(width, height);
+      for (const inst of instances) {
+        if (typeof inst.setQuality === 'function') {
+          (inst.setQuality as (level: QualityLevel) => void).call(inst, level);
+        }
+      }
+      if (ctx.clock.paused) ctx.clock.redraw();
+    },
+    destroy: () => {
+      htmlContainer.removeEventListener('mousemove', handleMouseMove);
+      htmlContainer.removeEventListener('touchmove', handleTouchMove);
+
+      for (const instance of instances) {
+        try {
+          if (typeof instance.stop === 'function') instance.stop();
+          if (typeof instance.destroy === 'function') instance.destroy();
+        } catch (err) {
+          console.warn('Layer cleanup failed:', err);
+          probe?.onDestroyError?.(err);
+        }
+      }
+      probe?.onComponentDestroyed?.(host);
+      ctx.destroy();
+      probe?.onContextDestroyed?.(host);
+
+      try {
+        app.destroy(true, { children: true, texture: true });
+      } catch {
+        // Ignore destroy errors
+      }
+    },
+  };
+
+  return observeContainerSize(htmlContainer, scene, initialWidth, initialHeight);
 }
@@ -0,0 +1,345 @@
+import * as PIXI from 'pixi.js';
+import gsap from 'gsap';
+import { COMPONENT_METADATA, getComponentById, loadComponent } from '../registry';
+import type { ComponentMetadata, PixiClasses } from '../types';
+import { runDemo, setDemoProbe, type DemoHost, type DemoOptions } from './demoRunner';
+
+/**
+ * Leak audit - mounts a component through the normal runner, lets it run,
+ * destroys it and reports whatever survived:
+ *
+ * - ticker callbacks left on the demo ticker or on Ticker.shared/system
+ * - display objects built from ctx.classes that were never destroyed
+ * - GPU textures still resident after the component's destroy()
+ * - DOM listeners added while mounted and never removed
+ * - GSAP tweens still alive on the global timeline
+ * - errors thrown by stop()/destroy()
+ *
+ * Component-level checks run after the component's destroy() but before the
+ * runner tears down the app, so app.destroy() cannot hide them.
+ * Dev only: `await leakAudit.all()` in the console.
+ */
+
+export type LeakKind = 'ticker' | 'display-object' | 'texture' | 'dom-listener' | 'gsap-tween' | 'destroy-error';
+
+export interface Leak {
+  kind: LeakKind;
+  count: number;
+  detail: string;
+}
+
+export interface LeakReport {
+  id: string;
+  name: string;
+  leaks: Leak[];
+  /** Set when the demo failed to mount; no leaks are reported then */
+  error?: string;
+}
+
+export interface LeakAuditOptions {
+  /** Frames to run before destroying (0 destroys right after mount, like a fast tab switch) */
+  frames?: number;
+  /** Mount/destroy cycles per component */
+  cycles?: number;
+  options?: DemoOptions;
+}
+
+// Display classes components build their scene from
+const DISPLAY_CLASSES = ['Container', 'Graphics', 'Sprite', 'Text', 'TilingSprite', 'ParticleContainer', 'Mesh'] as const;
+
+// Size of the offscreen host; small keeps batch runs cheap
+const AUDIT_WIDTH = 320;
+const AUDIT_HEIGHT = 240;
+
+function nextFrame(): Promise<void> {
+  return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+}
+
+async function waitFrames(count: number): Promise<void> {
+  for (let i = 0; i < count; i++) await nextFrame();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROBES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Subclasses the display classes so every instance is tracked until its
+ * 'destroyed' event fires
+ */
+function createTrackedClasses(live: Map<PIXI.Container, string>): Partial<PixiClasses> {
+  const classes: Record<string, unknown> = {};
+  for (const name of DISPLAY_CLASSES) {
+    const Base = PIXI[name] as unknown as new (...args: unknown[]) => PIXI.Container;
+    classes[name] = class extends Base {
+      constructor(...args: unknown[]) {
+        super(...args);
+        live.set(this, name);
+        this.once('destroyed', () => live.delete(this));
+      }
+    };
+  }
+  return classes as Partial<PixiClasses>;
+}
+
+/**
+ * Counts listeners added and not removed while installed
+ */
+function trackDomListeners() {
+  const proto = EventTarget.prototype;
+  const originalAdd = proto.addEventListener;
+  const originalRemove = proto.removeEventListener;
+  const active = new Map<string, { target: EventTarget; type: string }>();
+  const ids = new WeakMap<object, number>();
+  let nextId = 0;
+
+  const idOf = (value: object) => {
+    let id = ids.get(value);
+    if (id === undefined) {
+      id = nextId++;
+      ids.set(value, id);
+    }
+    return id;
+  };
+  const keyOf = (
+    target: EventTarget,
+    type: string,
+    listener: EventListenerOrEventListenerObject | null,
+    options?: boolean | EventListenerOptions
+  ) => {
+    const capture = typeof options === 'boolean' ? options : !!options?.capture;
+    return `${idOf(target)}:${type}:${listener ? idOf(listener) : 'null'}:${capture}`;
+  };
+
+  proto.addEventListener = function (type, listener, options) {
+    if (listener && !(typeof options === 'object' && options?.once)) {
+      active.set(keyOf(this, type, listener, options), { target: this, type });
+    }
+    return originalAdd.call(this, type, listener, options);
+  };
+  proto.removeEventListener = function (type, listener, options) {
+    active.delete(keyOf(this, type, listener, options));
+    return originalRemove.call(this, type, listener, options);
+  };
+
+  return {
+    remaining: () => [...active.values()],
+    restore: () => {
+      proto.addEventListener = originalAdd;
+      proto.removeEventListener = originalRemove;
+    },
+  };
+}
+
+function describeTarget(target: EventTarget): string {
+  if (target === window) return 'window';
+  if (target === document) return 'document';
+  if (target instanceof Element) return target.tagName.toLowerCase();
+  return target.constructor?.name ?? 'EventTarget';
+}
+
+function countTweens(): number {
+  return gsap.globalTimeline.getChildren(true, true, false).length;
+}
+
+/**
+ * Texture sources resident on the GPU, minus the shared defaults and the
+ * free render textures TexturePool keeps for filters
+ */
+function residentTextureSources(renderer: PIXI.Renderer): Set<PIXI.TextureSource> {
+  const pool = (PIXI.TexturePool as unknown as { _texturePool: Record<string, PIXI.Texture[]> })._texturePool;
+  const pooled = new Set(Object.values(pool ?? {}).flatMap((textures) => textures.map((t) => t.source)));
+  const shared = new Set([PIXI.Texture.WHITE.source, PIXI.Texture.EMPTY.source]);
+  return new Set(renderer.texture.managedTextures.filter((source) => !pooled.has(source) && !shared.has(source)));
+}
+
+function countBy<T>(items: T[], key: (item: T) => string): string {
+  const counts = new Map<string, number>();
+  for (const item of items) counts.set(key(item), (counts.get(key(item)) ?? 0) + 1);
+  return [...counts].map(([name, count]) => `${count}× ${name}`).join(', ');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AUDIT
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function auditCycle(
+  metadata: ComponentMetadata,
+  module: Record<string, unknown>,
+  host: HTMLDivElement,
+  frames: number,
+  options: DemoOptions
+): Promise<Leak[]> {
+  const leaks: Leak[] = [];
+  const live = new Map<PIXI.Container, string>();
+  const destroyErrors: unknown[] = [];
+  let mountedTicker: PIXI.Ticker | null = null;
+  let tickerBaseline = 0;
+  let texturesBefore = new Set<PIXI.TextureSource>();
+
+  const sharedBefore = PIXI.Ticker.shared.count;
+  const systemBefore = PIXI.Ticker.system.count;
+  const tweensBefore = countTweens();
+  const listeners = trackDomListeners();
+
+  setDemoProbe({
+    classes: createTrackedClasses(live),
+    onMount: ({ ticker, renderer }: DemoHost) => {
+      mountedTicker = ticker;
+      tickerBaseline = ticker.count;
+      if (renderer) texturesBefore = residentTextureSources(renderer);
+    },
+    onComponentDestroyed: ({ ticker }: DemoHost) => {
+      const tickerLeft = ticker.count - tickerBaseline;
+      if (tickerLeft > 0) {
+        leaks.push({ kind: 'ticker', count: tickerLeft, detail: 'callbacks left on the demo ticker' });
+      }
+      if (live.size > 0) {
+        leaks.push({ kind: 'display-object', count: live.size, detail: countBy([...live.values()], (name) => name) });
+      }
+    },
+    // After ctx.destroy(), so idle textures the texture cache still held are gone
+    onContextDestroyed: ({ renderer }: DemoHost) => {
+      if (renderer) {
+        const added = [...residentTextureSources(renderer)].filter((source) => !texturesBefore.has(source));
+        if (added.length > 0) {
+          leaks.push({
+            kind: 'texture',
+            count: added.length,
+            detail: countBy(added, (source) => `${source.pixelWidth}x${source.pixelHeight}`),
+          });
+        }
+      }
+    },
+    onDestroyError: (error) => destroyErrors.push(error),
+  });
+
+  try {
+    const demo = await runDemo(host, metadata, module, options);
+    await waitFrames(frames);
+    demo.destroy();
+    // Let deferred cleanup (rAF, timeouts of 0) run before measuring
+    await waitFrames(2);
+  } finally {
+    setDemoProbe(null);
+    listeners.restore();
+  }
+
+  if (!mountedTicker) {
+    throw new Error(`${metadata.name}: the runner did not report a mount`);
+  }
+
+  const sharedLeft = PIXI.Ticker.shared.count - sharedBefore + (PIXI.Ticker.system.count - systemBefore);
+  if (sharedLeft > 0) {
+    leaks.push({ kind: 'ticker', count: sharedLeft, detail: 'callbacks left on Ticker.shared/Ticker.system' });
+  }
+
+  const remaining = listeners.remaining();
+  if (remaining.length > 0) {
+    leaks.push({
+      kind: 'dom-listener',
+      count: remaining.length,
+      detail: countBy(remaining, ({ target, type }) => `${describeTarget(target)} ${type}`),
+    });
+  }
+
+  const tweensLeft = countTweens() - tweensBefore;
+  if (tweensLeft > 0) {
+    leaks.push({ kind: 'gsap-tween', count: tweensLeft, detail: 'tweens still on the global timeline' });
+  }
+
+  if (destroyErrors.length > 0) {
+    leaks.push({
+      kind: 'destroy-error',
+      count: destroyErrors.length,
+      detail: destroyErrors.map((e) => (e instanceof Error ? e.message : String(e))).join('; '),
+    });
+  }
+
+  return leaks;
+}
+
+/**
+ * Mounts, runs and destroys one component, reporting what it left behind
+ */
+export async function auditComponent(
+  metadata: ComponentMetadata,
+  { frames = 30, cycles = 1, options = {} }: LeakAuditOptions = {}
+): Promise<LeakReport> {
+  const report: LeakReport = { id: metadata.id, name: metadata.name, leaks: [] };
+
+  // Offscreen but laid out, so the runner sees a real size
+  const host = document.createElement('div');
+  host.style.cssText = `position:fixed;left:-10000px;top:0;width:${AUDIT_WIDTH}px;height:${AUDIT_HEIGHT}px;`;
+  document.body.appendChild(host);
+
+  try {
+    const module = (await loadComponent(metadata.id)) as Record<string, unknown>;
+    for (let cycle = 0; cycle < cycles; cycle++) {
+      report.leaks.push(...(await auditCycle(metadata, module, host, frames, options)));
+    }
+  } catch (err) {
+    report.error = err instanceof Error ? err.message : String(err);
+  } finally {
+    host.remove();
+  }
+
+  return report;
+}
+
+/**
+ * Audits every registry component in turn. Each component also gets a
+ * zero-frame cycle to mimic closing the modal right after it opened.
+ */
+export async function auditRegistry(options: LeakAuditOptions = {}): Promise<LeakReport[]> {
+  const reports: LeakReport[] = [];
+  for (const metadata of COMPONENT_METADATA) {
+    const report = await auditComponent(metadata, options);
+    const quick = await auditComponent(metadata, { ...options, frames: 0 });
+    for (const leak of quick.leaks) report.leaks.push({ ...leak, detail: `${leak.detail} (immediate destroy)` });
+    report.error ??= quick.error;
+    reports.push(report);
+  }
+  return reports;
+}
+
+/**
+ * Formats reports as a summary line followed by one line per leak or error
+ */
+export function formatLeakReports(reports: LeakReport[]): string {
+  const lines = reports.flatMap((report) => {
+    if (report.error) return [`  ${report.id}: error: ${report.error}`];
+    return report.leaks.map((leak) => `  ${report.id}: ${leak.count}× ${leak.kind}: ${leak.detail}`);
+  });
+  const clean = reports.filter((report) => !report.error && report.leaks.length === 0).length;
+  return [`[leakAudit] ${clean}/${reports.length} components clean`, ...lines].join('\n');
+}
+
+/**
+ * Warns with the formatted reports when anything leaked or failed
+ */
+function warnLeakReports(reports: LeakReport[]): void {
+  if (reports.some((report) => report.error || report.leaks.length > 0)) {
+    console.warn(formatLeakReports(reports));
+  }
+}
+
+/**
+ * Exposes the audit on window.leakAudit (dev builds only)
+ */
+export function installLeakAuditGlobal(): void {
+  (window as unknown as { leakAudit: unknown }).leakAudit = {
+    run: async (id: string, options?: LeakAuditOptions) => {
+      const metadata = getComponentById(id);
+      if (!metadata) throw new Error(`leakAudit: unknown component "${id}"`);
+      const report = await auditComponent(metadata, options);
+      warnLeakReports([report]);
+      return report;
+    },
+    all: async (options?: LeakAuditOptions) => {
+      const reports = await auditRegistry(options);
+      warnLeakReports(reports);
+      return reports;
+    },
+  };
+}
@@ -0,0 +1,174 @@
+import type { OptionField, OptionSchema } from '../types';
+
+/**
+ * Options the runner wires itself, or that hold objects rather than values
+ */
+const RESERVED_OPTIONS = new Set([
+  'container',
+  'width',
+  'height',
+  'autoStart',
+  'ticker',
+  'canvas',
+  'backgroundTexture',
+  'bokehTexture',
+]);
+
+/**
+ * Turns a camelCase option key into a readable label
+ */
+function toLabel(key: string): string {
+  const spaced = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+  return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+}
+
+/**
+ * Colors are declared as 0xRRGGBB numbers: either the key says so, or the
+ * value is too large to be a count/duration (e.g. GoldenStarCharge.goldLight)
+ */
+function isColorOption(key: string, value: number): boolean {
+  if (!Number.isInteger(value) || value < 0 || value > 0xffffff) return false;
+  return /colou?r/i.test(key) || value >= 0x10000;
+}
+
+/**
+ * Guesses a slider range around the default value
+ */
+function inferRange(value: number): Pick<OptionField, 'min' | 'max' | 'step'> {
+  if (value === 0) return { min: 0, max: 1, step: 0.01 };
+
+  const magnitude = Math.abs(value) * 4;
+  const min = value < 0 ? -magnitude : 0;
+  const max = magnitude;
+
+  if (Number.isInteger(value) && Math.abs(value) >= 1) {
+    return { min, max: Math.max(max, 10), step: 1 };
+  }
+  const step = Number((magnitude / 100).toPrecision(1));
+  return { min, max, step };
+}
+
+/**
+ * Looks up a property setter anywhere on the instance's prototype chain
+ */
+function hasSetter(instance: object | null, key: string): boolean {
+  let proto = instance ? Object.getPrototypeOf(instance) : null;
+  while (proto && proto !== Object.prototype) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+    if (descriptor) return typeof descriptor.set === 'function';
+    proto = Object.getPrototypeOf(proto);
+  }
+  return false;
+}
+
+/**
+ * Builds fields from a declared `static schema`. Array, object and function
+ * options have no control; options without a default value are skipped.
+ */
+function fieldsFromSchema(
+  schema: OptionSchema,
+  defaults: Record<string, unknown>,
+  instance: object | null
+): OptionField[] {
+  const fields: OptionField[] = [];
+
+  for (const [key, spec] of Object.entries(schema)) {
+    if (RESERVED_OPTIONS.has(key)) continue;
+
+    const defaultValue = defaults[key] ?? (spec.type === 'enum' ? spec.values?.[0] : undefined);
+    if (defaultValue === undefined || defaultValue === null) continue;
+
+    const base = {
+      key,
+      label: toLabel(key),
+      defaultValue,
+      unit: spec.unit,
+      description: spec.description,
+      live: hasSetter(instance, key),
+    };
+
+    switch (spec.type) {
+      case 'number':
+      case 'integer': {
+        const inferred = inferRange(Number(defaultValue));
+        fields.push({
+          ...base,
+          type: 'number',
+          min: spec.min ?? inferred.min,
+          max: spec.max ?? inferred.max,
+          step: spec.step ?? (spec.type === 'integer' ? 1 : inferred.step),
+        });
+        break;
+      }
+      case 'color':
+      case 'boolean':
+      case 'string':
+        fields.push({ ...base, type: spec.type });
+        break;
+      case 'enum':
+        fields.push({ ...base, type: 'enum', values: spec.values ?? [] });
+        break;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Builds the parameter panel fields for a component class. Uses its
+ * `static schema` when declared, otherwise infers controls from
+ * `static defaults` (null, array, object and function options are skipped).
+ */
+export function getOptionFields(
+  componentClass: { defaults?: Record<string, unknown>; schema?: OptionSchema } | null,
+  instance: object | null
+): OptionField[] {
+  const defaults = componentClass?.defaults;
+  if (componentClass?.schema) {
+    return fieldsFromSchema(componentClass.schema, defaults ?? {}, instance);
+  }
+  if (!defaults) return [];
+
+  const fields: OptionField[] = [];
+
+  for (const [key, defaultValue] of Object.entries(defaults)) {
+    if (RESERVED_OPTIONS.has(key)) continue;
+
+    const base = { key, label: toLabel(key), defaultValue, live: hasSetter(instance, key) };
+
+    if (typeof defaultValue === 'boolean') {
+      fields.push({ ...base, type: 'boolean' });
+    } else if (typeof defaultValue === 'number') {
+      if (isColorOption(key, defaultValue)) {
+        fields.push({ ...base, type: 'color' });
+      } else {
+        fields.push({ ...base, type: 'number', ...inferRange(defaultValue) });
+      }
+    } else if (typeof defaultValue === 'string') {
+      fields.push({ ...base, type: 'string' });
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Applies an option through the instance's setter.
+ * Returns false when the component has to be re-instantiated instead.
+ */
+export function applyLiveOption(instance: object | null, key: string, value: unknown): boolean {
+  if (!instance || !hasSetter(instance, key)) return false;
+  (instance as Record<string, unknown>)[key] = value;
+  return true;
+}
+
+/**
+ * Converts between 0xRRGGBB numbers and #rrggbb strings for color inputs
+ */
+export function colorToHex(color: number): string {
+  return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+export function hexToColor(hex: string): number {
+  return parseInt(hex.replace('#', ''), 16);
+}
@@ -0,0 +1,165 @@
+import type { DemoHost } from './demoRunner';
+
+/**
+ * Frame timing, draw calls and texture memory for a running demo.
+ *
+ * Frame times come from requestAnimationFrame, so they include everything the
+ * browser did that frame, not only the component's update. Draw calls are
+ * counted by wrapping the WebGL draw entry points while a monitor is active;
+ * that covers both PIXI renderers and shaders that own their own context.
+ */
+
+export interface FrameBucket {
+  label: string;
+  /** Upper bound in ms (exclusive) */
+  max: number;
+}
+
+// 120/60/30/20 fps boundaries
+export const FRAME_BUCKETS: readonly FrameBucket[] = [
+  { label: '<8', max: 8.4 },
+  { label: '<17', max: 16.8 },
+  { label: '<33', max: 33.4 },
+  { label: '<50', max: 50 },
+  { label: '50+', max: Infinity },
+];
+
+// Frames kept for averages and the histogram (~2s at 60fps)
+const SAMPLE_WINDOW = 120;
+
+export interface PerfSnapshot {
+  fps: number;
+  /** Mean frame time in ms over the sample window */
+  frameTime: number;
+  /** Slowest frame in the window, ms */
+  worstFrame: number;
+  /** Frame counts per FRAME_BUCKETS entry */
+  histogram: number[];
+  /** Draw calls in the last frame; null until a WebGL draw has been seen */
+  drawCalls: number | null;
+  /** Estimated bytes of GPU textures; null when the demo has no PIXI renderer */
+  textureMemory: number | null;
+  textureCount: number | null;
+}
+
+export interface PerfMonitor {
+  sample: () => PerfSnapshot;
+  destroy: () => void;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DRAW CALL COUNTER
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DRAW_METHODS = ['drawArrays', 'drawElements', 'drawArraysInstanced', 'drawElementsInstanced'] as const;
+
+let drawCalls = 0;
+let drawCounterUsers = 0;
+let restoreDrawCounter: (() => void) | null = null;
+
+/**
+ * Wraps the draw methods on both WebGL prototypes. Shared by all monitors and
+ * removed when the last one is destroyed.
+ */
+function acquireDrawCounter(): void {
+  drawCounterUsers++;
+  if (restoreDrawCounter) return;
+
+  const restores: (() => void)[] = [];
+  const prototypes = [
+    typeof WebGLRenderingContext !== 'undefined' ? WebGLRenderingContext.prototype : null,
+    typeof WebGL2RenderingContext !== 'undefined' ? WebGL2RenderingContext.prototype : null,
+  ];
+  for (const proto of prototypes) {
+    if (!proto) continue;
+    for (const method of DRAW_METHODS) {
+      const target = proto as unknown as Record<string, unknown>;
+      const original = target[method];
+      if (typeof original !== 'function') continue;
+      target[method] = function (this: unknown, ...args: unknown[]) {
+        drawCalls++;
+        return original.apply(this, args);
+      };
+      restores.push(() => {
+        target[method] = original;
+      });
+    }
+  }
+  restoreDrawCounter = () => restores.forEach((restore) => restore());
+}
+
+function releaseDrawCounter(): void {
+  drawCounterUsers = Math.max(0, drawCounterUsers - 1);
+  if (drawCounterUsers > 0 || !restoreDrawCounter) return;
+  restoreDrawCounter();
+  restoreDrawCounter = null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MONITOR
+// ═══════════════════════════════════════════════════════════════════════════
+
+function textureUsage(host: DemoHost | undefined): Pick<PerfSnapshot, 'textureMemory' | 'textureCount'> {
+  const textures = host?.renderer?.texture.managedTextures;
+  if (!textures) return { textureMemory: null, textureCount: null };
+
+  // RGBA8 estimate; mipmaps add about a third
+  let bytes = 0;
+  for (const source of textures) {
+    const size = source.pixelWidth * source.pixelHeight * 4;
+    bytes += source.autoGenerateMipmaps ? size * 4 / 3 : size;
+  }
+  return { textureMemory: bytes, textureCount: textures.length };
+}
+
+/**
+ * Starts sampling a demo. Call destroy() when the demo goes away.
+ */
+export function createPerfMonitor(host: DemoHost | undefined): PerfMonitor {
+  const frameTimes: number[] = [];
+  let lastFrameDraws: number | null = null;
+  let lastTime = performance.now();
+  let frame = 0;
+
+  acquireDrawCounter();
+  drawCalls = 0;
+
+  const tick = (now: number) => {
+    frameTimes.push(now - lastTime);
+    if (frameTimes.length > SAMPLE_WINDOW) frameTimes.shift();
+    lastTime = now;
+
+    if (drawCalls > 0 || lastFrameDraws !== null) lastFrameDraws = drawCalls;
+    drawCalls = 0;
+
+    frame = requestAnimationFrame(tick);
+  };
+  frame = requestAnimationFrame(tick);
+
+  return {
+    sample: () => {
+      const histogram = FRAME_BUCKETS.map(() => 0);
+      let total = 0;
+      let worst = 0;
+      for (const time of frameTimes) {
+        total += time;
+        worst = Math.max(worst, time);
+        histogram[FRAME_BUCKETS.findIndex((bucket) => time < bucket.max)]++;
+      }
+      const frameTime = frameTimes.length > 0 ? total / frameTimes.length : 0;
+
+      return {
+        fps: frameTime > 0 ? 1000 / frameTime : 0,
+        frameTime,
+        worstFrame: worst,
+        histogram,
+        drawCalls: lastFrameDraws,
+        ...textureUsage(host),
+      };
+    },
+    destroy: () => {
+      cancelAnimationFrame(frame);
+      releaseDrawCounter();
+    },
+  };
+}
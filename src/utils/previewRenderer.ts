@@ -0,0 +1,284 @@
+import * as PIXI from 'pixi.js';
+import gsap from 'gsap';
+import { checkRequirements, createPixiContext, createTextureCache, textureCachePlugin } from '../core';
+import { loadComponent } from '../registry';
+import type { ComponentMetadata, PixiContext, PixiContextPlugin, QualityLevel, TextureCache } from '../types';
+import {
+  findComponentClass,
+  resolveRuntime,
+  runComponentLifecycle,
+  type ComponentInstance,
+} from './demoRunner';
+
+/**
+ * Card previews - one offscreen PIXI application renders every live preview.
+ *
+ * Browsers cap live WebGL contexts (16 in Chrome) and the gallery has more
+ * cards than that, so a card never gets a renderer of its own. Each preview is
+ * a component instance in its own container, on its own manually driven
+ * ticker. Every animation frame the shared renderer draws a few previews in
+ * turn and copies each result into its card's 2D canvas. Inactive previews
+ * are neither ticked nor drawn, which is what pauses them off-screen.
+ *
+ * Only pixi-ctx components can share the renderer; shader components own
+ * their WebGL context and keep the static card.
+ */
+
+export const PREVIEW_WIDTH = 320;
+export const PREVIEW_HEIGHT = 192;
+
+// Previews drawn per animation frame; the rest wait their turn
+const PREVIEWS_PER_FRAME = 3;
+
+// Keep the renderer this long after the last card goes (filtering remounts cards)
+const RELEASE_DELAY_MS = 5000;
+
+export interface PreviewSlot {
+  /** Plays (true) or pauses the preview; only visible cards should be active */
+  setActive: (active: boolean) => void;
+  /** Drawn every frame instead of in turn, e.g. while hovered */
+  setFocused: (focused: boolean) => void;
+  destroy: () => void;
+}
+
+export interface PreviewSlotOptions {
+  /** Called once the first frame is on the canvas */
+  onFirstFrame?: () => void;
+}
+
+interface Preview {
+  metadata: ComponentMetadata;
+  target: CanvasRenderingContext2D;
+  options: PreviewSlotOptions;
+  active: boolean;
+  focused: boolean;
+  state: 'idle' | 'loading' | 'ready' | 'failed' | 'destroyed';
+  ticker: PIXI.Ticker;
+  lastDrawn: number;
+  tornDown: boolean;
+  ctx?: PixiContext;
+  root?: PIXI.Container;
+  instance?: ComponentInstance;
+}
+
+const previews = new Set<Preview>();
+let appPromise: Promise<PIXI.Application> | null = null;
+let app: PIXI.Application | null = null;
+let frame = 0;
+let releaseTimer: ReturnType<typeof setTimeout> | null = null;
+let suspended = false;
+
+// Previews draw with the same renderer, so they share one texture cache; it
+// goes with the app rather than with each preview's context
+let textures: TextureCache | null = null;
+const sharedTextures: PixiContextPlugin<TextureCache> = {
+  name: textureCachePlugin.name,
+  install: (ctx) => (textures ??= createTextureCache(ctx)),
+};
+
+function getApp(): Promise<PIXI.Application> {
+  if (!appPromise) {
+    appPromise = (async () => {
+      const next = new PIXI.Application();
+      await next.init({
+        width: PREVIEW_WIDTH,
+        height: PREVIEW_HEIGHT,
+        resolution: 1,
+        backgroundColor: 0x0a0e1a,
+        antialias: false,
+        // Rendering is driven from here, never by the app's own ticker
+        autoStart: false,
+      });
+      app = next;
+      return next;
+    })();
+  }
+  return appPromise;
+}
+
+function releaseApp(): void {
+  releaseTimer = null;
+  if (previews.size > 0) return;
+  textures?.destroy();
+  textures = null;
+  app?.destroy(true, { children: true, texture: true });
+  app = null;
+  appPromise = null;
+}
+
+function teardown(preview: Preview): void {
+  if (preview.tornDown) return;
+  preview.tornDown = true;
+  const { instance, ctx, root } = preview;
+  try {
+    if (typeof instance?.stop === 'function') instance.stop();
+    if (typeof instance?.destroy === 'function') instance.destroy();
+  } catch (err) {
+    console.warn(`[Preview] ${preview.metadata.id} cleanup failed:`, err);
+  }
+  ctx?.destroy();
+  root?.destroy({ children: true });
+  preview.ticker.destroy();
+  preview.instance = undefined;
+  preview.ctx = undefined;
+  preview.root = undefined;
+}
+
+// Slots can be destroyed while load() awaits; state is re-read after each await
+function isDestroyed(preview: Preview): boolean {
+  return preview.state === 'destroyed';
+}
+
+function fail(preview: Preview): void {
+  if (preview.state !== 'destroyed') preview.state = 'failed';
+  teardown(preview);
+}
+
+async function load(preview: Preview): Promise<void> {
+  const { metadata } = preview;
+  preview.state = 'loading';
+  try {
+    // Shader components bring their own WebGL context; skip them before loading
+    if (metadata.preview === false || (metadata.runtime && metadata.runtime !== 'pixi-ctx')) {
+      return fail(preview);
+    }
+
+    const module = (await loadComponent(metadata.id)) as Record<string, unknown>;
+    const ComponentClass = findComponentClass(module, metadata);
+    if (resolveRuntime(metadata, module) !== 'pixi-ctx' || !ComponentClass) return fail(preview);
+
+    const shared = await getApp();
+    if (isDestroyed(preview)) return teardown(preview);
+
+    const ctx = createPixiContext(PIXI, { gsap }, shared, {
+      ticker: preview.ticker,
+      plugins: [sharedTextures],
+    });
+    preview.ctx = ctx;
+    if (checkRequirements(ComponentClass.requires, ctx).length > 0) return fail(preview);
+
+    const root = new PIXI.Container();
+    preview.root = root;
+    const instance = new ComponentClass(ctx, { container: root, width: PREVIEW_WIDTH, height: PREVIEW_HEIGHT });
+    preview.instance = instance;
+    await runComponentLifecycle(instance, ComponentClass);
+    if (typeof instance.setQuality === 'function') {
+      (instance.setQuality as (level: QualityLevel) => void).call(instance, 'low');
+    }
+
+    if (isDestroyed(preview)) return teardown(preview);
+    preview.state = 'ready';
+    schedule();
+  } catch (err) {
+    console.warn(`[Preview] ${metadata.id} could not start:`, err);
+    fail(preview);
+  }
+}
+
+function draw(preview: Preview, now: number): void {
+  const renderer = app!.renderer;
+  preview.ticker.update(now);
+  renderer.render({ container: preview.root!, clear: true });
+  // Same task as the render, so the WebGL canvas still holds the frame
+  preview.target.drawImage(app!.canvas, 0, 0, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+
+  if (preview.lastDrawn === 0) preview.options.onFirstFrame?.();
+  preview.lastDrawn = now;
+}
+
+function tick(now: number): void {
+  frame = 0;
+  if (suspended || !app) return;
+
+  const due = [...previews].filter((preview) => preview.state === 'ready' && preview.active);
+  if (due.length === 0) return;
+
+  // Focused previews first, then whichever has waited longest
+  due.sort((a, b) => Number(b.focused) - Number(a.focused) || a.lastDrawn - b.lastDrawn);
+  for (const preview of due.slice(0, PREVIEWS_PER_FRAME)) {
+    try {
+      draw(preview, now);
+    } catch (err) {
+      console.warn(`[Preview] ${preview.metadata.id} stopped:`, err);
+      fail(preview);
+    }
+  }
+  frame = requestAnimationFrame(tick);
+}
+
+function schedule(): void {
+  if (!frame && !suspended) frame = requestAnimationFrame(tick);
+}
+
+/**
+ * Pauses every preview, e.g. while a modal covers the gallery
+ */
+export function suspendPreviews(suspend: boolean): void {
+  suspended = suspend;
+  if (suspend) {
+    cancelAnimationFrame(frame);
+    frame = 0;
+  } else {
+    schedule();
+  }
+}
+
+/**
+ * Attaches a live preview of a component to a card canvas. The component is
+ * loaded the first time the slot becomes active.
+ */
+export function createPreviewSlot(
+  metadata: ComponentMetadata,
+  canvas: HTMLCanvasElement,
+  options: PreviewSlotOptions = {}
+): PreviewSlot {
+  canvas.width = PREVIEW_WIDTH;
+  canvas.height = PREVIEW_HEIGHT;
+  const target = canvas.getContext('2d');
+  if (!target) {
+    throw new Error('Preview: could not create a 2D canvas');
+  }
+
+  const ticker = new PIXI.Ticker();
+  ticker.autoStart = false;
+
+  const preview: Preview = {
+    metadata,
+    target,
+    options,
+    active: false,
+    focused: false,
+    state: 'idle',
+    ticker,
+    lastDrawn: 0,
+    tornDown: false,
+  };
+  previews.add(preview);
+  if (releaseTimer) {
+    clearTimeout(releaseTimer);
+    releaseTimer = null;
+  }
+
+  return {
+    setActive: (active) => {
+      preview.active = active;
+      if (!active) return;
+      if (preview.state === 'idle') void load(preview);
+      else schedule();
+    },
+    setFocused: (focused) => {
+      preview.focused = focused;
+    },
+    destroy: () => {
+      if (preview.state === 'destroyed') return;
+      // A load in flight tears itself down when it sees this
+      const loading = preview.state === 'loading';
+      preview.state = 'destroyed';
+      previews.delete(preview);
+      if (!loading) teardown(preview);
+      if (previews.size === 0 && !releaseTimer) {
+        releaseTimer = setTimeout(releaseApp, RELEASE_DELAY_MS);
+      }
+    },
+  };
+}
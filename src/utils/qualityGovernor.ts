@@ -0,0 +1,150 @@
+import { createSignal, QUALITY_LEVELS } from '../core';
+import type { QualityChange, QualityLevel, Signal } from '../types';
+import { setDemoQuality, type DemoInstance } from './demoRunner';
+
+/**
+ * Adaptive quality - watches frame times while a demo runs and moves it
+ * between quality tiers through setDemoQuality().
+ *
+ * Decisions are made once per window of frames. One slow window steps down;
+ * stepping up needs several fast windows in a row. Every change starts a
+ * cooldown, and an upshift that gets undone right away doubles the number of
+ * fast windows the next upshift needs, so a demo sitting on the edge settles
+ * instead of flip-flopping.
+ */
+
+export interface QualityGovernorOptions {
+  /** Tier applied on creation (default 'high') */
+  level?: QualityLevel;
+  /** Step down when the window's mean frame time exceeds this, in ms (default: below ~45fps) */
+  downshiftAt?: number;
+  /** Step up when the mean frame time stays under this, in ms (default: ~55fps or better) */
+  upshiftAt?: number;
+  /** Frames per decision window */
+  windowFrames?: number;
+  /** Consecutive fast windows before stepping up */
+  upshiftWindows?: number;
+  /** No automatic step within this many ms of the last change (also a warm-up after mount) */
+  cooldownMs?: number;
+  /** Start adjusting right away (default true) */
+  auto?: boolean;
+}
+
+export interface QualityGovernor {
+  readonly level: QualityLevel;
+  readonly auto: boolean;
+  /** Fires on every tier change, automatic or manual */
+  readonly onChange: Signal<QualityChange>;
+  /** Turns automatic stepping on or off; the current tier is kept */
+  setAuto: (enabled: boolean) => void;
+  /** Applies a tier directly */
+  setLevel: (level: QualityLevel) => void;
+  destroy: () => void;
+}
+
+// Frames longer than this are a hidden tab or a debugger pause, not load
+const MAX_FRAME_MS = 250;
+
+/**
+ * Starts governing a running demo. Call destroy() before the demo goes away.
+ */
+export function createQualityGovernor(
+  demo: DemoInstance,
+  {
+    level: initialLevel = 'high',
+    downshiftAt = 22,
+    upshiftAt = 18,
+    windowFrames = 60,
+    upshiftWindows = 3,
+    cooldownMs = 2000,
+    auto: initialAuto = true,
+  }: QualityGovernorOptions = {}
+): QualityGovernor {
+  const onChange = createSignal<QualityChange>();
+  let level = initialLevel;
+  let auto = initialAuto;
+
+  let windowTotal = 0;
+  let windowCount = 0;
+  let fastWindows = 0;
+  let upshiftsNeeded = upshiftWindows;
+  let lastChange = performance.now();
+  let lastUpshift = -Infinity;
+  let lastTime = lastChange;
+  let frame = 0;
+
+  const apply = (next: QualityLevel, reason: QualityChange['reason'], frameTime?: number) => {
+    if (next === level) return;
+    const previous = level;
+    level = next;
+    lastChange = performance.now();
+    fastWindows = 0;
+    setDemoQuality(demo, next);
+    onChange.emit({ level: next, previous, reason, frameTime });
+  };
+
+  const step = (direction: -1 | 1, frameTime: number) => {
+    const index = QUALITY_LEVELS.indexOf(level) + direction;
+    if (index < 0 || index >= QUALITY_LEVELS.length) return;
+
+    const now = performance.now();
+    if (direction < 0 && now - lastUpshift < cooldownMs * 2) {
+      // The last upshift did not hold; be slower to try again
+      upshiftsNeeded *= 2;
+    }
+    if (direction > 0) lastUpshift = now;
+    apply(QUALITY_LEVELS[index], 'auto', frameTime);
+  };
+
+  const evaluate = (now: number) => {
+    const frameTime = windowTotal / windowCount;
+    windowTotal = 0;
+    windowCount = 0;
+    if (!auto || now - lastChange < cooldownMs) return;
+
+    if (frameTime > downshiftAt) {
+      step(-1, frameTime);
+    } else if (frameTime < upshiftAt) {
+      fastWindows++;
+      if (fastWindows >= upshiftsNeeded) step(1, frameTime);
+    } else {
+      fastWindows = 0;
+    }
+  };
+
+  const tick = (now: number) => {
+    const delta = now - lastTime;
+    lastTime = now;
+    if (delta < MAX_FRAME_MS) {
+      windowTotal += delta;
+      windowCount++;
+      if (windowCount >= windowFrames) evaluate(now);
+    }
+    frame = requestAnimationFrame(tick);
+  };
+
+  // 'high' is the demo as configured, so only lower tiers need applying now
+  if (level !== 'high') setDemoQuality(demo, level);
+  frame = requestAnimationFrame(tick);
+
+  return {
+    get level() {
+      return level;
+    },
+    get auto() {
+      return auto;
+    },
+    onChange,
+    setAuto: (enabled) => {
+      auto = enabled;
+      fastWindows = 0;
+      upshiftsNeeded = upshiftWindows;
+      lastChange = performance.now();
+    },
+    setLevel: (next) => apply(next, 'manual'),
+    destroy: () => {
+      cancelAnimationFrame(frame);
+      onChange.clear();
+    },
+  };
+}
@@ -0,0 +1,237 @@
+import { UPDATE_PRIORITY } from 'pixi.js';
+import type { DemoInstance } from './demoRunner';
+import { createZip, type ZipEntry } from './zip';
+
+/**
+ * Demo recording - WebM through MediaRecorder, or a zip of PNG frames.
+ *
+ * WebM is captured in real time, so it shows whatever the demo renders,
+ * slow motion included. PNG sequences pause the demo clock and step it once
+ * per frame, so every frame is rendered and none can be dropped, however long
+ * encoding takes.
+ *
+ * Frames are copied from the demo canvas into a 2D canvas of the requested
+ * size, letterboxed when the demo cannot take that aspect ratio.
+ */
+
+export type RecordingFormat = 'webm' | 'png';
+
+export interface RecordOptions {
+  format: RecordingFormat;
+  /** Length in seconds */
+  duration: number;
+  /** Output size in pixels; the demo is resized to match while recording. Defaults to the canvas size. */
+  width?: number;
+  height?: number;
+  /** Frames per second (default 60). PNG sequences need a divisor of 60. */
+  fps?: number;
+  /** Called with the finished fraction, 0-1 */
+  onProgress?: (fraction: number) => void;
+  /** Aborting stops the recording and rejects */
+  signal?: AbortSignal;
+}
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Steps of the demo clock per second
+const CLOCK_FPS = 60;
+
+function webmType(): string | undefined {
+  if (typeof MediaRecorder === 'undefined') return undefined;
+  return WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+}
+
+/**
+ * Whether this browser can record WebM
+ */
+export function canRecordWebM(): boolean {
+  return webmType() !== undefined;
+}
+
+/**
+ * Whether a demo can be recorded as a PNG sequence (it needs a clock to step)
+ */
+export function canRecordFrames(demo: DemoInstance | null): boolean {
+  return !!demo?.canvas && !!demo.clock;
+}
+
+function cancelled(): Error {
+  return new Error('Recorder: cancelled');
+}
+
+/**
+ * A 2D canvas at the output size plus a copy() that draws the current demo
+ * frame into it. WebGL canvases are only readable in the task that rendered
+ * them, so copy() must run straight after the render.
+ */
+function createFrameCopy(source: HTMLCanvasElement, width: number, height: number) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (!context) {
+    throw new Error('Recorder: could not create a 2D canvas');
+  }
+
+  const copy = () => {
+    const scale = Math.min(width / source.width, height / source.height);
+    const drawWidth = source.width * scale;
+    const drawHeight = source.height * scale;
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(source, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+  };
+
+  return { canvas, copy };
+}
+
+function canvasToPng(canvas: HTMLCanvasElement): Promise<Blob> {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Recorder: PNG encoding failed'));
+    }, 'image/png');
+  });
+}
+
+async function recordWebM(
+  demo: DemoInstance,
+  copy: () => void,
+  output: HTMLCanvasElement,
+  { duration, fps = CLOCK_FPS, onProgress, signal }: RecordOptions
+): Promise<Blob> {
+  const mimeType = webmType();
+  if (!mimeType) {
+    throw new Error('Recorder: this browser cannot record WebM');
+  }
+  const ticker = demo.host?.ticker;
+  if (!ticker) {
+    throw new Error('Recorder: the demo has no ticker to record from');
+  }
+
+  const stream = output.captureStream(fps);
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8_000_000 });
+  const chunks: Blob[] = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+
+  // A paused demo would record a still; run it for the take and pause again after
+  const wasPaused = demo.clock?.paused ?? false;
+  demo.clock?.resume();
+
+  let started = 0;
+  let finished = false;
+  const done = new Promise<void>((resolve, reject) => {
+    const finish = (error?: Error) => {
+      if (finished) return;
+      finished = true;
+      ticker.remove(onFrame);
+      signal?.removeEventListener('abort', onAbort);
+      recorder.onstop = () => {
+        stream.getTracks().forEach((track) => track.stop());
+        if (error) reject(error);
+        else resolve();
+      };
+      recorder.stop();
+    };
+    // After the render (LOW), so the canvas holds this frame
+    const onFrame = () => {
+      const now = performance.now();
+      if (!started) started = now;
+      copy();
+      const elapsed = (now - started) / 1000;
+      onProgress?.(Math.min(1, elapsed / duration));
+      if (elapsed >= duration) finish();
+    };
+    const onAbort = () => finish(cancelled());
+
+    signal?.addEventListener('abort', onAbort);
+    ticker.add(onFrame, undefined, UPDATE_PRIORITY.UTILITY);
+    recorder.start();
+  });
+
+  try {
+    await done;
+  } finally {
+    if (wasPaused) demo.clock?.pause();
+  }
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+async function recordFrames(
+  demo: DemoInstance,
+  copy: () => void,
+  output: HTMLCanvasElement,
+  { duration, fps = CLOCK_FPS, onProgress, signal }: RecordOptions
+): Promise<Blob> {
+  const clock = demo.clock;
+  if (!clock) {
+    throw new Error('Recorder: PNG sequences need a demo with a clock');
+  }
+  if (!Number.isInteger(fps) || fps <= 0 || CLOCK_FPS % fps !== 0) {
+    throw new Error(`Recorder: PNG sequences need an fps that divides ${CLOCK_FPS}, got ${fps}`);
+  }
+
+  const frameCount = Math.max(1, Math.round(duration * fps));
+  const digits = String(frameCount).length;
+  const entries: ZipEntry[] = [];
+
+  const wasPaused = clock.paused;
+  clock.pause();
+  try {
+    for (let i = 0; i < frameCount; i++) {
+      if (signal?.aborted) throw cancelled();
+      // step() renders synchronously, so the copy sees the new frame
+      clock.step(CLOCK_FPS / fps);
+      copy();
+      const png = await canvasToPng(output);
+      entries.push({
+        name: `frame-${String(i).padStart(digits, '0')}.png`,
+        content: new Uint8Array(await png.arrayBuffer()),
+      });
+      onProgress?.((i + 1) / frameCount);
+    }
+  } finally {
+    if (!wasPaused) clock.resume();
+  }
+
+  return createZip(entries);
+}
+
+/**
+ * Records a running demo. Resolves with a WebM video or a zip of PNG frames.
+ *
+ *   const blob = await recordDemo(demo, { format: 'png', duration: 2, width: 1920, height: 1080 });
+ */
+export async function recordDemo(demo: DemoInstance, options: RecordOptions): Promise<Blob> {
+  const source = demo.canvas;
+  if (!source) {
+    throw new Error('Recorder: the demo has no canvas to record');
+  }
+  if (!(options.duration > 0)) {
+    throw new Error(`Recorder: duration must be positive, got ${options.duration}`);
+  }
+
+  const width = Math.round(options.width ?? source.width);
+  const height = Math.round(options.height ?? source.height);
+
+  // Lay the demo out at the output size; the backing store follows at the display's pixel ratio
+  const container = source.parentElement;
+  const resized = !!demo.resize && !!container && options.width !== undefined && options.height !== undefined;
+  if (resized) {
+    const pixelRatio = window.devicePixelRatio || 1;
+    demo.resize!(Math.round(width / pixelRatio), Math.round(height / pixelRatio));
+  }
+
+  try {
+    const { canvas, copy } = createFrameCopy(source, width, height);
+    return options.format === 'webm'
+      ? await recordWebM(demo, copy, canvas, options)
+      : await recordFrames(demo, copy, canvas, options);
+  } finally {
+    if (resized && container) {
+      demo.resize!(container.clientWidth, container.clientHeight);
+    }
+  }
+}
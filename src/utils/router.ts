@@ -0,0 +1,246 @@
+import { useEffect } from 'react';
+import { getCategoryCounts, getComponentById } from '../registry';
+import { useFilterStore, useUIStore } from '../stores';
+import type { ComponentCategory, FilterState, SortOption } from '../types';
+
+/**
+ * Client-side routes:
+ *
+ *   /                         gallery
+ *   /c/:id                    component demo
+ *   /c/:id/code               component source
+ *   /c/:id?preset=calm&ballCount=60
+ *   /c/:id?seed=1234          same scene every time (ctx.random seed)
+ *   /compose                  scene composer
+ *
+ * Gallery filters ride along on every route as q, category, tag, sort and
+ * bookmarks; on component routes every other query param is an option override.
+ */
+export interface AppRoute {
+  contentId: string | null;
+  tab: 'demo' | 'code';
+  preset: string | null;
+  /** ctx.random seed; kept as the URL string so word seeds round-trip */
+  seed: string | null;
+  options: Record<string, unknown>;
+  filters: FilterState;
+  /** Scene composer open (never together with a component) */
+  composer: boolean;
+}
+
+const FILTER_PARAMS = {
+  search: 'q',
+  category: 'category',
+  tag: 'tag',
+  sortBy: 'sort',
+  showBookmarksOnly: 'bookmarks',
+} as const;
+
+const PRESET_PARAM = 'preset';
+const SEED_PARAM = 'seed';
+
+const RESERVED_PARAMS = new Set<string>([...Object.values(FILTER_PARAMS), PRESET_PARAM, SEED_PARAM]);
+
+const SORT_OPTIONS: readonly SortOption[] = ['popular', 'newest', 'name', 'likes', 'copies'];
+
+const DEFAULT_FILTERS: FilterState = {
+  search: '',
+  category: 'all',
+  tag: null,
+  sortBy: 'popular',
+  showBookmarksOnly: false,
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// OPTION VALUE ENCODING
+// ═══════════════════════════════════════════════════════════════════════════
+
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$|^0x[0-9a-f]+$/i;
+
+/**
+ * Decodes a query param into the option type it most likely holds
+ */
+function decodeOptionValue(raw: string): unknown {
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (raw === 'null') return null;
+  if (NUMBER_PATTERN.test(raw)) return Number(raw);
+  if (raw.startsWith('[') || raw.startsWith('{')) {
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+  return raw;
+}
+
+function encodeOptionValue(value: unknown): string {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number' || typeof value === 'boolean' || value === null) return String(value);
+  return JSON.stringify(value);
+}
+
+function sameOptions(a: Record<string, unknown>, b: Record<string, unknown>): boolean {
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => key in b && encodeOptionValue(a[key]) === encodeOptionValue(b[key]));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARSE / BUILD
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parses a pathname and query string into a route. Unknown component ids and
+ * out-of-range filter values fall back to defaults.
+ */
+export function parseRoute(pathname: string, search: string): AppRoute {
+  const params = new URLSearchParams(search);
+  const match = pathname.match(/^\/c\/([^/]+)(?:\/(code|demo))?\/?$/);
+  const composer = /^\/compose\/?$/.test(pathname);
+  const contentId = match && getComponentById(decodeURIComponent(match[1])) ? decodeURIComponent(match[1]) : null;
+
+  const category = params.get(FILTER_PARAMS.category);
+  const sortBy = params.get(FILTER_PARAMS.sortBy);
+  const filters: FilterState = {
+    search: params.get(FILTER_PARAMS.search) ?? DEFAULT_FILTERS.search,
+    category:
+      category && category in getCategoryCounts() ? (category as ComponentCategory | 'all') : DEFAULT_FILTERS.category,
+    tag: params.get(FILTER_PARAMS.tag) || DEFAULT_FILTERS.tag,
+    sortBy: sortBy && SORT_OPTIONS.includes(sortBy as SortOption) ? (sortBy as SortOption) : DEFAULT_FILTERS.sortBy,
+    showBookmarksOnly: params.get(FILTER_PARAMS.showBookmarksOnly) === '1',
+  };
+
+  const options: Record<string, unknown> = {};
+  if (contentId) {
+    for (const [key, value] of params) {
+      if (!RESERVED_PARAMS.has(key)) options[key] = decodeOptionValue(value);
+    }
+  }
+
+  return {
+    contentId,
+    tab: contentId && match?.[2] === 'code' ? 'code' : 'demo',
+    preset: contentId ? params.get(PRESET_PARAM) : null,
+    seed: contentId ? params.get(SEED_PARAM) || null : null,
+    options,
+    filters,
+    composer,
+  };
+}
+
+/**
+ * Builds the canonical URL (path + query) for a route
+ */
+export function buildRouteUrl(route: AppRoute): string {
+  const params = new URLSearchParams();
+  const { filters } = route;
+
+  if (filters.search) params.set(FILTER_PARAMS.search, filters.search);
+  if (filters.category !== DEFAULT_FILTERS.category) params.set(FILTER_PARAMS.category, filters.category);
+  if (filters.tag) params.set(FILTER_PARAMS.tag, filters.tag);
+  if (filters.sortBy !== DEFAULT_FILTERS.sortBy) params.set(FILTER_PARAMS.sortBy, filters.sortBy);
+  if (filters.showBookmarksOnly) params.set(FILTER_PARAMS.showBookmarksOnly, '1');
+
+  let path = route.composer ? '/compose' : '/';
+  if (route.contentId) {
+    path = `/c/${encodeURIComponent(route.contentId)}${route.tab === 'code' ? '/code' : ''}`;
+    if (route.preset) params.set(PRESET_PARAM, route.preset);
+    if (route.seed) params.set(SEED_PARAM, route.seed);
+    for (const key of Object.keys(route.options).sort()) {
+      if (RESERVED_PARAMS.has(key)) continue;
+      params.set(key, encodeOptionValue(route.options[key]));
+    }
+  }
+
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STORE SYNC
+// ═══════════════════════════════════════════════════════════════════════════
+
+function routeFromStores(): AppRoute {
+  const ui = useUIStore.getState();
+  const { search, category, tag, sortBy, showBookmarksOnly } = useFilterStore.getState();
+  return {
+    contentId: ui.selectedContentId,
+    tab: ui.activeTab,
+    preset: ui.preset,
+    seed: ui.seed,
+    options: ui.optionOverrides,
+    filters: { search, category, tag, sortBy, showBookmarksOnly },
+    composer: ui.isComposerOpen,
+  };
+}
+
+function applyRoute(route: AppRoute): void {
+  const ui = useUIStore.getState();
+  if (route.contentId !== ui.selectedContentId) ui.setSelectedContent(route.contentId);
+  if (route.composer !== ui.isComposerOpen) ui.setComposerOpen(route.composer);
+
+  const next = useUIStore.getState();
+  if (route.tab !== next.activeTab) next.setActiveTab(route.tab);
+  if (route.preset !== next.preset) next.setPreset(route.preset);
+  if (route.seed !== next.seed) next.setSeed(route.seed);
+  // Keep the same object when nothing changed so the demo is not restarted
+  if (!sameOptions(route.options, next.optionOverrides)) next.setOptionOverrides(route.options);
+
+  useFilterStore.setState(route.filters);
+}
+
+function currentUrl(): string {
+  return window.location.pathname + window.location.search;
+}
+
+/**
+ * Two-way sync between the URL and the UI/filter stores. Opening, closing or
+ * switching tabs pushes a history entry; filter and option edits replace the
+ * current one. Back/forward re-applies the URL to the stores.
+ */
+export function useRouteSync(): void {
+  useEffect(() => {
+    let applying = false;
+
+    const applyLocation = () => {
+      applying = true;
+      applyRoute(parseRoute(window.location.pathname, window.location.search));
+      applying = false;
+
+      // Canonicalize (unknown ids, param order) without adding history
+      const url = buildRouteUrl(routeFromStores());
+      if (url !== currentUrl()) window.history.replaceState(null, '', url);
+    };
+
+    const syncUrl = () => {
+      if (applying) return;
+      const route = routeFromStores();
+      const url = buildRouteUrl(route);
+      if (url === currentUrl()) return;
+
+      const previous = parseRoute(window.location.pathname, window.location.search);
+      const navigates =
+        previous.contentId !== route.contentId ||
+        previous.composer !== route.composer ||
+        (route.contentId !== null && previous.tab !== route.tab);
+      if (navigates) {
+        window.history.pushState(null, '', url);
+      } else {
+        window.history.replaceState(null, '', url);
+      }
+    };
+
+    applyLocation();
+    window.addEventListener('popstate', applyLocation);
+    const unsubscribeUI = useUIStore.subscribe(syncUrl);
+    const unsubscribeFilters = useFilterStore.subscribe(syncUrl);
+
+    return () => {
+      window.removeEventListener('popstate', applyLocation);
+      unsubscribeUI();
+      unsubscribeFilters();
+    };
+  }, []);
+}
@@ -0,0 +1,158 @@
+import { COMPONENT_METADATA, getComponentById, loadComponent } from '../registry';
+import type { ComponentMetadata, LayerBlendMode, SceneComposition, SceneLayer } from '../types';
+import type { SceneLayerSource } from './demoRunner';
+
+/**
+ * Scene compositions - several registry components stacked on one stage.
+ *
+ * A composition is plain JSON so it can be saved, shared and loaded back.
+ * Layers draw into a container they are given: pixi-ctx components directly,
+ * shader components through the Layer export named in `metadata.layer`.
+ */
+
+export const LAYER_BLEND_MODES: readonly LayerBlendMode[] = ['normal', 'add', 'multiply', 'screen'];
+
+export const COMPOSITION_VERSION = 1;
+
+/**
+ * Whether a component can be added as a layer
+ */
+export function isComposable(metadata: ComponentMetadata): boolean {
+  return !metadata.runtime || metadata.runtime === 'pixi-ctx' || !!metadata.layer;
+}
+
+/**
+ * Components offered in the composer's layer picker
+ */
+export function getComposableComponents(): ComponentMetadata[] {
+  return COMPONENT_METADATA.filter(isComposable);
+}
+
+export function createEmptyComposition(): SceneComposition {
+  return { version: COMPOSITION_VERSION, name: 'Untitled scene', layers: [] };
+}
+
+/**
+ * New layer for a component. Ids are the component id, numbered when the
+ * component is already in the scene, so saved JSON stays readable.
+ */
+export function createLayer(
+  component: string,
+  existing: readonly SceneLayer[],
+  options: Record<string, unknown> = {}
+): SceneLayer {
+  const taken = new Set(existing.map((layer) => layer.id));
+  let id = component;
+  for (let n = 2; taken.has(id); n++) id = `${component}-${n}`;
+  return { id, component, blendMode: 'normal', alpha: 1, visible: true, options };
+}
+
+/**
+ * File name stem for downloads of a composition
+ */
+export function compositionSlug(composition: SceneComposition): string {
+  const slug = composition.name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || 'scene';
+}
+
+export function serializeComposition(composition: SceneComposition): string {
+  return `${JSON.stringify(composition, null, 2)}\n`;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function parseLayer(raw: unknown, index: number, ids: Set<string>): SceneLayer {
+  const where = `layer ${index + 1}`;
+  if (!isPlainObject(raw)) {
+    throw new Error(`Composer: ${where} is not an object`);
+  }
+
+  const component = raw.component;
+  const metadata = typeof component === 'string' ? getComponentById(component) : undefined;
+  if (!metadata) {
+    throw new Error(`Composer: ${where} uses unknown component ${JSON.stringify(component)}`);
+  }
+  if (!isComposable(metadata)) {
+    throw new Error(`Composer: ${where} (${metadata.name}) owns its canvas and cannot be layered`);
+  }
+
+  const id = typeof raw.id === 'string' && raw.id ? raw.id : metadata.id;
+  if (ids.has(id)) {
+    throw new Error(`Composer: duplicate layer id "${id}"`);
+  }
+  ids.add(id);
+
+  const blendMode = raw.blendMode ?? 'normal';
+  if (!LAYER_BLEND_MODES.includes(blendMode as LayerBlendMode)) {
+    throw new Error(`Composer: ${where} has blend mode ${JSON.stringify(blendMode)}, expected one of ${LAYER_BLEND_MODES.join(', ')}`);
+  }
+
+  const alpha = raw.alpha ?? 1;
+  if (typeof alpha !== 'number' || !(alpha >= 0 && alpha <= 1)) {
+    throw new Error(`Composer: ${where} alpha must be a number from 0 to 1`);
+  }
+
+  const options = raw.options ?? {};
+  if (!isPlainObject(options)) {
+    throw new Error(`Composer: ${where} options must be an object`);
+  }
+
+  return {
+    id,
+    component: metadata.id,
+    blendMode: blendMode as LayerBlendMode,
+    alpha,
+    visible: raw.visible !== false,
+    options,
+  };
+}
+
+/**
+ * Parses and validates saved composition JSON. Throws on anything the
+ * composer could not run, naming the offending layer.
+ */
+export function parseComposition(json: string): SceneComposition {
+  let raw: unknown;
+  try {
+    raw = JSON.parse(json);
+  } catch {
+    throw new Error('Composer: the file is not valid JSON');
+  }
+  if (!isPlainObject(raw) || !Array.isArray(raw.layers)) {
+    throw new Error('Composer: expected an object with a "layers" array');
+  }
+  if (raw.version !== COMPOSITION_VERSION) {
+    throw new Error(`Composer: unsupported composition version ${JSON.stringify(raw.version)}`);
+  }
+
+  const ids = new Set<string>();
+  return {
+    version: COMPOSITION_VERSION,
+    name: typeof raw.name === 'string' && raw.name ? raw.name : 'Untitled scene',
+    layers: raw.layers.map((layer, index) => parseLayer(layer, index, ids)),
+  };
+}
+
+/**
+ * Loads the content module of every layer, for runSceneDemo and the
+ * project export. Modules are loaded once per component.
+ */
+export async function loadSceneSources(layers: readonly SceneLayer[]): Promise<SceneLayerSource[]> {
+  const modules = new Map<string, Promise<unknown>>();
+  return Promise.all(
+    layers.map(async (layer) => {
+      const metadata = getComponentById(layer.component);
+      if (!metadata) {
+        throw new Error(`Composer: unknown component "${layer.component}"`);
+      }
+      if (!modules.has(metadata.id)) modules.set(metadata.id, loadComponent(metadata.id));
+      const module = (await modules.get(metadata.id)) as Record<string, unknown>;
+      return { layer, metadata, module };
+    })
+  );
+}
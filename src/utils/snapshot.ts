@@ -0,0 +1,113 @@
+import { Rectangle } from 'pixi.js';
+import type { DemoInstance } from './demoRunner';
+
+/**
+ * Still frames of a running demo as PNG.
+ *
+ * PIXI demos are re-rendered through `renderer.extract` at the requested
+ * multiple of their logical size, so 4x is a real 4x render rather than an
+ * upscale, and the clear color can be swapped for transparency. Shader demos
+ * own their canvas: it is resized for the multiplier, redrawn through the
+ * demo clock and copied in the same task, before WebGL discards the buffer.
+ */
+
+export const SNAPSHOT_SCALES = [1, 2, 4] as const;
+
+export type SnapshotScale = (typeof SNAPSHOT_SCALES)[number];
+
+export interface SnapshotOptions {
+  /** Multiple of the demo's logical (CSS pixel) size (default 1) */
+  scale?: SnapshotScale;
+  /** Leave the background transparent instead of the renderer's clear color (PIXI demos only) */
+  transparent?: boolean;
+}
+
+/**
+ * Whether the snapshot of this demo can have a transparent background
+ */
+export function canSnapshotTransparent(demo: DemoInstance | null): boolean {
+  return !!demo?.host?.renderer && !!demo.host.stage;
+}
+
+function canvasToPng(canvas: HTMLCanvasElement): Promise<Blob> {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error('Snapshot: PNG encoding failed'));
+    }, 'image/png');
+  });
+}
+
+function extractPixiFrame(demo: DemoInstance, scale: number, transparent: boolean): HTMLCanvasElement {
+  const { renderer, stage } = demo.host!;
+  const { width, height } = renderer!.screen;
+  return renderer!.extract.canvas({
+    target: stage!,
+    frame: new Rectangle(0, 0, width, height),
+    resolution: scale,
+    clearColor: transparent ? [0, 0, 0, 0] : renderer!.background.color,
+    antialias: true,
+  }) as HTMLCanvasElement;
+}
+
+function copyCanvasFrame(demo: DemoInstance, scale: number): HTMLCanvasElement {
+  const source = demo.canvas;
+  if (!source) {
+    throw new Error('Snapshot: the demo has no canvas');
+  }
+  if (!demo.clock) {
+    throw new Error('Snapshot: the demo has no clock to redraw it with');
+  }
+
+  const container = source.parentElement;
+  const width = Math.round((container?.clientWidth || source.clientWidth) * scale);
+  const height = Math.round((container?.clientHeight || source.clientHeight) * scale);
+  const resized = scale !== 1 && !!demo.resize && !!container;
+  if (resized) {
+    // Backing store lands near the output size at the display's pixel ratio
+    const pixelRatio = window.devicePixelRatio || 1;
+    demo.resize!(Math.round(width / pixelRatio), Math.round(height / pixelRatio));
+  }
+
+  try {
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const context = output.getContext('2d');
+    if (!context) {
+      throw new Error('Snapshot: could not create a 2D canvas');
+    }
+    demo.clock.redraw();
+    context.drawImage(source, 0, 0, width, height);
+    return output;
+  } finally {
+    if (resized) {
+      demo.resize!(container!.clientWidth, container!.clientHeight);
+      demo.clock.redraw();
+    }
+  }
+}
+
+/**
+ * Captures the demo's current frame as a PNG blob
+ */
+export async function captureSnapshot(demo: DemoInstance, { scale = 1, transparent = false }: SnapshotOptions = {}): Promise<Blob> {
+  if (!SNAPSHOT_SCALES.includes(scale)) {
+    throw new Error(`Snapshot: scale must be one of ${SNAPSHOT_SCALES.join(', ')}, got ${scale}`);
+  }
+  const canvas = canSnapshotTransparent(demo)
+    ? extractPixiFrame(demo, scale, transparent)
+    : copyCanvasFrame(demo, scale);
+  return canvasToPng(canvas);
+}
+
+/**
+ * Puts a PNG on the clipboard. Throws where the async clipboard API cannot
+ * take images (older browsers, insecure origins).
+ */
+export async function copyImageToClipboard(png: Blob): Promise<void> {
+  if (typeof ClipboardItem === 'undefined' || !navigator.clipboard?.write) {
+    throw new Error('Snapshot: this browser cannot copy images to the clipboard');
+  }
+  await navigator.clipboard.write([new ClipboardItem({ [png.type]: png })]);
+}
@@ -0,0 +1,464 @@
+import gsap from 'gsap';
+import { VERSION as PIXI_VERSION } from 'pixi.js';
+
+import { getComponentSource } from '../registry';
+import type { ComponentMetadata, ComponentRuntime, SceneComposition } from '../types';
+
+import {
+  findComponentClass,
+  findLayerClass,
+  resolveRuntime,
+  type DemoOptions,
+  type SceneLayerSource,
+} from './demoRunner';
+import { serializeComposition } from './sceneComposer';
+import { createZip, type ZipEntry } from './zip';
+
+/**
+ * Starter projects - a zip a buyer can unpack and `npm install && npm run dev`.
+ *
+ * main.js is generated per runtime kind so it matches the constructor shape
+ * the gallery uses: (ctx, options) for pixi-ctx components, a single options
+ * object with an HTML container and ticker for standalone shaders/canvases.
+ * Scene compositions get a main.js that stacks every layer on one stage.
+ */
+
+const VITE_VERSION = '^5.4.0';
+
+// Content files import shared modules (context factory, quality tiers) from
+// src/core; the zip keeps the repo layout so those relative imports resolve
+// unchanged. Those modules ship verbatim, so they may import each other but
+// no package at runtime: only `import type`. src/types is not in the zip;
+// their `import type … from '../types'` lines work only because esbuild
+// erases type imports.
+const CONTENT_DIR = 'content';
+const PIXI_CONTEXT_PATH = 'src/core/pixiContext.ts';
+
+// Every src/core module by its path in the zip (src/core/clock.ts)
+const CORE_SOURCES: Record<string, string> = Object.fromEntries(
+  Object.entries(import.meta.glob<string>('../core/*.ts', { query: '?raw', import: 'default', eager: true })).map(
+    ([key, source]) => [key.replace(/^\.\.\//, 'src/'), source]
+  )
+);
+
+// Relative runtime imports and re-exports; `import type` is erased and needs no file
+const RELATIVE_IMPORT = /^\s*(?:import|export)\s+(?!type\b)(?:[^'"]*?\sfrom\s+)?['"](\.{1,2}\/[^'"]+)['"]/gm;
+
+/** A file in the project, by its path relative to the project root */
+export interface ProjectFile {
+  path: string;
+  content: string;
+}
+
+/**
+ * Import line binding the component class to `Component` (or `binding`)
+ */
+function importStatement(
+  module: Record<string, unknown>,
+  metadata: ComponentMetadata,
+  binding = 'Component',
+  namespace = 'content'
+): string {
+  const file = `./${CONTENT_DIR}/${metadata.fileName}`;
+  if (typeof module.default === 'function') {
+    return `import ${binding} from '${file}';`;
+  }
+  for (const name of metadata.components) {
+    if (typeof module[name] === 'function') return `import { ${name} as ${binding} } from '${file}';`;
+  }
+  // Default export is an object of classes
+  const name = metadata.components[0];
+  return `import ${namespace} from '${file}';\nconst ${binding} = ${namespace}.${name};`;
+}
+
+function optionsLiteral(options: DemoOptions): string {
+  return JSON.stringify(options, null, 2);
+}
+
+function pixiMain(imports: string, options: DemoOptions, seed: number | string | null): string {
+  const config = seed === null ? '' : `, { seed: ${JSON.stringify(seed)} }`;
+  return `import * as PIXI from 'pixi.js';
+import gsap from 'gsap';
+import { PixiPlugin } from 'gsap/PixiPlugin';
+import { assertRequirements, createPixiContext } from './${PIXI_CONTEXT_PATH}';
+${imports}
+
+// Options changed in the gallery before download
+const options = ${optionsLiteral(options)};
+
+async function main() {
+  const app = new PIXI.Application();
+  await app.init({
+    resizeTo: window,
+    backgroundColor: 0x0a0e1a,
+    antialias: true,
+    resolution: Math.min(window.devicePixelRatio || 1, 2),
+    autoDensity: true,
+  });
+  document.getElementById('app').appendChild(app.canvas);
+
+  const ctx = createPixiContext(PIXI, { gsap, PixiPlugin }, app${config});
+  assertRequirements(Component.requires, ctx, Component.name);
+
+  const container = new PIXI.Container();
+  app.stage.addChild(container);
+
+  const component = new Component(ctx, {
+    ...options,
+    container,
+    width: app.screen.width,
+    height: app.screen.height,
+  });
+
+  // Lifecycle: setup() -> declared init calls -> start()
+  const lifecycle = Component.lifecycle ?? {};
+  if (lifecycle.setup ?? typeof component.setup === 'function') {
+    await component.setup?.();
+  }
+  for (const call of lifecycle.init ?? []) {
+    await component[call.method]?.(...(call.args ?? []));
+  }
+  if (lifecycle.start !== false) {
+    component.start?.();
+  }
+
+  // Keep the component sized to the window (resizeTo resizes the renderer)
+  app.renderer.on('resize', (width, height) => component.resize?.(width, height));
+
+  // Pointer interaction for components that support it
+  if (typeof component.setMousePosition === 'function') {
+    window.addEventListener('pointermove', (e) => component.setMousePosition(e.clientX, e.clientY, 1));
+  }
+}
+
+main();
+`;
+}
+
+function shaderMain(imports: string, options: DemoOptions, mouseSpace: 'normalized' | 'pixels'): string {
+  const mouse =
+    mouseSpace === 'pixels'
+      ? 'component.setMouse(e.clientX, e.clientY)'
+      : 'component.setMouse(e.clientX / window.innerWidth, 1 - e.clientY / window.innerHeight)';
+
+  return `import { Ticker } from 'pixi.js';
+${imports}
+
+// Options changed in the gallery before download
+const options = ${optionsLiteral(options)};
+
+// The component creates and owns its canvas; the ticker drives its frames
+const ticker = new Ticker();
+ticker.start();
+
+const component = new Component({
+  ...options,
+  container: document.getElementById('app'),
+  ticker,
+  width: window.innerWidth,
+  height: window.innerHeight,
+  autoStart: false,
+});
+component.start();
+
+// Keep the canvas sized to the window
+window.addEventListener('resize', () => {
+  component.resize?.(window.innerWidth, window.innerHeight);
+});
+
+if (typeof component.setMouse === 'function') {
+  window.addEventListener('pointermove', (e) => ${mouse});
+}
+`;
+}
+
+function indexHtml(title: string): string {
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${title}</title>
+    <style>
+      html, body { margin: 0; height: 100%; overflow: hidden; background: #0a0e1a; }
+      #app { width: 100%; height: 100%; }
+      #app canvas { display: block; }
+    </style>
+  </head>
+  <body>
+    <div id="app"></div>
+    <script type="module" src="./main.js"></script>
+  </body>
+</html>
+`;
+}
+
+function packageJson(name: string): string {
+  const pkg = {
+    name,
+    version: '1.0.0',
+    private: true,
+    type: 'module',
+    scripts: {
+      dev: 'vite',
+      build: 'vite build',
+      preview: 'vite preview',
+    },
+    dependencies: {
+      'pixi.js': PIXI_VERSION,
+      gsap: gsap.version,
+    },
+    devDependencies: {
+      vite: VITE_VERSION,
+    },
+  };
+  return `${JSON.stringify(pkg, null, 2)}\n`;
+}
+
+/**
+ * Generates main.js for a runtime kind. Custom runtimes fall back to the
+ * pixi-ctx bootstrap, which the buyer can adapt.
+ */
+function mainJs(
+  runtime: ComponentRuntime,
+  imports: string,
+  options: DemoOptions,
+  seed: number | string | null
+): string {
+  switch (runtime) {
+    case 'standalone-webgl':
+      return shaderMain(imports, options, 'normalized');
+    case 'html-canvas':
+      return shaderMain(imports, options, 'pixels');
+    default:
+      return pixiMain(imports, options, seed);
+  }
+}
+
+/**
+ * Builds the starter project zip for a component
+ *
+ * @param options - Option overrides to bake into main.js (e.g. from the parameter panel)
+ * @param seed - ctx.random seed, so the project starts on the same scene as the preview
+ */
+export async function buildStarterProject(
+  metadata: ComponentMetadata,
+  module: Record<string, unknown>,
+  options: DemoOptions = {},
+  seed: number | string | null = null
+): Promise<Blob> {
+  if (!findComponentClass(module, metadata)) {
+    throw new Error(`No component class found in ${metadata.fileName}`);
+  }
+
+  const source = await getComponentSource(metadata.id);
+  const runtime = resolveRuntime(metadata, module);
+  const imports = importStatement(module, metadata);
+
+  const root = metadata.id;
+  const main: ProjectFile = { path: 'main.js', content: mainJs(runtime, imports, options, seed) };
+  const content = contentFile(metadata, source);
+  const entries: ZipEntry[] = [
+    { name: `${root}/index.html`, content: indexHtml(metadata.name) },
+    { name: `${root}/${main.path}`, content: main.content },
+    { name: `${root}/${content.path}`, content: source },
+    { name: `${root}/package.json`, content: packageJson(metadata.id) },
+    ...coreEntries(root, [main, content]),
+  ];
+
+  return createZip(entries);
+}
+
+/**
+ * A content file at the path the zip (and its relative imports) expect
+ */
+export function contentFile(metadata: ComponentMetadata, source: string): ProjectFile {
+  return { path: `${CONTENT_DIR}/${metadata.fileName}`, content: source };
+}
+
+/**
+ * Joins a relative import onto the importing file's directory; extensionless
+ * specifiers are TypeScript modules
+ */
+function resolveImport(importer: string, specifier: string): string {
+  const parts = importer.split('/').slice(0, -1);
+  for (const part of specifier.split('/')) {
+    if (part === '..') parts.pop();
+    else if (part !== '.') parts.push(part);
+  }
+  const path = parts.join('/');
+  return /\.[jt]s$/.test(path) ? path : `${path}.ts`;
+}
+
+/**
+ * src/core files the given files import, followed through the imports of
+ * those core files in turn. The Code tab lists the same files the zip ships.
+ */
+export function getCoreFiles(files: readonly ProjectFile[]): ProjectFile[] {
+  const found = new Map<string, string>();
+  const visit = (file: ProjectFile) => {
+    for (const [, specifier] of file.content.matchAll(RELATIVE_IMPORT)) {
+      const path = resolveImport(file.path, specifier);
+      const content = CORE_SOURCES[path];
+      if (content === undefined || found.has(path)) continue;
+      found.set(path, content);
+      visit({ path, content });
+    }
+  };
+  files.forEach(visit);
+  return [...found].map(([path, content]) => ({ path, content }));
+}
+
+function coreEntries(root: string, files: readonly ProjectFile[]): ZipEntry[] {
+  return getCoreFiles(files).map((file) => ({ name: `${root}/${file.path}`, content: file.content }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCENES
+// ═══════════════════════════════════════════════════════════════════════════
+
+function sceneMain(imports: string, layers: string, seed: number | string | null): string {
+  const config = seed === null ? '' : `, { seed: ${JSON.stringify(seed)} }`;
+  return `import * as PIXI from 'pixi.js';
+import gsap from 'gsap';
+import { PixiPlugin } from 'gsap/PixiPlugin';
+import { assertRequirements, createPixiContext } from './${PIXI_CONTEXT_PATH}';
+${imports}
+
+// Bottom to top, as arranged in the composer
+const layers = ${layers};
+
+// Lifecycle: setup() -> declared init calls -> start()
+async function runLifecycle(component, Component) {
+  const lifecycle = Component.lifecycle ?? {};
+  if (lifecycle.setup ?? typeof component.setup === 'function') {
+    await component.setup?.();
+  }
+  for (const call of lifecycle.init ?? []) {
+    await component[call.method]?.(...(call.args ?? []));
+  }
+  if (lifecycle.start !== false) {
+    component.start?.();
+  }
+}
+
+async function main() {
+  const app = new PIXI.Application();
+  await app.init({
+    resizeTo: window,
+    backgroundColor: 0x0a0e1a,
+    antialias: true,
+    resolution: Math.min(window.devicePixelRatio || 1, 2),
+    autoDensity: true,
+  });
+  document.getElementById('app').appendChild(app.canvas);
+
+  // One context for every layer: one ticker, one clock, one random sequence
+  const ctx = createPixiContext(PIXI, { gsap, PixiPlugin }, app${config});
+
+  const components = [];
+  for (const layer of layers) {
+    assertRequirements(layer.Component.requires, ctx, layer.Component.name);
+
+    const container = new PIXI.Container({ label: layer.id });
+    container.blendMode = layer.blendMode;
+    container.alpha = layer.alpha;
+    container.visible = layer.visible;
+    app.stage.addChild(container);
+
+    const component = new layer.Component(ctx, {
+      ...layer.options,
+      container,
+      width: app.screen.width,
+      height: app.screen.height,
+    });
+    await runLifecycle(component, layer.Component);
+    components.push(component);
+  }
+
+  // Keep every layer sized to the window (resizeTo resizes the renderer)
+  app.renderer.on('resize', (width, height) => {
+    for (const component of components) {
+      component.resize?.(width, height);
+    }
+  });
+
+  // Pointer interaction for layers that support it
+  window.addEventListener('pointermove', (e) => {
+    for (const component of components) {
+      component.setMousePosition?.(e.clientX, e.clientY, 1);
+    }
+  });
+}
+
+main();
+`;
+}
+
+/**
+ * The layers array of main.js; classes are referenced by their import binding
+ */
+function layersLiteral(composition: SceneComposition, bindings: Map<string, string>): string {
+  const entries = composition.layers.map((layer) => {
+    const fields = JSON.stringify(
+      { id: layer.id, blendMode: layer.blendMode, alpha: layer.alpha, visible: layer.visible, options: layer.options },
+      null,
+      2
+    );
+    // Splice the class reference in as the first field
+    return fields.replace('{', `{\n  "Component": ${bindings.get(layer.component)},`).replace(/^/gm, '  ');
+  });
+  return entries.length > 0 ? `[\n${entries.join(',\n')}\n]` : '[]';
+}
+
+/**
+ * Builds a project that runs a composition: one main.js that stacks every
+ * layer on a single stage, plus each layer's content file.
+ *
+ * @param seed - ctx.random seed, so the project starts on the same scene as the composer
+ */
+export async function buildSceneProject(
+  composition: SceneComposition,
+  sources: readonly SceneLayerSource[],
+  root: string,
+  seed: number | string | null = null
+): Promise<Blob> {
+  const bindings = new Map<string, string>();
+  const imports: string[] = [];
+  const files: ZipEntry[] = [];
+  const contentFiles: ProjectFile[] = [];
+
+  for (const { metadata, module } of sources) {
+    if (bindings.has(metadata.id)) continue;
+    if (!findLayerClass(module, metadata)) {
+      throw new Error(`No layer class found in ${metadata.fileName}`);
+    }
+    // Shader components are layered through their Layer export
+    const binding = metadata.layer ?? metadata.components[0];
+    bindings.set(metadata.id, binding);
+    imports.push(
+      metadata.layer
+        ? `import { ${binding} } from './${CONTENT_DIR}/${metadata.fileName}';`
+        : importStatement(module, metadata, binding, `${binding}Exports`)
+    );
+
+    const content = contentFile(metadata, await getComponentSource(metadata.id));
+    contentFiles.push(content);
+    files.push({ name: `${root}/${content.path}`, content: content.content });
+  }
+
+  const main: ProjectFile = {
+    path: 'main.js',
+    content: sceneMain(imports.join('\n'), layersLiteral(composition, bindings), seed),
+  };
+  const entries: ZipEntry[] = [
+    { name: `${root}/index.html`, content: indexHtml(composition.name) },
+    { name: `${root}/${main.path}`, content: main.content },
+    { name: `${root}/composition.json`, content: serializeComposition(composition) },
+    ...files,
+    { name: `${root}/package.json`, content: packageJson(root) },
+    ...coreEntries(root, [main, ...contentFiles]),
+  ];
+
+  return createZip(entries);
+}